@@ -8,6 +8,11 @@ const config = require('./src/config');
 const GATEWAY_URL = `http://localhost:${config.server.gateway.port}`;
 const MONITOR_URL = `http://localhost:${config.server.services.monitor.port}`;
 
+// The scenarios reset patterns and simulate failures, which needs a key
+// with the operator scope (see AUTH_API_KEYS)
+const GATEWAY_API_KEY = process.env.GATEWAY_API_KEY;
+axios.defaults.headers.common['X-API-Key'] = GATEWAY_API_KEY;
+
 class TestScenarios {
   constructor() {
     this.logger = console;
@@ -330,6 +335,11 @@ module.exports = TestScenarios;
 
 // Run tests if this file is executed directly
 if (require.main === module) {
+  if (!GATEWAY_API_KEY) {
+    console.error('Set GATEWAY_API_KEY to an API key with the operator scope');
+    process.exit(1);
+  }
+  
   const tests = new TestScenarios();
   tests.runAllTests().catch(console.error);
 }
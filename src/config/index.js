@@ -6,6 +6,7 @@
  */
 
 require('dotenv').config();
+const path = require('path');
 const Joi = require('joi');
 
 /**
@@ -23,6 +24,9 @@ const configSchema = Joi.object({
   // API Gateway
   GATEWAY_PORT: Joi.number().port().default(3000),
   GATEWAY_HOST: Joi.string().default('localhost'),
+  GATEWAY_ROUTES_FILE: Joi.string().allow('').default(''), // default: src/config/routes.json
+  GATEWAY_ROUTES_WATCH: Joi.boolean().default(true), // reload the route file when it changes
+  GATEWAY_ROUTES_WATCH_INTERVAL: Joi.number().min(100).default(2000),
   
   // Services ports
   USER_SERVICE_PORT: Joi.number().port().default(3001),
@@ -30,33 +34,91 @@ const configSchema = Joi.object({
   PAYMENT_SERVICE_PORT: Joi.number().port().default(3003),
   NOTIFICATION_SERVICE_PORT: Joi.number().port().default(3004),
   MONITOR_SERVICE_PORT: Joi.number().port().default(3005),
+  SUPERVISOR_PORT: Joi.number().port().default(3006),
+  
+  // Failover endpoints per service (comma-separated URLs tried after the primary)
+  USER_SERVICE_FAILOVER_URLS: Joi.string().allow('').default(''),
+  ORDER_SERVICE_FAILOVER_URLS: Joi.string().allow('').default(''),
+  PAYMENT_SERVICE_FAILOVER_URLS: Joi.string().allow('').default(''),
+  NOTIFICATION_SERVICE_FAILOVER_URLS: Joi.string().allow('').default(''),
   
   // Circuit Breaker configuration
   CIRCUIT_BREAKER_FAILURE_THRESHOLD: Joi.number().min(1).default(5),
   CIRCUIT_BREAKER_RESET_TIMEOUT: Joi.number().min(1000).default(60000),
   CIRCUIT_BREAKER_TIMEOUT: Joi.number().min(100).default(10000),
   CIRCUIT_BREAKER_MONITORING_PERIOD: Joi.number().min(1000).default(10000),
+  CIRCUIT_BREAKER_SLIDING_WINDOW_TYPE: Joi.string().valid('COUNT_BASED', 'TIME_BASED').allow('').default(''), // empty = consecutive failures
+  CIRCUIT_BREAKER_SLIDING_WINDOW_SIZE: Joi.number().min(1).default(20), // calls (COUNT_BASED)
+  CIRCUIT_BREAKER_SLIDING_WINDOW_DURATION: Joi.number().min(1000).default(60000), // ms (TIME_BASED)
+  CIRCUIT_BREAKER_MINIMUM_CALLS: Joi.number().min(1).default(10),
+  CIRCUIT_BREAKER_FAILURE_RATE_THRESHOLD: Joi.number().min(1).max(100).default(50), // percent
+  CIRCUIT_BREAKER_SLOW_CALL_DURATION_THRESHOLD: Joi.number().min(0).default(0), // ms, 0 = disabled
+  CIRCUIT_BREAKER_SLOW_CALL_RATE_THRESHOLD: Joi.number().min(1).max(100).default(80), // percent
+  CIRCUIT_BREAKER_HALF_OPEN_PERMITTED_CALLS: Joi.number().min(1).default(3),
   
   // Bulkhead configuration
   BULKHEAD_MAX_CONCURRENT: Joi.number().min(1).default(10),
   BULKHEAD_MAX_QUEUE_SIZE: Joi.number().min(1).default(100),
   BULKHEAD_TIMEOUT: Joi.number().min(1000).default(30000),
   BULKHEAD_QUEUE_TIMEOUT: Joi.number().min(1000).default(60000),
+  BULKHEAD_LIMIT_ALGORITHM: Joi.string().valid('FIXED', 'AIMD', 'GRADIENT').default('FIXED'),
+  BULKHEAD_MIN_LIMIT: Joi.number().min(1).default(1), // adaptive floor
+  BULKHEAD_MAX_LIMIT: Joi.number().min(1).default(100), // adaptive ceiling
+  BULKHEAD_LATENCY_THRESHOLD: Joi.number().min(0).default(0), // ms, AIMD only, 0 = errors only
+  BULKHEAD_QUEUE_DISCIPLINE: Joi.string().valid('FIFO', 'ADAPTIVE_LIFO', 'CODEL').default('FIFO'),
+  BULKHEAD_CODEL_TARGET: Joi.number().min(1).default(100), // ms
+  BULKHEAD_CODEL_INTERVAL: Joi.number().min(1).default(1000), // ms
   
   // Auto-Recovery configuration
   RECOVERY_MAX_RETRIES: Joi.number().min(0).default(3),
   RECOVERY_INITIAL_DELAY: Joi.number().min(100).default(1000),
   RECOVERY_MAX_DELAY: Joi.number().min(1000).default(30000),
   RECOVERY_BACKOFF_MULTIPLIER: Joi.number().min(1).default(2),
+  RECOVERY_BACKOFF_STRATEGY: Joi.string()
+    .valid('CONSTANT', 'LINEAR', 'EXPONENTIAL', 'FULL_JITTER', 'DECORRELATED_JITTER')
+    .default('EXPONENTIAL'),
+  RECOVERY_RETRY_BUDGET_RATIO: Joi.number().min(0).max(1).default(0.2), // retries as a share of requests
+  RECOVERY_RETRY_BUDGET_MIN_PER_SECOND: Joi.number().min(0).default(1),
   RECOVERY_HEALTH_CHECK_INTERVAL: Joi.number().min(1000).default(5000),
   RECOVERY_FAILURE_THRESHOLD: Joi.number().min(1).default(3),
   RECOVERY_RECOVERY_THRESHOLD: Joi.number().min(1).default(2),
   
+  // Client-side load balancing across service instances
+  LOAD_BALANCER_ALGORITHM: Joi.string()
+    .valid('ROUND_ROBIN', 'LEAST_OUTSTANDING', 'WEIGHTED', 'P2C')
+    .default('ROUND_ROBIN'),
+  LOAD_BALANCER_MAX_ATTEMPTS: Joi.number().min(1).default(2), // instances tried per request
+  OUTLIER_CONSECUTIVE_FAILURES: Joi.number().min(1).default(5),
+  OUTLIER_BASE_EJECTION_TIME: Joi.number().min(1000).default(30000), // grows with each ejection
+  OUTLIER_MAX_EJECTION_TIME: Joi.number().min(1000).default(300000),
+  OUTLIER_MAX_EJECTION_PERCENT: Joi.number().min(0).max(100).default(50),
+  
+  // Process supervisor
+  SUPERVISOR_MAX_RESTARTS: Joi.number().min(1).default(5), // within the restart window
+  SUPERVISOR_RESTART_WINDOW: Joi.number().min(1000).default(60000),
+  SUPERVISOR_INITIAL_DELAY: Joi.number().min(100).default(1000),
+  SUPERVISOR_MAX_DELAY: Joi.number().min(1000).default(30000),
+  SUPERVISOR_HEALTH_CHECK_INTERVAL: Joi.number().min(1000).default(5000),
+  SUPERVISOR_HEALTH_FAILURE_THRESHOLD: Joi.number().min(1).default(3),
+  SUPERVISOR_STARTUP_GRACE_PERIOD: Joi.number().min(0).default(15000),
+  
+  // Service registry (hosted by the monitor)
+  REGISTRY_ENABLED: Joi.boolean().default(true),
+  REGISTRY_URL: Joi.string().allow('').default(''), // default: the monitor's /registry
+  REGISTRY_HEARTBEAT_INTERVAL: Joi.number().min(100).default(5000),
+  REGISTRY_HEARTBEAT_TIMEOUT: Joi.number().min(1000).default(15000), // instances silent this long are dropped
+  REGISTRY_REFRESH_INTERVAL: Joi.number().min(100).default(5000), // how often callers re-read the instance list
+  REGISTRY_INSTANCE_WEIGHT: Joi.number().min(1).default(1), // share of traffic with WEIGHTED load balancing
+  
+  // Graceful shutdown
+  SHUTDOWN_TIMEOUT: Joi.number().min(0).default(15000), // ms to drain in-flight work before exiting
+  STATE_DIR: Joi.string().default('data'), // pending work saved across restarts
+  
   // Database configuration (if needed)
   DATABASE_URL: Joi.string().default(''),
   DATABASE_POOL_SIZE: Joi.number().min(1).default(10),
   
-  // Redis configuration (for caching)
+  // Redis configuration (shared rate limit counters)
   REDIS_URL: Joi.string().default('redis://localhost:6379'),
   REDIS_PASSWORD: Joi.string().allow('').default(''),
   
@@ -73,18 +135,72 @@ const configSchema = Joi.object({
   // Security
   CORS_ORIGIN: Joi.string().default('*'),
   RATE_LIMIT_WINDOW_MS: Joi.number().min(1000).default(900000), // 15 minutes
-  RATE_LIMIT_MAX_REQUESTS: Joi.number().min(1).default(100)
+  RATE_LIMIT_MAX_REQUESTS: Joi.number().min(1).default(100),
+  RATE_LIMIT_ENABLED: Joi.boolean().default(true),
+  RATE_LIMIT_ALGORITHM: Joi.string().valid('FIXED_WINDOW', 'SLIDING_LOG', 'TOKEN_BUCKET').default('FIXED_WINDOW'),
+  RATE_LIMIT_KEY: Joi.string().valid('ip', 'apiKey', 'route').default('ip'), // what requests are counted by
+  RATE_LIMIT_STORE: Joi.string().valid('memory', 'redis').default('memory'), // redis: shared by every gateway instance
+  
+  // Gateway authentication
+  AUTH_ENABLED: Joi.boolean().default(true),
+  AUTH_API_KEYS: Joi.string().allow('').default(''), // key:subject[:scope scope...], comma-separated
+  AUTH_JWT_SECRET: Joi.string().allow('').default(''), // HS256
+  AUTH_JWT_PUBLIC_KEY_FILE: Joi.string().allow('').default(''), // RS256, PEM
+  AUTH_JWT_ISSUER: Joi.string().allow('').default(''),
+  AUTH_JWT_AUDIENCE: Joi.string().allow('').default(''),
+  AUTH_JWT_CLOCK_TOLERANCE: Joi.number().min(0).default(30000),
+  AUTH_MAX_FAILURES: Joi.number().min(1).default(10), // invalid credentials per IP before it is refused
+  AUTH_FAILURE_WINDOW_MS: Joi.number().min(1000).default(900000) // 15 minutes
 });
 
 /**
  * Validate and parse environment variables
+ *
+ * process.env holds every variable of the shell, so only the schema's own
+ * variables are validated. A variable sharing a prefix with them that is
+ * not in the schema (e.g. CIRCUIT_BREAKER_TIMOUT) is most likely a typo
+ * and is refused rather than silently ignored.
  */
-const { error, value: envVars } = configSchema.validate(process.env);
+const knownVars = Object.keys(configSchema.describe().keys);
+const knownPrefixes = Array.from(new Set(knownVars
+  .map(name => name.split('_'))
+  .filter(parts => parts.length > 2)
+  .map(parts => `${parts[0]}_${parts[1]}_`)));
+
+const unknownVars = Object.keys(process.env).filter(name =>
+  !knownVars.includes(name) && knownPrefixes.some(prefix => name.startsWith(prefix))
+);
+
+if (unknownVars.length > 0) {
+  throw new Error(`Config validation error: unknown variable(s) ${unknownVars.join(', ')}`);
+}
+
+const { error, value: envVars } = configSchema.validate(
+  Object.fromEntries(knownVars.filter(name => name in process.env).map(name => [name, process.env[name]]))
+);
 
 if (error) {
   throw new Error(`Config validation error: ${error.message}`);
 }
 
+/**
+ * Build a downstream service entry: `url` is the primary, `urls` the primary
+ * followed by its failover alternates
+ * @param {number} port - Port of the local primary instance
+ * @param {string} [failoverUrls] - Comma-separated alternate URLs
+ * @returns {Object} Service entry
+ */
+const serviceEndpoints = (port, failoverUrls = '') => {
+  const url = `http://localhost:${port}`;
+  const alternates = failoverUrls.split(',').map(entry => entry.trim()).filter(Boolean);
+  
+  return {
+    port,
+    url,
+    urls: [url, ...alternates]
+  };
+};
+
 /**
  * Configuration object
  */
@@ -109,35 +225,46 @@ const config = {
       host: envVars.GATEWAY_HOST
     },
     services: {
-      user: {
-        port: envVars.USER_SERVICE_PORT,
-        url: `http://localhost:${envVars.USER_SERVICE_PORT}`
-      },
-      order: {
-        port: envVars.ORDER_SERVICE_PORT,
-        url: `http://localhost:${envVars.ORDER_SERVICE_PORT}`
-      },
-      payment: {
-        port: envVars.PAYMENT_SERVICE_PORT,
-        url: `http://localhost:${envVars.PAYMENT_SERVICE_PORT}`
-      },
-      notification: {
-        port: envVars.NOTIFICATION_SERVICE_PORT,
-        url: `http://localhost:${envVars.NOTIFICATION_SERVICE_PORT}`
-      },
-      monitor: {
-        port: envVars.MONITOR_SERVICE_PORT,
-        url: `http://localhost:${envVars.MONITOR_SERVICE_PORT}`
-      }
+      user: serviceEndpoints(envVars.USER_SERVICE_PORT, envVars.USER_SERVICE_FAILOVER_URLS),
+      order: serviceEndpoints(envVars.ORDER_SERVICE_PORT, envVars.ORDER_SERVICE_FAILOVER_URLS),
+      payment: serviceEndpoints(envVars.PAYMENT_SERVICE_PORT, envVars.PAYMENT_SERVICE_FAILOVER_URLS),
+      notification: serviceEndpoints(envVars.NOTIFICATION_SERVICE_PORT, envVars.NOTIFICATION_SERVICE_FAILOVER_URLS),
+      monitor: serviceEndpoints(envVars.MONITOR_SERVICE_PORT)
+    },
+    supervisor: {
+      port: envVars.SUPERVISOR_PORT,
+      url: `http://localhost:${envVars.SUPERVISOR_PORT}`
     }
   },
   
+  // Declarative gateway routes
+  routes: {
+    file: envVars.GATEWAY_ROUTES_FILE || path.join(__dirname, 'routes.json'),
+    watch: envVars.GATEWAY_ROUTES_WATCH,
+    watchInterval: envVars.GATEWAY_ROUTES_WATCH_INTERVAL
+  },
+  
   // Circuit Breaker configuration
   circuitBreaker: {
     failureThreshold: envVars.CIRCUIT_BREAKER_FAILURE_THRESHOLD,
     resetTimeout: envVars.CIRCUIT_BREAKER_RESET_TIMEOUT,
     timeout: envVars.CIRCUIT_BREAKER_TIMEOUT,
-    monitoringPeriod: envVars.CIRCUIT_BREAKER_MONITORING_PERIOD
+    monitoringPeriod: envVars.CIRCUIT_BREAKER_MONITORING_PERIOD,
+    slidingWindowType: envVars.CIRCUIT_BREAKER_SLIDING_WINDOW_TYPE || null,
+    // A TIME_BASED window is sized in ms, a COUNT_BASED one in calls
+    slidingWindowSize: envVars.CIRCUIT_BREAKER_SLIDING_WINDOW_TYPE === 'TIME_BASED' ?
+      envVars.CIRCUIT_BREAKER_SLIDING_WINDOW_DURATION :
+      envVars.CIRCUIT_BREAKER_SLIDING_WINDOW_SIZE,
+    // Per-type sizes, for services whose overrides pick another window type
+    slidingWindowSizes: {
+      COUNT_BASED: envVars.CIRCUIT_BREAKER_SLIDING_WINDOW_SIZE,
+      TIME_BASED: envVars.CIRCUIT_BREAKER_SLIDING_WINDOW_DURATION
+    },
+    minimumNumberOfCalls: envVars.CIRCUIT_BREAKER_MINIMUM_CALLS,
+    failureRateThreshold: envVars.CIRCUIT_BREAKER_FAILURE_RATE_THRESHOLD,
+    slowCallDurationThreshold: envVars.CIRCUIT_BREAKER_SLOW_CALL_DURATION_THRESHOLD,
+    slowCallRateThreshold: envVars.CIRCUIT_BREAKER_SLOW_CALL_RATE_THRESHOLD,
+    permittedCallsInHalfOpen: envVars.CIRCUIT_BREAKER_HALF_OPEN_PERMITTED_CALLS
   },
   
   // Bulkhead configuration
@@ -145,7 +272,14 @@ const config = {
     maxConcurrent: envVars.BULKHEAD_MAX_CONCURRENT,
     maxQueueSize: envVars.BULKHEAD_MAX_QUEUE_SIZE,
     timeout: envVars.BULKHEAD_TIMEOUT,
-    queueTimeout: envVars.BULKHEAD_QUEUE_TIMEOUT
+    queueTimeout: envVars.BULKHEAD_QUEUE_TIMEOUT,
+    limitAlgorithm: envVars.BULKHEAD_LIMIT_ALGORITHM,
+    minLimit: envVars.BULKHEAD_MIN_LIMIT,
+    maxLimit: envVars.BULKHEAD_MAX_LIMIT,
+    latencyThreshold: envVars.BULKHEAD_LATENCY_THRESHOLD,
+    queueDiscipline: envVars.BULKHEAD_QUEUE_DISCIPLINE,
+    codelTarget: envVars.BULKHEAD_CODEL_TARGET,
+    codelInterval: envVars.BULKHEAD_CODEL_INTERVAL
   },
   
   // Auto-Recovery configuration
@@ -154,11 +288,54 @@ const config = {
     initialDelay: envVars.RECOVERY_INITIAL_DELAY,
     maxDelay: envVars.RECOVERY_MAX_DELAY,
     backoffMultiplier: envVars.RECOVERY_BACKOFF_MULTIPLIER,
+    backoffStrategy: envVars.RECOVERY_BACKOFF_STRATEGY,
+    retryBudgetRatio: envVars.RECOVERY_RETRY_BUDGET_RATIO,
+    retryBudgetMinPerSecond: envVars.RECOVERY_RETRY_BUDGET_MIN_PER_SECOND,
     healthCheckInterval: envVars.RECOVERY_HEALTH_CHECK_INTERVAL,
     failureThreshold: envVars.RECOVERY_FAILURE_THRESHOLD,
     recoveryThreshold: envVars.RECOVERY_RECOVERY_THRESHOLD
   },
   
+  // Client-side load balancing
+  loadBalancer: {
+    algorithm: envVars.LOAD_BALANCER_ALGORITHM,
+    maxAttempts: envVars.LOAD_BALANCER_MAX_ATTEMPTS,
+    consecutiveFailures: envVars.OUTLIER_CONSECUTIVE_FAILURES,
+    baseEjectionTime: envVars.OUTLIER_BASE_EJECTION_TIME,
+    maxEjectionTime: envVars.OUTLIER_MAX_EJECTION_TIME,
+    maxEjectionPercent: envVars.OUTLIER_MAX_EJECTION_PERCENT
+  },
+  
+  // Process supervisor restart policy
+  supervisor: {
+    maxRestarts: envVars.SUPERVISOR_MAX_RESTARTS,
+    restartWindow: envVars.SUPERVISOR_RESTART_WINDOW,
+    initialDelay: envVars.SUPERVISOR_INITIAL_DELAY,
+    maxDelay: envVars.SUPERVISOR_MAX_DELAY,
+    healthCheckInterval: envVars.SUPERVISOR_HEALTH_CHECK_INTERVAL,
+    healthFailureThreshold: envVars.SUPERVISOR_HEALTH_FAILURE_THRESHOLD,
+    startupGracePeriod: envVars.SUPERVISOR_STARTUP_GRACE_PERIOD,
+    stopTimeout: envVars.SHUTDOWN_TIMEOUT + 5000 // let services finish draining before SIGKILL
+  },
+  
+  // Service registry and discovery
+  registry: {
+    enabled: envVars.REGISTRY_ENABLED,
+    url: envVars.REGISTRY_URL || `http://localhost:${envVars.MONITOR_SERVICE_PORT}/registry`,
+    timeout: 2000,
+    heartbeatInterval: envVars.REGISTRY_HEARTBEAT_INTERVAL,
+    heartbeatTimeout: envVars.REGISTRY_HEARTBEAT_TIMEOUT,
+    refreshInterval: envVars.REGISTRY_REFRESH_INTERVAL,
+    instanceWeight: envVars.REGISTRY_INSTANCE_WEIGHT
+  },
+  
+  // Graceful shutdown
+  shutdown: {
+    timeout: envVars.SHUTDOWN_TIMEOUT,
+    stateDir: envVars.STATE_DIR,
+    monitorUrl: `http://localhost:${envVars.MONITOR_SERVICE_PORT}`
+  },
+  
   // Database configuration
   database: {
     url: envVars.DATABASE_URL,
@@ -189,8 +366,25 @@ const config = {
   security: {
     corsOrigin: envVars.CORS_ORIGIN,
     rateLimit: {
+      enabled: envVars.RATE_LIMIT_ENABLED,
+      algorithm: envVars.RATE_LIMIT_ALGORITHM,
       windowMs: envVars.RATE_LIMIT_WINDOW_MS,
-      maxRequests: envVars.RATE_LIMIT_MAX_REQUESTS
+      maxRequests: envVars.RATE_LIMIT_MAX_REQUESTS,
+      key: envVars.RATE_LIMIT_KEY,
+      store: envVars.RATE_LIMIT_STORE
+    },
+    auth: {
+      enabled: envVars.AUTH_ENABLED,
+      apiKeys: envVars.AUTH_API_KEYS,
+      jwt: {
+        secret: envVars.AUTH_JWT_SECRET,
+        publicKeyFile: envVars.AUTH_JWT_PUBLIC_KEY_FILE,
+        issuer: envVars.AUTH_JWT_ISSUER,
+        audience: envVars.AUTH_JWT_AUDIENCE,
+        clockTolerance: envVars.AUTH_JWT_CLOCK_TOLERANCE
+      },
+      maxFailures: envVars.AUTH_MAX_FAILURES,
+      failureWindowMs: envVars.AUTH_FAILURE_WINDOW_MS
     }
   }
 };
@@ -216,9 +410,15 @@ config.getServiceConfig = function(serviceName) {
         port: config.server.gateway.port,
         host: config.server.gateway.host,
         services: config.server.services,
+        routes: config.routes,
         circuitBreaker: config.circuitBreaker,
         bulkhead: config.bulkhead,
-        demo: config.demo
+        autoRecovery: config.autoRecovery,
+        loadBalancer: config.loadBalancer,
+        demo: config.demo,
+        registry: config.registry,
+        redis: config.redis,
+        shutdown: config.shutdown
       };
       
     case 'user':
@@ -228,9 +428,12 @@ config.getServiceConfig = function(serviceName) {
       return {
         ...baseConfig,
         port: config.server.services[serviceName].port,
+        bulkhead: config.bulkhead,
         autoRecovery: config.autoRecovery,
         demo: config.demo,
-        database: config.database
+        database: config.database,
+        registry: config.registry,
+        shutdown: config.shutdown
       };
       
     case 'monitor':
@@ -238,7 +441,17 @@ config.getServiceConfig = function(serviceName) {
         ...baseConfig,
         port: config.server.services.monitor.port,
         services: config.server.services,
-        monitoring: config.monitoring
+        supervisor: config.server.supervisor,
+        monitoring: config.monitoring,
+        registry: config.registry,
+        shutdown: config.shutdown
+      };
+      
+    case 'supervisor':
+      return {
+        ...baseConfig,
+        port: config.server.supervisor.port,
+        restartPolicy: config.supervisor
       };
       
     default:
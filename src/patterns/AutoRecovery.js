@@ -4,13 +4,22 @@
  * The Auto-Recovery pattern automatically detects failures and attempts
  * to recover from them without human intervention. It includes:
  * - Health monitoring and checks
- * - Exponential backoff retry mechanisms
+ * - Retries with pluggable backoff (see Backoff) and an optional shared
+ *   retry budget (see RetryBudget)
  * - Automatic service restart capabilities
+ * - Failover to alternate endpoints, with fail-back once the primary
+ *   has recovered
  * - Graceful degradation strategies
+ * - Escalation: strategies are picked by error type, consecutive failures
+ *   and time spent FAILED; each step is verified with a health check
+ *   before escalating further, and its outcome recorded in stateHistory
  */
 
 const EventEmitter = require('events');
 const logger = require('../utils/logger');
+const { getErrorStatus, isIdempotentMethod, isNotSentError } = require('../utils/errorClassification');
+const { isAbortError } = require('../utils/abort');
+const { Backoff, BackoffStrategies } = require('./Backoff');
 
 /**
  * Recovery states
@@ -32,6 +41,16 @@ const RecoveryStrategies = {
   DEGRADE: 'DEGRADE'
 };
 
+/**
+ * Outcomes of an escalation step
+ */
+const StepOutcomes = {
+  RECOVERED: 'RECOVERED', // the health check passed afterwards
+  NO_EFFECT: 'NO_EFFECT', // completed, but the service is still unhealthy
+  APPLIED: 'APPLIED', // completed and not verified; ends escalation
+  FAILED: 'FAILED' // the strategy itself threw
+};
+
 /**
  * Auto-Recovery Implementation
  */
@@ -43,11 +62,23 @@ class AutoRecovery extends EventEmitter {
    * @param {number} options.initialDelay - Initial retry delay (ms)
    * @param {number} options.maxDelay - Maximum retry delay (ms)
    * @param {number} options.backoffMultiplier - Exponential backoff multiplier
+   * @param {string} options.backoffStrategy - One of BackoffStrategies (default EXPONENTIAL)
+   * @param {number} options.backoffJitter - EXPONENTIAL: additive jitter fraction (default 0.1)
+   * @param {RetryBudget} options.retryBudget - Budget shared by every caller of the service;
+   *   retries stop when it is exhausted
    * @param {number} options.healthCheckInterval - Health check interval (ms)
    * @param {number} options.failureThreshold - Failures before marking as unhealthy
    * @param {number} options.recoveryThreshold - Successes needed for recovery
-   * @param {Function} options.healthCheck - Health check function
+   * @param {Function} options.healthCheck - Health check function; called with the active endpoint
+   * @param {Array<string>} options.endpoints - Primary endpoint followed by failover alternates
    * @param {Function} options.onRecover - Recovery action function
+   * @param {Function} options.shouldRetry - (error, status) => boolean; false stops retrying immediately
+   * @param {Function} options.recordFailure - (error, status) => boolean; false keeps the final error
+   *   from counting toward the recovery state
+   * @param {Array<Object>} options.escalation - Ordered recovery steps: `{ strategy, errorTypes,
+   *   minFailures, minTimeInFailed, verify }`. A step runs when the error matches one of
+   *   `errorTypes` (codes, names or HTTP statuses; any error if omitted), at least `minFailures`
+   *   consecutive failures were seen and the outage has lasted `minTimeInFailed` ms
    */
   constructor(options = {}) {
     super();
@@ -57,11 +88,21 @@ class AutoRecovery extends EventEmitter {
     this.initialDelay = options.initialDelay || 1000; // 1 second
     this.maxDelay = options.maxDelay || 30000; // 30 seconds
     this.backoffMultiplier = options.backoffMultiplier || 2;
+    this.backoff = new Backoff({
+      strategy: options.backoffStrategy || BackoffStrategies.EXPONENTIAL,
+      initialDelay: this.initialDelay,
+      maxDelay: this.maxDelay,
+      multiplier: this.backoffMultiplier,
+      jitter: options.backoffJitter !== undefined ? options.backoffJitter : 0.1
+    });
+    this.retryBudget = options.retryBudget || null;
     this.healthCheckInterval = options.healthCheckInterval || 5000; // 5 seconds
     this.failureThreshold = options.failureThreshold || 3;
     this.recoveryThreshold = options.recoveryThreshold || 2;
     this.healthCheck = options.healthCheck;
     this.onRecover = options.onRecover;
+    this.shouldRetry = options.shouldRetry || (() => true);
+    this.recordFailure = options.recordFailure || (() => true);
     
     // Recovery state
     this.state = RecoveryStates.HEALTHY;
@@ -71,11 +112,19 @@ class AutoRecovery extends EventEmitter {
     this.lastHealthCheck = null;
     this.isRecovering = false;
     
+    // Failover endpoints; index 0 is the primary
+    this.endpoints = options.endpoints || [];
+    this.activeEndpointIndex = 0;
+    this.primaryRecoveryCount = 0;
+    
     // Metrics
     this.metrics = {
       totalFailures: 0,
       totalRecoveries: 0,
       totalRetries: 0,
+      totalBudgetRejections: 0,
+      totalFailovers: 0,
+      totalFailbacks: 0,
       averageRecoveryTime: 0,
       longestOutage: 0,
       currentOutageStart: null,
@@ -84,6 +133,21 @@ class AutoRecovery extends EventEmitter {
       stateHistory: []
     };
     
+    // Escalation ladder, tried in order on every recovery attempt
+    this.escalation = (options.escalation || [
+      { strategy: RecoveryStrategies.FAILOVER, minFailures: this.failureThreshold },
+      { strategy: RecoveryStrategies.RETRY },
+      { strategy: RecoveryStrategies.RESTART, minFailures: this.failureThreshold },
+      // Degrade once the outage outlasts the longest retry backoff
+      {
+        strategy: RecoveryStrategies.DEGRADE,
+        minFailures: this.failureThreshold,
+        minTimeInFailed: this.maxDelay,
+        verify: false
+      }
+    ]).map(step => this.normalizeEscalationStep(step));
+    this.lastRecovery = null;
+    
     // Recovery strategies registry
     this.strategies = new Map();
     this.registerDefaultStrategies();
@@ -104,14 +168,32 @@ class AutoRecovery extends EventEmitter {
    * Execute a function with auto-recovery protection
    * @param {Function} fn - Function to execute
    * @param {...any} args - Arguments to pass to the function
-   * @param {Object} options - Execution options
    * @returns {Promise<any>} - Result of the function execution
    */
   async executeWithRecovery(fn, ...args) {
+    return this.executeWithOptions(fn, {}, ...args);
+  }
+  
+  /**
+   * Execute a function with auto-recovery protection and per-call options
+   * @param {Function} fn - Function to execute
+   * @param {Object} options - Execution options
+   * @param {number} options.maxRetries - Retry limit for this call (defaults to `maxRetries`)
+   * @param {string} options.method - HTTP method of the call; non-idempotent calls are only retried if they were never sent
+   * @param {...any} args - Arguments to pass to the function
+   * @returns {Promise<any>} - Result of the function execution
+   */
+  async executeWithOptions(fn, options = {}, ...args) {
+    const maxRetries = options.maxRetries ?? this.maxRetries;
     let attempt = 0;
     let lastError;
+    let lastDelay;
     
-    while (attempt <= this.maxRetries) {
+    if (this.retryBudget) {
+      this.retryBudget.recordRequest();
+    }
+    
+    while (attempt <= maxRetries) {
       try {
         const result = await fn(...args);
         
@@ -125,39 +207,73 @@ class AutoRecovery extends EventEmitter {
         
       } catch (error) {
         lastError = error;
+        
+        // Cancelled work is never retried or counted against the service
+        if (isAbortError(error)) {
+          throw error;
+        }
+        
+        if (!this.shouldRetry(error, getErrorStatus(error))) {
+          logger.debug(`Auto-Recovery ${this.name} not retrying non-retryable error`, {
+            error: error.message,
+            status: getErrorStatus(error)
+          });
+          break;
+        }
+        
+        // The service may have acted on it: only repeat what is safe to repeat
+        if (!isIdempotentMethod(options.method) && !isNotSentError(error)) {
+          logger.debug(`Auto-Recovery ${this.name} not retrying ${options.method} that may have been processed`, {
+            error: error.message,
+            code: error.code
+          });
+          break;
+        }
+        
+        if (attempt < maxRetries && this.retryBudget && !this.retryBudget.tryAcquire()) {
+          this.metrics.totalBudgetRejections++;
+          logger.warn(`Auto-Recovery ${this.name} retry budget exhausted, not retrying`, {
+            error: error.message,
+            budget: this.retryBudget.name
+          });
+          this.emit('retryBudgetExhausted', {
+            name: this.name,
+            budget: this.retryBudget.name,
+            error: error.message
+          });
+          break;
+        }
+        
         attempt++;
         this.metrics.totalRetries++;
         
         logger.warn(`Auto-Recovery ${this.name} attempt ${attempt} failed`, {
           error: error.message,
-          remainingAttempts: this.maxRetries - attempt
+          remainingAttempts: maxRetries - attempt
         });
         
-        if (attempt <= this.maxRetries) {
-          const delay = this.calculateDelay(attempt);
-          await this.delay(delay);
+        if (attempt <= maxRetries) {
+          lastDelay = this.calculateDelay(attempt, lastDelay);
+          await this.delay(lastDelay);
         }
       }
     }
     
-    // All retries exhausted
-    this.handleFailure(lastError);
+    // All retries exhausted (or the error was not retryable)
+    if (this.recordFailure(lastError, getErrorStatus(lastError))) {
+      this.handleFailure(lastError);
+    }
     throw lastError;
   }
   
   /**
-   * Calculate exponential backoff delay
+   * Calculate the delay before a retry
+   * @param {number} attempt - Retry number, starting at 1
+   * @param {number} [previousDelay] - Delay before the previous retry
    * @private
    */
-  calculateDelay(attempt) {
-    const delay = Math.min(
-      this.initialDelay * Math.pow(this.backoffMultiplier, attempt - 1),
-      this.maxDelay
-    );
-    
-    // Add jitter to prevent thundering herd
-    const jitter = delay * 0.1 * Math.random();
-    return Math.floor(delay + jitter);
+  calculateDelay(attempt, previousDelay) {
+    return this.backoff.getDelay(attempt, previousDelay);
   }
   
   /**
@@ -264,17 +380,7 @@ class AutoRecovery extends EventEmitter {
     const oldState = this.state;
     this.state = newState;
     
-    this.metrics.stateHistory.push({
-      state: newState,
-      timestamp: new Date().toISOString(),
-      failureCount: this.failureCount,
-      successCount: this.successCount
-    });
-    
-    // Keep only last 100 state changes
-    if (this.metrics.stateHistory.length > 100) {
-      this.metrics.stateHistory = this.metrics.stateHistory.slice(-100);
-    }
+    this.recordHistory();
     
     if (oldState !== newState) {
       logger.info(`Auto-Recovery ${this.name} state changed: ${oldState} -> ${newState}`);
@@ -289,7 +395,13 @@ class AutoRecovery extends EventEmitter {
   }
   
   /**
-   * Attempt recovery using registered strategies
+   * Attempt recovery by walking the escalation ladder
+   *
+   * Every step whose conditions match the current failure is tried in
+   * order. After a step the health check is re-run: if the service is
+   * healthy again escalation stops, otherwise the next step is tried.
+   * Steps with `verify: false` (or any step when there is no health
+   * check) end escalation as soon as they complete.
    * @private
    */
   async attemptRecovery(error) {
@@ -298,29 +410,182 @@ class AutoRecovery extends EventEmitter {
     }
     
     this.isRecovering = true;
+    const previousState = this.state;
+    const startedAt = Date.now();
+    const steps = [];
+    
     this.setState(RecoveryStates.RECOVERING);
     
     try {
-      // Try each recovery strategy
-      for (const [strategyName, strategy] of this.strategies) {
-        try {
-          logger.info(`Auto-Recovery ${this.name} attempting strategy: ${strategyName}`);
-          
-          await strategy.execute(error, this);
-          
-          // Strategy succeeded
-          logger.info(`Auto-Recovery ${this.name} strategy ${strategyName} completed`);
+      for (const step of this.escalation) {
+        const strategy = this.strategies.get(step.strategy);
+        
+        if (!strategy || !this.stepApplies(step, strategy, error)) {
+          continue;
+        }
+        
+        const result = await this.runRecoveryStep(step, strategy, error);
+        steps.push(result);
+        
+        if (result.outcome === StepOutcomes.RECOVERED || result.outcome === StepOutcomes.APPLIED) {
           break;
-          
-        } catch (strategyError) {
-          logger.warn(`Auto-Recovery ${this.name} strategy ${strategyName} failed`, {
-            error: strategyError.message
-          });
         }
       }
     } finally {
       this.isRecovering = false;
+      
+      const recovered = steps.some(step => step.outcome === StepOutcomes.RECOVERED);
+      
+      this.lastRecovery = {
+        error: error.message,
+        recovered,
+        steps,
+        startedAt: new Date(startedAt).toISOString(),
+        duration: Date.now() - startedAt
+      };
+      
+      if (recovered) {
+        this.onSuccess();
+      } else if (this.state === RecoveryStates.RECOVERING) {
+        // Nothing helped; still failed (or degraded) as before
+        this.setState(previousState);
+      }
+    }
+  }
+  
+  /**
+   * Check whether an escalation step should run for this failure
+   * @private
+   */
+  stepApplies(step, strategy, error) {
+    if (this.failureCount < step.minFailures) {
+      return false;
+    }
+    
+    if (step.minTimeInFailed > 0 && this.getTimeInFailed() < step.minTimeInFailed) {
+      return false;
+    }
+    
+    if (step.errorTypes && !this.matchesErrorType(error, step.errorTypes)) {
+      return false;
     }
+    
+    return !strategy.isApplicable || strategy.isApplicable(error, this);
+  }
+  
+  /**
+   * Match an error against error codes, names or HTTP statuses
+   * @private
+   */
+  matchesErrorType(error, errorTypes) {
+    const status = getErrorStatus(error);
+    
+    return errorTypes.some(type =>
+      type === error.code || type === error.name || (status !== undefined && type === status)
+    );
+  }
+  
+  /**
+   * Time spent in the current outage (since entering FAILED)
+   * @returns {number} Milliseconds, 0 when not failed
+   */
+  getTimeInFailed() {
+    return this.metrics.currentOutageStart ? Date.now() - this.metrics.currentOutageStart : 0;
+  }
+  
+  /**
+   * Run one escalation step, verify it and record the outcome
+   * @private
+   */
+  async runRecoveryStep(step, strategy, error) {
+    const startedAt = Date.now();
+    let outcome;
+    let reason;
+    
+    logger.info(`Auto-Recovery ${this.name} attempting strategy: ${step.strategy}`, {
+      failureCount: this.failureCount,
+      timeInFailed: this.getTimeInFailed()
+    });
+    
+    try {
+      await strategy.execute(error, this);
+      
+      if (step.verify === false || !this.healthCheck) {
+        outcome = StepOutcomes.APPLIED;
+      } else {
+        const verification = await this.verifyRecovery();
+        outcome = verification.healthy ? StepOutcomes.RECOVERED : StepOutcomes.NO_EFFECT;
+        reason = verification.error;
+      }
+    } catch (strategyError) {
+      outcome = StepOutcomes.FAILED;
+      reason = strategyError.message;
+    }
+    
+    const result = {
+      strategy: step.strategy,
+      outcome,
+      reason,
+      duration: Date.now() - startedAt
+    };
+    
+    logger.info(`Auto-Recovery ${this.name} strategy ${step.strategy}: ${outcome}`, { reason });
+    
+    this.recordHistory({ strategy: step.strategy, outcome, reason });
+    this.emit('recoveryStep', { name: this.name, ...result });
+    
+    return result;
+  }
+  
+  /**
+   * Re-run the health check against the active endpoint
+   * @private
+   */
+  async verifyRecovery() {
+    try {
+      await this.healthCheck(this.getActiveEndpoint());
+      return { healthy: true };
+    } catch (error) {
+      return { healthy: false, error: error.message };
+    }
+  }
+  
+  /**
+   * Append an entry to the state history
+   * @param {Object} details - Extra fields, e.g. the strategy and outcome of a recovery step
+   * @private
+   */
+  recordHistory(details = {}) {
+    this.metrics.stateHistory.push({
+      state: this.state,
+      timestamp: new Date().toISOString(),
+      failureCount: this.failureCount,
+      successCount: this.successCount,
+      ...details
+    });
+    
+    // Keep only last 100 entries
+    if (this.metrics.stateHistory.length > 100) {
+      this.metrics.stateHistory = this.metrics.stateHistory.slice(-100);
+    }
+  }
+  
+  /**
+   * Fill in defaults for an escalation step
+   * @private
+   */
+  normalizeEscalationStep(step) {
+    if (!step || typeof step.strategy !== 'string') {
+      throw new Error(`Auto-Recovery ${this.name}: escalation steps need a strategy name`);
+    }
+    
+    return {
+      strategy: step.strategy,
+      errorTypes: step.errorTypes || null,
+      minFailures: step.minFailures || 0,
+      minTimeInFailed: step.minTimeInFailed || 0,
+      verify: step.verify !== false
+    };
   }
   
   /**
@@ -328,10 +593,19 @@ class AutoRecovery extends EventEmitter {
    * @private
    */
   registerDefaultStrategies() {
-    // Retry strategy
+    // Failover strategy: only applies when there is somewhere else to go
+    this.registerStrategy(RecoveryStrategies.FAILOVER, {
+      isApplicable: (error, recovery) => recovery.endpoints.length > 1,
+      execute: async (error, recovery) => {
+        const index = await recovery.findHealthyEndpoint();
+        recovery.switchEndpoint(index, error.message);
+      }
+    });
+    
+    // Retry strategy: calls are retried by executeWithRecovery, so this
+    // only gives the service a moment before the health check is re-run
     this.registerStrategy(RecoveryStrategies.RETRY, {
       execute: async (error, recovery) => {
-        // Already handled by executeWithRecovery
         await recovery.delay(1000);
       }
     });
@@ -360,14 +634,107 @@ class AutoRecovery extends EventEmitter {
   /**
    * Register a recovery strategy
    * @param {string} name - Strategy name
-   * @param {Object} strategy - Strategy implementation
+   * @param {Object} strategy - Strategy implementation: `execute(error, recovery)`, and
+   *   optionally `isApplicable(error, recovery)` to skip it
+   * @param {Object} step - Escalation conditions for a custom strategy that is not in the
+   *   ladder yet; it is appended as the last step
    */
-  registerStrategy(name, strategy) {
+  registerStrategy(name, strategy, step = {}) {
     this.strategies.set(name, strategy);
     
+    const builtIn = Object.values(RecoveryStrategies).includes(name);
+    if (!builtIn && !this.escalation.some(existing => existing.strategy === name)) {
+      this.escalation.push(this.normalizeEscalationStep({ ...step, strategy: name }));
+    }
+    
     logger.info(`Auto-Recovery ${this.name} registered strategy: ${name}`);
   }
   
+  /**
+   * Get the endpoint calls should currently go to
+   * @returns {string|undefined} Active endpoint, or undefined without endpoints
+   */
+  getActiveEndpoint() {
+    return this.endpoints[this.activeEndpointIndex];
+  }
+  
+  /**
+   * Find another endpoint that passes the health check, primary first
+   * @private
+   */
+  async findHealthyEndpoint() {
+    for (let index = 0; index < this.endpoints.length; index++) {
+      if (index === this.activeEndpointIndex) {
+        continue;
+      }
+      
+      if (!this.healthCheck) {
+        return index;
+      }
+      
+      try {
+        await this.healthCheck(this.endpoints[index]);
+        return index;
+      } catch (error) {
+        logger.debug(`Auto-Recovery ${this.name} failover candidate unhealthy`, {
+          endpoint: this.endpoints[index],
+          error: error.message
+        });
+      }
+    }
+    
+    throw new Error(`No healthy alternate endpoint for ${this.name}`);
+  }
+  
+  /**
+   * Route calls to another endpoint
+   * @private
+   */
+  switchEndpoint(index, reason) {
+    const from = this.getActiveEndpoint();
+    const failback = index === 0;
+    
+    this.activeEndpointIndex = index;
+    this.primaryRecoveryCount = 0;
+    
+    if (failback) {
+      this.metrics.totalFailbacks++;
+    } else {
+      this.metrics.totalFailovers++;
+    }
+    
+    logger.warn(`Auto-Recovery ${this.name} ${failback ? 'failing back' : 'failing over'}: ${from} -> ${this.getActiveEndpoint()}`, {
+      reason
+    });
+    
+    this.emit(failback ? 'failback' : 'failover', {
+      name: this.name,
+      from,
+      to: this.getActiveEndpoint(),
+      reason,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  /**
+   * While failed over, fail back once the primary has passed
+   * `recoveryThreshold` consecutive health checks
+   * @private
+   */
+  async checkPrimaryRecovery() {
+    try {
+      await this.healthCheck(this.endpoints[0]);
+      this.primaryRecoveryCount++;
+    } catch (error) {
+      this.primaryRecoveryCount = 0;
+      return;
+    }
+    
+    if (this.activeEndpointIndex !== 0 && this.primaryRecoveryCount >= this.recoveryThreshold) {
+      this.switchEndpoint(0, `primary healthy for ${this.primaryRecoveryCount} checks`);
+    }
+  }
+  
   /**
    * Start health monitoring
    * @private
@@ -392,7 +759,7 @@ class AutoRecovery extends EventEmitter {
    */
   async performHealthCheck() {
     try {
-      const healthResult = await this.healthCheck();
+      const healthResult = await this.healthCheck(this.getActiveEndpoint());
       this.metrics.healthCheckSuccesses++;
       this.lastHealthCheck = {
         timestamp: new Date().toISOString(),
@@ -427,6 +794,10 @@ class AutoRecovery extends EventEmitter {
         error: error.message
       });
     }
+    
+    if (this.activeEndpointIndex !== 0) {
+      await this.checkPrimaryRecovery();
+    }
   }
   
   /**
@@ -455,6 +826,15 @@ class AutoRecovery extends EventEmitter {
       successCount: this.successCount,
       retryCount: this.retryCount,
       lastHealthCheck: this.lastHealthCheck,
+      lastRecovery: this.lastRecovery,
+      retryBudget: this.retryBudget ? this.retryBudget.getStatus() : null,
+      failover: this.endpoints.length > 1 ? {
+        endpoints: [...this.endpoints],
+        primary: this.endpoints[0],
+        activeEndpoint: this.getActiveEndpoint(),
+        failedOver: this.activeEndpointIndex !== 0,
+        primaryRecoveryCount: this.primaryRecoveryCount
+      } : null,
       metrics: { ...this.metrics },
       config: {
         maxRetries: this.maxRetries,
@@ -463,7 +843,9 @@ class AutoRecovery extends EventEmitter {
         backoffMultiplier: this.backoffMultiplier,
         healthCheckInterval: this.healthCheckInterval,
         failureThreshold: this.failureThreshold,
-        recoveryThreshold: this.recoveryThreshold
+        recoveryThreshold: this.recoveryThreshold,
+        backoff: this.backoff.getConfig(),
+        escalation: this.escalation.map(step => ({ ...step }))
       }
     };
   }
@@ -539,5 +921,6 @@ class AutoRecovery extends EventEmitter {
 module.exports = {
   AutoRecovery,
   RecoveryStates,
-  RecoveryStrategies
+  RecoveryStrategies,
+  StepOutcomes
 };
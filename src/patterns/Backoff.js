@@ -0,0 +1,122 @@
+/**
+ * Backoff Strategies
+ * 
+ * Delay schedules shared by everything that retries: AutoRecovery between
+ * attempts, the notification service between delivery attempts.
+ * 
+ * - CONSTANT: always `initialDelay`
+ * - LINEAR: grows by `increment` per attempt
+ * - EXPONENTIAL: multiplies by `multiplier` per attempt, with optional
+ *   additive jitter (`jitter` as a fraction of the delay)
+ * - FULL_JITTER: a random delay between 0 and the exponential delay
+ * - DECORRELATED_JITTER: a random delay between `initialDelay` and three
+ *   times the previous delay, so concurrent retriers drift apart
+ * 
+ * Every strategy is capped at `maxDelay`.
+ */
+
+/**
+ * Backoff strategy names
+ */
+const BackoffStrategies = {
+  CONSTANT: 'CONSTANT',
+  LINEAR: 'LINEAR',
+  EXPONENTIAL: 'EXPONENTIAL',
+  FULL_JITTER: 'FULL_JITTER',
+  DECORRELATED_JITTER: 'DECORRELATED_JITTER'
+};
+
+/**
+ * Retry delay schedule
+ */
+class Backoff {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} options.strategy - One of BackoffStrategies (default EXPONENTIAL)
+   * @param {number} options.initialDelay - First delay (ms)
+   * @param {number} options.maxDelay - Upper bound for any delay (ms)
+   * @param {number} options.multiplier - Growth factor for EXPONENTIAL and FULL_JITTER
+   * @param {number} options.increment - Growth per attempt for LINEAR (ms, default initialDelay)
+   * @param {number} options.jitter - EXPONENTIAL: random extra delay as a fraction of the delay (0-1)
+   */
+  constructor(options = {}) {
+    this.strategy = options.strategy || BackoffStrategies.EXPONENTIAL;
+    if (!BackoffStrategies[this.strategy]) {
+      throw new Error(`Unknown backoff strategy "${this.strategy}"`);
+    }
+    
+    this.initialDelay = options.initialDelay || 1000;
+    this.maxDelay = Math.max(options.maxDelay || 30000, this.initialDelay);
+    this.multiplier = options.multiplier || 2;
+    this.increment = options.increment || this.initialDelay;
+    this.jitter = options.jitter || 0;
+  }
+  
+  /**
+   * Delay before a retry
+   * @param {number} attempt - Retry number, starting at 1
+   * @param {number} [previousDelay] - Delay used before the previous retry (DECORRELATED_JITTER)
+   * @returns {number} Delay in ms
+   */
+  getDelay(attempt, previousDelay) {
+    const retry = Math.max(1, attempt);
+    let delay;
+    
+    switch (this.strategy) {
+      case BackoffStrategies.CONSTANT:
+        delay = this.initialDelay;
+        break;
+        
+      case BackoffStrategies.LINEAR:
+        delay = this.initialDelay + this.increment * (retry - 1);
+        break;
+        
+      case BackoffStrategies.EXPONENTIAL: {
+        const base = Math.min(this.exponential(retry), this.maxDelay);
+        delay = base + base * this.jitter * Math.random();
+        break;
+      }
+        
+      case BackoffStrategies.FULL_JITTER:
+        delay = Math.random() * Math.min(this.exponential(retry), this.maxDelay);
+        break;
+        
+      case BackoffStrategies.DECORRELATED_JITTER: {
+        const previous = previousDelay || this.initialDelay;
+        const upper = Math.max(this.initialDelay, previous * 3);
+        delay = this.initialDelay + Math.random() * (upper - this.initialDelay);
+        break;
+      }
+    }
+    
+    return Math.floor(Math.min(delay, this.maxDelay));
+  }
+  
+  /**
+   * Uncapped exponential delay
+   * @private
+   */
+  exponential(attempt) {
+    return this.initialDelay * Math.pow(this.multiplier, attempt - 1);
+  }
+  
+  /**
+   * Get the backoff configuration
+   * @returns {Object} Strategy and parameters
+   */
+  getConfig() {
+    return {
+      strategy: this.strategy,
+      initialDelay: this.initialDelay,
+      maxDelay: this.maxDelay,
+      multiplier: this.multiplier,
+      increment: this.increment,
+      jitter: this.jitter
+    };
+  }
+}
+
+module.exports = {
+  Backoff,
+  BackoffStrategies
+};
@@ -9,11 +9,25 @@
  * - Resource isolation through separate execution pools
  * - Configurable concurrency limits
  * - Queue management with timeouts
+ * - Priority and fair-share queueing: queued tasks are served by priority,
+ *   then round-robin across tenant/client keys
+ * - Queue disciplines: FIFO, adaptive LIFO (newest first while overloaded)
+ *   and CoDel (drop tasks that waited longer than a target while overloaded)
  * - Resource utilization monitoring
+ * - Adaptive concurrency: with `limitAlgorithm` set to AIMD or GRADIENT the
+ *   concurrency limit follows observed latency and errors, between
+ *   `minLimit` and `maxLimit`
+ * - Cancellation: each task receives an AbortSignal as its last argument,
+ *   aborted on timeout, when the queue is cleared, or when the bulkhead
+ *   is destroyed. A queued task whose caller's `signal` aborts leaves the
+ *   queue without running
  */
 
 const EventEmitter = require('events');
 const logger = require('../utils/logger');
+const { createLimit, LimitAlgorithms } = require('./ConcurrencyLimit');
+const { TaskQueue, DEFAULT_KEY, resolvePriority } = require('./TaskQueue');
+const { createAbortError, isAbortError } = require('../utils/abort');
 
 /**
  * Task status enumeration
@@ -24,9 +38,35 @@ const TaskStatus = {
   COMPLETED: 'COMPLETED',
   FAILED: 'FAILED',
   TIMEOUT: 'TIMEOUT',
-  REJECTED: 'REJECTED'
+  REJECTED: 'REJECTED',
+  CANCELLED: 'CANCELLED'
 };
 
+/**
+ * Queue disciplines
+ */
+const QueueDisciplines = {
+  FIFO: 'FIFO',
+  ADAPTIVE_LIFO: 'ADAPTIVE_LIFO',
+  CODEL: 'CODEL'
+};
+
+/**
+ * Options that reconfigure() can change at runtime
+ */
+const RECONFIGURABLE_OPTIONS = [
+  'maxConcurrent',
+  'maxQueueSize',
+  'timeout',
+  'queueTimeout',
+  'limitAlgorithm',
+  'minLimit',
+  'maxLimit',
+  'queueDiscipline',
+  'codelTarget',
+  'codelInterval'
+];
+
 /**
  * Bulkhead Implementation
  * Provides resource isolation and concurrency control
@@ -35,10 +75,20 @@ class Bulkhead extends EventEmitter {
   /**
    * @param {Object} options - Configuration options
    * @param {string} options.name - Name of the bulkhead
-   * @param {number} options.maxConcurrent - Maximum concurrent executions
+   * @param {number} options.maxConcurrent - Maximum concurrent executions (initial limit in adaptive mode)
    * @param {number} options.maxQueueSize - Maximum queued tasks
    * @param {number} options.timeout - Task execution timeout (ms)
    * @param {number} options.queueTimeout - Queue waiting timeout (ms)
+   * @param {string} options.limitAlgorithm - FIXED (default), AIMD or GRADIENT
+   * @param {number} options.minLimit - Adaptive limit floor
+   * @param {number} options.maxLimit - Adaptive limit ceiling
+   * @param {number} options.latencyThreshold - AIMD: calls slower than this (ms) shrink the limit
+   * @param {number} options.backoffRatio - Adaptive: limit multiplier applied on errors
+   * @param {number} options.maxLimitHistory - Limit changes kept for getStatus()
+   * @param {string} options.queueDiscipline - FIFO (default), ADAPTIVE_LIFO or CODEL
+   * @param {number} options.codelTarget - CODEL: queue wait tolerated while overloaded (ms)
+   * @param {number} options.codelInterval - Queue non-empty for longer than this (ms) counts as
+   *   overload; also the longest wait CODEL tolerates when not overloaded
    */
   constructor(options = {}) {
     super();
@@ -49,9 +99,37 @@ class Bulkhead extends EventEmitter {
     this.timeout = options.timeout || 30000; // 30 seconds
     this.queueTimeout = options.queueTimeout || 60000; // 1 minute
     
+    // Queue discipline
+    this.queueDiscipline = options.queueDiscipline || QueueDisciplines.FIFO;
+    if (!QueueDisciplines[this.queueDiscipline]) {
+      throw new Error(`Bulkhead ${this.name}: unknown queue discipline "${this.queueDiscipline}"`);
+    }
+    this.codelTarget = options.codelTarget || 100;
+    this.codelInterval = options.codelInterval || 1000;
+    this.lastEmptyAt = Date.now();
+    
+    // Adaptive concurrency limit (null in FIXED mode)
+    this.limitAlgorithm = options.limitAlgorithm || LimitAlgorithms.FIXED;
+    this.limiter = createLimit(this.limitAlgorithm, {
+      initialLimit: this.maxConcurrent,
+      minLimit: options.minLimit,
+      maxLimit: options.maxLimit,
+      latencyThreshold: options.latencyThreshold,
+      backoffRatio: options.backoffRatio
+    });
+    if (this.limiter) {
+      this.maxConcurrent = Math.round(this.limiter.limit);
+    }
+    this.maxLimitHistory = options.maxLimitHistory || 50;
+    this.limitHistory = [{
+      limit: this.maxConcurrent,
+      reason: 'initial',
+      timestamp: new Date().toISOString()
+    }];
+    
     // Execution tracking
     this.runningTasks = new Map();
-    this.taskQueue = [];
+    this.taskQueue = new TaskQueue();
     this.currentConcurrency = 0;
     
     // Metrics
@@ -61,6 +139,8 @@ class Bulkhead extends EventEmitter {
       totalFailed: 0,
       totalTimeout: 0,
       totalRejected: 0,
+      totalDropped: 0, // shed by the queue discipline
+      totalCancelled: 0, // given up by the caller while queued
       averageExecutionTime: 0,
       averageQueueTime: 0,
       peakConcurrency: 0,
@@ -74,20 +154,40 @@ class Bulkhead extends EventEmitter {
     
     logger.info(`Bulkhead ${this.name} initialized`, {
       maxConcurrent: this.maxConcurrent,
+      limitAlgorithm: this.limitAlgorithm,
       maxQueueSize: this.maxQueueSize,
-      timeout: this.timeout
+      timeout: this.timeout,
+      queueDiscipline: this.queueDiscipline
     });
   }
   
   /**
    * Execute a task with bulkhead protection
-   * @param {Function} fn - Function to execute
+   * @param {Function} fn - Function to execute; called with (...args, signal)
    * @param {...any} args - Arguments to pass to the function
    * @param {Object} options - Execution options
    * @returns {Promise<any>} - Result of the function execution
    */
   async execute(fn, ...args) {
-    const task = this.createTask(fn, args);
+    return this.executeWithOptions(fn, {}, ...args);
+  }
+  
+  /**
+   * Execute a task with a priority and a fair-share key
+   * @param {Function} fn - Function to execute; called with (...args, signal)
+   * @param {Object} options - Task options
+   * @param {string|number} options.priority - LOW, NORMAL (default), HIGH, CRITICAL or a number
+   * @param {string} options.key - Tenant or client key queued tasks are rotated across
+   * @param {AbortSignal} options.signal - Caller's signal; aborting it takes a queued task out of the queue
+   * @param {...any} args - Arguments to pass to the function
+   * @returns {Promise<any>} - Result of the function execution
+   */
+  async executeWithOptions(fn, options = {}, ...args) {
+    if (options.signal && options.signal.aborted) {
+      throw createAbortError(options.signal);
+    }
+    
+    const task = this.createTask(fn, args, options);
     
     this.metrics.totalSubmitted++;
     
@@ -110,11 +210,15 @@ class Bulkhead extends EventEmitter {
    * Create a task object
    * @private
    */
-  createTask(fn, args) {
+  createTask(fn, args, options = {}) {
     return {
       id: this.generateTaskId(),
       fn,
       args,
+      priority: resolvePriority(options.priority),
+      key: options.key || DEFAULT_KEY,
+      signal: options.signal,
+      controller: new AbortController(),
       status: TaskStatus.PENDING,
       createdAt: Date.now(),
       startedAt: null,
@@ -143,6 +247,7 @@ class Bulkhead extends EventEmitter {
     
     task.status = TaskStatus.RUNNING;
     task.startedAt = Date.now();
+    task.inFlight = this.currentConcurrency;
     task.queueTime = task.startedAt - task.createdAt;
     
     this.runningTasks.set(task.id, task);
@@ -155,17 +260,27 @@ class Bulkhead extends EventEmitter {
     try {
       const result = await this.executeWithTimeout(task);
       this.handleTaskSuccess(task, result);
+      this.updateLimit(task, false);
       return result;
     } catch (error) {
+      // Work cancelled by the caller says nothing about downstream capacity
+      // (our own timeouts abort the signal too, but do count)
+      const cancelled = isAbortError(error) ||
+        (task.controller.signal.aborted && task.status !== TaskStatus.TIMEOUT);
+      
       this.handleTaskFailure(task, error);
+      
+      if (!cancelled) {
+        this.updateLimit(task, true);
+      }
       throw error;
     } finally {
       this.runningTasks.delete(task.id);
       this.currentConcurrency--;
       this.metrics.currentConcurrency = this.currentConcurrency;
       
-      // Process next task in queue
-      this.processQueue();
+      // Process next tasks in queue (more than one if the limit grew)
+      this.drainQueue();
     }
   }
   
@@ -177,11 +292,13 @@ class Bulkhead extends EventEmitter {
     return new Promise(async (resolve, reject) => {
       const timeoutId = setTimeout(() => {
         task.status = TaskStatus.TIMEOUT;
-        reject(new Error(`Bulkhead ${this.name}: Task ${task.id} timeout after ${this.timeout}ms`));
+        const error = new Error(`Bulkhead ${this.name}: Task ${task.id} timeout after ${this.timeout}ms`);
+        task.controller.abort(error);
+        reject(error);
       }, this.timeout);
       
       try {
-        const result = await task.fn(...task.args);
+        const result = await task.fn(...task.args, task.controller.signal);
         clearTimeout(timeoutId);
         resolve(result);
       } catch (error) {
@@ -198,6 +315,7 @@ class Bulkhead extends EventEmitter {
   async queueTask(task) {
     if (this.taskQueue.length >= this.maxQueueSize) {
       const error = new Error(`Bulkhead ${this.name}: Queue is full (${this.maxQueueSize})`);
+      error.code = 'BULKHEAD_REJECTED';
       task.status = TaskStatus.REJECTED;
       this.metrics.totalRejected++;
       throw error;
@@ -209,16 +327,32 @@ class Bulkhead extends EventEmitter {
       
       // Set queue timeout
       task.queueTimeoutId = setTimeout(() => {
+        this.stopWaiting(task);
         this.removeFromQueue(task);
         task.status = TaskStatus.TIMEOUT;
-        reject(new Error(`Bulkhead ${this.name}: Task ${task.id} queue timeout after ${this.queueTimeout}ms`));
+        const error = new Error(`Bulkhead ${this.name}: Task ${task.id} queue timeout after ${this.queueTimeout}ms`);
+        error.code = 'BULKHEAD_REJECTED';
+        reject(error);
       }, this.queueTimeout);
       
+      // A caller that gives up frees its place in the queue
+      if (task.signal) {
+        task.onAbort = () => this.cancelQueuedTask(task);
+        task.signal.addEventListener('abort', task.onAbort, { once: true });
+      }
+      
+      // Overload is measured from the last moment the queue was empty
+      if (this.taskQueue.length === 0) {
+        this.lastEmptyAt = Date.now();
+      }
+      
       this.taskQueue.push(task);
       this.metrics.currentQueueSize = this.taskQueue.length;
       this.metrics.peakQueueSize = Math.max(this.metrics.peakQueueSize, this.taskQueue.length);
       
       logger.debug(`Bulkhead ${this.name} queued task ${task.id}`, {
+        priority: task.priority,
+        key: task.key,
         queueSize: this.taskQueue.length,
         currentConcurrency: this.currentConcurrency
       });
@@ -226,6 +360,8 @@ class Bulkhead extends EventEmitter {
       this.emit('taskQueued', {
         bulkhead: this.name,
         taskId: task.id,
+        priority: task.priority,
+        key: task.key,
         queueSize: this.taskQueue.length
       });
     });
@@ -240,13 +376,15 @@ class Bulkhead extends EventEmitter {
       return;
     }
     
-    const task = this.taskQueue.shift();
+    const task = this.nextQueuedTask();
     this.metrics.currentQueueSize = this.taskQueue.length;
     
-    if (task.queueTimeoutId) {
-      clearTimeout(task.queueTimeoutId);
+    if (!task) {
+      return;
     }
     
+    this.stopWaiting(task);
+    
     try {
       const result = await this.executeTask(task);
       task.resolve(result);
@@ -255,14 +393,255 @@ class Bulkhead extends EventEmitter {
     }
   }
   
+  /**
+   * Dequeue the next task according to the queue discipline
+   * @private
+   */
+  nextQueuedTask() {
+    const overloaded = this.isOverloaded();
+    const newestFirst = this.queueDiscipline === QueueDisciplines.ADAPTIVE_LIFO && overloaded;
+    
+    while (this.taskQueue.length > 0) {
+      const task = this.taskQueue.shift({ newestFirst });
+      
+      if (this.queueDiscipline === QueueDisciplines.CODEL) {
+        const maxWait = overloaded ? this.codelTarget : this.codelInterval;
+        const waited = Date.now() - task.createdAt;
+        
+        if (waited > maxWait) {
+          this.dropTask(task, waited);
+          continue;
+        }
+      }
+      
+      return task;
+    }
+    
+    return undefined;
+  }
+  
+  /**
+   * Whether the queue has stayed non-empty for longer than codelInterval
+   * @returns {boolean} True while overloaded
+   */
+  isOverloaded() {
+    return this.taskQueue.length > 0 && Date.now() - this.lastEmptyAt > this.codelInterval;
+  }
+  
+  /**
+   * Shed a queued task (counted in totalDropped only)
+   * @private
+   */
+  dropTask(task, waited) {
+    this.stopWaiting(task);
+    
+    const error = new Error(`Bulkhead ${this.name}: Task ${task.id} dropped by ${this.queueDiscipline} after waiting ${waited}ms`);
+    error.code = 'BULKHEAD_REJECTED';
+    error.dropped = true;
+    
+    task.status = TaskStatus.REJECTED;
+    this.metrics.totalDropped++;
+    
+    logger.debug(`Bulkhead ${this.name} dropped task ${task.id}`, {
+      discipline: this.queueDiscipline,
+      waited
+    });
+    
+    this.emit('taskDropped', {
+      bulkhead: this.name,
+      taskId: task.id,
+      discipline: this.queueDiscipline,
+      waited
+    });
+    
+    task.controller.abort(error);
+    task.reject(error);
+  }
+  
+  /**
+   * Start queued tasks while there is capacity
+   * @private
+   */
+  drainQueue() {
+    while (this.taskQueue.length > 0 && this.currentConcurrency < this.maxConcurrent) {
+      this.processQueue();
+    }
+  }
+  
+  /**
+   * Feed a finished task into the adaptive limit
+   * @private
+   */
+  updateLimit(task, didDrop) {
+    if (!this.limiter) {
+      return;
+    }
+    
+    const previousLimit = this.maxConcurrent;
+    this.limiter.onSample({
+      rtt: Date.now() - task.startedAt,
+      inFlight: task.inFlight,
+      didDrop
+    });
+    
+    const limit = Math.round(this.limiter.limit);
+    if (limit !== previousLimit) {
+      this.setLimit(limit, didDrop ? 'failure' : 'latency');
+    }
+  }
+  
+  /**
+   * Apply a new concurrency limit and record it in the history
+   * @private
+   */
+  setLimit(limit, reason) {
+    const previousLimit = this.maxConcurrent;
+    
+    this.maxConcurrent = limit;
+    this.limitHistory.push({
+      limit,
+      reason,
+      timestamp: new Date().toISOString()
+    });
+    if (this.limitHistory.length > this.maxLimitHistory) {
+      this.limitHistory.shift();
+    }
+    
+    logger.debug(`Bulkhead ${this.name} concurrency limit changed`, {
+      previousLimit,
+      limit,
+      reason,
+      algorithm: this.limitAlgorithm
+    });
+    
+    this.emit('limitChanged', {
+      bulkhead: this.name,
+      algorithm: this.limitAlgorithm,
+      previousLimit,
+      limit,
+      reason
+    });
+  }
+  
+  /**
+   * Change the concurrency limit and/or queue size at runtime
+   * @param {number} maxConcurrent - New concurrency limit
+   * @param {number} [maxQueueSize] - New queue size
+   * @returns {Object} Applied changes (see reconfigure)
+   */
+  resize(maxConcurrent, maxQueueSize) {
+    return this.reconfigure({ maxConcurrent, maxQueueSize });
+  }
+  
+  /**
+   * Change settings at runtime without dropping running or queued tasks
+   * 
+   * A lower limit lets running tasks finish and holds queued ones back; a
+   * higher limit starts queued tasks straight away. A smaller queue keeps
+   * the tasks already queued and rejects new ones until there is room.
+   * In adaptive mode `maxConcurrent` resets the current limit, which the
+   * algorithm keeps adjusting from there.
+   * 
+   * @param {Object} options - Any of the constructor options listed in RECONFIGURABLE_OPTIONS
+   * @returns {Object} Applied changes: { option: { from, to } }
+   */
+  reconfigure(options = {}) {
+    const unknown = Object.keys(options).filter(key => !RECONFIGURABLE_OPTIONS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Bulkhead ${this.name}: cannot reconfigure ${unknown.join(', ')}`);
+    }
+    if (options.queueDiscipline !== undefined && !QueueDisciplines[options.queueDiscipline]) {
+      throw new Error(`Bulkhead ${this.name}: unknown queue discipline "${options.queueDiscipline}"`);
+    }
+    
+    const current = this.getStatus().config;
+    const changes = {};
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined && value !== current[key]) {
+        changes[key] = { from: current[key], to: value };
+      }
+    });
+    
+    if (changes.limitAlgorithm) {
+      this.limitAlgorithm = options.limitAlgorithm;
+      this.limiter = createLimit(this.limitAlgorithm, {
+        initialLimit: this.maxConcurrent,
+        minLimit: options.minLimit ?? current.minLimit,
+        maxLimit: options.maxLimit ?? current.maxLimit
+      });
+    } else if (this.limiter) {
+      this.limiter.minLimit = options.minLimit ?? this.limiter.minLimit;
+      this.limiter.maxLimit = Math.max(options.maxLimit ?? this.limiter.maxLimit, this.limiter.minLimit);
+    }
+    
+    ['maxQueueSize', 'timeout', 'queueTimeout', 'queueDiscipline', 'codelTarget', 'codelInterval'].forEach(key => {
+      if (changes[key]) {
+        this[key] = options[key];
+      }
+    });
+    
+    // Concurrency limit last, so it lands within any new floor and ceiling
+    let limit = options.maxConcurrent ?? this.maxConcurrent;
+    if (this.limiter) {
+      this.limiter.limit = this.limiter.clamp(changes.maxConcurrent ? limit : this.limiter.limit);
+      limit = Math.round(this.limiter.limit);
+    }
+    if (limit !== this.maxConcurrent) {
+      this.setLimit(limit, 'manual');
+    }
+    
+    logger.info(`Bulkhead ${this.name} reconfigured`, { changes });
+    
+    this.emit('reconfigured', {
+      bulkhead: this.name,
+      changes
+    });
+    
+    // Start queued tasks if there is new capacity
+    this.drainQueue();
+    
+    return changes;
+  }
+  
+  /**
+   * Take a queued task out of the queue because its caller's signal aborted
+   * (counted in totalCancelled only)
+   * @private
+   */
+  cancelQueuedTask(task) {
+    this.stopWaiting(task);
+    this.removeFromQueue(task);
+    
+    task.status = TaskStatus.CANCELLED;
+    this.metrics.totalCancelled++;
+    
+    logger.debug(`Bulkhead ${this.name} task ${task.id} cancelled while queued`);
+    
+    task.controller.abort(task.signal.reason);
+    task.reject(createAbortError(task.signal));
+  }
+  
+  /**
+   * Stop the queue timeout and abort listener of a task leaving the queue
+   * @private
+   */
+  stopWaiting(task) {
+    if (task.queueTimeoutId) {
+      clearTimeout(task.queueTimeoutId);
+    }
+    
+    if (task.onAbort) {
+      task.signal.removeEventListener('abort', task.onAbort);
+      task.onAbort = null;
+    }
+  }
+  
   /**
    * Remove task from queue
    * @private
    */
   removeFromQueue(task) {
-    const index = this.taskQueue.findIndex(t => t.id === task.id);
-    if (index !== -1) {
-      this.taskQueue.splice(index, 1);
+    if (this.taskQueue.remove(task)) {
       this.metrics.currentQueueSize = this.taskQueue.length;
     }
   }
@@ -298,14 +677,25 @@ class Bulkhead extends EventEmitter {
    * @private
    */
   handleTaskFailure(task, error) {
+    // A queued task's failure surfaces both where it ran and where it was submitted
+    if (task.failureHandled) {
+      return;
+    }
+    task.failureHandled = true;
+    
+    // Rejections, drops and cancellations were counted when they happened
+    const alreadyCounted = task.status === TaskStatus.REJECTED || task.status === TaskStatus.CANCELLED;
+    
     task.status = TaskStatus.FAILED;
     task.completedAt = Date.now();
     task.executionTime = task.startedAt ? task.completedAt - task.startedAt : 0;
     
-    if (error.message.includes('timeout')) {
-      this.metrics.totalTimeout++;
-    } else {
-      this.metrics.totalFailed++;
+    if (!alreadyCounted) {
+      if (error.message.includes('timeout')) {
+        this.metrics.totalTimeout++;
+      } else {
+        this.metrics.totalFailed++;
+      }
     }
     
     if (task.startedAt) {
@@ -381,13 +771,36 @@ class Bulkhead extends EventEmitter {
       name: this.name,
       currentConcurrency: this.currentConcurrency,
       queueSize: this.taskQueue.length,
+      queueDepth: {
+        byKey: this.taskQueue.depthByKey(),
+        byPriority: this.taskQueue.depthByPriority()
+      },
+      queueDiscipline: this.queueDiscipline,
+      queueDisciplineStatus: {
+        overloaded: this.isOverloaded(),
+        codelTarget: this.codelTarget,
+        codelInterval: this.codelInterval
+      },
       runningTasks: Array.from(this.runningTasks.keys()),
       metrics: { ...this.metrics },
+      adaptive: this.limiter ? {
+        algorithm: this.limitAlgorithm,
+        limit: Math.round(this.limiter.limit * 100) / 100,
+        minLimit: this.limiter.minLimit,
+        maxLimit: this.limiter.maxLimit,
+        history: [...this.limitHistory]
+      } : null,
       config: {
         maxConcurrent: this.maxConcurrent,
         maxQueueSize: this.maxQueueSize,
         timeout: this.timeout,
-        queueTimeout: this.queueTimeout
+        queueTimeout: this.queueTimeout,
+        limitAlgorithm: this.limitAlgorithm,
+        minLimit: this.limiter ? this.limiter.minLimit : null,
+        maxLimit: this.limiter ? this.limiter.maxLimit : null,
+        queueDiscipline: this.queueDiscipline,
+        codelTarget: this.codelTarget,
+        codelInterval: this.codelInterval
       }
     };
   }
@@ -412,14 +825,14 @@ class Bulkhead extends EventEmitter {
     const clearedTasks = this.taskQueue.length;
     
     // Reject all queued tasks
-    this.taskQueue.forEach(task => {
-      if (task.queueTimeoutId) {
-        clearTimeout(task.queueTimeoutId);
-      }
-      task.reject(new Error(`Bulkhead ${this.name}: Queue cleared`));
+    this.taskQueue.clear().forEach(task => {
+      this.stopWaiting(task);
+      const error = new Error(`Bulkhead ${this.name}: Queue cleared`);
+      error.code = 'BULKHEAD_REJECTED';
+      task.controller.abort(error);
+      task.reject(error);
     });
     
-    this.taskQueue = [];
     this.metrics.currentQueueSize = 0;
     
     logger.warn(`Bulkhead ${this.name} queue cleared`, { clearedTasks });
@@ -442,9 +855,10 @@ class Bulkhead extends EventEmitter {
     // Clear queue
     this.clearQueue();
     
-    // Cancel running tasks (if possible)
+    // Cancel running tasks; tasks that honour their signal stop early
     this.runningTasks.forEach(task => {
-      logger.warn(`Bulkhead ${this.name} destroying - task ${task.id} may be interrupted`);
+      logger.warn(`Bulkhead ${this.name} destroying - aborting task ${task.id}`);
+      task.controller.abort(new Error(`Bulkhead ${this.name}: Destroyed`));
     });
     
     this.removeAllListeners();
@@ -455,5 +869,7 @@ class Bulkhead extends EventEmitter {
 
 module.exports = {
   Bulkhead,
-  TaskStatus
+  TaskStatus,
+  QueueDisciplines,
+  RECONFIGURABLE_OPTIONS
 };
@@ -7,11 +7,27 @@
  * States:
  * - CLOSED: Normal operation, requests pass through
  * - OPEN: Service is failing, circuit is "open", requests fail fast
- * - HALF_OPEN: Testing if service has recovered
+ * - HALF_OPEN: Testing if service has recovered with a limited number of
+ *   trial calls; extra callers fail fast until the trials complete
+ * 
+ * Tripping modes:
+ * - Consecutive (default): opens after `failureThreshold` failures in a row
+ * - Sliding window: opens when the failure rate over the last N calls
+ *   (COUNT_BASED) or the last N milliseconds (TIME_BASED) exceeds
+ *   `failureRateThreshold`, once `minimumNumberOfCalls` have been recorded
+ * 
+ * Slow-call detection (optional) counts calls slower than
+ * `slowCallDurationThreshold` and opens the circuit when their share of the
+ * window reaches `slowCallRateThreshold`, even if every call succeeded.
+ * 
+ * The protected function receives an AbortSignal as its last argument,
+ * aborted when the call times out, so abandoned work can be cancelled.
  */
 
 const EventEmitter = require('events');
 const logger = require('../utils/logger');
+const { getErrorStatus } = require('../utils/errorClassification');
+const { isAbortError } = require('../utils/abort');
 
 /**
  * Circuit Breaker States
@@ -22,6 +38,110 @@ const States = {
   HALF_OPEN: 'HALF_OPEN'
 };
 
+/**
+ * Sliding window types
+ */
+const WindowTypes = {
+  COUNT_BASED: 'COUNT_BASED',
+  TIME_BASED: 'TIME_BASED'
+};
+
+/**
+ * Options that reconfigure() can change at runtime
+ */
+const RECONFIGURABLE_OPTIONS = [
+  'failureThreshold',
+  'resetTimeout',
+  'timeout',
+  'slidingWindowType',
+  'slidingWindowSize',
+  'minimumNumberOfCalls',
+  'failureRateThreshold',
+  'slowCallDurationThreshold',
+  'slowCallRateThreshold',
+  'permittedCallsInHalfOpen'
+];
+
+/**
+ * Sliding window of call outcomes used for failure-rate tripping
+ */
+class SlidingWindow {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} options.type - COUNT_BASED or TIME_BASED
+   * @param {number} options.size - Number of calls (COUNT_BASED) or window length in ms (TIME_BASED)
+   */
+  constructor(options = {}) {
+    this.type = options.type === WindowTypes.TIME_BASED ? WindowTypes.TIME_BASED : WindowTypes.COUNT_BASED;
+    this.size = options.size || (this.type === WindowTypes.TIME_BASED ? 60000 : 100);
+    this.records = [];
+  }
+  
+  /**
+   * Record the outcome of a call
+   * @param {Object} outcome - Call outcome
+   * @param {boolean} outcome.failed - Whether the call failed
+   * @param {boolean} outcome.slow - Whether the call exceeded the slow-call threshold
+   * @param {number} outcome.duration - Call duration (ms)
+   */
+  record(outcome) {
+    this.records.push({
+      timestamp: Date.now(),
+      failed: !!outcome.failed,
+      slow: !!outcome.slow,
+      duration: outcome.duration || 0
+    });
+    this.prune();
+  }
+  
+  /**
+   * Drop records that fall outside the window
+   * @private
+   */
+  prune() {
+    if (this.type === WindowTypes.COUNT_BASED) {
+      if (this.records.length > this.size) {
+        this.records.splice(0, this.records.length - this.size);
+      }
+    } else {
+      const cutoff = Date.now() - this.size;
+      while (this.records.length > 0 && this.records[0].timestamp < cutoff) {
+        this.records.shift();
+      }
+    }
+  }
+  
+  /**
+   * Get aggregated statistics for the current window
+   * @returns {Object} Window statistics
+   */
+  getStats() {
+    this.prune();
+    
+    const totalCalls = this.records.length;
+    const failedCalls = this.records.filter(r => r.failed).length;
+    const slowCalls = this.records.filter(r => r.slow).length;
+    
+    return {
+      type: this.type,
+      size: this.size,
+      totalCalls,
+      failedCalls,
+      successfulCalls: totalCalls - failedCalls,
+      slowCalls,
+      failureRate: totalCalls > 0 ? (failedCalls / totalCalls) * 100 : 0,
+      slowCallRate: totalCalls > 0 ? (slowCalls / totalCalls) * 100 : 0
+    };
+  }
+  
+  /**
+   * Clear all recorded outcomes
+   */
+  reset() {
+    this.records = [];
+  }
+}
+
 /**
  * Circuit Breaker Implementation
  */
@@ -33,6 +153,17 @@ class CircuitBreaker extends EventEmitter {
    * @param {number} options.timeout - Request timeout (ms)
    * @param {number} options.monitoringPeriod - Period for monitoring window (ms)
    * @param {string} options.name - Name of the circuit breaker
+   * @param {string} options.slidingWindowType - COUNT_BASED or TIME_BASED (omit for consecutive-failure mode)
+   * @param {number} options.slidingWindowSize - Window size in calls (COUNT_BASED) or ms (TIME_BASED)
+   * @param {number} options.minimumNumberOfCalls - Calls required in the window before the rate is evaluated
+   * @param {number} options.failureRateThreshold - Failure percentage (0-100) that opens the circuit
+   * @param {number} options.slowCallDurationThreshold - Calls slower than this are slow (ms, 0 disables)
+   * @param {number} options.slowCallRateThreshold - Slow-call percentage (0-100) that opens the circuit
+   * @param {number} options.permittedCallsInHalfOpen - Trial calls allowed in HALF_OPEN; all must succeed to close
+   * @param {Function} options.recordFailure - (error, status) => boolean; false means the error is a valid
+   *   answer from a healthy service and counts as a success for the circuit
+   * @param {Function} options.fallback - (error, ...args) => any; used by execute() when the call fails
+   *   or the circuit rejects it
    */
   constructor(options = {}) {
     super();
@@ -42,6 +173,30 @@ class CircuitBreaker extends EventEmitter {
     this.resetTimeout = options.resetTimeout || 60000; // 1 minute
     this.timeout = options.timeout || 10000; // 10 seconds
     this.monitoringPeriod = options.monitoringPeriod || 60000; // 1 minute
+    this.recordFailure = options.recordFailure || (() => true);
+    this.fallback = options.fallback || null;
+    
+    // Slow-call detection
+    this.slowCallDurationThreshold = options.slowCallDurationThreshold || 0; // disabled
+    this.slowCallRateThreshold = options.slowCallRateThreshold || 100; // percent
+    
+    // Sliding window (failure-rate mode and/or slow-call rate). Slow-call
+    // detection alone uses a COUNT_BASED window without changing how
+    // failures trip the circuit.
+    this.slidingWindowType = WindowTypes[options.slidingWindowType] ? options.slidingWindowType : null;
+    this.slidingWindowSize = options.slidingWindowSize;
+    this.failureRateMode = !!this.slidingWindowType;
+    this.slidingWindow = this.createSlidingWindow();
+    this.minimumNumberOfCalls = options.minimumNumberOfCalls || 10;
+    this.failureRateThreshold = options.failureRateThreshold || 50; // percent
+    
+    // Controlled HALF_OPEN probing
+    this.permittedCallsInHalfOpen = options.permittedCallsInHalfOpen || 1;
+    this.halfOpenCalls = 0;
+    this.halfOpenSuccesses = 0;
+    // Bumped each time HALF_OPEN starts, so results of calls admitted
+    // earlier are not taken for this recovery test's trial calls
+    this.trialGeneration = 0;
     
     // Circuit breaker state
     this.state = States.CLOSED;
@@ -55,6 +210,12 @@ class CircuitBreaker extends EventEmitter {
       totalFailures: 0,
       totalSuccesses: 0,
       totalTimeouts: 0,
+      totalSlowCalls: 0,
+      totalSlowSuccesses: 0,
+      totalSlowFailures: 0,
+      totalRejected: 0,
+      totalIgnoredErrors: 0,
+      totalFallbacks: 0,
       totalCircuitBreakerOpens: 0,
       averageResponseTime: 0,
       lastFailureTime: null,
@@ -68,59 +229,202 @@ class CircuitBreaker extends EventEmitter {
     logger.info(`Circuit Breaker ${this.name} initialized`, {
       failureThreshold: this.failureThreshold,
       resetTimeout: this.resetTimeout,
-      timeout: this.timeout
+      timeout: this.timeout,
+      slidingWindow: this.slidingWindow ? {
+        type: this.slidingWindow.type,
+        size: this.slidingWindow.size,
+        minimumNumberOfCalls: this.minimumNumberOfCalls,
+        failureRateThreshold: this.failureRateThreshold
+      } : null,
+      slowCallDurationThreshold: this.slowCallDurationThreshold || null,
+      permittedCallsInHalfOpen: this.permittedCallsInHalfOpen
     });
   }
   
   /**
    * Execute a function with circuit breaker protection
-   * @param {Function} fn - Function to execute
+   * @param {Function} fn - Function to execute; called with (...args, signal)
    * @param {...any} args - Arguments to pass to the function
    * @returns {Promise<any>} - Result of the function execution
    */
   async execute(fn, ...args) {
-    const startTime = Date.now();
-    this.metrics.totalRequests++;
+    if (this.fallback) {
+      return this.executeWithFallback(fn, this.fallback, ...args);
+    }
     
+    return this.run(fn, args);
+  }
+  
+  /**
+   * Execute a function with circuit breaker protection and a fallback
+   * 
+   * The fallback is used when the circuit rejects the call or the call
+   * fails with an error that counts as a failure. Errors ignored by
+   * `recordFailure` (e.g. a 404) are passed through unchanged.
+   * 
+   * @param {Function} fn - Function to execute
+   * @param {Function} fallback - (error, ...args) => any
+   * @param {...any} args - Arguments to pass to the function and the fallback
+   * @returns {Promise<any>} - Result of the function or of the fallback
+   */
+  async executeWithFallback(fn, fallback, ...args) {
     try {
-      // Check if circuit is open
-      if (this.state === States.OPEN) {
-        if (Date.now() < this.nextAttempt) {
-          throw new Error(`Circuit breaker ${this.name} is OPEN. Fast failing request.`);
-        } else {
-          // Time to test recovery
-          this.setState(States.HALF_OPEN);
-          logger.info(`Circuit breaker ${this.name} entering HALF_OPEN state for recovery test`);
-        }
+      return await this.run(fn, args);
+    } catch (error) {
+      if (error.code !== 'CIRCUIT_OPEN' && !this.recordFailure(error, getErrorStatus(error))) {
+        throw error;
       }
       
+      this.metrics.totalFallbacks++;
+      
+      logger.info(`Circuit breaker ${this.name} using fallback`, {
+        error: error.message,
+        state: this.state
+      });
+      
+      this.emit('fallback', {
+        name: this.name,
+        error: error.message,
+        state: this.state
+      });
+      
+      return await fallback(error, ...args);
+    }
+  }
+  
+  /**
+   * Run a function through the circuit
+   * @private
+   */
+  async run(fn, args) {
+    const startTime = Date.now();
+    this.metrics.totalRequests++;
+    
+    // Rejected calls never reach the protected function, so they are not
+    // recorded as failures (that would keep pushing `nextAttempt` out)
+    const permit = this.acquirePermission();
+    
+    try {
       // Execute the function with timeout
       const result = await this.executeWithTimeout(fn, args);
       
       // Success - handle state transitions
-      this.onSuccess(Date.now() - startTime);
+      this.onSuccess(Date.now() - startTime, permit);
       return result;
       
     } catch (error) {
-      // Failure - handle state transitions
-      this.onFailure(error, Date.now() - startTime);
+      // Cancelled by the caller - says nothing about the service, but give
+      // back the trial slot so HALF_OPEN probing is not starved
+      if (isAbortError(error)) {
+        this.releaseTrial(permit);
+        throw error;
+      }
+      
+      // Failure - handle state transitions, unless the error does not say
+      // anything about the health of the service (e.g. a 404)
+      if (this.recordFailure(error, getErrorStatus(error))) {
+        this.onFailure(error, Date.now() - startTime, permit);
+      } else {
+        this.metrics.totalIgnoredErrors++;
+        
+        // Not a failure, but no proof of recovery either
+        if (permit.trial) {
+          this.releaseTrial(permit);
+        } else {
+          this.onSuccess(Date.now() - startTime, permit);
+        }
+      }
       throw error;
     }
   }
   
+  /**
+   * Decide whether a call may proceed in the current state
+   * @private
+   * @returns {Object} Permit `{ trial, generation }`; `trial` is set for calls
+   *   admitted as HALF_OPEN trial calls
+   * @throws {Error} With code CIRCUIT_OPEN when the call must fail fast
+   */
+  acquirePermission() {
+    if (this.state === States.OPEN) {
+      if (Date.now() < this.nextAttempt) {
+        this.reject(`Circuit breaker ${this.name} is OPEN. Fast failing request.`);
+      }
+      
+      // Time to test recovery
+      this.halfOpenCalls = 0;
+      this.halfOpenSuccesses = 0;
+      this.trialGeneration++;
+      this.setState(States.HALF_OPEN);
+      logger.info(`Circuit breaker ${this.name} entering HALF_OPEN state for recovery test`, {
+        permittedCalls: this.permittedCallsInHalfOpen
+      });
+    }
+    
+    if (this.state === States.HALF_OPEN) {
+      if (this.halfOpenCalls >= this.permittedCallsInHalfOpen) {
+        this.reject(`Circuit breaker ${this.name} is HALF_OPEN with ${this.permittedCallsInHalfOpen} trial call(s) in progress. Fast failing request.`);
+      }
+      this.halfOpenCalls++;
+      return { trial: true, generation: this.trialGeneration };
+    }
+    
+    return { trial: false, generation: this.trialGeneration };
+  }
+  
+  /**
+   * Whether a call was admitted as a trial call of the current recovery test
+   * @private
+   */
+  isCurrentTrial(permit) {
+    return permit.trial && permit.generation === this.trialGeneration && this.state === States.HALF_OPEN;
+  }
+  
+  /**
+   * Give back the slot of a trial call that proved nothing
+   * @private
+   */
+  releaseTrial(permit) {
+    if (this.isCurrentTrial(permit) && this.halfOpenCalls > 0) {
+      this.halfOpenCalls--;
+    }
+  }
+  
+  /**
+   * Fail fast without calling the protected function
+   * @private
+   */
+  reject(message) {
+    this.metrics.totalRejected++;
+    
+    this.emit('rejected', {
+      name: this.name,
+      state: this.state,
+      nextAttempt: this.nextAttempt
+    });
+    
+    const error = new Error(message);
+    error.code = 'CIRCUIT_OPEN';
+    throw error;
+  }
+  
   /**
    * Execute function with timeout
    * @private
    */
   async executeWithTimeout(fn, args) {
+    const controller = new AbortController();
+    
     return new Promise(async (resolve, reject) => {
       const timeoutId = setTimeout(() => {
         this.metrics.totalTimeouts++;
-        reject(new Error(`Circuit breaker ${this.name}: Request timeout after ${this.timeout}ms`));
+        const error = new Error(`Circuit breaker ${this.name}: Request timeout after ${this.timeout}ms`);
+        controller.abort(error);
+        reject(error);
       }, this.timeout);
       
       try {
-        const result = await fn(...args);
+        const result = await fn(...args, controller.signal);
         clearTimeout(timeoutId);
         resolve(result);
       } catch (error) {
@@ -133,22 +437,50 @@ class CircuitBreaker extends EventEmitter {
   /**
    * Handle successful execution
    * @private
+   * @param {number} responseTime - Duration of the call (ms)
+   * @param {Object} permit - Permit the call was admitted with
    */
-  onSuccess(responseTime) {
+  onSuccess(responseTime, permit) {
     this.failureCount = 0;
     this.successCount++;
     this.metrics.totalSuccesses++;
     this.metrics.lastSuccessTime = new Date().toISOString();
     this.updateAverageResponseTime(responseTime);
     
+    const slow = this.recordSlowCall(responseTime, false);
+    
+    if (this.slidingWindow) {
+      this.slidingWindow.record({ failed: false, slow, duration: responseTime });
+    }
+    
+    let tripReason = null;
+    
     if (this.state === States.HALF_OPEN) {
-      this.setState(States.CLOSED);
-      logger.info(`Circuit breaker ${this.name} recovered - closing circuit`);
+      // Only trial calls count; a call admitted while CLOSED that finishes
+      // now says nothing about the recovery being tested
+      if (this.isCurrentTrial(permit)) {
+        this.halfOpenSuccesses++;
+        
+        if (this.halfOpenSuccesses >= this.permittedCallsInHalfOpen) {
+          this.setState(States.CLOSED);
+          if (this.slidingWindow) {
+            this.slidingWindow.reset();
+          }
+          logger.info(`Circuit breaker ${this.name} recovered - closing circuit`, {
+            trialCalls: this.halfOpenSuccesses
+          });
+        }
+      }
+    } else if (this.slidingWindow && (tripReason = this.getTripReason())) {
+      // The rates are evaluated after every call, so a (slow) success can
+      // still complete a window that is over a threshold
+      this.openCircuit(tripReason);
     }
     
     this.emit('success', {
       name: this.name,
       responseTime,
+      slow,
       state: this.state
     });
   }
@@ -156,21 +488,34 @@ class CircuitBreaker extends EventEmitter {
   /**
    * Handle failed execution
    * @private
+   * @param {Error} error - Error of the call
+   * @param {number} responseTime - Duration of the call (ms)
+   * @param {Object} permit - Permit the call was admitted with
    */
-  onFailure(error, responseTime) {
+  onFailure(error, responseTime, permit) {
     this.failureCount++;
     this.metrics.totalFailures++;
     this.metrics.lastFailureTime = new Date().toISOString();
     this.updateAverageResponseTime(responseTime);
     
+    const slow = this.recordSlowCall(responseTime, true);
+    
+    if (this.slidingWindow) {
+      this.slidingWindow.record({ failed: true, slow, duration: responseTime });
+    }
+    
     logger.warn(`Circuit breaker ${this.name} recorded failure`, {
       error: error.message,
       failureCount: this.failureCount,
       threshold: this.failureThreshold
     });
     
-    if (this.failureCount >= this.failureThreshold) {
-      this.openCircuit();
+    // In HALF_OPEN only a failed trial call re-opens the circuit
+    const tripReason = this.state === States.HALF_OPEN && !this.isCurrentTrial(permit) ?
+      null :
+      this.getTripReason();
+    if (tripReason) {
+      this.openCircuit(tripReason);
     }
     
     this.emit('failure', {
@@ -181,22 +526,88 @@ class CircuitBreaker extends EventEmitter {
     });
   }
   
+  /**
+   * Classify a call as slow and update the slow-call counters
+   * @private
+   */
+  recordSlowCall(responseTime, failed) {
+    if (!this.slowCallDurationThreshold || responseTime < this.slowCallDurationThreshold) {
+      return false;
+    }
+    
+    this.metrics.totalSlowCalls++;
+    if (failed) {
+      this.metrics.totalSlowFailures++;
+    } else {
+      this.metrics.totalSlowSuccesses++;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Decide whether the recorded calls should open the circuit
+   * @private
+   * @returns {string|null} Reason for opening, or null to stay as is
+   */
+  getTripReason() {
+    // Late results from calls admitted before the circuit opened must not
+    // push `nextAttempt` further out
+    if (this.state === States.OPEN) {
+      return null;
+    }
+    
+    // A failed recovery test re-opens the circuit immediately
+    if (this.state === States.HALF_OPEN) {
+      return 'halfOpenFailure';
+    }
+    
+    if (!this.failureRateMode && this.failureCount >= this.failureThreshold) {
+      return 'failureThreshold';
+    }
+    
+    if (!this.slidingWindow) {
+      return null;
+    }
+    
+    const stats = this.slidingWindow.getStats();
+    if (stats.totalCalls < this.minimumNumberOfCalls) {
+      return null;
+    }
+    
+    if (this.failureRateMode && stats.failureRate >= this.failureRateThreshold) {
+      return 'failureRate';
+    }
+    
+    if (this.slowCallDurationThreshold && stats.slowCallRate >= this.slowCallRateThreshold) {
+      return 'slowCallRate';
+    }
+    
+    return null;
+  }
+  
   /**
    * Open the circuit breaker
    * @private
    */
-  openCircuit() {
+  openCircuit(reason = 'failureThreshold') {
     this.setState(States.OPEN);
     this.nextAttempt = Date.now() + this.resetTimeout;
     this.metrics.totalCircuitBreakerOpens++;
     
+    const windowStats = this.slidingWindow ? this.slidingWindow.getStats() : null;
+    
     logger.error(`Circuit breaker ${this.name} OPENED - failing fast for ${this.resetTimeout}ms`, {
+      reason,
       failureCount: this.failureCount,
+      failureRate: windowStats ? windowStats.failureRate : undefined,
+      slowCallRate: windowStats ? windowStats.slowCallRate : undefined,
       nextAttempt: new Date(this.nextAttempt).toISOString()
     });
     
     this.emit('circuitOpened', {
       name: this.name,
+      reason,
       failureCount: this.failureCount,
       nextAttempt: this.nextAttempt
     });
@@ -260,6 +671,72 @@ class CircuitBreaker extends EventEmitter {
     }, this.monitoringPeriod);
   }
   
+  /**
+   * Create the sliding window the current settings need, if any
+   * @private
+   */
+  createSlidingWindow() {
+    return (this.failureRateMode || this.slowCallDurationThreshold > 0) ?
+      new SlidingWindow({ type: this.slidingWindowType, size: this.slidingWindowSize }) :
+      null;
+  }
+  
+  /**
+   * Change thresholds at runtime, keeping the current state and metrics
+   * 
+   * Changing the window type or size, or switching slow-call detection on
+   * or off, starts a fresh sliding window. A window type change without a
+   * new size takes the new type's default size, since a size in calls means
+   * nothing as a duration and vice versa. New thresholds apply from the
+   * next call.
+   * 
+   * @param {Object} options - Any of the constructor options listed in RECONFIGURABLE_OPTIONS
+   * @returns {Object} Applied changes: { option: { from, to } }
+   */
+  reconfigure(options = {}) {
+    const unknown = Object.keys(options).filter(key => !RECONFIGURABLE_OPTIONS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Circuit breaker ${this.name}: cannot reconfigure ${unknown.join(', ')}`);
+    }
+    if (options.slidingWindowType && !WindowTypes[options.slidingWindowType]) {
+      throw new Error(`Circuit breaker ${this.name}: unknown sliding window type "${options.slidingWindowType}"`);
+    }
+    
+    const current = this.getStatus().config;
+    const changes = {};
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined && value !== current[key]) {
+        changes[key] = { from: current[key], to: value };
+        this[key] = value;
+      }
+    });
+    
+    if (changes.slidingWindowType && options.slidingWindowSize === undefined) {
+      this.slidingWindowSize = undefined;
+    }
+    
+    const windowChanged = changes.slidingWindowType || changes.slidingWindowSize ||
+      (changes.slowCallDurationThreshold && (changes.slowCallDurationThreshold.from > 0) !== (changes.slowCallDurationThreshold.to > 0));
+    
+    if (windowChanged) {
+      this.failureRateMode = !!this.slidingWindowType;
+      this.slidingWindow = this.createSlidingWindow();
+      
+      if (changes.slidingWindowType && options.slidingWindowSize === undefined && this.slidingWindow) {
+        changes.slidingWindowSize = { from: current.slidingWindowSize, to: this.slidingWindow.size };
+      }
+    }
+    
+    logger.info(`Circuit breaker ${this.name} reconfigured`, { changes });
+    
+    this.emit('reconfigured', {
+      name: this.name,
+      changes
+    });
+    
+    return changes;
+  }
+  
   /**
    * Get current circuit breaker status
    * @returns {Object} Current status and metrics
@@ -271,11 +748,24 @@ class CircuitBreaker extends EventEmitter {
       failureCount: this.failureCount,
       successCount: this.successCount,
       nextAttempt: this.nextAttempt,
+      halfOpen: this.state === States.HALF_OPEN ? {
+        permittedCalls: this.permittedCallsInHalfOpen,
+        admittedCalls: this.halfOpenCalls,
+        successfulCalls: this.halfOpenSuccesses
+      } : null,
+      slidingWindow: this.slidingWindow ? this.slidingWindow.getStats() : null,
       metrics: { ...this.metrics },
       config: {
         failureThreshold: this.failureThreshold,
         resetTimeout: this.resetTimeout,
-        timeout: this.timeout
+        timeout: this.timeout,
+        slidingWindowType: this.slidingWindowType,
+        slidingWindowSize: this.slidingWindow ? this.slidingWindow.size : null,
+        minimumNumberOfCalls: this.minimumNumberOfCalls,
+        failureRateThreshold: this.failureRateThreshold,
+        slowCallDurationThreshold: this.slowCallDurationThreshold,
+        slowCallRateThreshold: this.slowCallRateThreshold,
+        permittedCallsInHalfOpen: this.permittedCallsInHalfOpen
       }
     };
   }
@@ -286,6 +776,11 @@ class CircuitBreaker extends EventEmitter {
   reset() {
     this.failureCount = 0;
     this.successCount = 0;
+    this.halfOpenCalls = 0;
+    this.halfOpenSuccesses = 0;
+    if (this.slidingWindow) {
+      this.slidingWindow.reset();
+    }
     this.setState(States.CLOSED);
     
     logger.info(`Circuit breaker ${this.name} manually reset`);
@@ -311,5 +806,8 @@ class CircuitBreaker extends EventEmitter {
 
 module.exports = {
   CircuitBreaker,
-  States
+  SlidingWindow,
+  States,
+  WindowTypes,
+  RECONFIGURABLE_OPTIONS
 };
@@ -0,0 +1,185 @@
+/**
+ * Adaptive Concurrency Limits
+ * 
+ * Limit algorithms that let a Bulkhead adjust its concurrency limit at
+ * runtime from the latency and outcome of the calls it runs, instead of
+ * relying on a fixed number that over- or under-protects as soon as
+ * downstream latency changes.
+ * 
+ * - AIMD: additive increase while calls succeed and the limit is in use,
+ *   multiplicative decrease on errors and (optionally) slow calls
+ * - GRADIENT: compares each call's latency to a long-term average and
+ *   shrinks the limit as latency grows (queueing) and grows it while
+ *   latency stays flat
+ * 
+ * Both keep the limit between a floor (`minLimit`) and ceiling (`maxLimit`).
+ */
+
+/**
+ * Limit algorithm names
+ */
+const LimitAlgorithms = {
+  FIXED: 'FIXED',
+  AIMD: 'AIMD',
+  GRADIENT: 'GRADIENT'
+};
+
+/**
+ * Common floor/ceiling handling for limit algorithms
+ */
+class ConcurrencyLimit {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {number} options.initialLimit - Starting limit
+   * @param {number} options.minLimit - Floor for the limit
+   * @param {number} options.maxLimit - Ceiling for the limit
+   * @param {number} options.backoffRatio - Multiplier applied on errors (0-1)
+   */
+  constructor(options = {}) {
+    this.minLimit = options.minLimit || 1;
+    this.maxLimit = Math.max(options.maxLimit || 100, this.minLimit);
+    this.backoffRatio = options.backoffRatio || 0.9;
+    this.limit = this.clamp(options.initialLimit || this.minLimit);
+  }
+  
+  /**
+   * Record the outcome of one call and return the new limit
+   * @param {Object} sample - { rtt, inFlight, didDrop }
+   * @returns {number} The (fractional) limit
+   */
+  onSample(sample) {
+    this.limit = this.clamp(this.nextLimit(sample));
+    return this.limit;
+  }
+  
+  /**
+   * Keep a limit within floor and ceiling
+   * @private
+   */
+  clamp(limit) {
+    return Math.min(this.maxLimit, Math.max(this.minLimit, limit));
+  }
+}
+
+/**
+ * Additive-increase/multiplicative-decrease limit
+ */
+class AimdLimit extends ConcurrencyLimit {
+  /**
+   * @param {Object} options - Configuration options (see ConcurrencyLimit)
+   * @param {number} options.latencyThreshold - Calls slower than this (ms) count as drops; 0 = errors only
+   */
+  constructor(options = {}) {
+    super(options);
+    
+    this.algorithm = LimitAlgorithms.AIMD;
+    this.latencyThreshold = options.latencyThreshold || 0;
+  }
+  
+  /**
+   * @private
+   */
+  nextLimit({ rtt, inFlight, didDrop }) {
+    const tooSlow = this.latencyThreshold > 0 && rtt > this.latencyThreshold;
+    
+    if (didDrop || tooSlow) {
+      return this.limit * this.backoffRatio;
+    }
+    
+    // Only grow a limit that is actually being used
+    if (inFlight * 2 >= this.limit) {
+      return this.limit + 1;
+    }
+    
+    return this.limit;
+  }
+}
+
+/**
+ * Latency-gradient limit
+ */
+class GradientLimit extends ConcurrencyLimit {
+  /**
+   * @param {Object} options - Configuration options (see ConcurrencyLimit)
+   * @param {number} options.smoothing - Weight of each new estimate (0-1)
+   * @param {number} options.tolerance - Latency growth tolerated before shrinking (e.g. 1.5 = 50%)
+   * @param {number} options.longWindow - Samples averaged into the baseline latency
+   */
+  constructor(options = {}) {
+    super(options);
+    
+    this.algorithm = LimitAlgorithms.GRADIENT;
+    this.smoothing = options.smoothing || 0.2;
+    this.tolerance = options.tolerance || 1.5;
+    this.longWindow = options.longWindow || 100;
+    this.longRtt = 0;
+  }
+  
+  /**
+   * @private
+   */
+  nextLimit({ rtt, inFlight, didDrop }) {
+    if (didDrop) {
+      return this.limit * this.backoffRatio;
+    }
+    
+    this.updateLongRtt(rtt);
+    
+    // Only grow a limit that is actually being used
+    if (inFlight * 2 < this.limit) {
+      return this.limit;
+    }
+    
+    const gradient = Math.max(0.5, Math.min(1, (this.tolerance * this.longRtt) / Math.max(rtt, 1)));
+    const queueSize = Math.sqrt(this.limit);
+    const newLimit = this.limit * gradient + queueSize;
+    
+    return this.limit * (1 - this.smoothing) + newLimit * this.smoothing;
+  }
+  
+  /**
+   * Update the baseline latency (exponential moving average)
+   * @private
+   */
+  updateLongRtt(rtt) {
+    if (this.longRtt === 0) {
+      this.longRtt = rtt;
+      return;
+    }
+    
+    this.longRtt += (rtt - this.longRtt) * (2 / (this.longWindow + 1));
+    
+    // Let the baseline recover quickly once latency drops again
+    if (this.longRtt / Math.max(rtt, 1) > 2) {
+      this.longRtt *= 0.95;
+    }
+  }
+}
+
+/**
+ * Create a limit for an algorithm name
+ * @param {string} algorithm - One of LimitAlgorithms
+ * @param {Object} options - Limit options
+ * @returns {ConcurrencyLimit|null} Limit, or null for FIXED
+ */
+function createLimit(algorithm, options = {}) {
+  switch (algorithm) {
+    case LimitAlgorithms.AIMD:
+      return new AimdLimit(options);
+    case LimitAlgorithms.GRADIENT:
+      return new GradientLimit(options);
+    case LimitAlgorithms.FIXED:
+    case undefined:
+    case null:
+      return null;
+    default:
+      throw new Error(`Unknown concurrency limit algorithm "${algorithm}"`);
+  }
+}
+
+module.exports = {
+  AimdLimit,
+  GradientLimit,
+  LimitAlgorithms,
+  createLimit
+};
@@ -0,0 +1,450 @@
+/**
+ * Client-Side Load Balancer
+ *
+ * Spreads calls to a service across a pool of its instances and keeps
+ * misbehaving instances out of rotation.
+ *
+ * Algorithms:
+ * - ROUND_ROBIN: each instance in turn
+ * - LEAST_OUTSTANDING: the instance with the fewest calls in flight
+ * - WEIGHTED: smooth weighted round-robin on each instance's `weight`
+ * - P2C: power of two choices; the less busy of two random instances
+ *
+ * Instance health:
+ * - Every instance has its own circuit breaker, so one failing instance
+ *   fails fast without opening the circuit for the whole service
+ * - Outlier ejection: an instance that fails `consecutiveFailures` calls in
+ *   a row leaves the rotation for `baseEjectionTime` times the number of
+ *   times it has been ejected (up to `maxEjectionTime`). No more than
+ *   `maxEjectionPercent` of the pool is ejected at once
+ * - A failed call is retried on a different instance, trying at most
+ *   `maxAttempts` instances. A call that may have reached the instance (a
+ *   timeout, a 5xx) is only repeated for idempotent methods and within the
+ *   caller's `maxRetries`; one that was never sent (connection refused,
+ *   instance circuit open) can always move on. Every retry spends a token
+ *   of the service's retry budget
+ *
+ * The pool is replaced with `setInstances()`; instances that stay in the
+ * pool keep their breaker and ejection state.
+ */
+
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const { CircuitBreaker, States } = require('./CircuitBreaker');
+const { getErrorStatus, isIdempotentMethod, isNotSentError } = require('../utils/errorClassification');
+const { anySignal, isAbortError } = require('../utils/abort');
+
+/**
+ * Instance selection algorithms
+ */
+const Algorithms = {
+  ROUND_ROBIN: 'ROUND_ROBIN',
+  LEAST_OUTSTANDING: 'LEAST_OUTSTANDING',
+  WEIGHTED: 'WEIGHTED',
+  P2C: 'P2C'
+};
+
+class LoadBalancer extends EventEmitter {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} options.name - Name of the load balancer
+   * @param {string} options.algorithm - One of Algorithms (default ROUND_ROBIN)
+   * @param {number} options.maxAttempts - Instances tried per call, the first included
+   * @param {Object} options.circuitBreaker - Options for each instance's circuit breaker
+   * @param {number} options.consecutiveFailures - Failures in a row that eject an instance
+   * @param {number} options.baseEjectionTime - First ejection length (ms); grows with each ejection
+   * @param {number} options.maxEjectionTime - Longest ejection (ms)
+   * @param {number} options.maxEjectionPercent - Share of the pool (0-100) that may be ejected at once
+   * @param {Function} options.recordFailure - (error, status) => boolean; false means the error is a
+   *   valid answer from a healthy instance
+   * @param {Function} options.shouldRetry - (error) => boolean; false stops trying other instances
+   * @param {RetryBudget} options.retryBudget - Budget shared with the service's other retries;
+   *   each retry on another instance spends a token
+   */
+  constructor(options = {}) {
+    super();
+    
+    this.name = options.name || 'LoadBalancer';
+    this.algorithm = options.algorithm || Algorithms.ROUND_ROBIN;
+    if (!Algorithms[this.algorithm]) {
+      throw new Error(`Unknown load balancing algorithm "${this.algorithm}"`);
+    }
+    
+    this.maxAttempts = options.maxAttempts || 2;
+    this.circuitBreakerOptions = options.circuitBreaker || {};
+    this.consecutiveFailures = options.consecutiveFailures || 5;
+    this.baseEjectionTime = options.baseEjectionTime || 30000;
+    this.maxEjectionTime = options.maxEjectionTime || 300000; // 5 minutes
+    this.maxEjectionPercent = options.maxEjectionPercent !== undefined ? options.maxEjectionPercent : 50;
+    this.recordFailure = options.recordFailure || (() => true);
+    this.shouldRetry = options.shouldRetry || (() => true);
+    this.retryBudget = options.retryBudget || null;
+    
+    // Pool, keyed by instance URL
+    this.instances = new Map();
+    this.poolKey = '';
+    this.nextIndex = 0;
+    
+    this.metrics = {
+      totalRequests: 0,
+      totalRetries: 0,
+      totalEjections: 0,
+      totalNoInstance: 0,
+      totalBudgetRejections: 0
+    };
+  }
+  
+  /**
+   * Replace the pool
+   * @param {Array<Object>} instances - `{ url, weight, metadata }`; the weight may also
+   *   come from `metadata.weight` (default 1)
+   */
+  setInstances(instances) {
+    const pool = instances.map(instance => ({
+      url: instance.url,
+      weight: Number(instance.weight ?? (instance.metadata && instance.metadata.weight)) || 1
+    }));
+    
+    // Called per request; skip the work when nothing changed
+    const poolKey = pool.map(instance => `${instance.url}=${instance.weight}`).join(',');
+    if (poolKey === this.poolKey) {
+      return;
+    }
+    this.poolKey = poolKey;
+    
+    const urls = new Set(pool.map(instance => instance.url));
+    const added = [];
+    const removed = [];
+    
+    this.instances.forEach((entry, url) => {
+      if (!urls.has(url)) {
+        entry.circuitBreaker.destroy();
+        this.instances.delete(url);
+        removed.push(url);
+      }
+    });
+    
+    pool.forEach(({ url, weight }) => {
+      const entry = this.instances.get(url);
+      if (entry) {
+        entry.weight = weight;
+        return;
+      }
+      
+      this.instances.set(url, this.createEntry(url, weight));
+      added.push(url);
+    });
+    
+    if (added.length > 0 || removed.length > 0) {
+      logger.info(`Load balancer ${this.name} pool changed`, {
+        added,
+        removed,
+        instances: this.instances.size
+      });
+      
+      this.emit('poolChanged', { name: this.name, added, removed, instances: this.instances.size });
+    }
+  }
+  
+  /**
+   * @private
+   */
+  createEntry(url, weight) {
+    return {
+      url,
+      weight,
+      circuitBreaker: new CircuitBreaker({
+        ...this.circuitBreakerOptions,
+        name: `${this.name}@${url}`,
+        recordFailure: this.recordFailure
+      }),
+      outstanding: 0,
+      currentWeight: 0, // smooth weighted round-robin state
+      requests: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      ejectionCount: 0,
+      ejectedUntil: 0
+    };
+  }
+  
+  /**
+   * Call `fn` on an instance, retrying on other instances when it fails
+   * @param {Function} fn - `(instance, signal) => Promise`; `instance.url` is the target
+   * @param {Object} options - Call options
+   * @param {AbortSignal} options.signal - Cancels the call
+   * @param {string} options.method - HTTP method; unless idempotent, only calls that were never
+   *   sent are retried (omit for calls that are safe to repeat)
+   * @param {number} options.maxRetries - Retries of calls that may have reached an instance
+   *   (defaults to `maxAttempts - 1`)
+   * @returns {Promise<any>} Result of `fn`
+   * @throws {Error} The last instance's error, or code NO_INSTANCES if none could be tried
+   */
+  async execute(fn, options = {}) {
+    this.metrics.totalRequests++;
+    
+    const tried = new Set();
+    let lastError = null;
+    let retriesLeft = options.maxRetries ?? this.maxAttempts - 1;
+    
+    for (let attempt = 0; attempt < this.maxAttempts; attempt++) {
+      const candidates = this.getAvailableInstances(tried);
+      if (candidates.length === 0) {
+        break;
+      }
+      
+      if (attempt > 0 && this.retryBudget && !this.retryBudget.tryAcquire()) {
+        this.metrics.totalBudgetRejections++;
+        
+        logger.warn(`Load balancer ${this.name} retry budget exhausted, not retrying`, {
+          error: lastError.message,
+          budget: this.retryBudget.name
+        });
+        
+        this.emit('retryBudgetExhausted', {
+          name: this.name,
+          budget: this.retryBudget.name,
+          error: lastError.message
+        });
+        break;
+      }
+      
+      const instance = this.choose(candidates);
+      tried.add(instance.url);
+      
+      if (attempt > 0) {
+        this.metrics.totalRetries++;
+        
+        logger.info(`Load balancer ${this.name} retrying on another instance`, {
+          instance: instance.url,
+          attempt: attempt + 1,
+          error: lastError.message
+        });
+        
+        this.emit('retry', {
+          name: this.name,
+          instance: instance.url,
+          attempt: attempt + 1,
+          error: lastError.message
+        });
+      }
+      
+      try {
+        return await this.callInstance(instance, fn, options.signal);
+      } catch (error) {
+        lastError = error;
+        
+        if (isAbortError(error)) {
+          throw error;
+        }
+        
+        // Nothing reached the instance, so another one can take the call
+        if (isNotSentError(error)) {
+          continue;
+        }
+        
+        // The instance may have acted on it: only repeat what is safe to repeat
+        if (retriesLeft <= 0 || !isIdempotentMethod(options.method) || !this.shouldRetry(error)) {
+          throw error;
+        }
+        retriesLeft--;
+      }
+    }
+    
+    if (lastError) {
+      throw lastError;
+    }
+    
+    this.metrics.totalNoInstance++;
+    
+    const error = new Error(this.instances.size === 0
+      ? `Load balancer ${this.name} has no instances`
+      : `Load balancer ${this.name}: all ${this.instances.size} instance(s) are ejected or open`);
+    error.code = 'NO_INSTANCES';
+    throw error;
+  }
+  
+  /**
+   * Instances that may take a call: not ejected, circuit not open
+   * @param {Set<string>} [exclude] - URLs already tried
+   * @returns {Array<Object>} Pool entries
+   */
+  getAvailableInstances(exclude = new Set()) {
+    return Array.from(this.instances.values()).filter(instance =>
+      !exclude.has(instance.url) &&
+      !this.isEjected(instance) &&
+      !(instance.circuitBreaker.state === States.OPEN && Date.now() < instance.circuitBreaker.nextAttempt)
+    );
+  }
+  
+  /**
+   * Pick an instance with the configured algorithm
+   * @private
+   */
+  choose(candidates) {
+    if (candidates.length === 1) {
+      return candidates[0];
+    }
+    
+    switch (this.algorithm) {
+      case Algorithms.LEAST_OUTSTANDING: {
+        // Start from a rotating offset so ties do not always go to the same instance
+        const offset = this.nextIndex++ % candidates.length;
+        const rotated = [...candidates.slice(offset), ...candidates.slice(0, offset)];
+        return rotated.reduce((best, instance) => instance.outstanding < best.outstanding ? instance : best);
+      }
+      
+      case Algorithms.WEIGHTED: {
+        const totalWeight = candidates.reduce((sum, instance) => sum + instance.weight, 0);
+        let best = null;
+        
+        candidates.forEach(instance => {
+          instance.currentWeight += instance.weight;
+          if (!best || instance.currentWeight > best.currentWeight) {
+            best = instance;
+          }
+        });
+        
+        best.currentWeight -= totalWeight;
+        return best;
+      }
+      
+      case Algorithms.P2C: {
+        const first = Math.floor(Math.random() * candidates.length);
+        const second = (first + 1 + Math.floor(Math.random() * (candidates.length - 1))) % candidates.length;
+        const [a, b] = [candidates[first], candidates[second]];
+        return b.outstanding < a.outstanding ? b : a;
+      }
+      
+      default:
+        return candidates[this.nextIndex++ % candidates.length];
+    }
+  }
+  
+  /**
+   * Call one instance through its circuit breaker
+   * @private
+   */
+  async callInstance(instance, fn, signal) {
+    instance.outstanding++;
+    instance.requests++;
+    
+    try {
+      const result = await instance.circuitBreaker.execute(
+        breakerSignal => fn(instance, anySignal([signal, breakerSignal]))
+      );
+      instance.consecutiveFailures = 0;
+      return result;
+    } catch (error) {
+      if (error.code !== 'CIRCUIT_OPEN' && !isAbortError(error)) {
+        if (this.recordFailure(error, getErrorStatus(error))) {
+          instance.failures++;
+          instance.consecutiveFailures++;
+          
+          if (instance.consecutiveFailures >= this.consecutiveFailures) {
+            this.eject(instance, error);
+          }
+        } else {
+          // A valid answer (e.g. a 404) from a healthy instance
+          instance.consecutiveFailures = 0;
+        }
+      }
+      throw error;
+    } finally {
+      instance.outstanding--;
+    }
+  }
+  
+  /**
+   * Take an instance out of rotation for a while
+   * @private
+   */
+  eject(instance, error) {
+    const ejected = Array.from(this.instances.values()).filter(entry => this.isEjected(entry)).length;
+    const maxEjected = Math.floor(this.instances.size * this.maxEjectionPercent / 100);
+    
+    if (ejected >= maxEjected) {
+      logger.warn(`Load balancer ${this.name} not ejecting ${instance.url}: ejection limit reached`, {
+        ejected,
+        maxEjectionPercent: this.maxEjectionPercent
+      });
+      return;
+    }
+    
+    instance.ejectionCount++;
+    instance.consecutiveFailures = 0;
+    
+    const duration = Math.min(this.baseEjectionTime * instance.ejectionCount, this.maxEjectionTime);
+    instance.ejectedUntil = Date.now() + duration;
+    this.metrics.totalEjections++;
+    
+    logger.warn(`Load balancer ${this.name} ejected ${instance.url}`, {
+      duration,
+      ejectionCount: instance.ejectionCount,
+      error: error.message
+    });
+    
+    this.emit('ejected', {
+      name: this.name,
+      instance: instance.url,
+      duration,
+      ejectionCount: instance.ejectionCount,
+      error: error.message
+    });
+  }
+  
+  /**
+   * @private
+   */
+  isEjected(instance) {
+    return instance.ejectedUntil > Date.now();
+  }
+  
+  /**
+   * Get load balancer status
+   * @returns {Object} Status information
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      algorithm: this.algorithm,
+      instances: Array.from(this.instances.values()).map(instance => ({
+        url: instance.url,
+        weight: instance.weight,
+        outstanding: instance.outstanding,
+        requests: instance.requests,
+        failures: instance.failures,
+        consecutiveFailures: instance.consecutiveFailures,
+        circuitBreaker: instance.circuitBreaker.state,
+        ejected: this.isEjected(instance),
+        ejectedUntil: this.isEjected(instance) ? new Date(instance.ejectedUntil).toISOString() : null,
+        ejectionCount: instance.ejectionCount
+      })),
+      available: this.getAvailableInstances().length,
+      metrics: { ...this.metrics },
+      config: {
+        maxAttempts: this.maxAttempts,
+        consecutiveFailures: this.consecutiveFailures,
+        baseEjectionTime: this.baseEjectionTime,
+        maxEjectionTime: this.maxEjectionTime,
+        maxEjectionPercent: this.maxEjectionPercent
+      },
+      retryBudget: this.retryBudget ? this.retryBudget.getStatus() : null
+    };
+  }
+  
+  /**
+   * Cleanup resources
+   */
+  destroy() {
+    this.instances.forEach(instance => instance.circuitBreaker.destroy());
+    this.instances.clear();
+    this.poolKey = '';
+    this.removeAllListeners();
+  }
+}
+
+module.exports = {
+  LoadBalancer,
+  Algorithms
+};
@@ -0,0 +1,238 @@
+/**
+ * Rate Limit Stores
+ *
+ * Where a RateLimiter keeps its counters. Every store offers the same three
+ * atomic operations, one per algorithm, so the limiter's arithmetic stays
+ * in one place and a store only has to update state without races:
+ *
+ * - incrementWindow(key, windowMs): count a request in a fixed window
+ * - recordInLog(key, now, windowMs, limit): log a request if fewer than
+ *   `limit` were logged in the last `windowMs`
+ * - takeToken(key, capacity, windowMs, now): take a token from a bucket
+ *   refilled with `capacity` tokens per `windowMs`
+ *
+ * MemoryRateLimitStore keeps state in the process. RedisRateLimitStore
+ * keeps it in Redis (one Lua script per operation) so that every gateway
+ * instance shares the same limits.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { RedisClient } = require('../utils/redisClient');
+
+/**
+ * In-process store
+ */
+class MemoryRateLimitStore {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {number} options.sweepInterval - How often expired entries are removed (ms)
+   */
+  constructor(options = {}) {
+    this.entries = new Map();
+    this.sweepTimer = setInterval(() => this.sweep(), options.sweepInterval || 60000);
+  }
+  
+  /**
+   * Get a live entry, or create it with `create()`
+   * @private
+   */
+  getEntry(key, ttl, create) {
+    const now = Date.now();
+    let entry = this.entries.get(key);
+    
+    if (!entry || entry.expiresAt <= now) {
+      entry = create();
+      this.entries.set(key, entry);
+    }
+    
+    entry.expiresAt = now + ttl;
+    return entry;
+  }
+  
+  async incrementWindow(key, windowMs) {
+    const now = Date.now();
+    let entry = this.entries.get(key);
+    
+    // A window's counter expires with the window instead of being extended
+    if (!entry || entry.expiresAt <= now) {
+      entry = { count: 0, expiresAt: now + windowMs };
+      this.entries.set(key, entry);
+    }
+    
+    entry.count++;
+    return entry.count;
+  }
+  
+  async recordInLog(key, now, windowMs, limit) {
+    const entry = this.getEntry(key, windowMs, () => ({ log: [] }));
+    
+    entry.log = entry.log.filter(timestamp => timestamp > now - windowMs);
+    
+    const allowed = entry.log.length < limit;
+    if (allowed) {
+      entry.log.push(now);
+    }
+    
+    return { allowed, count: entry.log.length, oldest: entry.log[0] ?? now };
+  }
+  
+  async takeToken(key, capacity, windowMs, now) {
+    const entry = this.getEntry(key, windowMs, () => ({ tokens: capacity, updatedAt: now }));
+    
+    const elapsed = Math.max(0, now - entry.updatedAt);
+    entry.tokens = Math.min(capacity, entry.tokens + elapsed * capacity / windowMs);
+    entry.updatedAt = now;
+    
+    const allowed = entry.tokens >= 1;
+    if (allowed) {
+      entry.tokens -= 1;
+    }
+    
+    return { allowed, tokens: entry.tokens };
+  }
+  
+  /**
+   * Remove expired entries
+   */
+  sweep() {
+    const now = Date.now();
+    this.entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    });
+  }
+  
+  /**
+   * Get store status
+   * @returns {Object} Status information
+   */
+  getStatus() {
+    return {
+      type: 'memory',
+      keys: this.entries.size
+    };
+  }
+  
+  /**
+   * Cleanup resources
+   */
+  async destroy() {
+    clearInterval(this.sweepTimer);
+    this.entries.clear();
+  }
+}
+
+/**
+ * Lua scripts, run atomically by Redis. Numbers are returned as strings
+ * where Lua would truncate them to integers.
+ */
+const SCRIPTS = {
+  incrementWindow: `
+    local count = redis.call('INCR', KEYS[1])
+    if count == 1 then
+      redis.call('PEXPIRE', KEYS[1], ARGV[1])
+    end
+    return count
+  `,
+  recordInLog: `
+    local now = tonumber(ARGV[1])
+    local window = tonumber(ARGV[2])
+    local limit = tonumber(ARGV[3])
+    redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - window)
+    local count = redis.call('ZCARD', KEYS[1])
+    local allowed = 0
+    if count < limit then
+      redis.call('ZADD', KEYS[1], now, ARGV[4])
+      count = count + 1
+      allowed = 1
+    end
+    redis.call('PEXPIRE', KEYS[1], window)
+    local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+    return { allowed, count, oldest[2] or tostring(now) }
+  `,
+  takeToken: `
+    local capacity = tonumber(ARGV[1])
+    local window = tonumber(ARGV[2])
+    local now = tonumber(ARGV[3])
+    local state = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+    local tokens = tonumber(state[1]) or capacity
+    local updatedAt = tonumber(state[2]) or now
+    tokens = math.min(capacity, tokens + math.max(0, now - updatedAt) * capacity / window)
+    local allowed = 0
+    if tokens >= 1 then
+      tokens = tokens - 1
+      allowed = 1
+    end
+    redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', tostring(now))
+    redis.call('PEXPIRE', KEYS[1], window)
+    return { allowed, tostring(tokens) }
+  `
+};
+
+/**
+ * Redis-backed store, shared by every gateway instance using the same Redis
+ */
+class RedisRateLimitStore {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {Object} options.client - Object with `command(...args)`; a
+   *   RedisClient for `url` is created when omitted
+   * @param {string} options.url - Redis URL
+   * @param {string} options.password - Redis password
+   * @param {string} options.prefix - Prefix of every key
+   */
+  constructor(options = {}) {
+    this.client = options.client || new RedisClient({
+      url: options.url,
+      password: options.password
+    });
+    this.prefix = options.prefix || 'ratelimit:';
+  }
+  
+  /**
+   * @private
+   */
+  eval(script, key, ...args) {
+    return this.client.command('EVAL', SCRIPTS[script], 1, `${this.prefix}${key}`, ...args);
+  }
+  
+  async incrementWindow(key, windowMs) {
+    return Number(await this.eval('incrementWindow', key, windowMs));
+  }
+  
+  async recordInLog(key, now, windowMs, limit) {
+    const [allowed, count, oldest] = await this.eval('recordInLog', key, now, windowMs, limit, `${now}-${uuidv4()}`);
+    return { allowed: allowed === 1, count: Number(count), oldest: Number(oldest) };
+  }
+  
+  async takeToken(key, capacity, windowMs, now) {
+    const [allowed, tokens] = await this.eval('takeToken', key, capacity, windowMs, now);
+    return { allowed: allowed === 1, tokens: Number(tokens) };
+  }
+  
+  /**
+   * Get store status
+   * @returns {Object} Status information
+   */
+  getStatus() {
+    return {
+      type: 'redis',
+      prefix: this.prefix
+    };
+  }
+  
+  /**
+   * Cleanup resources
+   */
+  async destroy() {
+    if (typeof this.client.close === 'function') {
+      this.client.close();
+    }
+  }
+}
+
+module.exports = {
+  MemoryRateLimitStore,
+  RedisRateLimitStore
+};
@@ -0,0 +1,228 @@
+/**
+ * Rate Limiter Pattern Implementation
+ *
+ * Caps how many requests a client may make in a time window. Clients are
+ * told apart by a key (an IP address, an API key, a route name...) chosen
+ * by the caller, and the counters live in a store (see RateLimitStore) so
+ * that several gateway instances can share them.
+ *
+ * Algorithms:
+ * - FIXED_WINDOW: at most `limit` requests per window aligned to the clock;
+ *   cheap, but allows a burst of twice the limit around a window boundary
+ * - SLIDING_LOG: at most `limit` requests in any `windowMs` span, by
+ *   remembering the time of each allowed request
+ * - TOKEN_BUCKET: a bucket of `limit` tokens refilled evenly over
+ *   `windowMs`; allows bursts up to `limit`, then a steady rate
+ *
+ * A store that fails (e.g. Redis is down) lets requests through: losing
+ * rate limiting for a while is better than rejecting every request.
+ */
+
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const { MemoryRateLimitStore } = require('./RateLimitStore');
+
+/**
+ * Rate limiting algorithms
+ */
+const Algorithms = {
+  FIXED_WINDOW: 'FIXED_WINDOW',
+  SLIDING_LOG: 'SLIDING_LOG',
+  TOKEN_BUCKET: 'TOKEN_BUCKET'
+};
+
+/**
+ * Rate Limiter Implementation
+ */
+class RateLimiter extends EventEmitter {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} options.name - Name of the rate limiter
+   * @param {string} options.algorithm - FIXED_WINDOW (default), SLIDING_LOG or TOKEN_BUCKET
+   * @param {number} options.limit - Requests allowed per window
+   * @param {number} options.windowMs - Window length (ms)
+   * @param {Object} options.store - Counter store; in-memory by default
+   */
+  constructor(options = {}) {
+    super();
+    
+    this.name = options.name || 'default';
+    this.algorithm = options.algorithm || Algorithms.FIXED_WINDOW;
+    this.limit = options.limit || 100;
+    this.windowMs = options.windowMs || 60000;
+    this.ownsStore = !options.store;
+    this.store = options.store || new MemoryRateLimitStore();
+    
+    if (!Algorithms[this.algorithm]) {
+      throw new Error(`Unknown rate limiting algorithm "${this.algorithm}"`);
+    }
+    
+    this.lastError = null;
+    this.metrics = {
+      totalAllowed: 0,
+      totalLimited: 0,
+      storeErrors: 0
+    };
+  }
+  
+  /**
+   * Count a request against a key
+   * @param {string} key - Client key
+   * @returns {Promise<Object>} { allowed, limit, remaining, resetMs, retryAfterMs }
+   */
+  async consume(key) {
+    const storeKey = `${this.name}:${key}`;
+    let result;
+    
+    try {
+      result = await this.check(storeKey, Date.now());
+      this.lastError = null;
+    } catch (error) {
+      return this.failOpen(error);
+    }
+    
+    if (result.allowed) {
+      this.metrics.totalAllowed++;
+    } else {
+      this.metrics.totalLimited++;
+      this.emit('limited', { name: this.name, key, retryAfterMs: result.retryAfterMs });
+    }
+    
+    return { limit: this.limit, ...result };
+  }
+  
+  /**
+   * Look at where a key stands without counting a request; SLIDING_LOG only,
+   * whose log can be read by asking to log with a limit of zero
+   * @param {string} key - Client key
+   * @returns {Promise<Object>} { allowed, limit, remaining, resetMs, retryAfterMs }; `allowed`
+   *   tells whether one more request would be
+   */
+  async peek(key) {
+    if (this.algorithm !== Algorithms.SLIDING_LOG) {
+      throw new Error(`Rate limiter ${this.name}: peek() needs the SLIDING_LOG algorithm`);
+    }
+    
+    try {
+      const result = await this.check(`${this.name}:${key}`, Date.now(), 0);
+      this.lastError = null;
+      return { limit: this.limit, ...result };
+    } catch (error) {
+      return this.failOpen(error);
+    }
+  }
+  
+  /**
+   * Apply the algorithm
+   * @private
+   * @param {number} [logLimit] - Limit passed to the log; 0 reads it without logging
+   */
+  async check(key, now, logLimit = this.limit) {
+    switch (this.algorithm) {
+      case Algorithms.SLIDING_LOG: {
+        const log = await this.store.recordInLog(key, now, this.windowMs, logLimit);
+        const { count, oldest } = log;
+        const allowed = logLimit > 0 ? log.allowed : count < this.limit;
+        
+        // A slot frees up when the oldest logged request leaves the window
+        const resetMs = Math.max(0, oldest + this.windowMs - now);
+        return {
+          allowed,
+          remaining: Math.max(0, this.limit - count),
+          resetMs,
+          retryAfterMs: allowed ? 0 : resetMs
+        };
+      }
+      
+      case Algorithms.TOKEN_BUCKET: {
+        const { allowed, tokens } = await this.store.takeToken(key, this.limit, this.windowMs, now);
+        const msPerToken = this.windowMs / this.limit;
+        
+        return {
+          allowed,
+          remaining: Math.floor(tokens),
+          resetMs: Math.ceil((this.limit - tokens) * msPerToken),
+          retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) * msPerToken)
+        };
+      }
+      
+      default: {
+        const windowStart = Math.floor(now / this.windowMs) * this.windowMs;
+        const count = await this.store.incrementWindow(`${key}:${windowStart}`, this.windowMs);
+        const resetMs = windowStart + this.windowMs - now;
+        const allowed = count <= this.limit;
+        
+        return {
+          allowed,
+          remaining: Math.max(0, this.limit - count),
+          resetMs,
+          retryAfterMs: allowed ? 0 : resetMs
+        };
+      }
+    }
+  }
+  
+  /**
+   * Result that lets a request through when the store failed
+   * @private
+   */
+  failOpen(error) {
+    this.reportError(error);
+    return {
+      allowed: true,
+      limit: this.limit,
+      remaining: this.limit,
+      resetMs: this.windowMs,
+      retryAfterMs: 0
+    };
+  }
+  
+  /**
+   * Log a store error once, not on every request while the store stays down
+   * @private
+   */
+  reportError(error) {
+    this.metrics.storeErrors++;
+    
+    if (this.lastError !== error.message) {
+      logger.warn(`Rate limiter ${this.name} store failed, allowing requests`, {
+        error: error.message
+      });
+    }
+    
+    this.lastError = error.message;
+  }
+  
+  /**
+   * Get rate limiter status
+   * @returns {Object} Status information
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      lastError: this.lastError,
+      metrics: { ...this.metrics },
+      config: {
+        algorithm: this.algorithm,
+        limit: this.limit,
+        windowMs: this.windowMs
+      }
+    };
+  }
+  
+  /**
+   * Cleanup resources; a shared store is left to its owner
+   */
+  async destroy() {
+    this.removeAllListeners();
+    
+    if (this.ownsStore) {
+      await this.store.destroy();
+    }
+  }
+}
+
+module.exports = {
+  RateLimiter,
+  Algorithms
+};
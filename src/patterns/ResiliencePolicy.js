@@ -0,0 +1,467 @@
+/**
+ * Resilience Policy Pipeline
+ * 
+ * Composes the individual patterns into one ordered pipeline that is
+ * declared once and then used to execute any number of calls. Instead of
+ * nesting `bulkhead.execute(() => circuitBreaker.execute(() => ...))` at
+ * every call site, protection is described as data:
+ * 
+ *   new ResiliencePolicy({
+ *     name: 'user-service',
+ *     policies: [
+ *       { type: 'fallback', handler: (error, id) => cachedUser(id) },
+ *       { type: 'bulkhead', instance: userBulkhead },
+ *       { type: 'circuitBreaker', instance: userCircuitBreaker },
+ *       { type: 'retry', instance: userRecovery },
+ *       { type: 'timeout', timeout: 2000 }
+ *     ]
+ *   });
+ * 
+ * Policies are listed outermost first. Bulkhead, circuit breaker and retry
+ * layers take either an existing `instance` or inline options from which
+ * the pipeline builds (and owns) its own. The protected function receives
+ * an AbortSignal as its last argument that aborts when any layer gives up
+ * on the call.
+ * 
+ * Events (each payload carries `policy`, `layer` and `timestamp`):
+ * - success / failure: outcome of a whole execution
+ * - timeout: the timeout layer fired
+ * - retry: the retry layer started another attempt
+ * - rejected: the circuit breaker or bulkhead refused the call
+ * - fallback: the fallback layer produced the result
+ * - cacheHit / cacheMiss: the cache layer answered or fell through
+ */
+
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const { CircuitBreaker } = require('./CircuitBreaker');
+const { Bulkhead } = require('./Bulkhead');
+const { AutoRecovery } = require('./AutoRecovery');
+const { anySignal, createAbortError, isAbortError } = require('../utils/abort');
+
+/**
+ * Policy layer types
+ */
+const PolicyTypes = {
+  TIMEOUT: 'timeout',
+  RETRY: 'retry',
+  CIRCUIT_BREAKER: 'circuitBreaker',
+  BULKHEAD: 'bulkhead',
+  FALLBACK: 'fallback',
+  CACHE: 'cache'
+};
+
+/**
+ * Pattern classes used when a layer is declared with inline options
+ */
+const PatternClasses = {
+  [PolicyTypes.RETRY]: AutoRecovery,
+  [PolicyTypes.CIRCUIT_BREAKER]: CircuitBreaker,
+  [PolicyTypes.BULKHEAD]: Bulkhead
+};
+
+/**
+ * Resilience Policy Implementation
+ */
+class ResiliencePolicy extends EventEmitter {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} options.name - Name of the pipeline
+   * @param {Array<Object>} options.policies - Ordered layer declarations, outermost first
+   */
+  constructor(options = {}) {
+    super();
+    
+    this.name = options.name || 'ResiliencePolicy';
+    this.layers = (options.policies || []).map((spec, index) => this.createLayer(spec, index));
+    
+    // Metrics
+    this.metrics = {
+      totalExecutions: 0,
+      totalSuccesses: 0,
+      totalFailures: 0,
+      totalTimeouts: 0,
+      totalRetries: 0,
+      totalRejected: 0,
+      totalFallbacks: 0,
+      cacheHits: 0,
+      cacheMisses: 0
+    };
+    
+    // Compose the pipeline once; the protected function travels in the context
+    this.pipeline = this.layers.reduceRight(
+      (next, layer) => (context) => this.runLayer(layer, next, context),
+      (context) => {
+        if (context.signal && context.signal.aborted) {
+          throw createAbortError(context.signal);
+        }
+        return context.fn(...context.args, context.signal);
+      }
+    );
+    
+    logger.info(`Resilience policy ${this.name} initialized`, {
+      layers: this.layers.map(layer => layer.type)
+    });
+  }
+  
+  /**
+   * Build a layer from its declaration
+   * @param {Object} spec - Layer declaration
+   * @param {number} index - Position in the pipeline
+   * @returns {Object} Layer
+   */
+  createLayer(spec, index) {
+    const { type, instance, ...settings } = spec;
+    
+    if (!Object.values(PolicyTypes).includes(type)) {
+      throw new Error(`Resilience policy ${this.name}: unknown policy type "${type}" at position ${index}`);
+    }
+    
+    const layer = { type, settings };
+    
+    if (PatternClasses[type]) {
+      layer.owned = !instance;
+      layer.instance = instance || new PatternClasses[type]({
+        name: `${this.name}-${type}`,
+        ...settings
+      });
+    }
+    
+    if (type === PolicyTypes.TIMEOUT && !(settings.timeout > 0)) {
+      throw new Error(`Resilience policy ${this.name}: timeout layer needs a positive timeout`);
+    }
+    
+    if (type === PolicyTypes.FALLBACK && typeof settings.handler !== 'function') {
+      throw new Error(`Resilience policy ${this.name}: fallback layer needs a handler`);
+    }
+    
+    if (type === PolicyTypes.CACHE) {
+      layer.cache = new Map();
+      layer.ttl = settings.ttl || 60000; // 1 minute
+      layer.maxEntries = settings.maxEntries || 1000;
+      layer.key = settings.key || ((...args) => JSON.stringify(args));
+    }
+    
+    return layer;
+  }
+  
+  /**
+   * Execute a function through the pipeline
+   * @param {Function} fn - Function to execute; called with (...args, signal)
+   * @param {...any} args - Arguments to pass to the function
+   * @returns {Promise<any>} - Result of the function or of a fallback
+   */
+  async execute(fn, ...args) {
+    return this.executeWithOptions(fn, {}, ...args);
+  }
+  
+  /**
+   * Execute a function through the pipeline with per-call options
+   * @param {Function} fn - Function to execute; called with (...args, signal)
+   * @param {Object} options - Execution options
+   * @param {AbortSignal} options.signal - Aborts the whole execution, e.g. on client disconnect
+   * @param {string|number} options.priority - Bulkhead queue priority
+   * @param {string} options.key - Bulkhead fair-share key (tenant or client)
+   * @param {number} options.maxRetries - Retry layer limit for this call
+   * @param {string} options.method - HTTP method, so the retry layer only repeats what is safe to repeat
+   * @param {...any} args - Arguments to pass to the function
+   * @returns {Promise<any>} - Result of the function or of a fallback
+   */
+  async executeWithOptions(fn, options = {}, ...args) {
+    const startTime = Date.now();
+    this.metrics.totalExecutions++;
+    
+    try {
+      const result = await this.pipeline({
+        fn,
+        args,
+        signal: options.signal,
+        priority: options.priority,
+        key: options.key,
+        maxRetries: options.maxRetries,
+        method: options.method
+      });
+      
+      this.metrics.totalSuccesses++;
+      this.emitEvent('success', null, { duration: Date.now() - startTime });
+      
+      return result;
+    } catch (error) {
+      this.metrics.totalFailures++;
+      this.emitEvent('failure', null, {
+        duration: Date.now() - startTime,
+        error: error.message
+      });
+      
+      throw error;
+    }
+  }
+  
+  /**
+   * Run one layer around the rest of the pipeline
+   * @param {Object} layer - Layer to run
+   * @param {Function} next - Rest of the pipeline
+   * @param {Object} context - { fn, args, signal, priority, key, maxRetries, method }
+   * @returns {Promise<any>} - Result of the rest of the pipeline
+   */
+  async runLayer(layer, next, context) {
+    switch (layer.type) {
+      case PolicyTypes.TIMEOUT:
+        return this.runTimeout(layer, next, context);
+      case PolicyTypes.RETRY:
+        return this.runRetry(layer, next, context);
+      case PolicyTypes.CIRCUIT_BREAKER:
+      case PolicyTypes.BULKHEAD:
+        return this.runGuard(layer, next, context);
+      case PolicyTypes.FALLBACK:
+        return this.runFallback(layer, next, context);
+      case PolicyTypes.CACHE:
+        return this.runCache(layer, next, context);
+    }
+  }
+  
+  /**
+   * Timeout layer: give up on the inner pipeline after `timeout` ms
+   */
+  async runTimeout(layer, next, context) {
+    const { timeout } = layer.settings;
+    const controller = new AbortController();
+    let timeoutId;
+    
+    const timer = new Promise((resolve, reject) => {
+      timeoutId = setTimeout(() => {
+        this.metrics.totalTimeouts++;
+        this.emitEvent('timeout', layer, { timeout });
+        
+        const error = new Error(`Resilience policy ${this.name}: Timeout after ${timeout}ms`);
+        error.code = 'POLICY_TIMEOUT';
+        controller.abort(error);
+        reject(error);
+      }, timeout);
+    });
+    
+    try {
+      return await Promise.race([
+        next({ ...context, signal: anySignal([context.signal, controller.signal]) }),
+        timer
+      ]);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+  
+  /**
+   * Retry layer: re-run the inner pipeline through AutoRecovery
+   */
+  async runRetry(layer, next, context) {
+    let attempt = 0;
+    
+    return layer.instance.executeWithOptions(() => {
+      // Nobody is waiting any more - stop instead of retrying
+      if (context.signal && context.signal.aborted) {
+        throw createAbortError(context.signal);
+      }
+      
+      attempt++;
+      if (attempt > 1) {
+        this.metrics.totalRetries++;
+        this.emitEvent('retry', layer, { attempt });
+      }
+      
+      return next(context);
+    }, { maxRetries: context.maxRetries, method: context.method });
+  }
+  
+  /**
+   * Circuit breaker and bulkhead layers: admit the call or reject it
+   */
+  async runGuard(layer, next, context) {
+    const inner = (signal) => next({
+      ...context,
+      signal: anySignal([context.signal, signal])
+    });
+    
+    try {
+      return layer.type === PolicyTypes.BULKHEAD ?
+        await layer.instance.executeWithOptions(inner, { priority: context.priority, key: context.key, signal: context.signal }) :
+        await layer.instance.execute(inner);
+    } catch (error) {
+      const rejectionCode = layer.type === PolicyTypes.CIRCUIT_BREAKER ? 'CIRCUIT_OPEN' : 'BULKHEAD_REJECTED';
+      
+      if (error.code === rejectionCode) {
+        this.metrics.totalRejected++;
+        this.emitEvent('rejected', layer, { reason: error.code, error: error.message });
+      }
+      
+      throw error;
+    }
+  }
+  
+  /**
+   * Fallback layer: answer with the handler's result when the inner pipeline fails
+   * 
+   * The handler is called with (error, ...args) and may return undefined to
+   * decline, in which case the original error is rethrown.
+   */
+  async runFallback(layer, next, context) {
+    const { handler, shouldFallback } = layer.settings;
+    
+    try {
+      return await next(context);
+    } catch (error) {
+      // Cancelled work has nobody to answer
+      if (isAbortError(error) || (shouldFallback && !shouldFallback(error))) {
+        throw error;
+      }
+      
+      const result = await handler(error, ...context.args);
+      if (result === undefined) {
+        throw error;
+      }
+      
+      this.metrics.totalFallbacks++;
+      this.emitEvent('fallback', layer, { error: error.message });
+      
+      return result;
+    }
+  }
+  
+  /**
+   * Cache layer: answer from successful results younger than `ttl`
+   * 
+   * The `key` setting maps the call arguments to a cache key; returning
+   * null or undefined bypasses the cache for that call. An optional
+   * `shouldCache` setting can keep individual results out of the cache.
+   */
+  async runCache(layer, next, context) {
+    const { shouldCache } = layer.settings;
+    const key = layer.key(...context.args);
+    
+    if (key === null || key === undefined) {
+      return next(context);
+    }
+    
+    const entry = layer.cache.get(key);
+    if (entry && Date.now() - entry.storedAt < layer.ttl) {
+      this.metrics.cacheHits++;
+      this.emitEvent('cacheHit', layer, { key });
+      return entry.value;
+    }
+    
+    this.metrics.cacheMisses++;
+    this.emitEvent('cacheMiss', layer, { key });
+    
+    const value = await next(context);
+    if (shouldCache && !shouldCache(value)) {
+      return value;
+    }
+    
+    // Re-insert so the Map stays in insertion (oldest first) order
+    layer.cache.delete(key);
+    layer.cache.set(key, { value, storedAt: Date.now() });
+    
+    if (layer.cache.size > layer.maxEntries) {
+      layer.cache.delete(layer.cache.keys().next().value);
+    }
+    
+    return value;
+  }
+  
+  /**
+   * Emit a pipeline event with the common payload
+   * @param {string} event - Event name
+   * @param {Object|null} layer - Layer that produced the event, null for the pipeline
+   * @param {Object} data - Event details
+   */
+  emitEvent(event, layer, data = {}) {
+    this.emit(event, {
+      policy: this.name,
+      layer: layer ? layer.type : null,
+      ...data,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  /**
+   * Invalidate cached results
+   * @param {string} [key] - Key to drop; all entries when omitted
+   */
+  clearCache(key) {
+    this.layers
+      .filter(layer => layer.type === PolicyTypes.CACHE)
+      .forEach(layer => {
+        if (key === undefined) {
+          layer.cache.clear();
+        } else {
+          layer.cache.delete(key);
+        }
+      });
+  }
+  
+  /**
+   * Find the pattern instance of a layer type
+   * @param {string} type - Policy type
+   * @returns {Object|undefined} First matching pattern instance
+   */
+  getInstance(type) {
+    const layer = this.layers.find(candidate => candidate.type === type);
+    return layer ? layer.instance : undefined;
+  }
+  
+  /**
+   * Get combined status of the pipeline and all of its layers
+   * @returns {Object} Status information
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      layers: this.layers.map(layer => ({
+        type: layer.type,
+        ...this.getLayerStatus(layer)
+      })),
+      metrics: { ...this.metrics }
+    };
+  }
+  
+  /**
+   * Get status of one layer
+   * @param {Object} layer - Layer
+   * @returns {Object} Layer status
+   */
+  getLayerStatus(layer) {
+    if (layer.instance) {
+      return { status: layer.instance.getStatus() };
+    }
+    
+    switch (layer.type) {
+      case PolicyTypes.TIMEOUT:
+        return { config: { timeout: layer.settings.timeout } };
+      case PolicyTypes.CACHE:
+        return {
+          entries: layer.cache.size,
+          config: { ttl: layer.ttl, maxEntries: layer.maxEntries }
+        };
+      default:
+        return {};
+    }
+  }
+  
+  /**
+   * Cleanup resources of the patterns this pipeline created
+   */
+  destroy() {
+    this.layers
+      .filter(layer => layer.owned && typeof layer.instance.destroy === 'function')
+      .forEach(layer => layer.instance.destroy());
+    
+    this.clearCache();
+    this.removeAllListeners();
+    
+    logger.info(`Resilience policy ${this.name} destroyed`);
+  }
+}
+
+module.exports = {
+  ResiliencePolicy,
+  PolicyTypes
+};
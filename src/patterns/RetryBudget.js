@@ -0,0 +1,104 @@
+/**
+ * Retry Budget
+ * 
+ * Retries multiply load on a service that is already struggling: with
+ * three retries every failing call costs four. A retry budget caps retries
+ * to a share of the traffic actually sent, using a token bucket:
+ * 
+ * - every request deposits `ratio` tokens (0.2 = retries may add 20%)
+ * - every retry withdraws one token; with less than one left the retry is
+ *   refused and the caller fails fast
+ * - a trickle of `minRetriesPerSecond` tokens keeps low-traffic services
+ *   able to retry at all
+ * 
+ * The bucket holds at most `maxTokens`, so a quiet period cannot bank an
+ * unlimited burst of retries. One budget is meant to be shared by all
+ * callers of a service.
+ */
+
+class RetryBudget {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} options.name - Name of the budget
+   * @param {number} options.ratio - Tokens deposited per request (share of traffic that may be retries)
+   * @param {number} options.minRetriesPerSecond - Tokens added per second regardless of traffic
+   * @param {number} options.maxTokens - Bucket capacity
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'RetryBudget';
+    this.ratio = options.ratio !== undefined ? options.ratio : 0.2;
+    this.minRetriesPerSecond = options.minRetriesPerSecond !== undefined ? options.minRetriesPerSecond : 1;
+    this.maxTokens = options.maxTokens || 100;
+    
+    this.tokens = Math.min(this.maxTokens, Math.max(1, this.minRetriesPerSecond));
+    this.lastRefill = Date.now();
+    
+    this.metrics = {
+      totalRequests: 0,
+      totalRetries: 0,
+      totalRejected: 0
+    };
+  }
+  
+  /**
+   * Record a first attempt, earning `ratio` tokens
+   */
+  recordRequest() {
+    this.refill();
+    this.metrics.totalRequests++;
+    this.tokens = Math.min(this.maxTokens, this.tokens + this.ratio);
+  }
+  
+  /**
+   * Ask for permission to retry
+   * @returns {boolean} True if the retry may go ahead (a token was spent)
+   */
+  tryAcquire() {
+    this.refill();
+    
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      this.metrics.totalRetries++;
+      return true;
+    }
+    
+    this.metrics.totalRejected++;
+    return false;
+  }
+  
+  /**
+   * Add the time-based trickle of tokens
+   * @private
+   */
+  refill() {
+    const now = Date.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+    
+    this.tokens = Math.min(this.maxTokens, this.tokens + elapsed * this.minRetriesPerSecond);
+    this.lastRefill = now;
+  }
+  
+  /**
+   * Get current budget status
+   * @returns {Object} Tokens, configuration and metrics
+   */
+  getStatus() {
+    this.refill();
+    
+    return {
+      name: this.name,
+      tokens: Math.round(this.tokens * 100) / 100,
+      exhausted: this.tokens < 1,
+      metrics: { ...this.metrics },
+      config: {
+        ratio: this.ratio,
+        minRetriesPerSecond: this.minRetriesPerSecond,
+        maxTokens: this.maxTokens
+      }
+    };
+  }
+}
+
+module.exports = {
+  RetryBudget
+};
@@ -0,0 +1,232 @@
+/**
+ * Priority and Fair-Share Task Queue
+ * 
+ * The waiting room behind a Bulkhead. Tasks carry a priority and an
+ * optional key (tenant, client, API key...). Dequeueing serves the highest
+ * priority first and, within a priority, rotates round-robin across keys,
+ * so one noisy caller cannot starve everyone else queued at that level.
+ * Tasks with the same priority and key are served in arrival order, or
+ * newest first when the caller asks for it (adaptive LIFO under overload).
+ */
+
+/**
+ * Named priorities (higher is served first)
+ */
+const Priorities = {
+  LOW: 0,
+  NORMAL: 1,
+  HIGH: 2,
+  CRITICAL: 3
+};
+
+/**
+ * Key used for tasks submitted without one
+ */
+const DEFAULT_KEY = 'default';
+
+/**
+ * Resolve a priority name or number
+ * @param {string|number} priority - Priority name or number
+ * @returns {number} Numeric priority
+ */
+function resolvePriority(priority) {
+  if (priority === undefined || priority === null) {
+    return Priorities.NORMAL;
+  }
+  
+  if (typeof priority === 'number') {
+    return priority;
+  }
+  
+  const value = Priorities[String(priority).toUpperCase()];
+  if (value === undefined) {
+    throw new Error(`Unknown task priority "${priority}"`);
+  }
+  return value;
+}
+
+/**
+ * Task Queue Implementation
+ */
+class TaskQueue {
+  constructor() {
+    // priority -> { keys: Map<key, task[]>, ring: key[], cursor }
+    this.levels = new Map();
+    this.size = 0;
+  }
+  
+  /**
+   * Number of queued tasks
+   */
+  get length() {
+    return this.size;
+  }
+  
+  /**
+   * Add a task; uses task.priority (number) and task.key
+   * @param {Object} task - Task to queue
+   */
+  push(task) {
+    const priority = task.priority;
+    const key = task.key;
+    
+    if (!this.levels.has(priority)) {
+      this.levels.set(priority, { keys: new Map(), ring: [], cursor: 0 });
+    }
+    
+    const level = this.levels.get(priority);
+    if (!level.keys.has(key)) {
+      level.keys.set(key, []);
+      level.ring.push(key);
+    }
+    
+    level.keys.get(key).push(task);
+    this.size++;
+  }
+  
+  /**
+   * Remove and return the next task to run
+   * @param {Object} options - Dequeue options
+   * @param {boolean} options.newestFirst - Take the newest task of the chosen key
+   * @returns {Object|undefined} Next task
+   */
+  shift(options = {}) {
+    const level = this.highestLevel();
+    if (!level) {
+      return undefined;
+    }
+    
+    const key = level.ring[level.cursor % level.ring.length];
+    const tasks = level.keys.get(key);
+    const task = options.newestFirst ? tasks.pop() : tasks.shift();
+    
+    if (level.keys.get(key).length === 0) {
+      this.removeKey(level, key);
+    } else {
+      level.cursor = (level.cursor + 1) % level.ring.length;
+    }
+    
+    this.size--;
+    return task;
+  }
+  
+  /**
+   * Remove a specific task (e.g. on queue timeout)
+   * @param {Object} task - Task to remove
+   * @returns {boolean} True if the task was queued
+   */
+  remove(task) {
+    const level = this.levels.get(task.priority);
+    const tasks = level && level.keys.get(task.key);
+    const index = tasks ? tasks.indexOf(task) : -1;
+    
+    if (index === -1) {
+      return false;
+    }
+    
+    tasks.splice(index, 1);
+    if (tasks.length === 0) {
+      this.removeKey(level, task.key);
+    }
+    
+    this.size--;
+    return true;
+  }
+  
+  /**
+   * Remove and return all tasks
+   * @returns {Array<Object>} Tasks in no particular order
+   */
+  clear() {
+    const tasks = this.toArray();
+    this.levels.clear();
+    this.size = 0;
+    return tasks;
+  }
+  
+  /**
+   * All queued tasks
+   * @returns {Array<Object>} Tasks, highest priority first
+   */
+  toArray() {
+    return this.sortedLevels().flatMap(([, level]) =>
+      Array.from(level.keys.values()).flat()
+    );
+  }
+  
+  /**
+   * Queue depth per key
+   * @returns {Object} key -> queued tasks
+   */
+  depthByKey() {
+    const depth = {};
+    this.levels.forEach(level => {
+      level.keys.forEach((tasks, key) => {
+        depth[key] = (depth[key] || 0) + tasks.length;
+      });
+    });
+    return depth;
+  }
+  
+  /**
+   * Queue depth per priority
+   * @returns {Object} priority -> queued tasks
+   */
+  depthByPriority() {
+    const depth = {};
+    this.levels.forEach((level, priority) => {
+      const name = Object.keys(Priorities).find(candidate => Priorities[candidate] === priority) || priority;
+      depth[name] = Array.from(level.keys.values()).reduce((sum, tasks) => sum + tasks.length, 0);
+    });
+    return depth;
+  }
+  
+  /**
+   * Levels, highest priority first
+   * @private
+   */
+  sortedLevels() {
+    return Array.from(this.levels.entries()).sort(([a], [b]) => b - a);
+  }
+  
+  /**
+   * Highest non-empty level
+   * @private
+   */
+  highestLevel() {
+    const [first] = this.sortedLevels();
+    return first ? first[1] : undefined;
+  }
+  
+  /**
+   * Drop an empty key from a level (and the level once it is empty)
+   * @private
+   */
+  removeKey(level, key) {
+    const index = level.ring.indexOf(key);
+    
+    level.keys.delete(key);
+    level.ring.splice(index, 1);
+    
+    // Keep the cursor on the key that followed the removed one
+    if (index < level.cursor) {
+      level.cursor--;
+    }
+    if (level.ring.length === 0) {
+      this.levels.forEach((candidate, priority) => {
+        if (candidate === level) {
+          this.levels.delete(priority);
+        }
+      });
+    } else {
+      level.cursor %= level.ring.length;
+    }
+  }
+}
+
+module.exports = {
+  TaskQueue,
+  Priorities,
+  DEFAULT_KEY,
+  resolvePriority
+};
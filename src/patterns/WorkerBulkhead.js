@@ -0,0 +1,290 @@
+/**
+ * Worker Bulkhead Pattern Implementation
+ *
+ * A Bulkhead whose tasks run on a pool of worker threads instead of the
+ * event loop. CPU-heavy work (report generation, aggregation) then cannot
+ * block request handling for everything else in the service.
+ *
+ * Queueing, priorities, queue disciplines, adaptive limits and metrics
+ * are inherited from Bulkhead; on top of that this implementation provides:
+ * - A lazily grown pool of at most `maxConcurrent` worker threads
+ * - Tasks named by export: `execute('taskName', ...args)` calls
+ *   `require(script).taskName(...args)` in a worker; arguments and results
+ *   must survive the structured clone
+ * - Hard timeouts: a task that overruns is stopped by terminating its
+ *   worker, which is replaced on the next task
+ * - Crash isolation: a worker that dies mid-task fails that task with
+ *   code WORKER_CRASHED instead of taking the service down
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const logger = require('../utils/logger');
+const { Bulkhead, TaskStatus } = require('./Bulkhead');
+
+const RUNNER_PATH = path.join(__dirname, 'workerTaskRunner.js');
+
+class WorkerBulkhead extends Bulkhead {
+  /**
+   * Create a new Worker Bulkhead instance
+   * @param {Object} options - Configuration options; everything Bulkhead accepts, plus:
+   * @param {string} options.script - Absolute path of the module whose exports are the tasks
+   * @param {Object} options.resourceLimits - Per-worker heap limits (see worker_threads)
+   */
+  constructor(options = {}) {
+    if (!options.script) {
+      throw new Error(`WorkerBulkhead ${options.name || 'WorkerBulkhead'}: a task script is required`);
+    }
+    
+    super({ name: 'WorkerBulkhead', ...options });
+    
+    this.script = options.script;
+    this.resourceLimits = options.resourceLimits;
+    
+    // Worker pool
+    this.workers = new Set();
+    this.idleWorkers = [];
+    
+    this.metrics.totalWorkersStarted = 0;
+    this.metrics.totalWorkersTerminated = 0; // stopped on timeout or cancellation
+    this.metrics.totalWorkerCrashes = 0;
+  }
+  
+  /**
+   * Run a task on a worker thread
+   * @param {string} taskName - Name of the task exported by the script
+   * @param {...any} args - Arguments passed to the task (structured-cloned)
+   * @returns {Promise<any>} - Result of the task
+   */
+  async execute(taskName, ...args) {
+    return this.executeWithOptions(taskName, {}, ...args);
+  }
+  
+  /**
+   * Run a task on a worker thread with a priority and a fair-share key
+   * @param {string} taskName - Name of the task exported by the script
+   * @param {Object} options - Task options (see Bulkhead.executeWithOptions)
+   * @param {...any} args - Arguments passed to the task (structured-cloned)
+   * @returns {Promise<any>} - Result of the task
+   */
+  async executeWithOptions(taskName, options = {}, ...args) {
+    if (typeof taskName !== 'string') {
+      throw new TypeError(`WorkerBulkhead ${this.name}: tasks are referenced by export name`);
+    }
+    
+    return super.executeWithOptions(taskName, options, ...args);
+  }
+  
+  /**
+   * Run a task on an idle worker; timeouts and cancellation terminate it
+   * @private
+   */
+  executeWithTimeout(task) {
+    return new Promise((resolve, reject) => {
+      const signal = task.controller.signal;
+      
+      if (signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      
+      const worker = this.acquireWorker();
+      let timeoutId = null;
+      
+      const settle = (error, result) => {
+        clearTimeout(timeoutId);
+        signal.removeEventListener('abort', onAbort);
+        worker.off('message', onMessage);
+        worker.off('error', onError);
+        worker.off('exit', onExit);
+        
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      };
+      
+      const onMessage = (message) => {
+        if (message.id !== task.id) {
+          return;
+        }
+        
+        this.releaseWorker(worker);
+        settle(message.error ? this.deserializeError(message.error) : null, message.result);
+      };
+      
+      const onError = (error) => {
+        settle(this.createCrashError(task, error.message));
+      };
+      
+      const onExit = (code) => {
+        settle(this.createCrashError(task, `worker exited with code ${code}`));
+      };
+      
+      const onAbort = () => {
+        this.metrics.totalWorkersTerminated++;
+        logger.warn(`WorkerBulkhead ${this.name} terminating worker running task ${task.id}`, {
+          reason: signal.reason && signal.reason.message
+        });
+        this.discardWorker(worker);
+        settle(signal.reason);
+      };
+      
+      timeoutId = setTimeout(() => {
+        task.status = TaskStatus.TIMEOUT;
+        task.controller.abort(
+          new Error(`Bulkhead ${this.name}: Task ${task.id} timeout after ${this.timeout}ms`)
+        );
+      }, this.timeout);
+      
+      signal.addEventListener('abort', onAbort, { once: true });
+      worker.on('message', onMessage);
+      worker.once('error', onError);
+      worker.once('exit', onExit);
+      
+      worker.postMessage({ id: task.id, taskName: task.fn, args: task.args });
+    });
+  }
+  
+  /**
+   * Take an idle worker, starting a new one if none is free
+   * @private
+   */
+  acquireWorker() {
+    const worker = this.idleWorkers.pop() || this.startWorker();
+    worker.ref();
+    return worker;
+  }
+  
+  /**
+   * Return a worker to the pool, or stop it if the pool shrank
+   * @private
+   */
+  releaseWorker(worker) {
+    if (this.idleWorkers.length >= this.maxConcurrent) {
+      this.discardWorker(worker);
+      return;
+    }
+    
+    // Idle workers must not keep the process alive
+    worker.unref();
+    this.idleWorkers.push(worker);
+  }
+  
+  /**
+   * Start a worker thread
+   * @private
+   */
+  startWorker() {
+    const worker = new Worker(RUNNER_PATH, {
+      workerData: { script: this.script },
+      resourceLimits: this.resourceLimits
+    });
+    
+    // Crashes while running a task fail that task through its own listeners;
+    // these keep the pool consistent whenever a worker goes away
+    worker.on('error', (error) => {
+      logger.error(`WorkerBulkhead ${this.name} worker crashed`, {
+        threadId: worker.threadId,
+        error: error.message
+      });
+    });
+    worker.on('exit', () => this.removeWorker(worker));
+    
+    this.workers.add(worker);
+    this.metrics.totalWorkersStarted++;
+    
+    logger.debug(`WorkerBulkhead ${this.name} started worker ${worker.threadId}`, {
+      poolSize: this.workers.size
+    });
+    
+    return worker;
+  }
+  
+  /**
+   * Terminate a worker and drop it from the pool
+   * @private
+   */
+  discardWorker(worker) {
+    this.removeWorker(worker);
+    worker.terminate().catch(error => {
+      logger.warn(`WorkerBulkhead ${this.name} failed to terminate worker`, { error: error.message });
+    });
+  }
+  
+  /**
+   * Forget a worker that exited or was terminated
+   * @private
+   */
+  removeWorker(worker) {
+    this.workers.delete(worker);
+    
+    const index = this.idleWorkers.indexOf(worker);
+    if (index !== -1) {
+      this.idleWorkers.splice(index, 1);
+    }
+  }
+  
+  /**
+   * Rebuild an error posted back by a worker
+   * @private
+   */
+  deserializeError(serialized) {
+    const error = new Error(serialized.message);
+    
+    ['name', 'stack', 'code', 'statusCode', 'retryable'].forEach(field => {
+      if (serialized[field] !== undefined) {
+        error[field] = serialized[field];
+      }
+    });
+    
+    return error;
+  }
+  
+  /**
+   * Error for a task whose worker died under it
+   * @private
+   */
+  createCrashError(task, reason) {
+    this.metrics.totalWorkerCrashes++;
+    
+    const error = new Error(`Bulkhead ${this.name}: worker crashed running task ${task.id}: ${reason}`);
+    error.code = 'WORKER_CRASHED';
+    return error;
+  }
+  
+  /**
+   * Get current worker bulkhead status
+   * @returns {Object} Bulkhead status plus the worker pool
+   */
+  getStatus() {
+    const status = super.getStatus();
+    
+    return {
+      ...status,
+      workers: {
+        total: this.workers.size,
+        idle: this.idleWorkers.length,
+        busy: this.workers.size - this.idleWorkers.length
+      },
+      config: {
+        ...status.config,
+        script: this.script
+      }
+    };
+  }
+  
+  /**
+   * Destroy the bulkhead, terminating every worker
+   */
+  destroy() {
+    super.destroy();
+    
+    Array.from(this.workers).forEach(worker => this.discardWorker(worker));
+  }
+}
+
+module.exports = {
+  WorkerBulkhead
+};
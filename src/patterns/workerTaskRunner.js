@@ -0,0 +1,46 @@
+/**
+ * Worker thread entry point for WorkerBulkhead
+ *
+ * Loads the task module named in `workerData.script` once, then runs one
+ * task per message: `{ id, taskName, args }` calls the exported function
+ * `taskName(...args)` and posts back `{ id, result }` or `{ id, error }`.
+ * Only errors thrown by a task are reported this way; anything that kills
+ * the thread surfaces in the parent as a worker crash.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+
+const tasks = require(workerData.script);
+
+/**
+ * Copy the fields of an error that survive the structured clone
+ * @param {Error} error - Error thrown by a task
+ * @returns {Object} Plain error description
+ */
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return { name: 'Error', message: String(error) };
+  }
+  
+  return {
+    name: error.name,
+    message: error.message,
+    stack: error.stack,
+    code: error.code,
+    statusCode: error.statusCode,
+    retryable: error.retryable
+  };
+}
+
+parentPort.on('message', async ({ id, taskName, args }) => {
+  try {
+    if (typeof tasks[taskName] !== 'function') {
+      throw new Error(`Unknown worker task "${taskName}"`);
+    }
+    
+    const result = await tasks[taskName](...args);
+    parentPort.postMessage({ id, result });
+  } catch (error) {
+    parentPort.postMessage({ id, error: serializeError(error) });
+  }
+});
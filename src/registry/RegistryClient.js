@@ -0,0 +1,115 @@
+/**
+ * Registry clients
+ *
+ * Services talk to the registry through a client so the same code works
+ * whether the registry lives in the same process (LocalRegistryClient) or
+ * behind the monitor's HTTP API (HttpRegistryClient). Both expose the same
+ * async interface:
+ * - register(registration) -> instance
+ * - heartbeat(id) -> instance; rejects with code INSTANCE_NOT_FOUND when
+ *   the registry no longer knows the instance
+ * - deregister(id)
+ * - getServices() -> { name: [instance] }
+ */
+
+const axios = require('axios');
+
+/**
+ * Error for a heartbeat the registry did not recognise
+ * @private
+ */
+function instanceNotFound(id) {
+  const error = new Error(`Instance ${id} is not registered`);
+  error.code = 'INSTANCE_NOT_FOUND';
+  return error;
+}
+
+/**
+ * Client for a ServiceRegistry in the same process
+ */
+class LocalRegistryClient {
+  /**
+   * @param {ServiceRegistry} registry - Registry to use
+   */
+  constructor(registry) {
+    this.registry = registry;
+  }
+  
+  async register(registration) {
+    return this.registry.register(registration);
+  }
+  
+  async heartbeat(id) {
+    const instance = this.registry.heartbeat(id);
+    if (!instance) {
+      throw instanceNotFound(id);
+    }
+    
+    return instance;
+  }
+  
+  async deregister(id) {
+    this.registry.deregister(id);
+  }
+  
+  async getServices() {
+    return this.registry.getServices();
+  }
+}
+
+/**
+ * Client for a registry served over HTTP by ServiceRegistry#createRouter
+ */
+class HttpRegistryClient {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} options.url - Base URL of the registry API (e.g. http://localhost:3005/registry)
+   * @param {number} options.timeout - Request timeout (ms)
+   */
+  constructor(options = {}) {
+    if (!options.url) {
+      throw new Error('HttpRegistryClient: a registry URL is required');
+    }
+    
+    this.url = options.url.replace(/\/$/, '');
+    this.timeout = options.timeout || 2000;
+  }
+  
+  async register(registration) {
+    const response = await axios.post(`${this.url}/instances`, registration, { timeout: this.timeout });
+    return response.data.instance;
+  }
+  
+  async heartbeat(id) {
+    try {
+      const response = await axios.put(`${this.url}/instances/${id}/heartbeat`, null, { timeout: this.timeout });
+      return response.data.instance;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        throw instanceNotFound(id);
+      }
+      throw error;
+    }
+  }
+  
+  async deregister(id) {
+    try {
+      await axios.delete(`${this.url}/instances/${id}`, { timeout: this.timeout });
+    } catch (error) {
+      // Already gone (expired, or the registry restarted)
+      if (!error.response || error.response.status !== 404) {
+        throw error;
+      }
+    }
+  }
+  
+  async getServices() {
+    const response = await axios.get(`${this.url}/services`, { timeout: this.timeout });
+    return response.data.services;
+  }
+}
+
+module.exports = {
+  LocalRegistryClient,
+  HttpRegistryClient
+};
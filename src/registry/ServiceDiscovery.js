@@ -0,0 +1,165 @@
+/**
+ * Service Discovery
+ *
+ * Resolves service names to live instances for callers such as the gateway
+ * and the monitor. The instance list is fetched from the registry every
+ * `refreshInterval` and served from memory in between, so resolving costs
+ * nothing per request. Expired instances disappear on the next refresh.
+ *
+ * While the registry cannot be reached (not started yet, or down) lookups
+ * fall back to the static URLs from configuration, so services can still be
+ * run without the monitor.
+ */
+
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+
+class ServiceDiscovery extends EventEmitter {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} options.name - Name used in logs
+   * @param {Object} options.client - Registry client (LocalRegistryClient or HttpRegistryClient)
+   * @param {number} options.refreshInterval - How often the instance list is fetched (ms)
+   * @param {Object} options.staticUrls - `{ serviceName: url }` used while the registry is unreachable
+   */
+  constructor(options = {}) {
+    super();
+    
+    if (!options.client) {
+      throw new Error('ServiceDiscovery: a registry client is required');
+    }
+    
+    this.name = options.name || 'ServiceDiscovery';
+    this.client = options.client;
+    this.refreshInterval = options.refreshInterval || 5000;
+    this.staticUrls = options.staticUrls || {};
+    
+    this.services = {};
+    this.reachable = false;
+    this.lastRefresh = null;
+    this.lastError = null;
+    this.refreshTimer = null;
+  }
+  
+  /**
+   * Fetch the instance list now and keep it fresh
+   * @returns {Promise<boolean>} True if the registry was reached
+   */
+  async start() {
+    this.refreshTimer = setInterval(() => this.refresh(), this.refreshInterval);
+    return this.refresh();
+  }
+  
+  /**
+   * Fetch the instance list from the registry
+   * @returns {Promise<boolean>} True if the registry was reached
+   */
+  async refresh() {
+    let services;
+    
+    try {
+      services = await this.client.getServices();
+    } catch (error) {
+      if (this.reachable || this.lastError !== error.message) {
+        logger.warn(`Discovery ${this.name}: registry unreachable, using static URLs`, {
+          error: error.message
+        });
+      }
+      
+      this.reachable = false;
+      this.lastError = error.message;
+      return false;
+    }
+    
+    const previous = this.services;
+    this.services = services;
+    this.reachable = true;
+    this.lastError = null;
+    this.lastRefresh = Date.now();
+    
+    this.reportChanges(previous, services);
+    return true;
+  }
+  
+  /**
+   * Emit `instancesChanged` for every service whose instances changed
+   * @private
+   */
+  reportChanges(previous, current) {
+    const names = new Set([...Object.keys(previous), ...Object.keys(current)]);
+    
+    names.forEach(name => {
+      const before = new Set((previous[name] || []).map(instance => instance.id));
+      const after = new Set((current[name] || []).map(instance => instance.id));
+      
+      const added = (current[name] || []).filter(instance => !before.has(instance.id));
+      const removed = (previous[name] || []).filter(instance => !after.has(instance.id));
+      
+      if (added.length === 0 && removed.length === 0) {
+        return;
+      }
+      
+      logger.info(`Discovery ${this.name}: ${name} instances changed`, {
+        added: added.map(instance => instance.url),
+        removed: removed.map(instance => instance.url),
+        instances: after.size
+      });
+      
+      this.emit('instancesChanged', { service: name, added, removed, instances: current[name] || [] });
+    });
+  }
+  
+  /**
+   * Live instances of a service
+   * @param {string} name - Service name
+   * @returns {Array<Object>} Instances; a single static entry while the registry is unreachable
+   */
+  getInstances(name) {
+    if (!this.reachable) {
+      return this.staticUrls[name] ? [{ name, url: this.staticUrls[name], static: true }] : [];
+    }
+    
+    return this.services[name] || [];
+  }
+  
+  /**
+   * URL to call a service at
+   * @param {string} name - Service name
+   * @returns {string|null} URL, or null if no instance is live
+   */
+  resolve(name) {
+    const [instance] = this.getInstances(name);
+    return instance ? instance.url : null;
+  }
+  
+  /**
+   * Get discovery status
+   * @returns {Object} Status information
+   */
+  getStatus() {
+    const services = {};
+    Object.keys({ ...this.staticUrls, ...this.services }).forEach(name => {
+      services[name] = this.getInstances(name);
+    });
+    
+    return {
+      name: this.name,
+      source: this.reachable ? 'registry' : 'static',
+      lastRefresh: this.lastRefresh ? new Date(this.lastRefresh).toISOString() : null,
+      lastError: this.lastError,
+      services
+    };
+  }
+  
+  /**
+   * Stop refreshing
+   */
+  stop() {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+}
+
+module.exports = {
+  ServiceDiscovery
+};
@@ -0,0 +1,144 @@
+/**
+ * Service Registration
+ *
+ * Keeps one service instance registered: registers on start, renews the
+ * lease with a heartbeat every `heartbeatInterval`, and registers again
+ * whenever the registry has forgotten the instance (lease expired, registry
+ * restarted) or could not be reached. Deregisters on stop so callers stop
+ * routing to the instance before it goes away.
+ */
+
+const logger = require('../utils/logger');
+
+class ServiceRegistration {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {Object} options.client - Registry client (LocalRegistryClient or HttpRegistryClient)
+   * @param {Object} options.instance - `{ name, version, url, metadata }` to register
+   * @param {number} options.heartbeatInterval - Lease renewal interval (ms)
+   */
+  constructor(options = {}) {
+    if (!options.client || !options.instance) {
+      throw new Error('ServiceRegistration: a registry client and an instance are required');
+    }
+    
+    this.client = options.client;
+    this.instance = options.instance;
+    this.heartbeatInterval = options.heartbeatInterval || 5000;
+    
+    this.instanceId = null;
+    this.heartbeatTimer = null;
+    this.lastError = null;
+  }
+  
+  /**
+   * Register and start sending heartbeats. Never rejects: a registry that is
+   * down is retried on the next heartbeat
+   * @returns {Promise<boolean>} True if the first registration succeeded
+   */
+  async start() {
+    this.heartbeatTimer = setInterval(() => this.renew(), this.heartbeatInterval);
+    return this.register();
+  }
+  
+  /**
+   * @private
+   */
+  async register() {
+    try {
+      const registered = await this.client.register(this.instance);
+      this.instanceId = registered.id;
+      this.lastError = null;
+      
+      logger.info(`${this.instance.name} registered with the service registry`, {
+        instanceId: this.instanceId,
+        url: this.instance.url
+      });
+      return true;
+    } catch (error) {
+      this.instanceId = null;
+      this.reportError('Service registration failed', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Send a heartbeat, or register again if the registry lost the instance
+   * @private
+   */
+  async renew() {
+    if (!this.instanceId) {
+      return this.register();
+    }
+    
+    try {
+      await this.client.heartbeat(this.instanceId);
+      this.lastError = null;
+    } catch (error) {
+      if (error.code === 'INSTANCE_NOT_FOUND') {
+        logger.warn(`${this.instance.name} was dropped by the service registry, registering again`, {
+          instanceId: this.instanceId
+        });
+        return this.register();
+      }
+      
+      this.reportError('Service registry heartbeat failed', error);
+    }
+  }
+  
+  /**
+   * Log a registry error once, not on every heartbeat while it stays down
+   * @private
+   */
+  reportError(message, error) {
+    if (this.lastError !== error.message) {
+      logger.warn(message, {
+        service: this.instance.name,
+        error: error.message
+      });
+    }
+    
+    this.lastError = error.message;
+  }
+  
+  /**
+   * Stop sending heartbeats and deregister
+   */
+  async stop() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    
+    if (!this.instanceId) {
+      return;
+    }
+    
+    try {
+      await this.client.deregister(this.instanceId);
+    } catch (error) {
+      // The lease runs out on its own
+      logger.warn('Service deregistration failed', {
+        service: this.instance.name,
+        error: error.message
+      });
+    }
+    
+    this.instanceId = null;
+  }
+  
+  /**
+   * Get registration status
+   * @returns {Object} Status information
+   */
+  getStatus() {
+    return {
+      registered: this.instanceId !== null,
+      instanceId: this.instanceId,
+      ...this.instance,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = {
+  ServiceRegistration
+};
@@ -0,0 +1,312 @@
+/**
+ * Service Registry
+ *
+ * Keeps track of which service instances are running and where:
+ * - Instances register themselves with a name, version, URL and metadata
+ * - Registrations are leases: an instance that misses heartbeats for
+ *   `heartbeatTimeout` is expired and dropped
+ * - Lookups only ever return live instances
+ * - `createRouter()` serves the registry over HTTP (the monitor mounts it
+ *   at `/registry`) for services in other processes
+ */
+
+const EventEmitter = require('events');
+const express = require('express');
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+
+/**
+ * Registration payload
+ */
+const registrationSchema = Joi.object({
+  name: Joi.string().required(),
+  version: Joi.string().default('unknown'),
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+  metadata: Joi.object().default({})
+});
+
+class ServiceRegistry extends EventEmitter {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} options.name - Name of the registry
+   * @param {number} options.heartbeatTimeout - Lease length; instances not heard from for this long expire (ms)
+   * @param {number} options.sweepInterval - How often expired instances are dropped (ms)
+   */
+  constructor(options = {}) {
+    super();
+    
+    this.name = options.name || 'ServiceRegistry';
+    this.heartbeatTimeout = options.heartbeatTimeout || 15000;
+    this.sweepInterval = options.sweepInterval || Math.max(1000, Math.floor(this.heartbeatTimeout / 3));
+    
+    // Instances by id
+    this.instances = new Map();
+    
+    this.metrics = {
+      registrations: 0,
+      deregistrations: 0,
+      expirations: 0,
+      heartbeats: 0
+    };
+    
+    this.sweepTimer = setInterval(() => this.sweep(), this.sweepInterval);
+  }
+  
+  /**
+   * Register an instance. An instance registering again with the same URL
+   * replaces its previous registration
+   * @param {Object} registration - `{ name, version, url, metadata }`
+   * @returns {Object} The registered instance, with its `id`
+   */
+  register(registration) {
+    const { error, value } = registrationSchema.validate(registration);
+    if (error) {
+      throw new Error(`Invalid registration: ${error.message}`);
+    }
+    
+    const previous = this.findByUrl(value.name, value.url);
+    if (previous) {
+      this.instances.delete(previous.id);
+    }
+    
+    const now = Date.now();
+    const instance = {
+      id: uuidv4(),
+      ...value,
+      registeredAt: now,
+      lastHeartbeat: now
+    };
+    
+    this.instances.set(instance.id, instance);
+    this.metrics.registrations++;
+    
+    logger.info(`Registry ${this.name}: ${instance.name} registered`, {
+      instanceId: instance.id,
+      version: instance.version,
+      url: instance.url,
+      replaced: previous ? previous.id : undefined
+    });
+    
+    this.emit('registered', this.describe(instance));
+    return this.describe(instance);
+  }
+  
+  /**
+   * Renew an instance's lease
+   * @param {string} id - Instance id
+   * @returns {Object|null} The instance, or null if it is not registered
+   *   (never was, deregistered or expired) and has to register again
+   */
+  heartbeat(id) {
+    const instance = this.instances.get(id);
+    if (!instance) {
+      return null;
+    }
+    
+    instance.lastHeartbeat = Date.now();
+    this.metrics.heartbeats++;
+    
+    return this.describe(instance);
+  }
+  
+  /**
+   * Remove an instance, e.g. when it shuts down
+   * @param {string} id - Instance id
+   * @returns {boolean} True if the instance was registered
+   */
+  deregister(id) {
+    const instance = this.instances.get(id);
+    if (!instance) {
+      return false;
+    }
+    
+    this.instances.delete(id);
+    this.metrics.deregistrations++;
+    
+    logger.info(`Registry ${this.name}: ${instance.name} deregistered`, {
+      instanceId: id,
+      url: instance.url
+    });
+    
+    this.emit('deregistered', this.describe(instance));
+    return true;
+  }
+  
+  /**
+   * Drop every instance whose lease has run out
+   * @returns {Array<Object>} Expired instances
+   */
+  sweep() {
+    const expired = [];
+    
+    this.instances.forEach(instance => {
+      if (this.isExpired(instance)) {
+        this.instances.delete(instance.id);
+        this.metrics.expirations++;
+        expired.push(this.describe(instance));
+      }
+    });
+    
+    expired.forEach(instance => {
+      logger.warn(`Registry ${this.name}: ${instance.name} expired`, {
+        instanceId: instance.id,
+        url: instance.url,
+        lastHeartbeat: instance.lastHeartbeat
+      });
+      
+      this.emit('expired', instance);
+    });
+    
+    return expired;
+  }
+  
+  /**
+   * Live instances of a service, oldest registration first
+   * @param {string} name - Service name
+   * @returns {Array<Object>} Instances
+   */
+  getInstances(name) {
+    return Array.from(this.instances.values())
+      .filter(instance => instance.name === name && !this.isExpired(instance))
+      .sort((a, b) => a.registeredAt - b.registeredAt)
+      .map(instance => this.describe(instance));
+  }
+  
+  /**
+   * Live instances of every service
+   * @returns {Object} Instances keyed by service name
+   */
+  getServices() {
+    const services = {};
+    
+    Array.from(this.instances.values())
+      .filter(instance => !this.isExpired(instance))
+      .sort((a, b) => a.registeredAt - b.registeredAt)
+      .forEach(instance => {
+        services[instance.name] = services[instance.name] || [];
+        services[instance.name].push(this.describe(instance));
+      });
+    
+    return services;
+  }
+  
+  /**
+   * @private
+   */
+  findByUrl(name, url) {
+    return Array.from(this.instances.values())
+      .find(instance => instance.name === name && instance.url === url);
+  }
+  
+  /**
+   * @private
+   */
+  isExpired(instance) {
+    return Date.now() - instance.lastHeartbeat > this.heartbeatTimeout;
+  }
+  
+  /**
+   * Public view of an instance
+   * @private
+   */
+  describe(instance) {
+    return {
+      id: instance.id,
+      name: instance.name,
+      version: instance.version,
+      url: instance.url,
+      metadata: instance.metadata,
+      registeredAt: new Date(instance.registeredAt).toISOString(),
+      lastHeartbeat: new Date(instance.lastHeartbeat).toISOString()
+    };
+  }
+  
+  /**
+   * Get registry status
+   * @returns {Object} Status information
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      instances: this.instances.size,
+      services: this.getServices(),
+      metrics: { ...this.metrics },
+      config: {
+        heartbeatTimeout: this.heartbeatTimeout,
+        sweepInterval: this.sweepInterval
+      }
+    };
+  }
+  
+  /**
+   * HTTP API for services in other processes (see HttpRegistryClient)
+   * @returns {express.Router} Router
+   */
+  createRouter() {
+    const router = express.Router();
+    
+    router.post('/instances', (req, res) => {
+      try {
+        res.status(201).json({ instance: this.register(req.body) });
+      } catch (error) {
+        res.status(400).json({
+          error: 'Invalid registration',
+          message: error.message
+        });
+      }
+    });
+    
+    router.put('/instances/:id/heartbeat', (req, res) => {
+      const instance = this.heartbeat(req.params.id);
+      
+      if (!instance) {
+        return res.status(404).json({
+          error: `Unknown instance "${req.params.id}"`,
+          message: 'Register again'
+        });
+      }
+      
+      res.json({ instance });
+    });
+    
+    router.delete('/instances/:id', (req, res) => {
+      if (!this.deregister(req.params.id)) {
+        return res.status(404).json({
+          error: `Unknown instance "${req.params.id}"`
+        });
+      }
+      
+      res.status(204).end();
+    });
+    
+    router.get('/services', (req, res) => {
+      res.json({
+        timestamp: new Date().toISOString(),
+        services: this.getServices()
+      });
+    });
+    
+    router.get('/services/:name', (req, res) => {
+      res.json({
+        timestamp: new Date().toISOString(),
+        service: req.params.name,
+        instances: this.getInstances(req.params.name)
+      });
+    });
+    
+    return router;
+  }
+  
+  /**
+   * Stop sweeping for expired instances
+   */
+  destroy() {
+    clearInterval(this.sweepTimer);
+    this.removeAllListeners();
+  }
+}
+
+module.exports = {
+  ServiceRegistry
+};
@@ -0,0 +1,20 @@
+/**
+ * Service registry and discovery
+ *
+ * The monitor hosts the ServiceRegistry and serves it at `/registry`.
+ * Services keep themselves registered with a ServiceRegistration, and the
+ * gateway and monitor find them through ServiceDiscovery.
+ */
+
+const { ServiceRegistry } = require('./ServiceRegistry');
+const { LocalRegistryClient, HttpRegistryClient } = require('./RegistryClient');
+const { ServiceRegistration } = require('./ServiceRegistration');
+const { ServiceDiscovery } = require('./ServiceDiscovery');
+
+module.exports = {
+  ServiceRegistry,
+  LocalRegistryClient,
+  HttpRegistryClient,
+  ServiceRegistration,
+  ServiceDiscovery
+};
@@ -0,0 +1,722 @@
+/**
+ * Base Service
+ *
+ * Shared wiring for the downstream microservices (user, order, payment,
+ * notification). A service extends BaseService and declares its state,
+ * routes and handlers; the base class provides:
+ * - AutoRecovery configured from the service's config
+ * - Request-ID, request logging and request metrics middleware
+ * - `/health` plus the `/health/live`, `/health/ready` and `/health/startup`
+ *   probes, and `/metrics`
+ * - Chaos hooks: simulated latency and failures, `/simulate/failure` and
+ *   `/simulate/recovery`
+ * - Route handlers with uniform error responses
+ * - `start()` and graceful `shutdown()`: registering with the service
+ *   registry, draining in-flight requests, a `stateStore` for pending work,
+ *   and a shutdown report to the monitor
+ *
+ * Subclasses set up their state in `initialize()`, which runs before any
+ * route is registered, and their routes in `setupRoutes()`.
+ */
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { AutoRecovery } = require('../patterns/AutoRecovery');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { HealthRegistry, recoveryCheck } = require('../utils/healthRegistry');
+const { InFlightTracker, closeServer, reportShutdown } = require('../utils/shutdown');
+const { StateStore } = require('../utils/stateStore');
+const { HttpRegistryClient, ServiceRegistration } = require('../registry');
+const { isRecordableFailure, isRetryableError } = require('../utils/errorClassification');
+
+class BaseService {
+  /**
+   * Create a service
+   * @param {Object} options - Configuration options
+   * @param {string} options.name - Config key of the service (e.g. 'user')
+   * @param {string} options.displayName - Name used in log and error messages (e.g. 'User')
+   * @param {Object} options.processingTime - Default simulated latency `{ min, max }` (ms)
+   * @param {number} options.slowRequestFactor - Multiplier for the configured slow request delay
+   * @param {number} options.healthCheckDelay - Simulated cost of a full health check (ms)
+   * @param {number} options.recoveryDelay - Simulated duration of recovery actions (ms)
+   * @param {number} options.failureSimulationDuration - How long `/simulate/failure` lasts (ms)
+   * @param {Object} options.recovery - AutoRecovery options overriding the configured ones
+   */
+  constructor(options = {}) {
+    if (!options.name) {
+      throw new Error('BaseService: a service name is required');
+    }
+    
+    this.name = options.name;
+    this.serviceName = `${options.name}-service`;
+    this.displayName = options.displayName || options.name;
+    
+    this.app = express();
+    this.config = config.getServiceConfig(options.name);
+    this.logger = logger.createChild({ service: this.serviceName });
+    
+    this.processingTime = options.processingTime || { min: 100, max: 300 };
+    this.slowRequestFactor = options.slowRequestFactor || 1;
+    this.healthCheckDelay = options.healthCheckDelay || 100;
+    this.recoveryDelay = options.recoveryDelay || 2000;
+    this.failureSimulationDuration = options.failureSimulationDuration || 30000;
+    
+    // Chaos state
+    this.isHealthy = true;
+    this.simulateFailures = false;
+    this.failureSimulationTimer = null;
+    
+    // Request metrics
+    this.metrics = {
+      totalRequests: 0,
+      successfulRequests: 0,
+      clientErrors: 0,
+      serverErrors: 0,
+      averageResponseTime: 0
+    };
+    
+    this.recovery = new AutoRecovery({
+      name: `${this.serviceName}-recovery`,
+      maxRetries: this.config.autoRecovery.maxRetries,
+      initialDelay: this.config.autoRecovery.initialDelay,
+      maxDelay: this.config.autoRecovery.maxDelay,
+      backoffMultiplier: this.config.autoRecovery.backoffMultiplier,
+      backoffStrategy: this.config.autoRecovery.backoffStrategy,
+      healthCheckInterval: this.config.autoRecovery.healthCheckInterval,
+      failureThreshold: this.config.autoRecovery.failureThreshold,
+      recoveryThreshold: this.config.autoRecovery.recoveryThreshold,
+      healthCheck: () => this.performHealthCheck(),
+      onRecover: (error) => this.performRecovery(error),
+      shouldRetry: isRetryableError,
+      recordFailure: isRecordableFailure,
+      ...options.recovery
+    });
+    
+    this.health = new HealthRegistry({ service: this.serviceName });
+    
+    // Graceful shutdown: in-flight requests and work saved across restarts
+    this.inFlight = new InFlightTracker();
+    this.shuttingDown = false;
+    // One file per instance: copies of a service on other ports must not
+    // restore or clear each other's pending work
+    this.stateStore = new StateStore({
+      dir: this.config.shutdown.stateDir,
+      name: `${this.serviceName}-${this.config.port}`
+    });
+    
+    // Service registry entry, created once the server is listening
+    this.registration = null;
+    
+    this.initialize();
+    
+    this.setupMiddleware();
+    this.setupHealthChecks();
+    this.setupStandardRoutes();
+    this.setupRoutes();
+    this.setupChaosRoutes();
+    this.setupErrorHandling();
+    this.setupRecoveryListeners();
+  }
+  
+  /**
+   * Set up service state; runs before middleware and routes are registered
+   */
+  initialize() {}
+  
+  /**
+   * Register the service's routes
+   */
+  setupRoutes() {}
+  
+  /**
+   * Setup Express middleware
+   */
+  setupMiddleware() {
+    // Request ID, logging and metrics; ahead of body parsing so parse
+    // errors carry the request ID too
+    this.app.use((req, res, next) => {
+      req.id = req.get('X-Request-ID') || uuidv4();
+      req.startTime = Date.now();
+      res.set('X-Request-ID', req.id);
+      
+      this.logger.info(`${this.displayName} service request`, {
+        requestId: req.id,
+        method: req.method,
+        url: req.url,
+        userAgent: req.get('User-Agent'),
+        forwardedFor: req.get('X-Forwarded-For')
+      });
+      
+      res.on('finish', () => {
+        this.recordRequest(res.statusCode, Date.now() - req.startTime);
+      });
+      
+      next();
+    });
+    
+    // Turns requests away once shutdown has started
+    this.app.use(this.inFlight.middleware());
+    
+    this.app.use(express.json());
+  }
+  
+  /**
+   * Register the checks behind /health/live, /health/ready and /health/startup.
+   * Subclasses add their own checks after calling this
+   */
+  setupHealthChecks() {
+    this.health.register({
+      name: 'service',
+      timeout: 500,
+      check: async () => {
+        if (!this.isServiceHealthy()) {
+          throw new Error(`${this.displayName} service is currently unhealthy`);
+        }
+        
+        return this.getReadinessDetails();
+      }
+    });
+    
+    this.health.register(recoveryCheck('recovery', this.recovery));
+  }
+  
+  /**
+   * Health and metrics endpoints
+   * @private
+   */
+  setupStandardRoutes() {
+    // Liveness, readiness and startup probes
+    this.health.mount(this.app);
+    
+    // Detailed health check
+    this.app.get('/health', async (req, res) => {
+      try {
+        const healthStatus = await this.performHealthCheck();
+        res.json({
+          status: 'healthy',
+          service: this.serviceName,
+          timestamp: new Date().toISOString(),
+          details: healthStatus,
+          recovery: this.recovery.getStatus(),
+          registration: this.registration ? this.registration.getStatus() : null,
+          ...this.getHealthExtras()
+        });
+      } catch (error) {
+        res.status(503).json({
+          status: 'unhealthy',
+          service: this.serviceName,
+          timestamp: new Date().toISOString(),
+          error: error.message,
+          recovery: this.recovery.getStatus(),
+          ...this.getHealthExtras()
+        });
+      }
+    });
+    
+    this.app.get('/metrics', (req, res) => {
+      res.json({
+        service: this.serviceName,
+        timestamp: new Date().toISOString(),
+        metrics: this.getMetrics()
+      });
+    });
+  }
+  
+  /**
+   * Failure injection endpoints
+   * @private
+   */
+  setupChaosRoutes() {
+    this.app.post('/simulate/failure', (req, res) => {
+      const duration = (req.body && req.body.duration) || this.failureSimulationDuration;
+      this.simulateFailure(duration);
+      
+      res.json({ message: 'Failure simulation started', duration });
+    });
+    
+    this.app.post('/simulate/recovery', (req, res) => {
+      this.simulateRecovery();
+      
+      this.logger.info(`${this.displayName} service recovery simulation triggered`);
+      res.json({ message: 'Recovery simulation triggered' });
+    });
+  }
+  
+  /**
+   * Unknown routes and middleware errors (e.g. malformed JSON bodies)
+   * @private
+   */
+  setupErrorHandling() {
+    // 404 handler
+    this.app.use((req, res) => {
+      this.sendError(req, res, this.createError(404, `Route ${req.method} ${req.url} not found`));
+    });
+    
+    // Global error handler
+    this.app.use((err, req, res, next) => {
+      if (!err.statusCode && !err.status) {
+        this.logger.error('Unhandled error', {
+          error: err.message,
+          stack: err.stack,
+          requestId: req.id,
+          url: req.url,
+          method: req.method
+        });
+      }
+      
+      this.sendError(req, res, err);
+    });
+  }
+  
+  /**
+   * Log recovery events
+   * @private
+   */
+  setupRecoveryListeners() {
+    this.recovery.on('stateChanged', (data) => {
+      this.logger.recovery('stateChanged', data);
+    });
+    
+    this.recovery.on('recoverySuccess', (data) => {
+      this.logger.recovery('recoverySuccess', data);
+      this.onRecoverySuccess(data);
+    });
+    
+    this.recovery.on('failure', (data) => {
+      this.logger.recovery('failure', data);
+      this.onRecoveryFailure(data);
+    });
+  }
+  
+  /**
+   * Called when AutoRecovery reports a successful recovery
+   */
+  onRecoverySuccess() {
+    this.isHealthy = true;
+  }
+  
+  /**
+   * Called when AutoRecovery records a failure
+   */
+  onRecoveryFailure() {}
+  
+  /**
+   * Register a route whose handler returns the response body
+   *
+   * The handler receives `(req, res)` and returns (or resolves to) the body,
+   * which is sent as JSON unless the handler already responded. Errors are
+   * logged and answered with `error.statusCode` (default 500) in the
+   * service's error format.
+   *
+   * @param {string} method - HTTP method ('get', 'post', ...)
+   * @param {string} path - Route path
+   * @param {Function} handler - Route handler
+   * @param {Object} [options] - Route options
+   * @param {number} [options.status] - Success status (default 200)
+   * @param {string} [options.errorMessage] - Log message on failure
+   * @param {Function} [options.logContext] - Extra log fields on failure, from `req`
+   */
+  route(method, path, handler, options = {}) {
+    this.app[method](path, async (req, res) => {
+      try {
+        const result = await handler(req, res);
+        
+        if (!res.headersSent) {
+          res.status(options.status || 200).json(result);
+        }
+      } catch (error) {
+        this.logger.error(options.errorMessage || `${method.toUpperCase()} ${path} failed`, {
+          ...(options.logContext ? options.logContext(req) : { params: req.params }),
+          error: error.message,
+          statusCode: error.statusCode,
+          requestId: req.id
+        });
+        
+        this.sendError(req, res, error);
+      }
+    });
+  }
+  
+  /**
+   * Send an error response
+   * @param {express.Request} req - Request
+   * @param {express.Response} res - Response
+   * @param {Error} error - Error to report
+   */
+  sendError(req, res, error) {
+    if (res.headersSent) {
+      return;
+    }
+    
+    res.status(error.statusCode || error.status || 500).json(this.formatError(error, req));
+  }
+  
+  /**
+   * Build the body of an error response
+   * @param {Error} error - Error to report
+   * @param {express.Request} req - Request
+   * @returns {Object} Error response body
+   */
+  formatError(error, req) {
+    return {
+      error: error.message,
+      requestId: req.id,
+      timestamp: new Date().toISOString()
+    };
+  }
+  
+  /**
+   * Create an error carrying an HTTP status
+   * @param {number} statusCode - HTTP status
+   * @param {string} message - Error message
+   * @returns {Error} Error with `statusCode`
+   */
+  createError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+  
+  /**
+   * Execute operation with recovery
+   */
+  async executeWithRecovery(operation) {
+    return await this.recovery.executeWithRecovery(operation);
+  }
+  
+  /**
+   * Whether the service considers itself healthy
+   * @returns {boolean} Health flag
+   */
+  isServiceHealthy() {
+    return this.isHealthy;
+  }
+  
+  /**
+   * Details reported by the readiness 'service' check
+   * @returns {Object} Cheap, in-memory details
+   */
+  getReadinessDetails() {
+    return {};
+  }
+  
+  /**
+   * Service specific details of the full health check
+   * @returns {Object} Details merged into `/health` details
+   */
+  getHealthDetails() {
+    return {};
+  }
+  
+  /**
+   * Extra top-level fields of the `/health` response
+   * @returns {Object} Fields merged into the `/health` body
+   */
+  getHealthExtras() {
+    return {};
+  }
+  
+  /**
+   * Perform health check
+   */
+  async performHealthCheck() {
+    // Simulate health check processing
+    await new Promise(resolve => setTimeout(resolve, this.healthCheckDelay));
+    
+    if (!this.isServiceHealthy()) {
+      throw new Error(`${this.displayName} service is currently unhealthy`);
+    }
+    
+    return {
+      memory: {
+        used: process.memoryUsage().heapUsed,
+        total: process.memoryUsage().heapTotal
+      },
+      uptime: process.uptime(),
+      ...this.getHealthDetails(),
+      lastCheck: new Date().toISOString()
+    };
+  }
+  
+  /**
+   * Perform recovery actions
+   */
+  async performRecovery(error) {
+    this.logger.info(`Performing ${this.name} service recovery`, {
+      error: error.message
+    });
+    
+    // Simulate recovery actions
+    await new Promise(resolve => setTimeout(resolve, this.recoveryDelay));
+    
+    await this.recover();
+    
+    this.logger.info(`${this.displayName} service recovery completed`);
+  }
+  
+  /**
+   * Reset service state after a recovery
+   */
+  async recover() {
+    this.isHealthy = true;
+    this.simulateFailures = false;
+  }
+  
+  /**
+   * Make every request fail and the service report unhealthy for a while
+   * @param {number} duration - Simulation length (ms)
+   */
+  simulateFailure(duration = this.failureSimulationDuration) {
+    this.simulateFailures = true;
+    this.isHealthy = false;
+    
+    this.logger.warn(`${this.displayName} service failure simulation started`, { duration });
+    
+    clearTimeout(this.failureSimulationTimer);
+    this.failureSimulationTimer = setTimeout(() => {
+      this.simulateFailures = false;
+      this.isHealthy = true;
+      this.logger.info(`${this.displayName} service failure simulation ended`);
+    }, duration);
+  }
+  
+  /**
+   * End any failure simulation and reset recovery
+   */
+  simulateRecovery() {
+    clearTimeout(this.failureSimulationTimer);
+    this.simulateFailures = false;
+    this.isHealthy = true;
+    this.recovery.reset();
+  }
+  
+  /**
+   * Probability that a request fails by simulation
+   * @returns {number} Failure rate between 0 and 1
+   */
+  getFailureRate() {
+    return this.config.demo.failureRate;
+  }
+  
+  /**
+   * Check for simulated failures
+   */
+  checkForSimulatedFailures() {
+    if (this.simulateFailures || Math.random() < this.getFailureRate()) {
+      throw new Error(`Simulated ${this.name} service failure`);
+    }
+  }
+  
+  /**
+   * Simulate processing time
+   */
+  async simulateProcessingTime(min = this.processingTime.min, max = this.processingTime.max) {
+    const processingTime = this.pickProcessingTime(min, max);
+    await new Promise(resolve => setTimeout(resolve, processingTime));
+  }
+  
+  /**
+   * Pick a simulated processing time, occasionally a slow one
+   */
+  pickProcessingTime(min = this.processingTime.min, max = this.processingTime.max) {
+    let processingTime = Math.random() * (max - min) + min;
+    
+    if (Math.random() < this.config.demo.slowRequestRate) {
+      const slowDelay = this.config.demo.slowRequestDelay * this.slowRequestFactor;
+      this.logger.debug(`Simulating slow ${this.name} request`, { delay: slowDelay });
+      processingTime += slowDelay;
+    }
+    
+    return processingTime;
+  }
+  
+  /**
+   * Record a finished request
+   * @private
+   */
+  recordRequest(statusCode, duration) {
+    this.metrics.totalRequests++;
+    
+    if (statusCode >= 500) {
+      this.metrics.serverErrors++;
+    } else if (statusCode >= 400) {
+      this.metrics.clientErrors++;
+    } else {
+      this.metrics.successfulRequests++;
+    }
+    
+    const total = this.metrics.totalRequests;
+    this.metrics.averageResponseTime =
+      (this.metrics.averageResponseTime * (total - 1) + duration) / total;
+  }
+  
+  /**
+   * Get service metrics
+   * @returns {Object} Request and recovery metrics
+   */
+  getMetrics() {
+    return {
+      requests: { ...this.metrics },
+      recovery: this.recovery.getStats()
+    };
+  }
+  
+  /**
+   * Fields logged when the service starts
+   * @returns {Object} Startup log fields
+   */
+  getStartupInfo() {
+    return {};
+  }
+  
+  /**
+   * Start the service
+   */
+  start() {
+    const port = this.config.port;
+    
+    this.server = this.app.listen(port, () => {
+      this.health.markStarted();
+      this.logger.info(`${this.displayName} service started`, {
+        port,
+        environment: this.config.env,
+        ...this.getStartupInfo()
+      });
+      
+      this.register(port);
+    });
+    
+    // Graceful shutdown
+    process.on('SIGTERM', () => this.shutdown('SIGTERM'));
+    process.on('SIGINT', () => this.shutdown('SIGINT'));
+  }
+  
+  /**
+   * Register with the service registry and keep the registration alive
+   * @param {number} port - Port the service listens on
+   * @private
+   */
+  register(port) {
+    if (!this.config.registry.enabled) {
+      return;
+    }
+    
+    this.registration = new ServiceRegistration({
+      client: new HttpRegistryClient({
+        url: this.config.registry.url,
+        timeout: this.config.registry.timeout
+      }),
+      instance: {
+        name: this.name,
+        version: this.config.service.version,
+        url: `http://localhost:${port}`,
+        metadata: {
+          serviceName: this.serviceName,
+          pid: process.pid,
+          weight: this.config.registry.instanceWeight
+        }
+      },
+      heartbeatInterval: this.config.registry.heartbeatInterval
+    });
+    
+    this.registration.start();
+  }
+  
+  /**
+   * Hand off or finish pending work; called by shutdown() once in-flight
+   * requests have drained
+   * @param {number} deadline - Epoch ms by which the service must exit
+   * @returns {Promise<Object>} Summary of what happened to the pending work,
+   *   included in the shutdown report
+   */
+  async onShutdown() {
+    return {};
+  }
+  
+  /**
+   * Graceful shutdown
+   *
+   * The instance leaves the service registry, readiness fails and new
+   * requests are turned away first; requests already accepted get until
+   * `shutdown.timeout` to finish, then the service hands off its pending
+   * work (onShutdown), reports to the monitor and exits.
+   *
+   * @param {string} [reason] - Signal or other cause, for the report
+   */
+  async shutdown(reason = 'manual') {
+    if (this.shuttingDown) {
+      return;
+    }
+    
+    this.shuttingDown = true;
+    
+    const startedAt = Date.now();
+    const deadline = startedAt + this.config.shutdown.timeout;
+    
+    this.logger.info(`Starting ${this.name} service shutdown...`, {
+      reason,
+      inFlightRequests: this.inFlight.count
+    });
+    
+    // Fail readiness first so callers stop routing here
+    this.health.setDraining(true);
+    this.inFlight.startDraining();
+    
+    if (this.registration) {
+      await this.registration.stop();
+    }
+    
+    // Stop accepting new connections
+    closeServer(this.server).then(() => {
+      this.logger.info(`${this.displayName} service HTTP server closed`);
+    });
+    
+    const drained = await this.inFlight.waitForIdle(deadline);
+    
+    if (!drained) {
+      this.logger.warn(`${this.displayName} service shutdown deadline reached with requests in flight`, {
+        inFlightRequests: this.inFlight.count
+      });
+    }
+    
+    clearTimeout(this.failureSimulationTimer);
+    
+    let pendingWork;
+    try {
+      pendingWork = await this.onShutdown(deadline);
+    } catch (error) {
+      this.logger.error(`${this.displayName} service failed to hand off pending work`, {
+        error: error.message
+      });
+      pendingWork = { error: error.message };
+    }
+    
+    // Cleanup auto-recovery
+    this.recovery.destroy();
+    
+    const report = {
+      service: this.serviceName,
+      reason,
+      startedAt: new Date(startedAt).toISOString(),
+      duration: Date.now() - startedAt,
+      drained,
+      abandonedRequests: this.inFlight.count,
+      rejectedRequests: this.inFlight.rejected,
+      ...pendingWork
+    };
+    
+    await reportShutdown(this.config.shutdown.monitorUrl, report, this.logger);
+    
+    if (this.server) {
+      this.server.closeAllConnections();
+    }
+    
+    this.logger.info(`${this.displayName} service shutdown completed`, report);
+    process.exit(0);
+  }
+}
+
+module.exports = {
+  BaseService
+};
@@ -0,0 +1,287 @@
+/**
+ * Gateway Authentication
+ *
+ * Clients authenticate with an API key (`X-API-Key: <key>`) or a JWT
+ * (`Authorization: Bearer <token>`, HS256 or RS256). A valid credential
+ * becomes an identity on `req.identity`:
+ *
+ *   { subject: 'billing-app', scopes: ['operator'], method: 'apiKey' }
+ *
+ * Each protected endpoint declares a policy `{ required, scopes }`: with
+ * `required` a request without credentials is refused (401), and the
+ * identity must hold every listed scope (403). Invalid credentials are
+ * always refused, even where authentication is optional.
+ *
+ * Downstream services do not see the credential itself; the gateway
+ * forwards the identity in `X-Authenticated-*` headers instead, and drops
+ * any such headers sent by the client.
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const { verifyJwt } = require('../../utils/jwt');
+
+/**
+ * Scope of the admin and chaos endpoints
+ */
+const OPERATOR_SCOPE = 'operator';
+
+/**
+ * Headers carrying a credential to the gateway
+ */
+const CREDENTIAL_HEADERS = ['authorization', 'x-api-key'];
+
+/**
+ * Headers carrying the identity to downstream services
+ */
+const IDENTITY_HEADERS = {
+  subject: 'x-authenticated-subject',
+  scopes: 'x-authenticated-scopes',
+  method: 'x-authenticated-method'
+};
+
+/**
+ * Parse API keys from `key:subject[:scope scope...]` entries separated by commas
+ * @param {string} spec - e.g. "k1:billing-app,k2:ops:operator"
+ * @returns {Array} [{ key, subject, scopes }]
+ */
+function parseApiKeys(spec = '') {
+  return spec.split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map((entry, index) => {
+      const [key, subject, scopes = ''] = entry.split(':').map(part => part.trim());
+      if (!key || !subject) {
+        // The entry itself holds a secret, so only its position is reported
+        throw new Error(`Invalid API key entry #${index + 1}: expected key:subject[:scopes]`);
+      }
+      return { key, subject, scopes: scopes.split(/\s+/).filter(Boolean) };
+    });
+}
+
+/**
+ * Headers describing an identity to a downstream service
+ * @param {Object} identity - Identity from Authenticator.authenticate()
+ * @returns {Object} Header names and values
+ */
+function identityHeaders(identity) {
+  return {
+    [IDENTITY_HEADERS.subject]: identity.subject,
+    [IDENTITY_HEADERS.scopes]: identity.scopes.join(' '),
+    [IDENTITY_HEADERS.method]: identity.method
+  };
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+class Authenticator extends EventEmitter {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {boolean} options.enabled - When false every request is let through without an identity
+   * @param {Array} options.apiKeys - [{ key, subject, scopes }]
+   * @param {Object} options.jwt - JWT settings
+   * @param {string} options.jwt.secret - HS256 secret
+   * @param {string} options.jwt.publicKeyFile - PEM file with the RS256 public key
+   * @param {string} options.jwt.issuer - Required `iss`, if set
+   * @param {string} options.jwt.audience - Required `aud`, if set
+   * @param {number} options.jwt.clockTolerance - Allowed clock skew (ms)
+   */
+  constructor(options = {}) {
+    super();
+    
+    this.enabled = options.enabled !== false;
+    
+    // Keys are looked up by hash, so the lookup does not compare secrets
+    this.apiKeys = new Map();
+    (options.apiKeys || []).forEach(({ key, subject, scopes }) => {
+      this.apiKeys.set(hashKey(key), { subject, scopes });
+    });
+    
+    const jwt = options.jwt || {};
+    this.jwt = {
+      secret: jwt.secret || null,
+      publicKey: jwt.publicKeyFile ? crypto.createPublicKey(fs.readFileSync(jwt.publicKeyFile)) : null,
+      issuer: jwt.issuer || null,
+      audience: jwt.audience || null,
+      clockTolerance: jwt.clockTolerance || 0
+    };
+    
+    this.metrics = {
+      authenticated: 0,
+      unauthenticated: 0,
+      forbidden: 0
+    };
+    
+    // Otherwise every endpoint that requires authentication would refuse
+    // every request, which is better noticed at startup
+    if (this.enabled && this.apiKeys.size === 0 && !this.jwt.secret && !this.jwt.publicKey) {
+      throw new Error('Gateway authentication is enabled but no API keys or JWT keys are configured: ' +
+        'set AUTH_API_KEYS, AUTH_JWT_SECRET or AUTH_JWT_PUBLIC_KEY_FILE, or AUTH_ENABLED=false');
+    }
+  }
+  
+  /**
+   * Identify the client of a request
+   * @param {Object} req - Express request
+   * @returns {Object|null} Identity, or null without credentials
+   * @throws {Error} With code INVALID_CREDENTIALS for a key or token that is not accepted
+   */
+  authenticate(req) {
+    const apiKey = req.get('X-API-Key');
+    if (apiKey) {
+      const entry = this.apiKeys.get(hashKey(apiKey));
+      if (!entry) {
+        throw this.credentialsError('Unknown API key');
+      }
+      return { subject: entry.subject, scopes: entry.scopes, method: 'apiKey' };
+    }
+    
+    const authorization = req.get('Authorization');
+    if (!authorization) {
+      return null;
+    }
+    
+    const [scheme, token] = authorization.split(' ');
+    if (scheme.toLowerCase() !== 'bearer' || !token) {
+      throw this.credentialsError('Expected "Authorization: Bearer <token>"');
+    }
+    
+    let claims;
+    try {
+      claims = verifyJwt(token, this.jwt);
+    } catch (error) {
+      throw this.credentialsError(error.message);
+    }
+    
+    if (!claims.sub) {
+      throw this.credentialsError('Token has no subject');
+    }
+    
+    // OAuth-style space-separated `scope`, or a `scopes` array
+    const scopes = Array.isArray(claims.scopes) ?
+      claims.scopes :
+      String(claims.scope || '').split(/\s+/).filter(Boolean);
+    
+    return { subject: String(claims.sub), scopes, method: 'jwt' };
+  }
+  
+  /**
+   * Check a request against an auth policy, answering 401 or 403 when it fails
+   * @param {Object} req - Express request; `req.identity` is set on success
+   * @param {Object} res - Express response
+   * @param {Object} policy - { required, scopes }
+   * @returns {Object} { allowed, code }; `code` tells why a refused request was refused
+   *   (AUTHENTICATION_REQUIRED, INVALID_CREDENTIALS or INSUFFICIENT_SCOPE)
+   */
+  authorize(req, res, policy = {}) {
+    if (!this.enabled) {
+      return { allowed: true, code: null };
+    }
+    
+    const required = policy.required !== false;
+    const scopes = policy.scopes || [];
+    
+    let identity;
+    try {
+      identity = this.authenticate(req);
+    } catch (error) {
+      return this.reject(req, res, 401, 'INVALID_CREDENTIALS', error.message);
+    }
+    
+    if (!identity) {
+      if (required || scopes.length > 0) {
+        return this.reject(req, res, 401, 'AUTHENTICATION_REQUIRED', 'Send an X-API-Key header or a Bearer token');
+      }
+      return { allowed: true, code: null };
+    }
+    
+    const missing = scopes.filter(scope => !identity.scopes.includes(scope));
+    if (missing.length > 0) {
+      return this.reject(req, res, 403, 'INSUFFICIENT_SCOPE', `Requires scope ${missing.join(', ')}`, {
+        subject: identity.subject,
+        requiredScopes: scopes
+      });
+    }
+    
+    this.metrics.authenticated++;
+    req.identity = identity;
+    return { allowed: true, code: null };
+  }
+  
+  /**
+   * Express middleware enforcing an auth policy
+   * @param {Object} policy - { required, scopes }
+   * @returns {Function} Middleware
+   */
+  middleware(policy) {
+    return (req, res, next) => {
+      if (this.authorize(req, res, policy).allowed) {
+        next();
+      }
+    };
+  }
+  
+  /**
+   * @private
+   */
+  credentialsError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_CREDENTIALS';
+    return error;
+  }
+  
+  /**
+   * Answer a request that failed authentication or authorization
+   * @private
+   * @returns {Object} { allowed: false, code }
+   */
+  reject(req, res, status, code, message, details = {}) {
+    if (status === 403) {
+      this.metrics.forbidden++;
+    } else {
+      this.metrics.unauthenticated++;
+      res.set('WWW-Authenticate', 'Bearer realm="api-gateway"');
+    }
+    
+    this.emit('rejected', { status, code, path: req.path, ...details });
+    
+    res.set('X-Gateway-Error', code);
+    res.status(status).json({
+      error: status === 403 ? 'Forbidden' : 'Unauthorized',
+      code,
+      message,
+      source: 'gateway',
+      requestId: req.id
+    });
+    
+    return { allowed: false, code };
+  }
+  
+  /**
+   * Get authentication status
+   * @returns {Object} Status information
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      apiKeys: this.apiKeys.size,
+      jwtAlgorithms: [
+        ...(this.jwt.secret ? ['HS256'] : []),
+        ...(this.jwt.publicKey ? ['RS256'] : [])
+      ],
+      metrics: { ...this.metrics }
+    };
+  }
+}
+
+module.exports = {
+  Authenticator,
+  OPERATOR_SCOPE,
+  CREDENTIAL_HEADERS,
+  IDENTITY_HEADERS,
+  parseApiKeys,
+  identityHeaders
+};
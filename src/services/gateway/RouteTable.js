@@ -0,0 +1,333 @@
+/**
+ * Gateway Route Table
+ *
+ * The gateway's proxy routes are declared in a JSON file instead of code:
+ *
+ *   {
+ *     "defaults": { "timeout": 15000 },
+ *     "routes": [
+ *       {
+ *         "method": "GET",
+ *         "path": "/api/orders/:id/report",
+ *         "service": "order",
+ *         "rewrite": "/orders/:id/report",
+ *         "priority": "LOW",
+ *         "cache": { "ttl": 30000 }
+ *       }
+ *     ]
+ *   }
+ *
+ * Each route maps a gateway method and path to a downstream service and the
+ * path to call there (`:params` are carried over, the query string is kept).
+ * Routes may set their own `priority`, `timeout`, `retry`, `cache`, `auth`
+ * and `rateLimit` policy; `defaults` apply to every route that does not.
+ *
+ * The file is validated as a whole and compiled into an Express router. A
+ * reload swaps the router in one step, and a file that fails validation is
+ * rejected while the previous routes stay in place.
+ *
+ * Events:
+ * - reloaded: a new version of the file is serving traffic
+ * - reloadFailed: the file changed but could not be loaded
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const Joi = require('joi');
+const logger = require('../../utils/logger');
+const { Priorities } = require('../../patterns/TaskQueue');
+const { Algorithms } = require('../../patterns/RateLimiter');
+const { KeyTypes } = require('./rateLimit');
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Policy settings a route may declare, or inherit from `defaults`
+ */
+const policySchema = {
+  priority: Joi.string().valid(...Object.keys(Priorities)),
+  timeout: Joi.number().integer().min(1),
+  retry: Joi.object({
+    maxRetries: Joi.number().integer().min(0).required()
+  }),
+  cache: Joi.object({
+    ttl: Joi.number().integer().min(1).required(),
+    maxEntries: Joi.number().integer().min(1)
+  }),
+  auth: Joi.object({
+    required: Joi.boolean().default(true),
+    scopes: Joi.array().items(Joi.string()).default([])
+  }),
+  rateLimit: Joi.alternatives(
+    Joi.boolean().valid(false),
+    Joi.object({
+      algorithm: Joi.string().valid(...Object.keys(Algorithms)),
+      limit: Joi.number().integer().min(1).required(),
+      windowMs: Joi.number().integer().min(1000).required(),
+      key: Joi.string().valid(...Object.values(KeyTypes))
+    })
+  )
+};
+
+const routeSchema = Joi.object({
+  name: Joi.string(),
+  method: Joi.string().uppercase().valid(...METHODS).required(),
+  path: Joi.string().pattern(/^\//).required(),
+  service: Joi.string().required(),
+  rewrite: Joi.string().pattern(/^\//).required(),
+  ...policySchema
+});
+
+const routeFileSchema = Joi.object({
+  defaults: Joi.object(policySchema).default({}),
+  routes: Joi.array().items(routeSchema).min(1).required()
+});
+
+/**
+ * Names of the `:params` in a route path
+ */
+function pathParams(routePath) {
+  return Array.from(routePath.matchAll(/:(\w+)/g), match => match[1]);
+}
+
+/**
+ * Build the downstream path of a request from its route's `rewrite`
+ * @param {Object} route - Compiled route
+ * @param {Object} req - Express request matched by the route
+ * @returns {string} Downstream path, including the original query string
+ */
+function rewritePath(route, req) {
+  const rewritten = route.rewrite.replace(/:(\w+)/g, (match, name) => encodeURIComponent(req.params[name]));
+  const queryIndex = req.originalUrl.indexOf('?');
+  
+  return queryIndex === -1 ? rewritten : rewritten + req.originalUrl.slice(queryIndex);
+}
+
+class RouteTable extends EventEmitter {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} options.file - Path of the route file
+   * @param {Array<string>} options.services - Downstream services routes may target
+   * @param {Function} options.handler - (route, req, res, next) called for every matched request
+   * @param {number} options.watchInterval - How often the file is checked for changes (ms)
+   */
+  constructor(options = {}) {
+    super();
+    
+    if (!options.file || typeof options.handler !== 'function') {
+      throw new Error('RouteTable: a route file and a handler are required');
+    }
+    
+    this.file = path.resolve(options.file);
+    this.services = options.services || [];
+    this.handler = options.handler;
+    this.watchInterval = options.watchInterval || 2000;
+    
+    this.routes = [];
+    this.router = null;
+    this.loadedAt = null;
+    this.lastError = null;
+    this.watching = false;
+    
+    this.metrics = {
+      totalReloads: 0,
+      failedReloads: 0
+    };
+    
+    this.onFileChange = (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        this.reload();
+      }
+    };
+  }
+  
+  /**
+   * Read, validate and start serving the route file
+   * @returns {Array<Object>} The compiled routes
+   * @throws {Error} If the file cannot be read or is invalid; the current
+   *   routes are kept
+   */
+  load() {
+    const routes = this.parse(fs.readFileSync(this.file, 'utf8'));
+    const router = this.createRouter(routes);
+    
+    this.routes = routes;
+    this.router = router;
+    this.loadedAt = new Date().toISOString();
+    this.lastError = null;
+    
+    logger.info('Gateway routes loaded', {
+      file: this.file,
+      routes: routes.length
+    });
+    
+    return routes;
+  }
+  
+  /**
+   * Load the file again, keeping the current routes if it is invalid
+   * @returns {boolean} True if the new routes are serving traffic
+   */
+  reload() {
+    this.metrics.totalReloads++;
+    
+    try {
+      const routes = this.load();
+      this.emit('reloaded', { file: this.file, routes: routes.length });
+      return true;
+    } catch (error) {
+      this.metrics.failedReloads++;
+      this.lastError = error.message;
+      
+      logger.error('Gateway route reload failed, keeping the current routes', {
+        file: this.file,
+        error: error.message
+      });
+      this.emit('reloadFailed', { file: this.file, error: error.message });
+      return false;
+    }
+  }
+  
+  /**
+   * Validate the file contents and compile them into routes
+   * @param {string} contents - Route file contents
+   * @returns {Array<Object>} Compiled routes, in file order
+   * @private
+   */
+  parse(contents) {
+    let definition;
+    try {
+      definition = JSON.parse(contents);
+    } catch (error) {
+      throw new Error(`Invalid route file: ${error.message}`);
+    }
+    
+    const { error, value } = routeFileSchema.validate(definition);
+    if (error) {
+      throw new Error(`Invalid route file: ${error.message}`);
+    }
+    
+    const seen = new Set();
+    
+    return value.routes.map((declared, index) => {
+      const route = {
+        ...value.defaults,
+        ...declared,
+        name: declared.name || `${declared.method} ${declared.path}`
+      };
+      const where = `route ${index} (${route.name})`;
+      
+      if (!this.services.includes(route.service)) {
+        throw new Error(`Invalid route file: ${where} targets unknown service "${route.service}"`);
+      }
+      
+      const missing = pathParams(route.rewrite).filter(name => !pathParams(route.path).includes(name));
+      if (missing.length > 0) {
+        throw new Error(`Invalid route file: ${where} rewrites to unknown parameters ${missing.join(', ')}`);
+      }
+      
+      if (route.cache && route.method !== 'GET') {
+        throw new Error(`Invalid route file: ${where} can only cache GET requests`);
+      }
+      
+      const key = `${route.method} ${route.path}`;
+      if (seen.has(key) || seen.has(route.name)) {
+        throw new Error(`Invalid route file: ${where} is declared twice`);
+      }
+      seen.add(key);
+      seen.add(route.name);
+      
+      return route;
+    });
+  }
+  
+  /**
+   * Build the Express router that serves a set of routes
+   * @private
+   */
+  createRouter(routes) {
+    const router = express.Router();
+    
+    routes.forEach(route => {
+      try {
+        router[route.method.toLowerCase()](route.path, (req, res, next) => this.handler(route, req, res, next));
+      } catch (error) {
+        throw new Error(`Invalid route file: route ${route.name} has an invalid path: ${error.message}`);
+      }
+    });
+    
+    return router;
+  }
+  
+  /**
+   * Express middleware that serves the current routes; a reload takes
+   * effect for the next request
+   * @returns {Function} Express middleware
+   */
+  middleware() {
+    return (req, res, next) => {
+      if (!this.router) {
+        return next();
+      }
+      return this.router(req, res, next);
+    };
+  }
+  
+  /**
+   * Reload the routes whenever the file changes
+   */
+  watch() {
+    if (this.watching) {
+      return;
+    }
+    
+    fs.watchFile(this.file, { interval: this.watchInterval }, this.onFileChange);
+    this.watching = true;
+  }
+  
+  /**
+   * Stop watching the file
+   */
+  unwatch() {
+    fs.unwatchFile(this.file, this.onFileChange);
+    this.watching = false;
+  }
+  
+  /**
+   * Get the current routes
+   * @returns {Array<Object>} Compiled routes
+   */
+  getRoutes() {
+    return this.routes;
+  }
+  
+  /**
+   * Get route table status
+   * @returns {Object} Status information
+   */
+  getStatus() {
+    return {
+      file: this.file,
+      watching: this.watching,
+      loadedAt: this.loadedAt,
+      lastError: this.lastError,
+      routes: this.routes.length,
+      metrics: { ...this.metrics }
+    };
+  }
+  
+  /**
+   * Cleanup resources
+   */
+  destroy() {
+    this.unwatch();
+    this.removeAllListeners();
+  }
+}
+
+module.exports = {
+  RouteTable,
+  rewritePath
+};
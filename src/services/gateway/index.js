@@ -8,17 +8,89 @@
  * - Auto-Recovery mechanisms
  */
 
+const { pipeline } = require('stream');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const axios = require('axios');
+const Joi = require('joi');
 const { v4: uuidv4 } = require('uuid');
 
-const { CircuitBreaker } = require('../patterns/CircuitBreaker');
-const { Bulkhead } = require('../patterns/Bulkhead');
-const { AutoRecovery } = require('../patterns/AutoRecovery');
-const config = require('../config');
-const logger = require('../utils/logger');
+const { CircuitBreaker, States } = require('../../patterns/CircuitBreaker');
+const { Bulkhead } = require('../../patterns/Bulkhead');
+const { Priorities } = require('../../patterns/TaskQueue');
+const { AutoRecovery } = require('../../patterns/AutoRecovery');
+const { RetryBudget } = require('../../patterns/RetryBudget');
+const { ResiliencePolicy, PolicyTypes } = require('../../patterns/ResiliencePolicy');
+const { LoadBalancer } = require('../../patterns/LoadBalancer');
+const { RateLimiter, Algorithms: RateLimitAlgorithms } = require('../../patterns/RateLimiter');
+const { MemoryRateLimitStore, RedisRateLimitStore } = require('../../patterns/RateLimitStore');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const { HealthRegistry, recoveryCheck } = require('../../utils/healthRegistry');
+const { InFlightTracker, waitUntil, closeServer, reportShutdown } = require('../../utils/shutdown');
+const { StateStore } = require('../../utils/stateStore');
+const { HttpRegistryClient, ServiceRegistration, ServiceDiscovery } = require('../../registry');
+const { isRecordableFailure, isRetryableError } = require('../../utils/errorClassification');
+const { RouteTable, rewritePath } = require('./RouteTable');
+const {
+  upstreamRequestHeaders,
+  downstreamResponseHeaders,
+  readBody,
+  parseBody,
+  describeGatewayError
+} = require('./proxy');
+const { rateLimitKey, rateLimitHeaders } = require('./rateLimit');
+const { Authenticator, OPERATOR_SCOPE, CREDENTIAL_HEADERS, parseApiKeys } = require('./Authenticator');
+
+/**
+ * Admin API payloads for runtime pattern reconfiguration
+ */
+const bulkheadUpdateSchema = Joi.object({
+  maxConcurrent: Joi.number().integer().min(1),
+  maxQueueSize: Joi.number().integer().min(1),
+  timeout: Joi.number().integer().min(1),
+  queueTimeout: Joi.number().integer().min(1),
+  limitAlgorithm: Joi.string().valid('FIXED', 'AIMD', 'GRADIENT'),
+  minLimit: Joi.number().integer().min(1),
+  maxLimit: Joi.number().integer().min(1),
+  queueDiscipline: Joi.string().valid('FIFO', 'ADAPTIVE_LIFO', 'CODEL'),
+  codelTarget: Joi.number().integer().min(1),
+  codelInterval: Joi.number().integer().min(1)
+}).min(1);
+
+const circuitBreakerUpdateSchema = Joi.object({
+  failureThreshold: Joi.number().integer().min(1),
+  resetTimeout: Joi.number().integer().min(1),
+  timeout: Joi.number().integer().min(1),
+  slidingWindowType: Joi.string().valid('COUNT_BASED', 'TIME_BASED').allow(null),
+  slidingWindowSize: Joi.number().integer().min(1),
+  minimumNumberOfCalls: Joi.number().integer().min(1),
+  failureRateThreshold: Joi.number().min(1).max(100),
+  slowCallDurationThreshold: Joi.number().integer().min(0),
+  slowCallRateThreshold: Joi.number().min(1).max(100),
+  permittedCallsInHalfOpen: Joi.number().integer().min(1)
+}).min(1);
+
+/**
+ * Copy of request headers without the client's credentials
+ */
+function omitCredentials(headers) {
+  const copy = { ...headers };
+  CREDENTIAL_HEADERS.forEach(name => {
+    delete copy[name];
+  });
+  return copy;
+}
+
+/**
+ * Error for a service with no live instance to call
+ */
+function noInstancesError(serviceName) {
+  const error = new Error(`No live instances of ${serviceName}-service`);
+  error.code = 'NO_INSTANCES';
+  return error;
+}
 
 class ApiGateway {
   constructor() {
@@ -30,18 +102,121 @@ class ApiGateway {
     this.circuitBreakers = new Map();
     this.bulkheads = new Map();
     this.recoveryManagers = new Map();
+    this.policies = new Map();
+    this.loadBalancers = new Map();
+    
+    // Fallbacks, keyed by service name or "service:METHOD /route"
+    this.fallbacks = new Map();
+    this.lastKnownResponses = new Map();
+    this.deferredRequests = [];
+    this.maxCachedResponses = 1000;
+    this.maxDeferredRequests = 1000;
+    
+    // Largest response body held in memory (cached routes, error bodies,
+    // last known copies); other responses are streamed through
+    this.maxBufferedBodySize = 10 * 1024 * 1024;
+    
+    // Downstream instances come from the service registry; the configured
+    // URLs are used while it cannot be reached
+    this.registryClient = new HttpRegistryClient({
+      url: this.config.registry.url,
+      timeout: this.config.registry.timeout
+    });
+    this.discovery = new ServiceDiscovery({
+      name: 'api-gateway',
+      client: this.registryClient,
+      refreshInterval: this.config.registry.refreshInterval,
+      staticUrls: Object.fromEntries(
+        ['user', 'order', 'payment', 'notification'].map(name => [name, this.config.services[name].url])
+      )
+    });
+    this.registration = null;
+    
+    // Graceful shutdown; deferred requests are saved across restarts
+    this.inFlight = new InFlightTracker();
+    this.shuttingDown = false;
+    this.stateStore = new StateStore({
+      dir: this.config.shutdown.stateDir,
+      name: `api-gateway-${this.config.port}`
+    });
+    
+    // Who changed which pattern setting at runtime
+    this.auditLog = [];
+    this.maxAuditEntries = 1000;
+    
+    // Proxy routes come from the route file; each route's own timeout and
+    // cache run in a policy of their own, outside its service's policy
+    this.routeTable = new RouteTable({
+      file: this.config.routes.file,
+      services: ['user', 'order', 'payment', 'notification'],
+      handler: (route, req, res, next) => this.proxyRequest(route, req, res, next),
+      watchInterval: this.config.routes.watchInterval
+    });
+    this.routePolicies = new WeakMap();
+    
+    // Rate limits: the configured limit applies to every route without a
+    // `rateLimit` of its own; counters are kept in Redis when gateway
+    // instances should share them
+    const rateLimit = this.config.security.rateLimit;
+    this.rateLimitStore = rateLimit.store === 'redis' ?
+      new RedisRateLimitStore({
+        url: this.config.redis.url,
+        password: this.config.redis.password,
+        prefix: 'gateway:ratelimit:'
+      }) :
+      new MemoryRateLimitStore();
+    this.rateLimiter = new RateLimiter({
+      name: 'default',
+      algorithm: rateLimit.algorithm,
+      limit: rateLimit.maxRequests,
+      windowMs: rateLimit.windowMs,
+      store: this.rateLimitStore
+    });
+    this.routeRateLimiters = new WeakMap();
+    
+    // API key and JWT authentication; proxy routes declare their `auth`
+    // policy in the route file, admin and chaos endpoints need the
+    // operator scope
+    const auth = this.config.security.auth;
+    this.authenticator = new Authenticator({
+      enabled: auth.enabled,
+      apiKeys: parseApiKeys(auth.apiKeys),
+      jwt: auth.jwt
+    });
+    this.authenticator.on('rejected', (event) => {
+      this.logger.warn('Request refused by authentication', event);
+    });
+    
+    // Invalid credentials are counted per IP, and an IP over the limit is
+    // refused before its next key or token is checked, so credentials
+    // cannot be guessed at full speed
+    this.authFailureLimiter = new RateLimiter({
+      name: 'auth-failures',
+      algorithm: RateLimitAlgorithms.SLIDING_LOG,
+      limit: auth.maxFailures,
+      windowMs: auth.failureWindowMs,
+      store: this.rateLimitStore
+    });
+    this.requireOperator = async (req, res, next) => {
+      if (await this.authorizeRequest(req, res, { required: true, scopes: [OPERATOR_SCOPE] })) {
+        next();
+      }
+    };
     
     // Metrics
     this.metrics = {
       totalRequests: 0,
       successfulRequests: 0,
       failedRequests: 0,
+      fallbackResponses: 0,
       averageResponseTime: 0,
       routeMetrics: new Map()
     };
     
     this.setupMiddleware();
     this.setupPatterns();
+    this.setupFallbacks();
+    this.setupHealthChecks();
     this.setupRoutes();
     this.setupErrorHandling();
   }
@@ -74,21 +249,21 @@ class ApiGateway {
         ip: req.ip
       });
       
-      // Response logging
-      const originalSend = res.send;
-      res.send = function(data) {
+      // Response logging, once the response (sent or streamed) is complete
+      res.on('finish', () => {
         const duration = Date.now() - req.startTime;
         
         // Update metrics
         this.updateMetrics(req, res, duration);
         
         this.logger.request(req, res, duration);
-        
-        return originalSend.call(this, data);
-      }.bind(this);
+      });
       
       next();
     });
+    
+    // Turn new requests away once shutdown has started
+    this.app.use(this.inFlight.middleware());
   }
   
   /**
@@ -98,13 +273,32 @@ class ApiGateway {
     const services = ['user', 'order', 'payment', 'notification'];
     
     services.forEach(serviceName => {
+      // A service entry may carry its own `circuitBreaker` overrides, e.g. to
+      // opt into sliding-window mode; the inherited window size must then be
+      // the one configured for the window type the service ends up with
+      const breakerOverrides = this.config.services[serviceName].circuitBreaker || {};
+      const windowType = 'slidingWindowType' in breakerOverrides ?
+        breakerOverrides.slidingWindowType :
+        this.config.circuitBreaker.slidingWindowType;
+      
       // Circuit Breaker for each service
       const circuitBreaker = new CircuitBreaker({
         name: `${serviceName}-service`,
         failureThreshold: this.config.circuitBreaker.failureThreshold,
         resetTimeout: this.config.circuitBreaker.resetTimeout,
         timeout: this.config.circuitBreaker.timeout,
-        monitoringPeriod: this.config.circuitBreaker.monitoringPeriod
+        monitoringPeriod: this.config.circuitBreaker.monitoringPeriod,
+        slidingWindowType: this.config.circuitBreaker.slidingWindowType,
+        slidingWindowSize: windowType ?
+          this.config.circuitBreaker.slidingWindowSizes[windowType] :
+          this.config.circuitBreaker.slidingWindowSize,
+        minimumNumberOfCalls: this.config.circuitBreaker.minimumNumberOfCalls,
+        failureRateThreshold: this.config.circuitBreaker.failureRateThreshold,
+        slowCallDurationThreshold: this.config.circuitBreaker.slowCallDurationThreshold,
+        slowCallRateThreshold: this.config.circuitBreaker.slowCallRateThreshold,
+        permittedCallsInHalfOpen: this.config.circuitBreaker.permittedCallsInHalfOpen,
+        recordFailure: isRecordableFailure,
+        ...breakerOverrides
       });
       
       // Bulkhead for resource isolation
@@ -113,7 +307,23 @@ class ApiGateway {
         maxConcurrent: this.config.bulkhead.maxConcurrent,
         maxQueueSize: this.config.bulkhead.maxQueueSize,
         timeout: this.config.bulkhead.timeout,
-        queueTimeout: this.config.bulkhead.queueTimeout
+        queueTimeout: this.config.bulkhead.queueTimeout,
+        limitAlgorithm: this.config.bulkhead.limitAlgorithm,
+        minLimit: this.config.bulkhead.minLimit,
+        maxLimit: this.config.bulkhead.maxLimit,
+        latencyThreshold: this.config.bulkhead.latencyThreshold,
+        queueDiscipline: this.config.bulkhead.queueDiscipline,
+        codelTarget: this.config.bulkhead.codelTarget,
+        codelInterval: this.config.bulkhead.codelInterval
+      });
+      
+      // Retries of the service, by the retry layer and on other instances,
+      // draw on one budget so an outage is not multiplied by every caller
+      // retrying at once
+      const retryBudget = new RetryBudget({
+        name: `${serviceName}-retry-budget`,
+        ratio: this.config.autoRecovery.retryBudgetRatio,
+        minRetriesPerSecond: this.config.autoRecovery.retryBudgetMinPerSecond
       });
       
       // Auto-Recovery manager
@@ -123,22 +333,159 @@ class ApiGateway {
         initialDelay: this.config.autoRecovery.initialDelay,
         maxDelay: this.config.autoRecovery.maxDelay,
         backoffMultiplier: this.config.autoRecovery.backoffMultiplier,
+        backoffStrategy: this.config.autoRecovery.backoffStrategy,
+        retryBudget,
         healthCheckInterval: this.config.autoRecovery.healthCheckInterval,
         failureThreshold: this.config.autoRecovery.failureThreshold,
         recoveryThreshold: this.config.autoRecovery.recoveryThreshold,
-        healthCheck: () => this.performHealthCheck(serviceName),
-        onRecover: (error) => this.performRecovery(serviceName, error)
+        endpoints: this.config.services[serviceName].urls,
+        healthCheck: (endpoint) => this.performHealthCheck(serviceName, this.resolveEndpoint(serviceName, endpoint)),
+        onRecover: (error) => this.performRecovery(serviceName, error),
+        shouldRetry: isRetryableError,
+        recordFailure: isRecordableFailure
       });
       
       this.circuitBreakers.set(serviceName, circuitBreaker);
       this.bulkheads.set(serviceName, bulkhead);
       this.recoveryManagers.set(serviceName, recovery);
       
+      // Spreads calls over the service's instances; each instance gets its
+      // own circuit breaker, and failed calls move on to another instance
+      this.loadBalancers.set(serviceName, new LoadBalancer({
+        name: `${serviceName}-service`,
+        algorithm: this.config.loadBalancer.algorithm,
+        maxAttempts: this.config.loadBalancer.maxAttempts,
+        consecutiveFailures: this.config.loadBalancer.consecutiveFailures,
+        baseEjectionTime: this.config.loadBalancer.baseEjectionTime,
+        maxEjectionTime: this.config.loadBalancer.maxEjectionTime,
+        maxEjectionPercent: this.config.loadBalancer.maxEjectionPercent,
+        circuitBreaker: {
+          failureThreshold: this.config.circuitBreaker.failureThreshold,
+          resetTimeout: this.config.circuitBreaker.resetTimeout,
+          timeout: this.config.circuitBreaker.timeout,
+          monitoringPeriod: this.config.circuitBreaker.monitoringPeriod
+        },
+        recordFailure: isRecordableFailure,
+        shouldRetry: isRetryableError,
+        retryBudget
+      }));
+      
+      // Protection pipeline, outermost first
+      this.policies.set(serviceName, new ResiliencePolicy({
+        name: `${serviceName}-policy`,
+        policies: [
+          { type: PolicyTypes.FALLBACK, handler: (error, request) => this.runFallback(request, error) },
+          { type: PolicyTypes.BULKHEAD, instance: bulkhead },
+          { type: PolicyTypes.CIRCUIT_BREAKER, instance: circuitBreaker },
+          { type: PolicyTypes.RETRY, instance: recovery }
+        ]
+      }));
+      
       // Setup event listeners for monitoring
       this.setupPatternListeners(serviceName, circuitBreaker, bulkhead, recovery);
     });
   }
   
+  /**
+   * Setup fallback handlers used when the protected call cannot complete
+   */
+  setupFallbacks() {
+    // Serve the last known copy of a user
+    this.registerFallback('user', ({ path }) => {
+      const cached = this.lastKnownResponses.get(`user:${path}`);
+      if (!cached) {
+        return null;
+      }
+      
+      return {
+        status: 200,
+        body: {
+          ...cached.data,
+          stale: true,
+          cachedAt: cached.cachedAt
+        }
+      };
+    }, { method: 'GET', route: '/api/users/:id', name: 'cached-user' });
+    
+    // Accept notifications now and deliver them once the service is back
+    this.registerFallback('notification', (context) => {
+      const deferred = this.deferRequest(context);
+      if (!deferred) {
+        return null;
+      }
+      
+      return {
+        status: 202,
+        body: {
+          message: 'Notification accepted and will be sent later',
+          deferredId: deferred.id,
+          requestId: context.req.id
+        }
+      };
+    }, { method: 'POST', route: '/api/notifications', name: 'deferred-notification' });
+    
+    // Queue orders for later processing
+    this.registerFallback('order', (context) => {
+      const deferred = this.deferRequest(context);
+      if (!deferred) {
+        return null;
+      }
+      
+      return {
+        status: 202,
+        body: {
+          message: 'Order queued and will be processed later',
+          deferredId: deferred.id,
+          requestId: context.req.id
+        }
+      };
+    }, { method: 'POST', route: '/api/orders', name: 'queued-order' });
+    
+    this.restoreDeferredRequests();
+    
+    // Replay deferred requests once their service accepts traffic again
+    this.deferredReplayInterval = setInterval(() => {
+      this.replayDeferredRequests().catch(error => {
+        this.logger.error('Deferred request replay failed', { error: error.message });
+      });
+    }, 10000);
+  }
+  
+  /**
+   * Register a fallback for a service, or for one route of a service
+   * @param {string} serviceName - Downstream service name
+   * @param {Function} handler - ({ serviceName, method, path, data, req, error, reason }) =>
+   *   { status, body } | null; returning null declines and the generic 503 is sent
+   * @param {Object} options - Fallback options
+   * @param {string} options.method - HTTP method of the gateway route
+   * @param {string} options.route - Gateway route path (e.g. '/api/users/:id')
+   * @param {string} options.name - Name reported in the X-Fallback header
+   */
+  registerFallback(serviceName, handler, options = {}) {
+    const key = options.method && options.route ?
+      `${serviceName}:${options.method.toUpperCase()} ${options.route}` :
+      serviceName;
+    
+    this.fallbacks.set(key, {
+      name: options.name || key,
+      handler
+    });
+  }
+  
+  /**
+   * Find the most specific fallback for a request
+   */
+  findFallback(serviceName, method, req) {
+    if (req.route) {
+      const routeFallback = this.fallbacks.get(`${serviceName}:${method} ${req.route.path}`);
+      if (routeFallback) {
+        return routeFallback;
+      }
+    }
+    
+    return this.fallbacks.get(serviceName) || null;
+  }
+  
   /**
    * Setup event listeners for pattern monitoring
    */
@@ -161,6 +508,14 @@ class ApiGateway {
       this.logger.bulkhead('taskFailed', data);
     });
     
+    bulkhead.on('taskDropped', (data) => {
+      this.logger.bulkhead('taskDropped', data);
+    });
+    
+    bulkhead.on('limitChanged', (data) => {
+      this.logger.bulkhead('limitChanged', data);
+    });
+    
     // Recovery events
     recovery.on('stateChanged', (data) => {
       this.logger.recovery('stateChanged', data);
@@ -169,12 +524,27 @@ class ApiGateway {
     recovery.on('recoverySuccess', (data) => {
       this.logger.recovery('recoverySuccess', data);
     });
+    
+    recovery.on('retryBudgetExhausted', (data) => {
+      this.logger.recovery('retryBudgetExhausted', data);
+    });
+    
+    recovery.on('failover', (data) => {
+      this.logger.recovery('failover', data);
+    });
+    
+    recovery.on('failback', (data) => {
+      this.logger.recovery('failback', data);
+    });
   }
   
   /**
    * Setup API routes
    */
   setupRoutes() {
+    // Liveness, readiness and startup probes
+    this.health.mount(this.app);
+    
     // Health check endpoint
     this.app.get('/health', (req, res) => {
       res.json({
@@ -203,45 +573,25 @@ class ApiGateway {
       });
     });
     
-    // User service routes
-    this.app.get('/api/users/:id', (req, res, next) => {
-      this.proxyRequest('user', 'GET', `/users/${req.params.id}`, null, req, res, next);
-    });
-    
-    this.app.post('/api/users', (req, res, next) => {
-      this.proxyRequest('user', 'POST', '/users', req.body, req, res, next);
-    });
-    
-    // Order service routes
-    this.app.get('/api/orders/:id', (req, res, next) => {
-      this.proxyRequest('order', 'GET', `/orders/${req.params.id}`, null, req, res, next);
-    });
-    
-    this.app.post('/api/orders', (req, res, next) => {
-      this.proxyRequest('order', 'POST', '/orders', req.body, req, res, next);
-    });
-    
-    // Payment service routes
-    this.app.post('/api/payments', (req, res, next) => {
-      this.proxyRequest('payment', 'POST', '/payments', req.body, req, res, next);
-    });
-    
-    // Notification service routes
-    this.app.post('/api/notifications', (req, res, next) => {
-      this.proxyRequest('notification', 'POST', '/notifications', req.body, req, res, next);
-    });
-    
     // Demo and testing routes
     this.setupDemoRoutes();
     
     // Pattern status routes
     this.setupPatternRoutes();
+    
+    // Proxy routes from the route file, after the gateway's own routes so
+    // the file cannot shadow them
+    this.routeTable.load();
+    this.app.use(this.routeTable.middleware());
   }
   
   /**
    * Setup demo routes for testing patterns
    */
   setupDemoRoutes() {
+    // Chaos endpoints are for operators only
+    this.app.use('/api/simulate', this.requireOperator);
+    
     // Simulate payment failures
     this.app.post('/api/simulate/payment-failure', (req, res) => {
       this.logger.info('Simulating payment service failures');
@@ -249,25 +599,41 @@ class ApiGateway {
       res.json({ message: 'Payment service failure simulation started' });
     });
     
-    // Simulate high load
-    this.app.post('/api/simulate/high-load', (req, res) => {
-      this.logger.info('Simulating high load scenario');
-      // Generate multiple concurrent requests
-      const promises = [];
-      for (let i = 0; i < 50; i++) {
-        promises.push(
-          this.proxyRequest('order', 'GET', `/orders/${i}`, null, req, res, () => {})
-            .catch(() => {}) // Ignore errors for demo
-        );
-      }
+    // Simulate high load: a burst of order reads through the order policy,
+    // reporting how the bulkhead's queue discipline handled it
+    this.app.post('/api/simulate/high-load', async (req, res) => {
+      const requests = Math.min(parseInt(req.body?.requests, 10) || 50, 500);
+      const policy = this.policies.get('order');
+      const startTime = Date.now();
+      
+      this.logger.info('Simulating high load scenario', { requests });
+      
+      const results = await Promise.allSettled(Array.from({ length: requests }, (_, i) =>
+        policy.executeWithOptions(
+          (request, signal) => this.forwardRequest(request, signal),
+          { priority: Priorities.LOW, key: 'high-load-simulation' },
+          { serviceName: 'order', method: 'GET', path: `/orders/${(i % 2) + 1}`, data: null, req }
+        )
+      ));
       
-      Promise.allSettled(promises).then(() => {
-        res.json({ message: 'High load simulation completed' });
+      const outcomes = { succeeded: 0, dropped: 0, rejected: 0, timedOut: 0, circuitOpen: 0, failed: 0 };
+      results.forEach(result => {
+        outcomes[this.classifyLoadOutcome(result)]++;
+      });
+      
+      const bulkheadStatus = this.bulkheads.get('order').getStatus();
+      res.json({
+        message: 'High load simulation completed',
+        requests,
+        duration: Date.now() - startTime,
+        outcomes,
+        queueDiscipline: bulkheadStatus.queueDiscipline,
+        queueDisciplineStatus: bulkheadStatus.queueDisciplineStatus
       });
     });
     
     // Reset all patterns
-    this.app.post('/api/reset-patterns', (req, res) => {
+    this.app.post('/api/reset-patterns', this.requireOperator, (req, res) => {
       this.circuitBreakers.forEach(cb => cb.reset());
       this.bulkheads.forEach(bh => bh.clearQueue());
       this.recoveryManagers.forEach(rm => rm.reset());
@@ -291,35 +657,166 @@ class ApiGateway {
       res.json(this.getBulkheadStatus());
     });
     
+    // Runtime reconfiguration
+    this.app.patch('/api/patterns/bulkheads/:name', this.requireOperator, (req, res) => {
+      this.reconfigurePattern('bulkhead', this.bulkheads, bulkheadUpdateSchema, req, res);
+    });
+    
+    this.app.patch('/api/patterns/circuit-breakers/:name', this.requireOperator, (req, res) => {
+      this.reconfigurePattern('circuitBreaker', this.circuitBreakers, circuitBreakerUpdateSchema, req, res);
+    });
+    
+    // Who changed what is for operators only
+    this.app.get('/api/patterns/audit-log', this.requireOperator, (req, res) => {
+      res.json({ entries: this.auditLog });
+    });
+    
     // Recovery status
     this.app.get('/api/patterns/recovery', (req, res) => {
       res.json(this.getRecoveryStatus());
     });
+    
+    // Instance pools
+    this.app.get('/api/patterns/load-balancers', (req, res) => {
+      res.json(this.getLoadBalancerStatus());
+    });
+    
+    // Combined pipeline status
+    this.app.get('/api/patterns/policies', (req, res) => {
+      res.json(this.getPolicyStatus());
+    });
+    
+    // Downstream instances as resolved through the service registry
+    this.app.get('/api/discovery', (req, res) => {
+      res.json(this.discovery.getStatus());
+    });
+    
+    // Authentication settings and counts
+    this.app.get('/api/auth', (req, res) => {
+      res.json(this.authenticator.getStatus());
+    });
+    
+    // Rate limiters and their counts
+    this.app.get('/api/patterns/rate-limiters', (req, res) => {
+      res.json(this.getRateLimitStatus());
+    });
+    
+    // Proxy routes and their policies
+    this.app.get('/api/routes', (req, res) => {
+      res.json(this.getRouteStatus());
+    });
+    
+    this.app.post('/api/routes/reload', this.requireOperator, (req, res) => {
+      if (!this.routeTable.reload()) {
+        return res.status(400).json({
+          error: 'Invalid Route File',
+          message: this.routeTable.lastError
+        });
+      }
+      
+      res.json(this.getRouteStatus());
+    });
+    
+    // Fallback status
+    this.app.get('/api/patterns/fallbacks', (req, res) => {
+      res.json({
+        registered: Array.from(this.fallbacks.keys()),
+        cachedResponses: this.lastKnownResponses.size,
+        deferredRequests: this.deferredRequests.length,
+        fallbackResponses: this.metrics.fallbackResponses
+      });
+    });
   }
   
   /**
-   * Proxy request to downstream service with all patterns applied
+   * Proxy a request matched by a route to its downstream service with all
+   * patterns applied
+   * @param {Object} route - Route from the route table
    */
-  async proxyRequest(serviceName, method, path, data, req, res, next) {
-    const circuitBreaker = this.circuitBreakers.get(serviceName);
-    const bulkhead = this.bulkheads.get(serviceName);
-    const recovery = this.recoveryManagers.get(serviceName);
+  async proxyRequest(route, req, res, next) {
+    if (!(await this.authorizeRequest(req, res, route.auth))) {
+      return;
+    }
+    
+    if (!(await this.checkRateLimit(route, req, res))) {
+      return;
+    }
+    
+    const { service: serviceName, method } = route;
+    const path = rewritePath(route, req);
+    const data = method === 'GET' || method === 'DELETE' ? null : req.body;
+    const maxRetries = route.retry ? route.retry.maxRetries : undefined;
+    
+    // Cached responses must be replayable, so only uncached routes stream
+    const stream = !route.cache;
+    
+    // Cancel the downstream call if the client goes away before we answer
+    const clientAbort = new AbortController();
+    const onClose = () => {
+      if (!res.writableEnded) {
+        clientAbort.abort(new Error('Client disconnected'));
+      }
+    };
+    res.on('close', onClose);
     
     try {
-      // Apply bulkhead first (resource isolation)
-      const result = await bulkhead.execute(async () => {
-        // Apply circuit breaker (failure detection)
-        return await circuitBreaker.execute(async () => {
-          // Apply auto-recovery (retry logic)
-          return await recovery.executeWithRecovery(async () => {
-            return await this.makeHttpRequest(serviceName, method, path, data, req);
-          });
-        });
-      });
+      const response = await this.getRoutePolicy(route).executeWithOptions(
+        (request, routeSignal) => this.policies.get(serviceName).executeWithOptions(
+          (serviceRequest, signal) => this.forwardRequest(serviceRequest, signal),
+          {
+            signal: routeSignal,
+            priority: route.priority,
+            key: this.getClientKey(req),
+            maxRetries,
+            method
+          },
+          request
+        ),
+        { signal: clientAbort.signal },
+        { serviceName, method, path, data, req, stream, maxRetries }
+      );
       
-      res.json(result);
+      if (response.fallback) {
+        res.set('X-Fallback', response.fallback.name);
+        res.set('X-Fallback-Reason', response.fallback.reason);
+        res.status(response.status).json(response.body);
+        return;
+      }
+      
+      this.sendUpstreamResponse(res, response, {
+        remember: method === 'GET' ? (body) => this.rememberResponse(serviceName, path, body) : null,
+        requestId: req.id
+      });
       
     } catch (error) {
+      if (clientAbort.signal.aborted) {
+        this.logger.debug('Downstream request cancelled, client disconnected', {
+          serviceName,
+          method,
+          path,
+          requestId: req.id
+        });
+        return;
+      }
+      
+      // The service answered: its error is the client's answer
+      if (error.response) {
+        this.logger.warn('Passing through upstream error response', {
+          serviceName,
+          method,
+          path,
+          status: error.response.status,
+          requestId: req.id
+        });
+        
+        this.sendUpstreamResponse(res, {
+          status: error.response.status,
+          headers: error.response.headers,
+          body: error.response.rawBody
+        }, { requestId: req.id });
+        return;
+      }
+      
       this.logger.error('Request failed after all patterns applied', {
         serviceName,
         method,
@@ -328,34 +825,574 @@ class ApiGateway {
         requestId: req.id
       });
       
-      // Return graceful error response
-      res.status(503).json({
-        error: 'Service temporarily unavailable',
-        message: 'The request could not be completed due to service issues',
+      // No answer from the service: the gateway answers for it
+      const gatewayError = describeGatewayError(error);
+      
+      res.set('X-Gateway-Error', gatewayError.code);
+      if (gatewayError.status === 503) {
+        res.set('Retry-After', '30');
+      }
+      
+      res.status(gatewayError.status).json({
+        error: gatewayError.error,
+        code: gatewayError.code,
+        message: gatewayError.message,
+        source: 'gateway',
         serviceName,
-        requestId: req.id,
-        retryAfter: 30 // seconds
+        requestId: req.id
+      });
+    } finally {
+      res.off('close', onClose);
+    }
+  }
+  
+  /**
+   * Send a service's response to the client with its status and headers,
+   * streaming the body unless it was already buffered
+   * @param {Object} res - Express response
+   * @param {Object} response - { status, headers, body } with a Buffer or stream body
+   * @param {Object} options - Send options
+   * @param {Function} options.remember - Called with the decoded body of a
+   *   complete response that fits in memory
+   * @param {string} options.requestId - For logging
+   */
+  sendUpstreamResponse(res, response, options = {}) {
+    const { status, headers, body } = response;
+    const { remember } = options;
+    
+    res.status(status);
+    res.set(downstreamResponseHeaders(headers));
+    
+    if (!body || Buffer.isBuffer(body)) {
+      if (remember && body && status < 300) {
+        remember(parseBody(body, headers));
+      }
+      res.end(body);
+      return;
+    }
+    
+    // Keep a copy of small successful bodies while they stream past
+    let chunks = remember && status < 300 ? [] : null;
+    let size = 0;
+    
+    if (chunks) {
+      body.on('data', (chunk) => {
+        size += chunk.length;
+        if (chunks && size <= this.maxBufferedBodySize) {
+          chunks.push(chunk);
+        } else {
+          chunks = null;
+        }
+      });
+    }
+    
+    pipeline(body, res, (error) => {
+      if (error) {
+        this.logger.warn('Upstream response stream ended early', {
+          error: error.message,
+          requestId: options.requestId
+        });
+        return;
+      }
+      
+      if (chunks) {
+        remember(parseBody(Buffer.concat(chunks), headers));
+      }
+    });
+  }
+  
+  /**
+   * Validate and apply a runtime pattern change, recording it in the audit log
+   * @param {string} patternType - 'bulkhead' or 'circuitBreaker'
+   * @param {Map} patterns - Pattern instances keyed by service name
+   * @param {Object} schema - Joi schema for the request body
+   */
+  reconfigurePattern(patternType, patterns, schema, req, res) {
+    const pattern = patterns.get(req.params.name);
+    if (!pattern) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `No ${patternType} for service ${req.params.name}`,
+        available: Array.from(patterns.keys())
+      });
+    }
+    
+    const { error, value } = schema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message,
+        details: error.details.map(detail => detail.message)
+      });
+    }
+    
+    let changes;
+    try {
+      changes = pattern.reconfigure(value);
+    } catch (reconfigureError) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: reconfigureError.message
+      });
+    }
+    
+    const entry = {
+      id: uuidv4(),
+      timestamp: new Date().toISOString(),
+      actor: req.identity ? req.identity.subject : (req.get('X-Admin-User') || req.ip),
+      patternType,
+      name: req.params.name,
+      changes,
+      requestId: req.id
+    };
+    
+    this.auditLog.push(entry);
+    if (this.auditLog.length > this.maxAuditEntries) {
+      this.auditLog.shift();
+    }
+    
+    this.logger.info('Pattern reconfigured', entry);
+    
+    res.json({
+      ...entry,
+      status: pattern.getStatus()
+    });
+  }
+  
+  /**
+   * Bucket a high-load simulation result
+   */
+  classifyLoadOutcome(result) {
+    if (result.status === 'fulfilled') {
+      return 'succeeded';
+    }
+    
+    const error = result.reason;
+    if (error.dropped) {
+      return 'dropped';
+    }
+    if (error.code === 'CIRCUIT_OPEN') {
+      return 'circuitOpen';
+    }
+    if (error.message.includes('timeout')) {
+      return 'timedOut';
+    }
+    if (error.code === 'BULKHEAD_REJECTED') {
+      return 'rejected';
+    }
+    return 'failed';
+  }
+  
+  /**
+   * Policy for a route's own timeout and cache, created on first use; a
+   * route table reload brings new route objects and so fresh policies
+   */
+  getRoutePolicy(route) {
+    let policy = this.routePolicies.get(route);
+    if (policy) {
+      return policy;
+    }
+    
+    const layers = [];
+    if (route.cache) {
+      layers.push({
+        type: PolicyTypes.CACHE,
+        ttl: route.cache.ttl,
+        maxEntries: route.cache.maxEntries,
+        key: (request) => request.path,
+        shouldCache: (response) => !response.fallback
+      });
+    }
+    if (route.timeout) {
+      layers.push({ type: PolicyTypes.TIMEOUT, timeout: route.timeout });
+    }
+    
+    policy = new ResiliencePolicy({ name: `route:${route.name}`, policies: layers });
+    this.routePolicies.set(route, policy);
+    return policy;
+  }
+  
+  /**
+   * Rate limiter of a route and what it counts by, or null when the route
+   * is not rate limited; a route's own limiter is created on first use
+   */
+  getRouteRateLimit(route) {
+    const settings = this.config.security.rateLimit;
+    if (!settings.enabled || route.rateLimit === false) {
+      return null;
+    }
+    
+    if (!route.rateLimit) {
+      return { limiter: this.rateLimiter, keyBy: settings.key };
+    }
+    
+    let limiter = this.routeRateLimiters.get(route);
+    if (!limiter) {
+      // Named after the route, so its counts survive a route table reload
+      limiter = new RateLimiter({
+        name: `route:${route.name}`,
+        algorithm: route.rateLimit.algorithm || settings.algorithm,
+        limit: route.rateLimit.limit,
+        windowMs: route.rateLimit.windowMs,
+        store: this.rateLimitStore
+      });
+      this.routeRateLimiters.set(route, limiter);
+    }
+    
+    return { limiter, keyBy: route.rateLimit.key || settings.key };
+  }
+  
+  /**
+   * Check a request against an auth policy, unless its IP has sent too many
+   * invalid credentials lately
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} policy - { required, scopes }
+   * @returns {Promise<boolean>} Whether the request may proceed
+   */
+  async authorizeRequest(req, res, policy) {
+    if (!this.authenticator.enabled) {
+      return true;
+    }
+    
+    const key = `ip:${req.ip}`;
+    const standing = await this.authFailureLimiter.peek(key);
+    if (!standing.allowed) {
+      res.set(rateLimitHeaders(standing, this.authFailureLimiter.windowMs));
+      this.rejectRateLimited(req, res, `Too many invalid credentials, retry in ${res.get('Retry-After')}s`, {
+        limiter: this.authFailureLimiter.name,
+        key
+      });
+      return false;
+    }
+    
+    const { allowed, code } = this.authenticator.authorize(req, res, policy);
+    
+    // Missing credentials or a missing scope guess nothing
+    if (code === 'INVALID_CREDENTIALS') {
+      await this.authFailureLimiter.consume(key);
+    }
+    return allowed;
+  }
+  
+  /**
+   * Count a request against its rate limit, answering 429 when it is over
+   * @returns {Promise<boolean>} Whether the request may proceed
+   */
+  async checkRateLimit(route, req, res) {
+    const rateLimit = this.getRouteRateLimit(route);
+    if (!rateLimit) {
+      return true;
+    }
+    
+    const { limiter, keyBy } = rateLimit;
+    const key = rateLimitKey(req, route, keyBy);
+    const result = await limiter.consume(key);
+    
+    res.set(rateLimitHeaders(result, limiter.windowMs));
+    if (result.allowed) {
+      return true;
+    }
+    
+    this.rejectRateLimited(req, res, `Rate limit of ${result.limit} requests exceeded, retry in ${res.get('Retry-After')}s`, {
+      route: route.name,
+      limiter: limiter.name,
+      key
+    });
+    return false;
+  }
+  
+  /**
+   * Answer 429 once the RateLimit headers are set
+   * @private
+   */
+  rejectRateLimited(req, res, message, details) {
+    this.logger.warn('Rate limit exceeded', { ...details, requestId: req.id });
+    
+    res.set('X-Gateway-Error', 'RATE_LIMITED');
+    res.status(429).json({
+      error: 'Too Many Requests',
+      code: 'RATE_LIMITED',
+      message,
+      source: 'gateway',
+      requestId: req.id
+    });
+  }
+  
+  /**
+   * Fair-share key of the caller: tenant or client id header, else the IP
+   */
+  getClientKey(req) {
+    return req.get('X-Tenant-ID') || req.get('X-Client-ID') || req.ip;
+  }
+  
+  /**
+   * Forward a request downstream; the innermost step of a service's policy
+   * @param {Object} request - { serviceName, method, path, data, req, stream }
+   * @param {AbortSignal} [signal] - Aborted when any policy layer gives up
+   * @returns {Promise<Object>} { status, headers, body }; the body is a
+   *   stream when `request.stream` is set, a Buffer otherwise
+   */
+  async forwardRequest(request, signal) {
+    return this.makeHttpRequest(request, signal);
+  }
+  
+  /**
+   * Produce a fallback response for a failed request, if one applies
+   * @param {Object} request - { serviceName, method, path, data, req, replay }
+   * @param {Error} error - Error that exhausted the protection pipeline
+   * @returns {Promise<Object|undefined>} { fallback: { name, reason }, status, body },
+   *   or undefined to let the error through
+   */
+  async runFallback(request, error) {
+    const { serviceName, method, path, data, req } = request;
+    
+    // Client errors are valid answers from a healthy service, and replays
+    // must fail so the deferred request stays queued
+    if (!isRecordableFailure(error) || request.replay) {
+      return undefined;
+    }
+    
+    const fallback = this.findFallback(serviceName, method, req);
+    if (!fallback) {
+      return undefined;
+    }
+    
+    const reason = this.getFallbackReason(error);
+    
+    try {
+      const response = await fallback.handler({ serviceName, method, path, data, req, error, reason });
+      if (!response) {
+        return undefined;
+      }
+      
+      this.metrics.fallbackResponses++;
+      
+      this.logger.info('Serving fallback response', {
+        serviceName,
+        fallback: fallback.name,
+        reason,
+        requestId: req.id
       });
+      
+      return {
+        fallback: { name: fallback.name, reason },
+        status: response.status || 200,
+        body: response.body
+      };
+      
+    } catch (fallbackError) {
+      this.logger.warn('Fallback failed', {
+        serviceName,
+        fallback: fallback.name,
+        error: fallbackError.message,
+        requestId: req.id
+      });
+      return undefined;
     }
   }
   
   /**
-   * Make HTTP request to downstream service
+   * Describe which pattern gave up on a request
+   */
+  getFallbackReason(error) {
+    switch (error.code) {
+      case 'CIRCUIT_OPEN':
+        return 'circuit-open';
+      case 'BULKHEAD_REJECTED':
+        return 'bulkhead-rejected';
+      case 'NO_INSTANCES':
+        return 'no-instances';
+      default:
+        return 'retries-exhausted';
+    }
+  }
+  
+  /**
+   * Remember the last successful GET response for cache fallbacks
+   */
+  rememberResponse(serviceName, path, data) {
+    const key = `${serviceName}:${path}`;
+    
+    // Re-insert so the Map stays in least-recently-updated order
+    this.lastKnownResponses.delete(key);
+    this.lastKnownResponses.set(key, {
+      data,
+      cachedAt: new Date().toISOString()
+    });
+    
+    if (this.lastKnownResponses.size > this.maxCachedResponses) {
+      this.lastKnownResponses.delete(this.lastKnownResponses.keys().next().value);
+    }
+  }
+  
+  /**
+   * Keep a write request to replay once its service recovers
+   * @returns {Object|null} The deferred request, or null if the queue is full
+   */
+  deferRequest({ serviceName, method, path, data, req }) {
+    if (this.deferredRequests.length >= this.maxDeferredRequests) {
+      return null;
+    }
+    
+    const deferred = this.createDeferredRequest({
+      id: uuidv4(),
+      serviceName,
+      method,
+      path,
+      data,
+      attempts: 0,
+      deferredAt: new Date().toISOString(),
+      // The identity is kept instead of the credential that proved it
+      request: {
+        id: req.id,
+        ip: req.ip,
+        identity: req.identity,
+        headers: omitCredentials(req.headers)
+      }
+    });
+    
+    this.deferredRequests.push(deferred);
+    return deferred;
+  }
+  
+  /**
+   * Build a deferred request from its serializable fields
+   * @private
    */
-  async makeHttpRequest(serviceName, method, path, data, req) {
-    const serviceUrl = this.config.services[serviceName].url;
+  createDeferredRequest(fields) {
+    const { request } = fields;
+    
+    return {
+      ...fields,
+      // Enough of the original request for makeHttpRequest
+      req: {
+        id: request.id,
+        ip: request.ip,
+        identity: request.identity,
+        headers: request.headers,
+        get: (name) => request.headers[name.toLowerCase()]
+      }
+    };
+  }
+  
+  /**
+   * Reload deferred requests saved by the last shutdown
+   */
+  restoreDeferredRequests() {
+    const state = this.stateStore.load();
+    if (!state) {
+      return;
+    }
+    
+    (state.deferredRequests || [])
+      .filter(fields => this.config.services[fields.serviceName])
+      .forEach(fields => this.deferredRequests.push(this.createDeferredRequest(fields)));
+    
+    this.stateStore.clear();
+    
+    this.logger.info('Deferred requests restored', {
+      savedAt: state.savedAt,
+      deferredRequests: this.deferredRequests.length
+    });
+  }
+  
+  /**
+   * Replay deferred requests for services whose circuit is closed
+   */
+  async replayDeferredRequests() {
+    if (this.isReplayingDeferred) {
+      return;
+    }
+    
+    this.isReplayingDeferred = true;
+    
+    try {
+      await this.replayReadyDeferredRequests();
+    } finally {
+      this.isReplayingDeferred = false;
+    }
+  }
+  
+  /**
+   * Replay one pass of deferred requests
+   * @private
+   */
+  async replayReadyDeferredRequests() {
+    const maxAttempts = 5;
+    const ready = this.deferredRequests.filter(deferred =>
+      this.circuitBreakers.get(deferred.serviceName).state === States.CLOSED
+    );
+    
+    for (const deferred of ready) {
+      deferred.attempts++;
+      
+      try {
+        await this.policies.get(deferred.serviceName).executeWithOptions(
+          (request, signal) => this.forwardRequest(request, signal),
+          { method: deferred.method },
+          { ...deferred, replay: true }
+        );
+        this.deferredRequests = this.deferredRequests.filter(d => d.id !== deferred.id);
+        
+        this.logger.info('Deferred request replayed', {
+          deferredId: deferred.id,
+          serviceName: deferred.serviceName,
+          attempts: deferred.attempts
+        });
+        
+      } catch (error) {
+        if (deferred.attempts >= maxAttempts || !isRecordableFailure(error)) {
+          this.deferredRequests = this.deferredRequests.filter(d => d.id !== deferred.id);
+          
+          this.logger.error('Deferred request dropped', {
+            deferredId: deferred.id,
+            serviceName: deferred.serviceName,
+            attempts: deferred.attempts,
+            error: error.message
+          });
+        }
+      }
+    }
+  }
+  
+  /**
+   * Make HTTP request to downstream service, on an instance picked by the
+   * service's load balancer
+   * @param {Object} request - { serviceName, method, path, data, req, stream, maxRetries }
+   * @param {AbortSignal} [signal] - Cancels the in-flight request when aborted
+   */
+  async makeHttpRequest(request, signal) {
+    const balancer = this.loadBalancers.get(request.serviceName);
+    balancer.setInstances(this.getServiceInstances(request.serviceName));
+    
+    // A POST that timed out may have been processed; the balancer only
+    // sends it to another instance if it never left
+    return balancer.execute(
+      (instance, instanceSignal) => this.sendRequest(instance.url, request, instanceSignal),
+      { signal, method: request.method, maxRetries: request.maxRetries }
+    );
+  }
+  
+  /**
+   * Send one request to one instance
+   * @private
+   */
+  async sendRequest(serviceUrl, request, signal) {
+    const { serviceName, method, path, data, req, stream } = request;
     const url = `${serviceUrl}${path}`;
     
     const requestConfig = {
       method,
       url,
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Request-ID': req.id,
-        'X-Forwarded-For': req.ip,
-        'User-Agent': req.get('User-Agent')
-      },
-      timeout: this.config.circuitBreaker.timeout
+      headers: upstreamRequestHeaders(req, Boolean(data)),
+      timeout: this.config.circuitBreaker.timeout,
+      signal,
+      // Bodies are passed on byte for byte; redirects go back to the client
+      responseType: 'stream',
+      decompress: false,
+      maxRedirects: 0,
+      validateStatus: (status) => status < 400
     };
     
     if (data) {
@@ -369,16 +1406,91 @@ class ApiGateway {
       requestId: req.id
     });
     
-    const response = await axios(requestConfig);
-    return response.data;
+    let response;
+    try {
+      response = await axios(requestConfig);
+    } catch (error) {
+      // Error bodies are small; buffer them so retries, fallbacks and the
+      // `retryable` flag of the error body can be inspected
+      if (error.response && error.response.data && typeof error.response.data.pipe === 'function') {
+        error.response.rawBody = await readBody(error.response.data, this.maxBufferedBodySize);
+        error.response.data = parseBody(error.response.rawBody, error.response.headers);
+      }
+      throw error;
+    }
+    
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: stream ? response.data : await readBody(response.data, this.maxBufferedBodySize)
+    };
   }
   
   /**
-   * Perform health check on a service
+   * Register the checks behind /health/live, /health/ready and /health/startup
+   *
+   * A failed downstream only degrades the gateway: its routes still answer
+   * from fallbacks, and the other services are unaffected.
    */
-  async performHealthCheck(serviceName) {
-    const serviceUrl = this.config.services[serviceName].url;
-    const response = await axios.get(`${serviceUrl}/health`, {
+  setupHealthChecks() {
+    this.health = new HealthRegistry({ service: 'api-gateway' });
+    
+    this.recoveryManagers.forEach((recovery, serviceName) => {
+      this.health.register(recoveryCheck(`downstream:${serviceName}`, recovery, { critical: false }));
+    });
+  }
+  
+  /**
+   * Instances to balance a service's calls over: the live instances from
+   * the registry, or only the failover endpoint once the recovery manager
+   * has failed over
+   */
+  getServiceInstances(serviceName) {
+    const recovery = this.recoveryManagers.get(serviceName);
+    const endpoint = recovery && recovery.getActiveEndpoint();
+    
+    if (endpoint && endpoint !== this.config.services[serviceName].url) {
+      return [{ url: endpoint }];
+    }
+    
+    return this.discovery.getInstances(serviceName);
+  }
+  
+  /**
+   * Get the endpoint a service is currently reached at (a registered
+   * instance unless its recovery manager has failed over)
+   * @returns {string|null} URL, or null if no instance is live
+   */
+  getServiceUrl(serviceName) {
+    const recovery = this.recoveryManagers.get(serviceName);
+    
+    return this.resolveEndpoint(serviceName, recovery && recovery.getActiveEndpoint());
+  }
+  
+  /**
+   * The configured primary URL stands for the service as a whole and
+   * resolves to a live instance from the registry; failover URLs are used
+   * as they are
+   */
+  resolveEndpoint(serviceName, endpoint) {
+    if (endpoint && endpoint !== this.config.services[serviceName].url) {
+      return endpoint;
+    }
+    
+    return this.discovery.resolve(serviceName);
+  }
+  
+  /**
+   * Perform health check on a service by probing its readiness endpoint,
+   * which answers from in-memory state rather than running its own checks
+   * @param {string} [serviceUrl] - Endpoint to check; defaults to the active one
+   */
+  async performHealthCheck(serviceName, serviceUrl = this.getServiceUrl(serviceName)) {
+    if (!serviceUrl) {
+      throw noInstancesError(serviceName);
+    }
+    
+    const response = await axios.get(`${serviceUrl}/health/ready`, {
       timeout: 5000
     });
     return response.data;
@@ -485,6 +1597,63 @@ class ApiGateway {
     return status;
   }
   
+  /**
+   * Get combined policy status
+   */
+  getPolicyStatus() {
+    const status = {};
+    this.policies.forEach((policy, name) => {
+      status[name] = policy.getStatus();
+    });
+    return status;
+  }
+  
+  /**
+   * Get load balancer status
+   */
+  getLoadBalancerStatus() {
+    const status = {};
+    this.loadBalancers.forEach((balancer, name) => {
+      balancer.setInstances(this.getServiceInstances(name));
+      status[name] = balancer.getStatus();
+    });
+    return status;
+  }
+  
+  /**
+   * Get rate limiter status: the default limiter and those of routes with
+   * a limit of their own
+   */
+  getRateLimitStatus() {
+    const settings = this.config.security.rateLimit;
+    const routeLimiters = this.routeTable.getRoutes()
+      .map(route => this.routeRateLimiters.get(route))
+      .filter(Boolean);
+    
+    return {
+      enabled: settings.enabled,
+      key: settings.key,
+      store: this.rateLimitStore.getStatus(),
+      limiters: [this.rateLimiter, ...routeLimiters, this.authFailureLimiter].map(limiter => limiter.getStatus())
+    };
+  }
+  
+  /**
+   * Get the route table with each route's policy metrics
+   */
+  getRouteStatus() {
+    return {
+      ...this.routeTable.getStatus(),
+      routes: this.routeTable.getRoutes().map(route => {
+        const policy = this.routePolicies.get(route);
+        return {
+          ...route,
+          metrics: policy ? policy.getStatus().metrics : null
+        };
+      })
+    };
+  }
+  
   /**
    * Get circuit breaker metrics
    */
@@ -558,6 +1727,7 @@ class ApiGateway {
     const host = this.config.host;
     
     this.server = this.app.listen(port, host, () => {
+      this.health.markStarted();
       this.logger.info('API Gateway started', {
         port,
         host,
@@ -568,30 +1738,125 @@ class ApiGateway {
           recoveryManagers: this.recoveryManagers.size
         }
       });
+      
+      this.startDiscovery(port);
+      
+      if (this.config.routes.watch) {
+        this.routeTable.watch();
+      }
     });
     
     // Graceful shutdown
-    process.on('SIGTERM', () => this.shutdown());
-    process.on('SIGINT', () => this.shutdown());
+    process.on('SIGTERM', () => this.shutdown('SIGTERM'));
+    process.on('SIGINT', () => this.shutdown('SIGINT'));
+  }
+  
+  /**
+   * Start resolving downstream services through the registry, and register
+   * the gateway itself so the monitor can find it
+   * @private
+   */
+  startDiscovery(port) {
+    if (!this.config.registry.enabled) {
+      return;
+    }
+    
+    this.discovery.start();
+    
+    this.registration = new ServiceRegistration({
+      client: this.registryClient,
+      instance: {
+        name: 'gateway',
+        version: this.config.service.version,
+        url: `http://localhost:${port}`,
+        metadata: {
+          serviceName: 'api-gateway',
+          pid: process.pid
+        }
+      },
+      heartbeatInterval: this.config.registry.heartbeatInterval
+    });
+    
+    this.registration.start();
   }
   
   /**
-   * Graceful shutdown
+   * Graceful shutdown: drain in-flight requests, save deferred requests,
+   * report to the monitor, exit
+   * @param {string} [reason] - Signal or other cause, for the report
    */
-  async shutdown() {
-    this.logger.info('Starting graceful shutdown...');
+  async shutdown(reason = 'manual') {
+    if (this.shuttingDown) {
+      return;
+    }
+    
+    this.shuttingDown = true;
+    
+    const startedAt = Date.now();
+    const deadline = startedAt + this.config.shutdown.timeout;
+    
+    this.logger.info('Starting graceful shutdown...', {
+      reason,
+      inFlightRequests: this.inFlight.count
+    });
+    
+    // Fail readiness first so callers stop routing here
+    this.health.setDraining(true);
+    this.inFlight.startDraining();
+    
+    if (this.registration) {
+      await this.registration.stop();
+    }
     
     // Stop accepting new connections
-    this.server.close(() => {
+    closeServer(this.server).then(() => {
       this.logger.info('HTTP server closed');
     });
     
+    if (this.deferredReplayInterval) {
+      clearInterval(this.deferredReplayInterval);
+    }
+    
+    const drained = await this.inFlight.waitForIdle(deadline);
+    await waitUntil(() => !this.isReplayingDeferred, deadline);
+    
+    if (this.deferredRequests.length > 0) {
+      this.logger.info('Saving deferred requests for the next start', {
+        deferredRequests: this.deferredRequests.length
+      });
+      
+      this.stateStore.save({
+        deferredRequests: this.deferredRequests.map(({ req, ...fields }) => fields)
+      });
+    }
+    
+    this.discovery.stop();
+    this.routeTable.destroy();
+    await this.rateLimitStore.destroy();
+    
     // Cleanup patterns
     this.circuitBreakers.forEach(cb => cb.destroy());
     this.bulkheads.forEach(bh => bh.destroy());
+    this.loadBalancers.forEach(lb => lb.destroy());
     this.recoveryManagers.forEach(rm => rm.destroy());
+    this.policies.forEach(policy => policy.destroy());
+    
+    const report = {
+      service: 'api-gateway',
+      reason,
+      startedAt: new Date(startedAt).toISOString(),
+      duration: Date.now() - startedAt,
+      drained,
+      abandonedRequests: this.inFlight.count,
+      rejectedRequests: this.inFlight.rejected,
+      persistedDeferredRequests: this.deferredRequests.length
+    };
+    
+    await reportShutdown(this.config.shutdown.monitorUrl, report, this.logger);
+    
+    this.server.closeAllConnections();
     
-    this.logger.info('Graceful shutdown completed');
+    this.logger.info('Graceful shutdown completed', report);
     process.exit(0);
   }
 }
@@ -0,0 +1,211 @@
+/**
+ * Reverse-proxy helpers for the gateway
+ *
+ * Headers that only describe one connection (the hop-by-hop headers of
+ * RFC 9110, plus any header named in `Connection`) are dropped in both
+ * directions; the rest of the request and response headers are passed on.
+ * Errors are split by who produced them: a status from the service is
+ * passed through as it is, while a call that never got an answer (circuit
+ * open, bulkhead full, timeout, connection refused) is answered by the
+ * gateway itself and marked with an `X-Gateway-Error` header.
+ * Credentials stop at the gateway: services get the authenticated identity
+ * in headers of its own instead.
+ */
+
+const { CREDENTIAL_HEADERS, IDENTITY_HEADERS, identityHeaders } = require('./Authenticator');
+
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'proxy-connection',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade'
+];
+
+/**
+ * Request headers the gateway sets itself: the body is re-serialized as
+ * JSON, and the HTTP client fills in the host
+ */
+const REGENERATED_REQUEST_HEADERS = ['host', 'content-length', 'content-type', 'expect'];
+
+/**
+ * Response headers the gateway owns (CORS is configured on the gateway)
+ */
+const GATEWAY_OWNED_RESPONSE_HEADER = /^access-control-/;
+
+/**
+ * Copy headers, leaving out hop-by-hop headers
+ * @param {Object} headers - Header names (any case) and values
+ * @returns {Object} Headers that may be forwarded, with lower-case names
+ */
+function stripHopByHopHeaders(headers = {}) {
+  const plain = typeof headers.toJSON === 'function' ? headers.toJSON() : headers;
+  const listed = String(plain.connection || plain.Connection || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+  const dropped = new Set([...HOP_BY_HOP_HEADERS, ...listed]);
+  
+  const result = {};
+  Object.entries(plain).forEach(([name, value]) => {
+    const lowerName = name.toLowerCase();
+    if (value !== undefined && value !== null && !dropped.has(lowerName)) {
+      result[lowerName] = value;
+    }
+  });
+  return result;
+}
+
+/**
+ * Build the headers of the downstream request from the client's request
+ * @param {Object} req - Express request (or a deferred request's stand-in);
+ *   its `identity`, if any, is forwarded
+ * @param {boolean} hasBody - Whether a JSON body is sent
+ * @returns {Object} Downstream request headers
+ */
+function upstreamRequestHeaders(req, hasBody) {
+  const incoming = req.headers || {};
+  const headers = stripHopByHopHeaders(incoming);
+  
+  [...REGENERATED_REQUEST_HEADERS, ...CREDENTIAL_HEADERS, ...Object.values(IDENTITY_HEADERS)].forEach(name => {
+    delete headers[name];
+  });
+  
+  if (req.identity) {
+    Object.assign(headers, identityHeaders(req.identity));
+  }
+  
+  if (hasBody) {
+    headers['content-type'] = 'application/json';
+  }
+  
+  headers['x-forwarded-for'] = headers['x-forwarded-for'] ?
+    `${headers['x-forwarded-for']}, ${req.ip}` :
+    req.ip;
+  
+  if (incoming.host && !headers['x-forwarded-host']) {
+    headers['x-forwarded-host'] = incoming.host;
+  }
+  
+  if (req.protocol && !headers['x-forwarded-proto']) {
+    headers['x-forwarded-proto'] = req.protocol;
+  }
+  
+  headers['x-request-id'] = req.id;
+  return headers;
+}
+
+/**
+ * Build the headers sent back to the client from a service's response
+ * @param {Object} headers - Downstream response headers
+ * @returns {Object} Client response headers
+ */
+function downstreamResponseHeaders(headers) {
+  const result = stripHopByHopHeaders(headers);
+  
+  Object.keys(result)
+    .filter(name => GATEWAY_OWNED_RESPONSE_HEADER.test(name))
+    .forEach(name => {
+      delete result[name];
+    });
+  
+  return result;
+}
+
+/**
+ * Read a body stream into memory
+ * @param {Readable} stream - Body stream
+ * @param {number} limit - Largest body accepted, in bytes
+ * @returns {Promise<Buffer>} The body
+ */
+function readBody(stream, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    
+    stream.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        const error = new Error(`Response body exceeds ${limit} bytes`);
+        error.code = 'UPSTREAM_BODY_TOO_LARGE';
+        stream.destroy(error);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Decode a buffered body for inspection: JSON is parsed and text decoded,
+ * anything else (including compressed bodies) stays a Buffer
+ * @param {Buffer} body - Raw body
+ * @param {Object} headers - Response headers
+ * @returns {any} Decoded body
+ */
+function parseBody(body, headers = {}) {
+  const plain = stripHopByHopHeaders(headers);
+  const contentType = String(plain['content-type'] || '');
+  
+  if (plain['content-encoding'] && plain['content-encoding'] !== 'identity') {
+    return body;
+  }
+  
+  if (contentType.includes('json')) {
+    try {
+      return JSON.parse(body.toString('utf8'));
+    } catch (error) {
+      return body.toString('utf8');
+    }
+  }
+  
+  return contentType.startsWith('text/') ? body.toString('utf8') : body;
+}
+
+/**
+ * Status and description of a call the gateway could not complete
+ * @param {Error} error - Error without an upstream response
+ * @returns {Object} { status, error, code, message }
+ */
+function describeGatewayError(error) {
+  if (['CIRCUIT_OPEN', 'BULKHEAD_REJECTED', 'NO_INSTANCES'].includes(error.code)) {
+    return {
+      status: 503,
+      error: 'Service Unavailable',
+      code: error.code,
+      message: 'The service is temporarily unavailable'
+    };
+  }
+  
+  if (error.code === 'POLICY_TIMEOUT' || error.code === 'ECONNABORTED' || /timeout/i.test(error.message)) {
+    return {
+      status: 504,
+      error: 'Gateway Timeout',
+      code: 'UPSTREAM_TIMEOUT',
+      message: 'The service did not answer in time'
+    };
+  }
+  
+  return {
+    status: 502,
+    error: 'Bad Gateway',
+    code: error.code || 'UPSTREAM_UNREACHABLE',
+    message: 'The service could not be reached'
+  };
+}
+
+module.exports = {
+  HOP_BY_HOP_HEADERS,
+  stripHopByHopHeaders,
+  upstreamRequestHeaders,
+  downstreamResponseHeaders,
+  readBody,
+  parseBody,
+  describeGatewayError
+};
@@ -0,0 +1,73 @@
+/**
+ * Rate limiting helpers for the gateway
+ *
+ * Which client a request counts against, and the headers that tell the
+ * client where it stands. The headers follow the IETF RateLimit header
+ * fields draft: `RateLimit-Limit`, `RateLimit-Remaining`, `RateLimit-Reset`
+ * (seconds until the quota resets) and `RateLimit-Policy`, plus
+ * `Retry-After` when the request is rejected.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * What a rate limit counts requests by
+ */
+const KeyTypes = {
+  IP: 'ip',
+  API_KEY: 'apiKey',
+  ROUTE: 'route'
+};
+
+/**
+ * Rate limit key of a request
+ * @param {Object} req - Express request
+ * @param {Object} route - Route from the route table
+ * @param {string} keyBy - One of KeyTypes
+ * @returns {string} Key; `apiKey` counts authenticated requests per client
+ *   and the rest per API key, or per IP without one
+ */
+function rateLimitKey(req, route, keyBy) {
+  if (keyBy === KeyTypes.ROUTE) {
+    return `route:${route.name}`;
+  }
+  
+  if (keyBy === KeyTypes.API_KEY && req.identity) {
+    return `client:${req.identity.subject}`;
+  }
+  
+  const apiKey = keyBy === KeyTypes.API_KEY && req.get('X-API-Key');
+  if (apiKey) {
+    // Keys end up in the store and its logs, so the secret itself is not used
+    return `apiKey:${crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 32)}`;
+  }
+  
+  return `ip:${req.ip}`;
+}
+
+/**
+ * Response headers for a rate limit decision
+ * @param {Object} result - Result of RateLimiter.consume()
+ * @param {number} windowMs - Window of the rate limit (ms)
+ * @returns {Object} Header names and values
+ */
+function rateLimitHeaders(result, windowMs) {
+  const headers = {
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000)),
+    'RateLimit-Policy': `${result.limit};w=${Math.ceil(windowMs / 1000)}`
+  };
+  
+  if (!result.allowed) {
+    headers['Retry-After'] = String(Math.max(1, Math.ceil(result.retryAfterMs / 1000)));
+  }
+  
+  return headers;
+}
+
+module.exports = {
+  KeyTypes,
+  rateLimitKey,
+  rateLimitHeaders
+};
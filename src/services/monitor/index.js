@@ -10,6 +10,9 @@ const path = require('path');
 const axios = require('axios');
 const config = require('../../config');
 const logger = require('../../utils/logger');
+const { HealthRegistry } = require('../../utils/healthRegistry');
+const { InFlightTracker, closeServer } = require('../../utils/shutdown');
+const { ServiceRegistry, LocalRegistryClient, ServiceDiscovery } = require('../../registry');
 
 class MonitoringService {
   constructor() {
@@ -17,7 +20,8 @@ class MonitoringService {
     this.config = config.getServiceConfig('monitor');
     this.logger = logger.createChild({ service: 'monitoring-service' });
     
-    // Service endpoints
+    // Configured service endpoints, used until the services register
+    // (or for good when the registry is disabled)
     this.services = {
       gateway: `http://localhost:${config.server.gateway.port}`,
       user: config.server.services.user.url,
@@ -26,18 +30,48 @@ class MonitoringService {
       notification: config.server.services.notification.url
     };
     
+    // The service registry lives here; services register over HTTP at
+    // /registry, and the monitor looks them up in-process
+    this.registry = new ServiceRegistry({
+      name: 'monitor',
+      heartbeatTimeout: this.config.registry.heartbeatTimeout
+    });
+    this.discovery = new ServiceDiscovery({
+      name: 'monitoring-service',
+      client: new LocalRegistryClient(this.registry),
+      refreshInterval: this.config.registry.refreshInterval,
+      staticUrls: this.services
+    });
+    
+    // Process supervisor (only when started with `npm run start:supervised`)
+    this.supervisorUrl = this.config.supervisor.url;
+    
     // Cached metrics
     this.metricsCache = {
       lastUpdated: null,
       data: {}
     };
     
+    // Shutdown reports sent by the services, newest last
+    this.shutdownHistory = [];
+    this.maxShutdownHistory = 100;
+    
+    // Liveness, readiness and startup probes
+    this.health = new HealthRegistry({ service: 'monitoring-service' });
+    
+    // The event stream stays open until the client leaves, so it never drains
+    this.inFlight = new InFlightTracker({
+      isExempt: req => req.path.startsWith('/health') || req.path === '/api/stream'
+    });
+    this.shuttingDown = false;
+    
     this.setupMiddleware();
     this.setupRoutes();
     this.startMetricsCollection();
   }
   
   setupMiddleware() {
+    this.app.use(this.inFlight.middleware());
     this.app.use(express.json());
     this.app.use(express.static(path.join(__dirname, 'public')));
     
@@ -50,6 +84,12 @@ class MonitoringService {
   }
   
   setupRoutes() {
+    // Liveness, readiness and startup probes
+    this.health.mount(this.app);
+    
+    // Service registry API
+    this.app.use('/registry', this.registry.createRouter());
+    
     // Dashboard home page
     this.app.get('/', (req, res) => {
       res.send(this.generateDashboardHTML());
@@ -62,6 +102,7 @@ class MonitoringService {
         service: 'monitoring-service',
         timestamp: new Date().toISOString(),
         monitoredServices: Object.keys(this.services),
+        registeredInstances: this.registry.instances.size,
         lastMetricsUpdate: this.metricsCache.lastUpdated
       });
     });
@@ -156,6 +197,46 @@ class MonitoringService {
       }
     });
     
+    // Get process restart history from the supervisor
+    this.app.get('/api/restarts', async (req, res) => {
+      try {
+        const restarts = await this.getRestartHistory(req.query.service);
+        res.json(restarts);
+      } catch (error) {
+        res.status(error.response ? error.response.status : 503).json({
+          error: 'Failed to get restart history',
+          message: error.response ? error.response.data.error : error.message
+        });
+      }
+    });
+    
+    // Record a shutdown report sent by a service on its way down
+    this.app.post('/api/shutdowns', (req, res) => {
+      const report = req.body || {};
+      
+      if (!report.service) {
+        return res.status(400).json({
+          error: 'Invalid shutdown report',
+          message: 'service is required'
+        });
+      }
+      
+      this.recordShutdown(report);
+      res.status(202).json({ received: true });
+    });
+    
+    // Get shutdown history
+    this.app.get('/api/shutdowns', (req, res) => {
+      const { service } = req.query;
+      
+      res.json({
+        timestamp: new Date().toISOString(),
+        shutdowns: service
+          ? this.shutdownHistory.filter(report => report.service === service)
+          : this.shutdownHistory
+      });
+    });
+    
     // Get system overview
     this.app.get('/api/overview', async (req, res) => {
       try {
@@ -205,7 +286,7 @@ class MonitoringService {
   async collectAllMetrics() {
     const metrics = {};
     
-    for (const [serviceName, serviceUrl] of Object.entries(this.services)) {
+    for (const serviceName of Object.keys(this.services)) {
       try {
         metrics[serviceName] = await this.collectServiceMetrics(serviceName);
       } catch (error) {
@@ -228,11 +309,25 @@ class MonitoringService {
     return metrics;
   }
   
+  /**
+   * URL of a live instance of a service
+   * @throws {Error} If no instance is registered
+   */
+  getServiceUrl(serviceName) {
+    const url = this.discovery.resolve(serviceName);
+    if (!url) {
+      throw new Error(`No live ${serviceName} instance registered`);
+    }
+    
+    return url;
+  }
+  
   async collectServiceMetrics(serviceName) {
-    const serviceUrl = this.services[serviceName];
     const timeout = 5000; // 5 second timeout
     
     try {
+      const serviceUrl = this.getServiceUrl(serviceName);
+      
       // Get health status
       const healthResponse = await axios.get(`${serviceUrl}/health`, { timeout });
       
@@ -279,7 +374,7 @@ class MonitoringService {
   
   async getCircuitBreakerStatus() {
     try {
-      const response = await axios.get(`${this.services.gateway}/api/patterns/circuit-breakers`, {
+      const response = await axios.get(`${this.getServiceUrl('gateway')}/api/patterns/circuit-breakers`, {
         timeout: 5000
       });
       return response.data;
@@ -293,7 +388,7 @@ class MonitoringService {
     
     // Get bulkheads from gateway
     try {
-      const gatewayResponse = await axios.get(`${this.services.gateway}/api/patterns/bulkheads`, {
+      const gatewayResponse = await axios.get(`${this.getServiceUrl('gateway')}/api/patterns/bulkheads`, {
         timeout: 5000
       });
       bulkheadData.gateway = gatewayResponse.data;
@@ -303,7 +398,7 @@ class MonitoringService {
     
     // Get bulkheads from order service (if available)
     try {
-      const orderHealth = await axios.get(`${this.services.order}/health`, { timeout: 5000 });
+      const orderHealth = await axios.get(`${this.getServiceUrl('order')}/health`, { timeout: 5000 });
       if (orderHealth.data.bulkheads) {
         bulkheadData.order = orderHealth.data.bulkheads;
       }
@@ -316,7 +411,7 @@ class MonitoringService {
   
   async getRecoveryStatus() {
     try {
-      const response = await axios.get(`${this.services.gateway}/api/patterns/recovery`, {
+      const response = await axios.get(`${this.getServiceUrl('gateway')}/api/patterns/recovery`, {
         timeout: 5000
       });
       return response.data;
@@ -325,6 +420,33 @@ class MonitoringService {
     }
   }
   
+  async getRestartHistory(service) {
+    const [processes, restarts] = await Promise.all([
+      axios.get(`${this.supervisorUrl}/api/processes`, { timeout: 5000 }),
+      axios.get(`${this.supervisorUrl}/api/restarts`, {
+        params: service ? { service } : {},
+        timeout: 5000
+      })
+    ]);
+    
+    return {
+      timestamp: new Date().toISOString(),
+      processes: processes.data.processes,
+      restarts: restarts.data.restarts
+    };
+  }
+  
+  recordShutdown(report) {
+    this.shutdownHistory.push({ ...report, receivedAt: new Date().toISOString() });
+    
+    if (this.shutdownHistory.length > this.maxShutdownHistory) {
+      this.shutdownHistory.shift();
+    }
+    
+    const log = report.drained === false || report.abandonedRequests > 0 ? 'warn' : 'info';
+    this.logger[log]('Service shut down', report);
+  }
+  
   async getSystemOverview() {
     const overview = {
       totalServices: Object.keys(this.services).length,
@@ -807,9 +929,12 @@ class MonitoringService {
             
             Object.entries(data.circuitBreakers || {}).forEach(([name, cb]) => {
                 const state = cb.state.toLowerCase();
+                const slowCalls = cb.metrics?.totalSlowCalls || 0;
+                const slowCallRate = (cb.slidingWindow?.slowCallRate || 0).toFixed(1);
                 html += \`
                     <div class="service-item">
                         <span class="service-name">\${name}</span>
+                        <span class="stat-label">\${slowCalls} slow (\${slowCallRate}%)</span>
                         <span class="status \${state}">\${cb.state}</span>
                     </div>
                 \`;
@@ -825,10 +950,15 @@ class MonitoringService {
             Object.entries(data.bulkheads || {}).forEach(([serviceName, serviceData]) => {
                 Object.entries(serviceData).forEach(([name, bulkhead]) => {
                     const utilization = ((bulkhead.currentConcurrency || 0) / (bulkhead.config?.maxConcurrent || 1) * 100).toFixed(1);
+                    const adaptive = bulkhead.adaptive;
+                    const limit = adaptive ?
+                        \`limit \${bulkhead.config.maxConcurrent} (\${adaptive.algorithm} \${adaptive.minLimit}-\${adaptive.maxLimit}): \${adaptive.history.slice(-8).map(entry => entry.limit).join(' → ')}\` :
+                        \`limit \${bulkhead.config?.maxConcurrent}\`;
                     html += \`
                         <div class="service-item">
                             <span class="service-name">\${name}</span>
-                            <span class="stat-label">\${utilization}% utilized</span>
+                            <span class="stat-label">\${limit}</span>
+                            <span class="stat-label">\${utilization}% utilized, \${bulkhead.metrics?.totalDropped || 0} dropped</span>
                         </div>
                     \`;
                 });
@@ -922,6 +1052,12 @@ class MonitoringService {
     const port = this.config.port;
     
     this.server = this.app.listen(port, () => {
+      this.health.markStarted();
+      
+      if (this.config.registry.enabled) {
+        this.discovery.start();
+      }
+      
       this.logger.info('Monitoring service started', {
         port,
         environment: this.config.env,
@@ -930,18 +1066,37 @@ class MonitoringService {
       });
     });
     
-    process.on('SIGTERM', () => this.shutdown());
-    process.on('SIGINT', () => this.shutdown());
+    process.on('SIGTERM', () => this.shutdown('SIGTERM'));
+    process.on('SIGINT', () => this.shutdown('SIGINT'));
   }
   
-  async shutdown() {
-    this.logger.info('Starting monitoring service shutdown...');
+  async shutdown(reason = 'manual') {
+    if (this.shuttingDown) {
+      return;
+    }
     
-    this.server.close(() => {
+    this.shuttingDown = true;
+    this.logger.info('Starting monitoring service shutdown...', { reason });
+    
+    this.health.setDraining(true);
+    this.inFlight.startDraining();
+    
+    closeServer(this.server).then(() => {
       this.logger.info('Monitoring service HTTP server closed');
     });
     
-    this.logger.info('Monitoring service shutdown completed');
+    const drained = await this.inFlight.waitForIdle(Date.now() + this.config.shutdown.timeout);
+    
+    this.discovery.stop();
+    this.registry.destroy();
+    
+    // Ends open event streams
+    this.server.closeAllConnections();
+    
+    this.logger.info('Monitoring service shutdown completed', {
+      drained,
+      abandonedRequests: this.inFlight.count
+    });
     process.exit(0);
   }
 }
@@ -5,146 +5,57 @@
  * and demonstrates auto-recovery patterns.
  */
 
-const express = require('express');
 const { v4: uuidv4 } = require('uuid');
-const { AutoRecovery } = require('../../patterns/AutoRecovery');
-const config = require('../../config');
-const logger = require('../../utils/logger');
+const { Backoff } = require('../../patterns/Backoff');
+const { BaseService } = require('../BaseService');
+const { waitUntil } = require('../../utils/shutdown');
 
-class NotificationService {
+class NotificationService extends BaseService {
   constructor() {
-    this.app = express();
-    this.config = config.getServiceConfig('notification');
-    this.logger = logger.createChild({ service: 'notification-service' });
-    
+    super({
+      name: 'notification',
+      displayName: 'Notification',
+      healthCheckDelay: 150
+    });
+  }
+  
+  initialize() {
     // Notification storage and queues
     this.notifications = new Map();
     this.notificationQueue = [];
-    this.isHealthy = true;
     this.isProcessingQueue = false;
     
-    // Auto-recovery setup
-    this.recovery = new AutoRecovery({
-      name: 'notification-service-recovery',
-      maxRetries: this.config.autoRecovery.maxRetries,
+    // Delay between delivery attempts of a queued notification
+    this.retryBackoff = new Backoff({
+      strategy: this.config.autoRecovery.backoffStrategy,
       initialDelay: this.config.autoRecovery.initialDelay,
       maxDelay: this.config.autoRecovery.maxDelay,
-      backoffMultiplier: this.config.autoRecovery.backoffMultiplier,
-      healthCheckInterval: this.config.autoRecovery.healthCheckInterval,
-      failureThreshold: this.config.autoRecovery.failureThreshold,
-      recoveryThreshold: this.config.autoRecovery.recoveryThreshold,
-      healthCheck: () => this.performHealthCheck(),
-      onRecover: (error) => this.performRecovery(error)
+      multiplier: this.config.autoRecovery.backoffMultiplier
     });
     
-    this.setupMiddleware();
-    this.setupRoutes();
+    this.restoreState();
     this.startQueueProcessor();
   }
   
-  setupMiddleware() {
-    this.app.use(express.json());
-    
-    this.app.use((req, res, next) => {
-      req.id = req.get('X-Request-ID') || uuidv4();
-      req.startTime = Date.now();
-      
-      this.logger.info('Notification service request', {
-        requestId: req.id,
-        method: req.method,
-        url: req.url
-      });
-      
-      next();
-    });
-  }
-  
   setupRoutes() {
-    // Health check
-    this.app.get('/health', async (req, res) => {
-      try {
-        const healthStatus = await this.performHealthCheck();
-        res.json({
-          status: 'healthy',
-          service: 'notification-service',
-          timestamp: new Date().toISOString(),
-          details: healthStatus,
-          recovery: this.recovery.getStatus(),
-          queueSize: this.notificationQueue.length
-        });
-      } catch (error) {
-        res.status(503).json({
-          status: 'unhealthy',
-          service: 'notification-service',
-          error: error.message,
-          recovery: this.recovery.getStatus(),
-          queueSize: this.notificationQueue.length
-        });
-      }
-    });
-    
     // Send notification
-    this.app.post('/notifications', async (req, res) => {
-      try {
-        const result = await this.recovery.executeWithRecovery(async () => {
-          return await this.sendNotification(req.body);
-        });
-        
-        res.status(201).json(result);
-      } catch (error) {
-        res.status(error.statusCode || 500).json({
-          error: error.message,
-          requestId: req.id
-        });
-      }
-    });
+    this.route('post', '/notifications', (req) => {
+      return this.executeWithRecovery(() => this.sendNotification(req.body));
+    }, { status: 201 });
     
     // Get notification status
-    this.app.get('/notifications/:id', async (req, res) => {
-      try {
-        const result = await this.recovery.executeWithRecovery(async () => {
-          return await this.getNotification(req.params.id);
-        });
-        
-        res.json(result);
-      } catch (error) {
-        res.status(error.statusCode || 500).json({
-          error: error.message,
-          requestId: req.id
-        });
-      }
+    this.route('get', '/notifications/:id', (req) => {
+      return this.executeWithRecovery(() => this.getNotification(req.params.id));
     });
     
     // List notifications
-    this.app.get('/notifications', async (req, res) => {
-      try {
-        const result = await this.recovery.executeWithRecovery(async () => {
-          return await this.listNotifications(req.query);
-        });
-        
-        res.json(result);
-      } catch (error) {
-        res.status(error.statusCode || 500).json({
-          error: error.message,
-          requestId: req.id
-        });
-      }
+    this.route('get', '/notifications', (req) => {
+      return this.executeWithRecovery(() => this.listNotifications(req.query));
     });
     
     // Retry failed notification
-    this.app.post('/notifications/:id/retry', async (req, res) => {
-      try {
-        const result = await this.recovery.executeWithRecovery(async () => {
-          return await this.retryNotification(req.params.id);
-        });
-        
-        res.json(result);
-      } catch (error) {
-        res.status(error.statusCode || 500).json({
-          error: error.message,
-          requestId: req.id
-        });
-      }
+    this.route('post', '/notifications/:id/retry', (req) => {
+      return this.executeWithRecovery(() => this.retryNotification(req.params.id));
     });
     
     // Get queue status
@@ -209,9 +120,7 @@ class NotificationService {
     this.checkForSimulatedFailures();
     
     if (!this.notifications.has(notificationId)) {
-      const error = new Error(`Notification with ID ${notificationId} not found`);
-      error.statusCode = 404;
-      throw error;
+      throw this.createError(404, `Notification with ID ${notificationId} not found`);
     }
     
     const notification = this.notifications.get(notificationId);
@@ -275,23 +184,17 @@ class NotificationService {
     this.checkForSimulatedFailures();
     
     if (!this.notifications.has(notificationId)) {
-      const error = new Error(`Notification with ID ${notificationId} not found`);
-      error.statusCode = 404;
-      throw error;
+      throw this.createError(404, `Notification with ID ${notificationId} not found`);
     }
     
     const notification = this.notifications.get(notificationId);
     
     if (notification.status === 'delivered') {
-      const error = new Error('Cannot retry already delivered notification');
-      error.statusCode = 400;
-      throw error;
+      throw this.createError(400, 'Cannot retry already delivered notification');
     }
     
     if (notification.attempts >= notification.maxAttempts) {
-      const error = new Error('Maximum retry attempts exceeded');
-      error.statusCode = 400;
-      throw error;
+      throw this.createError(400, 'Maximum retry attempts exceeded');
     }
     
     // Reset status and add back to queue
@@ -338,7 +241,7 @@ class NotificationService {
   
   startQueueProcessor() {
     // Process queue every 2 seconds
-    setInterval(async () => {
+    this.queueProcessorInterval = setInterval(async () => {
       if (!this.isProcessingQueue && this.notificationQueue.length > 0) {
         await this.processNotificationQueue();
       }
@@ -353,10 +256,7 @@ class NotificationService {
     this.isProcessingQueue = true;
     
     try {
-      const now = new Date();
-      const readyNotifications = this.notificationQueue.filter(n => 
-        new Date(n.scheduledFor) <= now
-      );
+      const readyNotifications = this.getReadyNotifications();
       
       if (readyNotifications.length === 0) {
         return;
@@ -391,6 +291,12 @@ class NotificationService {
     }
   }
   
+  getReadyNotifications() {
+    const now = new Date();
+    
+    return this.notificationQueue.filter(n => new Date(n.scheduledFor) <= now);
+  }
+  
   async processNotification(notification) {
     notification.attempts++;
     notification.updatedAt = new Date().toISOString();
@@ -434,12 +340,10 @@ class NotificationService {
           error: error.message
         });
       } else {
-        // Schedule retry with exponential backoff
-        const delay = Math.min(
-          this.config.autoRecovery.initialDelay * Math.pow(2, notification.attempts - 1),
-          this.config.autoRecovery.maxDelay
-        );
+        // Schedule retry with the configured backoff
+        const delay = this.retryBackoff.getDelay(notification.attempts, notification.retryDelay);
         
+        notification.retryDelay = delay;
         notification.status = 'pending';
         notification.scheduledFor = new Date(Date.now() + delay).toISOString();
         
@@ -529,35 +433,25 @@ class NotificationService {
   
   validateNotificationData(data) {
     if (!data.type) {
-      const error = new Error('Notification type is required');
-      error.statusCode = 400;
-      throw error;
+      throw this.createError(400, 'Notification type is required');
     }
     
     if (!data.recipient) {
-      const error = new Error('Recipient is required');
-      error.statusCode = 400;
-      throw error;
+      throw this.createError(400, 'Recipient is required');
     }
     
     if (!data.message) {
-      const error = new Error('Message is required');
-      error.statusCode = 400;
-      throw error;
+      throw this.createError(400, 'Message is required');
     }
     
     const validChannels = ['email', 'sms', 'push', 'webhook'];
     if (data.channel && !validChannels.includes(data.channel)) {
-      const error = new Error('Invalid notification channel');
-      error.statusCode = 400;
-      throw error;
+      throw this.createError(400, 'Invalid notification channel');
     }
     
     const validPriorities = ['low', 'normal', 'high'];
     if (data.priority && !validPriorities.includes(data.priority)) {
-      const error = new Error('Invalid priority level');
-      error.statusCode = 400;
-      throw error;
+      throw this.createError(400, 'Invalid priority level');
     }
   }
   
@@ -580,11 +474,6 @@ class NotificationService {
     };
   }
   
-  async simulateProcessingTime(min = 100, max = 300) {
-    const processingTime = Math.random() * (max - min) + min;
-    await new Promise(resolve => setTimeout(resolve, processingTime));
-  }
-  
   async simulateDeliveryTime(channel) {
     const deliveryTimes = {
       email: { min: 500, max: 2000 },
@@ -599,84 +488,104 @@ class NotificationService {
     await new Promise(resolve => setTimeout(resolve, deliveryTime));
   }
   
-  checkForSimulatedFailures() {
-    if (Math.random() < this.config.demo.failureRate) {
-      throw new Error('Simulated notification service failure');
-    }
+  getReadinessDetails() {
+    return { queueSize: this.notificationQueue.length };
   }
   
-  async performHealthCheck() {
-    await new Promise(resolve => setTimeout(resolve, 150));
-    
-    if (!this.isHealthy) {
-      throw new Error('Notification service is currently unhealthy');
-    }
-    
+  getHealthDetails() {
     return {
       notificationChannels: ['email', 'sms', 'push', 'webhook'],
       queueProcessor: this.isProcessingQueue ? 'running' : 'idle',
-      memory: {
-        used: process.memoryUsage().heapUsed,
-        total: process.memoryUsage().heapTotal
-      },
-      uptime: process.uptime(),
       notificationCount: this.notifications.size,
-      queueSize: this.notificationQueue.length,
-      lastCheck: new Date().toISOString()
+      queueSize: this.notificationQueue.length
     };
   }
   
-  async performRecovery(error) {
-    this.logger.info('Performing notification service recovery', {
-      error: error.message
-    });
-    
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    this.isHealthy = true;
+  getHealthExtras() {
+    return { queueSize: this.notificationQueue.length };
+  }
+  
+  async recover() {
+    await super.recover();
     
     // Restart queue processing if it was stopped
     if (!this.isProcessingQueue && this.notificationQueue.length > 0) {
       this.logger.info('Restarting notification queue processing');
       setTimeout(() => this.processNotificationQueue(), 1000);
     }
-    
-    this.logger.info('Notification service recovery completed');
   }
   
-  start() {
-    const port = this.config.port;
-    
-    this.server = this.app.listen(port, () => {
-      this.logger.info('Notification service started', {
-        port,
-        environment: this.config.env,
-        queueProcessorEnabled: true,
-        supportedChannels: ['email', 'sms', 'push', 'webhook']
-      });
+  getStartupInfo() {
+    return {
+      queueProcessorEnabled: true,
+      supportedChannels: ['email', 'sms', 'push', 'webhook']
+    };
+  }
+  
+  /**
+   * Reload notifications and the delivery queue saved by the last shutdown
+   */
+  restoreState() {
+    const state = this.stateStore.load();
+    if (!state) {
+      return;
+    }
+    
+    (state.notifications || []).forEach(notification => {
+      // Cut off mid-delivery: deliver again (at least once)
+      if (notification.status === 'processing') {
+        notification.status = 'pending';
+      }
+      this.notifications.set(notification.id, notification);
     });
     
-    process.on('SIGTERM', () => this.shutdown());
-    process.on('SIGINT', () => this.shutdown());
+    (state.queue || []).forEach(id => {
+      if (this.notifications.has(id)) {
+        this.notificationQueue.push(this.notifications.get(id));
+      }
+    });
+    
+    this.stateStore.clear();
+    
+    this.logger.info('Notification state restored', {
+      savedAt: state.savedAt,
+      notifications: this.notifications.size,
+      queueSize: this.notificationQueue.length
+    });
   }
   
-  async shutdown() {
-    this.logger.info('Starting notification service shutdown...');
+  async onShutdown(deadline) {
+    clearInterval(this.queueProcessorInterval);
     
-    this.server.close(() => {
-      this.logger.info('Notification service HTTP server closed');
-    });
+    const queuedAtShutdown = this.notificationQueue.length;
+    
+    // Deliver whatever is due while time remains. A batch still running at
+    // the deadline stays queued and is delivered again after the restart
+    let inTime = await waitUntil(() => !this.isProcessingQueue, deadline);
     
-    // Process remaining notifications in queue
-    if (this.notificationQueue.length > 0) {
-      this.logger.info('Processing remaining notifications in queue');
-      await this.processNotificationQueue();
+    while (inTime && this.getReadyNotifications().length > 0) {
+      this.logger.info('Flushing notification queue', {
+        ready: this.getReadyNotifications().length
+      });
+      
+      let batchDone = false;
+      this.processNotificationQueue().finally(() => {
+        batchDone = true;
+      });
+      
+      inTime = await waitUntil(() => batchDone, deadline);
     }
     
-    this.recovery.destroy();
+    // Retries scheduled for later, and anything the deadline cut off
+    this.stateStore.save({
+      notifications: Array.from(this.notifications.values()),
+      queue: this.notificationQueue.map(n => n.id)
+    });
     
-    this.logger.info('Notification service shutdown completed');
-    process.exit(0);
+    return {
+      flushedNotifications: Math.max(0, queuedAtShutdown - this.notificationQueue.length),
+      persistedNotifications: this.notificationQueue.length
+    };
   }
 }
 
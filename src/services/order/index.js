@@ -5,62 +5,83 @@
  * bulkhead patterns for resource isolation.
  */
 
-const express = require('express');
+const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const { Bulkhead } = require('../../patterns/Bulkhead');
-const { AutoRecovery } = require('../../patterns/AutoRecovery');
-const config = require('../../config');
-const logger = require('../../utils/logger');
+const { WorkerBulkhead } = require('../../patterns/WorkerBulkhead');
+const { ResiliencePolicy, PolicyTypes } = require('../../patterns/ResiliencePolicy');
+const { BaseService } = require('../BaseService');
+const { waitUntil } = require('../../utils/shutdown');
 
-class OrderService {
+class OrderService extends BaseService {
   constructor() {
-    this.app = express();
-    this.config = config.getServiceConfig('order');
-    this.logger = logger.createChild({ service: 'order-service' });
-    
+    super({
+      name: 'order',
+      displayName: 'Order',
+      healthCheckDelay: 100,
+      recoveryDelay: 1500
+    });
+  }
+  
+  initialize() {
     // Order storage
     this.orders = new Map();
-    this.isHealthy = true;
-    
-    // Bulkhead for different operations
-    this.bulkheads = {
-      read: new Bulkhead({
-        name: 'order-read-bulkhead',
-        maxConcurrent: 20,
-        maxQueueSize: 100,
-        timeout: 10000
-      }),
-      write: new Bulkhead({
-        name: 'order-write-bulkhead', 
-        maxConcurrent: 10,
-        maxQueueSize: 50,
-        timeout: 30000
-      }),
-      complex: new Bulkhead({
-        name: 'order-complex-bulkhead',
-        maxConcurrent: 5,
+    
+    // Bulkhead for different operations; maxConcurrent is the starting
+    // limit and maxLimit the ceiling when an adaptive algorithm is set.
+    // Complex operations are CPU-bound and run on worker threads, so their
+    // limits are sized for cores rather than for waiting on I/O
+    const bulkheadTypes = {
+      read: { maxConcurrent: 20, maxLimit: 50, maxQueueSize: 100, timeout: 10000 },
+      write: { maxConcurrent: 10, maxLimit: 25, maxQueueSize: 50, timeout: 30000 },
+      complex: {
+        maxConcurrent: 2,
+        maxLimit: 4,
         maxQueueSize: 20,
-        timeout: 60000
-      })
+        timeout: 60000,
+        script: path.join(__dirname, 'reportTasks.js')
+      }
     };
     
-    // Auto-recovery
-    this.recovery = new AutoRecovery({
-      name: 'order-service-recovery',
-      maxRetries: this.config.autoRecovery.maxRetries,
-      initialDelay: this.config.autoRecovery.initialDelay,
-      maxDelay: this.config.autoRecovery.maxDelay,
-      backoffMultiplier: this.config.autoRecovery.backoffMultiplier,
-      healthCheckInterval: this.config.autoRecovery.healthCheckInterval,
-      failureThreshold: this.config.autoRecovery.failureThreshold,
-      recoveryThreshold: this.config.autoRecovery.recoveryThreshold,
-      healthCheck: () => this.performHealthCheck(),
-      onRecover: (error) => this.performRecovery(error)
+    this.bulkheads = {};
+    Object.entries(bulkheadTypes).forEach(([type, limits]) => {
+      const BulkheadClass = limits.script ? WorkerBulkhead : Bulkhead;
+      
+      this.bulkheads[type] = new BulkheadClass({
+        name: `order-${type}-bulkhead`,
+        limitAlgorithm: this.config.bulkhead.limitAlgorithm,
+        minLimit: this.config.bulkhead.minLimit,
+        latencyThreshold: this.config.bulkhead.latencyThreshold,
+        queueDiscipline: this.config.bulkhead.queueDiscipline,
+        codelTarget: this.config.bulkhead.codelTarget,
+        codelInterval: this.config.bulkhead.codelInterval,
+        ...limits
+      });
+    });
+    
+    // Protection per operation type: bulkhead outside, retries inside.
+    // Worker bulkheads run named tasks rather than closures, so they are
+    // called directly
+    this.policies = {};
+    Object.entries(this.bulkheads).forEach(([type, bulkhead]) => {
+      if (bulkhead instanceof WorkerBulkhead) {
+        return;
+      }
+      
+      this.policies[type] = new ResiliencePolicy({
+        name: `order-${type}-policy`,
+        policies: [
+          { type: PolicyTypes.BULKHEAD, instance: bulkhead },
+          { type: PolicyTypes.RETRY, instance: this.recovery }
+        ]
+      });
     });
     
+    // Status changes still due; saved on shutdown, rescheduled on start
+    this.pendingTransitions = new Map();
+    
     this.initializeSampleData();
-    this.setupMiddleware();
-    this.setupRoutes();
+    this.restoreState();
     this.setupBulkheadListeners();
   }
   
@@ -98,133 +119,28 @@ class OrderService {
     });
   }
   
-  setupMiddleware() {
-    this.app.use(express.json());
-    
-    this.app.use((req, res, next) => {
-      req.id = req.get('X-Request-ID') || uuidv4();
-      req.startTime = Date.now();
-      
-      this.logger.info('Order service request', {
-        requestId: req.id,
-        method: req.method,
-        url: req.url
-      });
-      
-      next();
-    });
-  }
-  
   setupRoutes() {
-    // Health check
-    this.app.get('/health', async (req, res) => {
-      try {
-        const healthStatus = await this.performHealthCheck();
-        res.json({
-          status: 'healthy',
-          service: 'order-service',
-          timestamp: new Date().toISOString(),
-          details: healthStatus,
-          bulkheads: this.getBulkheadStatus()
-        });
-      } catch (error) {
-        res.status(503).json({
-          status: 'unhealthy',
-          service: 'order-service',
-          error: error.message,
-          bulkheads: this.getBulkheadStatus()
-        });
-      }
-    });
-    
     // Get order (read operation)
-    this.app.get('/orders/:id', async (req, res) => {
-      try {
-        const result = await this.bulkheads.read.execute(async () => {
-          return await this.recovery.executeWithRecovery(async () => {
-            return await this.getOrder(req.params.id);
-          });
-        });
-        
-        res.json(result);
-      } catch (error) {
-        res.status(error.statusCode || 500).json({
-          error: error.message,
-          requestId: req.id
-        });
-      }
+    this.route('get', '/orders/:id', (req) => {
+      return this.policies.read.execute(() => this.getOrder(req.params.id));
     });
     
     // Create order (write operation)
-    this.app.post('/orders', async (req, res) => {
-      try {
-        const result = await this.bulkheads.write.execute(async () => {
-          return await this.recovery.executeWithRecovery(async () => {
-            return await this.createOrder(req.body);
-          });
-        });
-        
-        res.status(201).json(result);
-      } catch (error) {
-        res.status(error.statusCode || 500).json({
-          error: error.message,
-          requestId: req.id
-        });
-      }
-    });
+    this.route('post', '/orders', (req) => {
+      return this.policies.write.execute(() => this.createOrder(req.body));
+    }, { status: 201 });
     
     // Update order (write operation)
-    this.app.put('/orders/:id', async (req, res) => {
-      try {
-        const result = await this.bulkheads.write.execute(async () => {
-          return await this.recovery.executeWithRecovery(async () => {
-            return await this.updateOrder(req.params.id, req.body);
-          });
-        });
-        
-        res.json(result);
-      } catch (error) {
-        res.status(error.statusCode || 500).json({
-          error: error.message,
-          requestId: req.id
-        });
-      }
+    this.route('put', '/orders/:id', (req) => {
+      return this.policies.write.execute(() => this.updateOrder(req.params.id, req.body));
     });
     
     // Generate order report (complex operation)
-    this.app.get('/orders/:id/report', async (req, res) => {
-      try {
-        const result = await this.bulkheads.complex.execute(async () => {
-          return await this.recovery.executeWithRecovery(async () => {
-            return await this.generateOrderReport(req.params.id);
-          });
-        });
-        
-        res.json(result);
-      } catch (error) {
-        res.status(error.statusCode || 500).json({
-          error: error.message,
-          requestId: req.id
-        });
-      }
-    });
+    this.route('get', '/orders/:id/report', (req) => this.generateOrderReport(req.params.id));
     
     // List orders (read operation)
-    this.app.get('/orders', async (req, res) => {
-      try {
-        const result = await this.bulkheads.read.execute(async () => {
-          return await this.recovery.executeWithRecovery(async () => {
-            return await this.listOrders(req.query);
-          });
-        });
-        
-        res.json(result);
-      } catch (error) {
-        res.status(error.statusCode || 500).json({
-          error: error.message,
-          requestId: req.id
-        });
-      }
+    this.route('get', '/orders', (req) => {
+      return this.policies.read.execute(() => this.listOrders(req.query));
     });
   }
   
@@ -241,6 +157,10 @@ class OrderService {
       bulkhead.on('taskFailed', (data) => {
         this.logger.bulkhead('taskFailed', { bulkheadType: name, ...data });
       });
+      
+      bulkhead.on('limitChanged', (data) => {
+        this.logger.bulkhead('limitChanged', { bulkheadType: name, ...data });
+      });
     });
   }
   
@@ -249,9 +169,7 @@ class OrderService {
     this.checkForSimulatedFailures();
     
     if (!this.orders.has(orderId)) {
-      const error = new Error(`Order with ID ${orderId} not found`);
-      error.statusCode = 404;
-      throw error;
+      throw this.createError(404, `Order with ID ${orderId} not found`);
     }
     
     const order = this.orders.get(orderId);
@@ -275,15 +193,11 @@ class OrderService {
     
     // Validate order data
     if (!orderData.userId || !orderData.items || !Array.isArray(orderData.items)) {
-      const error = new Error('Invalid order data');
-      error.statusCode = 400;
-      throw error;
+      throw this.createError(400, 'Invalid order data');
     }
     
     if (orderData.items.length === 0) {
-      const error = new Error('Order must contain at least one item');
-      error.statusCode = 400;
-      throw error;
+      throw this.createError(400, 'Order must contain at least one item');
     }
     
     // Calculate total
@@ -304,15 +218,7 @@ class OrderService {
     this.orders.set(order.id, order);
     
     // Simulate order processing
-    setTimeout(() => {
-      order.status = 'processing';
-      order.updatedAt = new Date().toISOString();
-      this.orders.set(order.id, order);
-      
-      this.logger.info('Order processing started', {
-        orderId: order.id
-      });
-    }, Math.random() * 2000 + 1000);
+    this.scheduleTransition(order.id, 'processing', Math.random() * 2000 + 1000);
     
     this.logger.info('Order created', {
       orderId: order.id,
@@ -327,14 +233,43 @@ class OrderService {
     };
   }
   
+  /**
+   * Move a pending order to a new status after a delay
+   */
+  scheduleTransition(orderId, status, delay) {
+    const timer = setTimeout(() => this.applyTransition(orderId, status), delay);
+    
+    this.pendingTransitions.set(orderId, {
+      orderId,
+      status,
+      dueAt: Date.now() + delay,
+      timer
+    });
+  }
+  
+  applyTransition(orderId, status) {
+    this.pendingTransitions.delete(orderId);
+    
+    // Leave orders alone that were updated (e.g. cancelled) in the meantime
+    const order = this.orders.get(orderId);
+    if (!order || order.status !== 'pending') {
+      return;
+    }
+    
+    this.orders.set(orderId, { ...order, status, updatedAt: new Date().toISOString() });
+    
+    this.logger.info('Order processing started', {
+      orderId,
+      status
+    });
+  }
+  
   async updateOrder(orderId, updateData) {
     await this.simulateProcessingTime(150, 400);
     this.checkForSimulatedFailures();
     
     if (!this.orders.has(orderId)) {
-      const error = new Error(`Order with ID ${orderId} not found`);
-      error.statusCode = 404;
-      throw error;
+      throw this.createError(404, `Order with ID ${orderId} not found`);
     }
     
     const order = { ...this.orders.get(orderId) };
@@ -343,9 +278,7 @@ class OrderService {
     if (updateData.status) {
       const validStatuses = ['pending', 'processing', 'completed', 'cancelled'];
       if (!validStatuses.includes(updateData.status)) {
-        const error = new Error('Invalid order status');
-        error.statusCode = 400;
-        throw error;
+        throw this.createError(400, 'Invalid order status');
       }
       order.status = updateData.status;
     }
@@ -373,44 +306,19 @@ class OrderService {
   }
   
   async generateOrderReport(orderId) {
-    // This is a complex operation that takes more time
-    await this.simulateProcessingTime(2000, 5000);
     this.checkForSimulatedFailures();
     
     if (!this.orders.has(orderId)) {
-      const error = new Error(`Order with ID ${orderId} not found`);
-      error.statusCode = 404;
-      throw error;
+      throw this.createError(404, `Order with ID ${orderId} not found`);
     }
     
     const order = this.orders.get(orderId);
     
-    // Simulate complex report generation
-    const report = {
-      orderId: order.id,
-      userId: order.userId,
-      summary: {
-        itemCount: order.items.length,
-        totalAmount: order.total,
-        status: order.status,
-        createdAt: order.createdAt,
-        updatedAt: order.updatedAt
-      },
-      items: order.items.map(item => ({
-        ...item,
-        subtotal: item.price * item.quantity
-      })),
-      analytics: {
-        averageItemPrice: order.total / order.items.reduce((sum, item) => sum + item.quantity, 0),
-        mostExpensiveItem: order.items.reduce((max, item) => 
-          item.price > max.price ? item : max, order.items[0]),
-        categoryBreakdown: this.generateCategoryBreakdown(order.items)
-      },
-      timestamps: {
-        reportGeneratedAt: new Date().toISOString(),
-        processingTime: Math.random() * 3000 + 2000 // Simulated processing time
-      }
-    };
+    // This is a complex operation: it runs on a worker thread so it cannot
+    // stall the event loop for reads and writes
+    const report = await this.bulkheads.complex.execute('generateOrderReport', order, {
+      processingTime: this.pickProcessingTime(2000, 5000)
+    });
     
     this.logger.info('Order report generated', {
       orderId: order.id,
@@ -467,65 +375,53 @@ class OrderService {
     };
   }
   
-  generateCategoryBreakdown(items) {
-    // Simple category classification based on product name
-    const categories = {};
-    
-    items.forEach(item => {
-      let category = 'Other';
-      
-      if (item.name.toLowerCase().includes('laptop') || 
-          item.name.toLowerCase().includes('computer')) {
-        category = 'Electronics';
-      } else if (item.name.toLowerCase().includes('mouse') || 
-                 item.name.toLowerCase().includes('keyboard')) {
-        category = 'Accessories';
-      } else if (item.name.toLowerCase().includes('book')) {
-        category = 'Books';
-      }
-      
-      if (!categories[category]) {
-        categories[category] = {
-          count: 0,
-          total: 0
-        };
-      }
-      
-      categories[category].count += item.quantity;
-      categories[category].total += item.price * item.quantity;
+  setupHealthChecks() {
+    super.setupHealthChecks();
+    
+    // A saturated bulkhead sheds load but does not make the service unready
+    Object.entries(this.bulkheads).forEach(([type, bulkhead]) => {
+      this.health.register({
+        name: `bulkhead:${type}`,
+        critical: false,
+        timeout: 500,
+        check: async () => {
+          const utilization = bulkhead.getUtilization();
+          
+          if (utilization.isQueueFull) {
+            throw new Error(`${bulkhead.name} queue is full`);
+          }
+          
+          return utilization;
+        }
+      });
     });
-    
-    return categories;
   }
   
-  async performHealthCheck() {
-    await new Promise(resolve => setTimeout(resolve, 100));
-    
-    if (!this.isHealthy) {
-      throw new Error('Order service is currently unhealthy');
-    }
-    
+  getReadinessDetails() {
+    return { orderCount: this.orders.size };
+  }
+  
+  getHealthDetails() {
     return {
       database: 'connected',
-      memory: {
-        used: process.memoryUsage().heapUsed,
-        total: process.memoryUsage().heapTotal
-      },
-      uptime: process.uptime(),
       orderCount: this.orders.size,
-      bulkheadUtilization: this.getBulkheadUtilization(),
-      lastCheck: new Date().toISOString()
+      bulkheadUtilization: this.getBulkheadUtilization()
     };
   }
   
-  async performRecovery(error) {
-    this.logger.info('Performing order service recovery', {
-      error: error.message
-    });
-    
-    await new Promise(resolve => setTimeout(resolve, 1500));
-    
-    this.isHealthy = true;
+  getHealthExtras() {
+    return { bulkheads: this.getBulkheadStatus() };
+  }
+  
+  getMetrics() {
+    return {
+      ...super.getMetrics(),
+      bulkheads: this.getBulkheadStatus()
+    };
+  }
+  
+  async recover() {
+    await super.recover();
     
     // Clear bulkhead queues if needed
     Object.values(this.bulkheads).forEach(bulkhead => {
@@ -536,8 +432,6 @@ class OrderService {
         // This is for demonstration purposes
       }
     });
-    
-    this.logger.info('Order service recovery completed');
   }
   
   getBulkheadStatus() {
@@ -556,52 +450,64 @@ class OrderService {
     return utilization;
   }
   
-  async simulateProcessingTime(min = 100, max = 300) {
-    const processingTime = Math.random() * (max - min) + min;
-    await new Promise(resolve => setTimeout(resolve, processingTime));
-    
-    if (Math.random() < this.config.demo.slowRequestRate) {
-      const slowDelay = this.config.demo.slowRequestDelay;
-      this.logger.debug('Simulating slow order request', { delay: slowDelay });
-      await new Promise(resolve => setTimeout(resolve, slowDelay));
+  /**
+   * Reload orders and pending transitions saved by the last shutdown
+   */
+  restoreState() {
+    const state = this.stateStore.load();
+    if (!state) {
+      return;
     }
+    
+    (state.orders || []).forEach(order => this.orders.set(order.id, order));
+    
+    // Overdue transitions run right away
+    (state.transitions || []).forEach(({ orderId, status, dueAt }) => {
+      this.scheduleTransition(orderId, status, Math.max(0, dueAt - Date.now()));
+    });
+    
+    this.stateStore.clear();
+    
+    this.logger.info('Order state restored', {
+      savedAt: state.savedAt,
+      orders: (state.orders || []).length,
+      transitions: (state.transitions || []).length
+    });
   }
   
-  checkForSimulatedFailures() {
-    if (Math.random() < this.config.demo.failureRate) {
-      throw new Error('Simulated order service failure');
-    }
+  getStartupInfo() {
+    return {
+      orderCount: this.orders.size,
+      bulkheads: Object.keys(this.bulkheads).length
+    };
   }
   
-  start() {
-    const port = this.config.port;
-    
-    this.server = this.app.listen(port, () => {
-      this.logger.info('Order service started', {
-        port,
-        environment: this.config.env,
-        orderCount: this.orders.size,
-        bulkheads: Object.keys(this.bulkheads).length
+  async onShutdown(deadline) {
+    // Let running and queued bulkhead tasks (reports included) finish
+    const bulkheadsDrained = await waitUntil(() => {
+      return Object.values(this.bulkheads).every(bulkhead => {
+        return bulkhead.currentConcurrency === 0 && bulkhead.taskQueue.length === 0;
       });
-    });
+    }, deadline);
     
-    process.on('SIGTERM', () => this.shutdown());
-    process.on('SIGINT', () => this.shutdown());
-  }
-  
-  async shutdown() {
-    this.logger.info('Starting order service shutdown...');
+    Object.values(this.bulkheads).forEach(bulkhead => bulkhead.destroy());
     
-    this.server.close(() => {
-      this.logger.info('Order service HTTP server closed');
-    });
+    const transitions = Array.from(this.pendingTransitions.values())
+      .map(({ orderId, status, dueAt }) => ({ orderId, status, dueAt }));
     
-    // Cleanup patterns
-    Object.values(this.bulkheads).forEach(bulkhead => bulkhead.destroy());
-    this.recovery.destroy();
+    this.pendingTransitions.forEach(transition => clearTimeout(transition.timer));
+    this.pendingTransitions.clear();
+    
+    this.stateStore.save({
+      orders: Array.from(this.orders.values()),
+      transitions
+    });
     
-    this.logger.info('Order service shutdown completed');
-    process.exit(0);
+    return {
+      bulkheadsDrained,
+      persistedOrders: this.orders.size,
+      persistedTransitions: transitions.length
+    };
   }
 }
 
@@ -0,0 +1,100 @@
+/**
+ * Order report tasks
+ *
+ * CPU-bound work for the order service. These run on the worker threads
+ * of the order service's report bulkhead (see WorkerBulkhead), so every
+ * function takes and returns plain, cloneable data and has no access to
+ * the service's state.
+ */
+
+/**
+ * Group order items by a category derived from the product name
+ * @param {Array<Object>} items - Order items
+ * @returns {Object} Item count and total per category
+ */
+function generateCategoryBreakdown(items) {
+  // Simple category classification based on product name
+  const categories = {};
+  
+  items.forEach(item => {
+    let category = 'Other';
+    
+    if (item.name.toLowerCase().includes('laptop') ||
+        item.name.toLowerCase().includes('computer')) {
+      category = 'Electronics';
+    } else if (item.name.toLowerCase().includes('mouse') ||
+               item.name.toLowerCase().includes('keyboard')) {
+      category = 'Accessories';
+    } else if (item.name.toLowerCase().includes('book')) {
+      category = 'Books';
+    }
+    
+    if (!categories[category]) {
+      categories[category] = {
+        count: 0,
+        total: 0
+      };
+    }
+    
+    categories[category].count += item.quantity;
+    categories[category].total += item.price * item.quantity;
+  });
+  
+  return categories;
+}
+
+/**
+ * Keep the thread busy, standing in for real aggregation work
+ * @param {number} duration - Milliseconds of CPU time to burn
+ */
+function simulateCpuWork(duration) {
+  const until = Date.now() + duration;
+  
+  while (Date.now() < until) {
+    // Busy wait: unlike a timer this blocks the thread it runs on
+  }
+}
+
+/**
+ * Build the analytics report for an order
+ * @param {Object} order - Order to report on
+ * @param {Object} options - Report options
+ * @param {number} options.processingTime - Simulated CPU time (ms)
+ * @returns {Object} Order report
+ */
+function generateOrderReport(order, options = {}) {
+  const processingTime = options.processingTime || 0;
+  
+  simulateCpuWork(processingTime);
+  
+  return {
+    orderId: order.id,
+    userId: order.userId,
+    summary: {
+      itemCount: order.items.length,
+      totalAmount: order.total,
+      status: order.status,
+      createdAt: order.createdAt,
+      updatedAt: order.updatedAt
+    },
+    items: order.items.map(item => ({
+      ...item,
+      subtotal: item.price * item.quantity
+    })),
+    analytics: {
+      averageItemPrice: order.total / order.items.reduce((sum, item) => sum + item.quantity, 0),
+      mostExpensiveItem: order.items.reduce((max, item) =>
+        item.price > max.price ? item : max, order.items[0]),
+      categoryBreakdown: generateCategoryBreakdown(order.items)
+    },
+    timestamps: {
+      reportGeneratedAt: new Date().toISOString(),
+      processingTime
+    }
+  };
+}
+
+module.exports = {
+  generateCategoryBreakdown,
+  generateOrderReport
+};
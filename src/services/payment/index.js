@@ -6,170 +6,59 @@
  * circuit breakers and auto-recovery patterns handle unreliable services.
  */
 
-const express = require('express');
 const { v4: uuidv4 } = require('uuid');
-const { AutoRecovery } = require('../../patterns/AutoRecovery');
-const config = require('../../config');
-const logger = require('../../utils/logger');
+const { BaseService } = require('../BaseService');
+const { isRetryableError } = require('../../utils/errorClassification');
 
-class PaymentService {
+class PaymentService extends BaseService {
   constructor() {
-    this.app = express();
-    this.config = config.getServiceConfig('payment');
-    this.logger = logger.createChild({ service: 'payment-service' });
+    super({
+      name: 'payment',
+      displayName: 'Payment',
+      processingTime: { min: 100, max: 400 },
+      slowRequestFactor: 2, // Extra slow for payments
+      healthCheckDelay: 200,
+      recoveryDelay: 3000
+    });
     
+    this.startHealthFlapping();
+  }
+  
+  initialize() {
     // Payment storage (for demo purposes)
     this.payments = new Map();
-    this.isHealthy = true;
     this.failureRate = this.config.demo.failureRate * 2; // Higher failure rate for demo
     this.consecutiveFailures = 0;
     this.maxConsecutiveFailures = 8; // Will cause circuit breaker to open
-    
-    // Auto-recovery setup
-    this.recovery = new AutoRecovery({
-      name: 'payment-service-recovery',
-      maxRetries: this.config.autoRecovery.maxRetries,
-      initialDelay: this.config.autoRecovery.initialDelay,
-      maxDelay: this.config.autoRecovery.maxDelay,
-      backoffMultiplier: this.config.autoRecovery.backoffMultiplier,
-      healthCheckInterval: this.config.autoRecovery.healthCheckInterval,
-      failureThreshold: this.config.autoRecovery.failureThreshold,
-      recoveryThreshold: this.config.autoRecovery.recoveryThreshold,
-      healthCheck: () => this.performHealthCheck(),
-      onRecover: (error) => this.performRecovery(error)
-    });
-    
-    this.setupMiddleware();
-    this.setupRoutes();
-    this.setupRecoveryPatterns();
-    this.startFailureSimulation();
-  }
-  
-  /**
-   * Setup Express middleware
-   */
-  setupMiddleware() {
-    this.app.use(express.json());
-    
-    // Request logging
-    this.app.use((req, res, next) => {
-      req.id = req.get('X-Request-ID') || uuidv4();
-      req.startTime = Date.now();
-      
-      this.logger.info('Payment service request', {
-        requestId: req.id,
-        method: req.method,
-        url: req.url,
-        userAgent: req.get('User-Agent'),
-        forwardedFor: req.get('X-Forwarded-For')
-      });
-      
-      next();
-    });
   }
   
   /**
    * Setup API routes
    */
   setupRoutes() {
-    // Health check endpoint
-    this.app.get('/health', async (req, res) => {
-      try {
-        const healthStatus = await this.performHealthCheck();
-        res.json({
-          status: 'healthy',
-          service: 'payment-service',
-          timestamp: new Date().toISOString(),
-          details: healthStatus,
-          recovery: this.recovery.getStatus(),
-          failureRate: this.failureRate,
-          consecutiveFailures: this.consecutiveFailures
-        });
-      } catch (error) {
-        res.status(503).json({
-          status: 'unhealthy',
-          service: 'payment-service',
-          timestamp: new Date().toISOString(),
-          error: error.message,
-          recovery: this.recovery.getStatus(),
-          failureRate: this.failureRate,
-          consecutiveFailures: this.consecutiveFailures
-        });
-      }
-    });
-    
     // Process payment
-    this.app.post('/payments', async (req, res) => {
-      try {
-        const result = await this.executeWithRecovery(async () => {
-          return await this.processPayment(req.body);
-        });
-        
-        res.status(201).json(result);
-        
-      } catch (error) {
-        this.logger.error('Failed to process payment', {
-          paymentData: this.sanitizePaymentData(req.body),
-          error: error.message,
-          requestId: req.id
-        });
-        
-        res.status(error.statusCode || 500).json({
-          error: error.message,
-          requestId: req.id,
-          timestamp: new Date().toISOString(),
-          retryable: error.retryable !== false
-        });
-      }
+    this.route('post', '/payments', (req) => {
+      return this.executeWithRecovery(() => this.processPayment(req.body));
+    }, {
+      status: 201,
+      errorMessage: 'Failed to process payment',
+      logContext: (req) => ({ paymentData: this.sanitizePaymentData(req.body) })
     });
     
     // Get payment status
-    this.app.get('/payments/:id', async (req, res) => {
-      try {
-        const result = await this.executeWithRecovery(async () => {
-          return await this.getPayment(req.params.id);
-        });
-        
-        res.json(result);
-        
-      } catch (error) {
-        this.logger.error('Failed to get payment', {
-          paymentId: req.params.id,
-          error: error.message,
-          requestId: req.id
-        });
-        
-        res.status(error.statusCode || 500).json({
-          error: error.message,
-          requestId: req.id,
-          timestamp: new Date().toISOString()
-        });
-      }
+    this.route('get', '/payments/:id', (req) => {
+      return this.executeWithRecovery(() => this.getPayment(req.params.id));
+    }, {
+      errorMessage: 'Failed to get payment',
+      logContext: (req) => ({ paymentId: req.params.id })
     });
     
     // Refund payment
-    this.app.post('/payments/:id/refund', async (req, res) => {
-      try {
-        const result = await this.executeWithRecovery(async () => {
-          return await this.refundPayment(req.params.id, req.body);
-        });
-        
-        res.json(result);
-        
-      } catch (error) {
-        this.logger.error('Failed to refund payment', {
-          paymentId: req.params.id,
-          refundData: req.body,
-          error: error.message,
-          requestId: req.id
-        });
-        
-        res.status(error.statusCode || 500).json({
-          error: error.message,
-          requestId: req.id,
-          timestamp: new Date().toISOString()
-        });
-      }
+    this.route('post', '/payments/:id/refund', (req) => {
+      return this.executeWithRecovery(() => this.refundPayment(req.params.id, req.body));
+    }, {
+      errorMessage: 'Failed to refund payment',
+      logContext: (req) => ({ paymentId: req.params.id, refundData: req.body })
     });
     
     // Demo endpoints for testing patterns
@@ -187,15 +76,6 @@ class PaymentService {
       });
     });
     
-    this.app.post('/simulate/recovery', (req, res) => {
-      this.consecutiveFailures = 0;
-      this.isHealthy = true;
-      this.recovery.reset();
-      
-      this.logger.info('Payment service recovery simulation triggered');
-      res.json({ message: 'Recovery simulation triggered' });
-    });
-    
     this.app.post('/simulate/catastrophic-failure', (req, res) => {
       this.failureRate = 1.0; // 100% failure rate
       this.isHealthy = false;
@@ -215,32 +95,19 @@ class PaymentService {
     });
   }
   
-  /**
-   * Setup auto-recovery patterns
-   */
-  setupRecoveryPatterns() {
-    // Listen to recovery events
-    this.recovery.on('stateChanged', (data) => {
-      this.logger.recovery('stateChanged', data);
-    });
-    
-    this.recovery.on('recoverySuccess', (data) => {
-      this.logger.recovery('recoverySuccess', data);
-      this.consecutiveFailures = Math.max(0, this.consecutiveFailures - 1);
-    });
-    
-    this.recovery.on('failure', (data) => {
-      this.logger.recovery('failure', data);
-      this.consecutiveFailures++;
-    });
+  onRecoverySuccess() {
+    this.consecutiveFailures = Math.max(0, this.consecutiveFailures - 1);
+  }
+  
+  onRecoveryFailure() {
+    this.consecutiveFailures++;
   }
   
   /**
-   * Start failure simulation patterns
+   * Periodically flip the health flag to demonstrate patterns
    */
-  startFailureSimulation() {
-    // Periodically cause failures to demonstrate patterns
-    setInterval(() => {
+  startHealthFlapping() {
+    this.healthFlappingInterval = setInterval(() => {
       if (this.consecutiveFailures > 0) {
         this.consecutiveFailures = Math.max(0, this.consecutiveFailures - 1);
       }
@@ -256,10 +123,21 @@ class PaymentService {
   }
   
   /**
-   * Execute operation with recovery
+   * Stop flapping while the service drains
    */
-  async executeWithRecovery(operation) {
-    return await this.recovery.executeWithRecovery(operation);
+  async onShutdown() {
+    clearInterval(this.healthFlappingInterval);
+    return {};
+  }
+  
+  /**
+   * Tell callers whether a failed payment is worth retrying
+   */
+  formatError(error, req) {
+    return {
+      ...super.formatError(error, req),
+      retryable: isRetryableError(error)
+    };
   }
   
   /**
@@ -355,9 +233,7 @@ class PaymentService {
     this.checkForSimulatedFailures();
     
     if (!this.payments.has(paymentId)) {
-      const error = new Error(`Payment with ID ${paymentId} not found`);
-      error.statusCode = 404;
-      throw error;
+      throw this.createError(404, `Payment with ID ${paymentId} not found`);
     }
     
     const payment = this.payments.get(paymentId);
@@ -382,25 +258,19 @@ class PaymentService {
     this.checkForSimulatedFailures();
     
     if (!this.payments.has(paymentId)) {
-      const error = new Error(`Payment with ID ${paymentId} not found`);
-      error.statusCode = 404;
-      throw error;
+      throw this.createError(404, `Payment with ID ${paymentId} not found`);
     }
     
     const payment = this.payments.get(paymentId);
     
     if (payment.status !== 'completed') {
-      const error = new Error('Can only refund completed payments');
-      error.statusCode = 400;
-      throw error;
+      throw this.createError(400, 'Can only refund completed payments');
     }
     
     const refundAmount = refundData.amount || payment.amount;
     
     if (refundAmount > payment.amount) {
-      const error = new Error('Refund amount cannot exceed payment amount');
-      error.statusCode = 400;
-      throw error;
+      throw this.createError(400, 'Refund amount cannot exceed payment amount');
     }
     
     const refund = {
@@ -458,28 +328,20 @@ class PaymentService {
    */
   validatePaymentData(paymentData) {
     if (!paymentData.amount || paymentData.amount <= 0) {
-      const error = new Error('Invalid payment amount');
-      error.statusCode = 400;
-      throw error;
+      throw this.createError(400, 'Invalid payment amount');
     }
     
     if (!paymentData.method) {
-      const error = new Error('Payment method is required');
-      error.statusCode = 400;
-      throw error;
+      throw this.createError(400, 'Payment method is required');
     }
     
     if (!paymentData.merchantId) {
-      const error = new Error('Merchant ID is required');
-      error.statusCode = 400;
-      throw error;
+      throw this.createError(400, 'Merchant ID is required');
     }
     
     const validMethods = ['credit_card', 'debit_card', 'paypal', 'bank_transfer'];
     if (!validMethods.includes(paymentData.method)) {
-      const error = new Error('Invalid payment method');
-      error.statusCode = 400;
-      throw error;
+      throw this.createError(400, 'Invalid payment method');
     }
   }
   
@@ -549,45 +411,35 @@ class PaymentService {
     return sanitized;
   }
   
-  /**
-   * Perform health check
-   */
-  async performHealthCheck() {
-    // Simulate health check processing
-    await new Promise(resolve => setTimeout(resolve, 200));
-    
-    if (!this.isHealthy || this.consecutiveFailures >= this.maxConsecutiveFailures) {
-      throw new Error('Payment service is currently unhealthy');
-    }
-    
+  isServiceHealthy() {
+    return this.isHealthy && this.consecutiveFailures < this.maxConsecutiveFailures;
+  }
+  
+  getReadinessDetails() {
+    return { consecutiveFailures: this.consecutiveFailures };
+  }
+  
+  getHealthDetails() {
     return {
       paymentProcessor: 'connected',
       database: 'connected',
-      memory: {
-        used: process.memoryUsage().heapUsed,
-        total: process.memoryUsage().heapTotal
-      },
-      uptime: process.uptime(),
       paymentCount: this.payments.size,
       consecutiveFailures: this.consecutiveFailures,
+      failureRate: this.failureRate
+    };
+  }
+  
+  getHealthExtras() {
+    return {
       failureRate: this.failureRate,
-      lastCheck: new Date().toISOString()
+      consecutiveFailures: this.consecutiveFailures
     };
   }
   
   /**
-   * Perform recovery actions
+   * Reset failure state and temporarily lower the failure rate
    */
-  async performRecovery(error) {
-    this.logger.info('Performing payment service recovery', {
-      error: error.message,
-      consecutiveFailures: this.consecutiveFailures
-    });
-    
-    // Simulate recovery actions
-    await new Promise(resolve => setTimeout(resolve, 3000));
-    
-    // Reset failure state
+  async recover() {
     this.consecutiveFailures = Math.max(0, this.consecutiveFailures - 2);
     this.isHealthy = true;
     
@@ -600,74 +452,44 @@ class PaymentService {
       this.failureRate = originalFailureRate;
     }, 60000); // 1 minute
     
-    this.logger.info('Payment service recovery completed', {
+    this.logger.info('Payment failure state reset', {
       newFailureRate: this.failureRate,
       consecutiveFailures: this.consecutiveFailures
     });
   }
   
-  /**
-   * Simulate processing time
-   */
-  async simulateProcessingTime() {
-    // Simulate variable processing time
-    const processingTime = Math.random() * 300 + 100; // 100-400ms
-    await new Promise(resolve => setTimeout(resolve, processingTime));
-    
-    // Occasionally simulate very slow requests
-    if (Math.random() < this.config.demo.slowRequestRate) {
-      const slowDelay = this.config.demo.slowRequestDelay * 2; // Extra slow for payments
-      this.logger.debug('Simulating slow payment request', { delay: slowDelay });
-      await new Promise(resolve => setTimeout(resolve, slowDelay));
-    }
+  simulateRecovery() {
+    this.consecutiveFailures = 0;
+    super.simulateRecovery();
+  }
+  
+  getFailureRate() {
+    return this.failureRate;
   }
   
   /**
-   * Check for simulated failures
+   * Check for simulated failures; every failure brings the service closer
+   * to reporting unhealthy
    */
   checkForSimulatedFailures() {
-    if (Math.random() < this.failureRate || this.consecutiveFailures >= this.maxConsecutiveFailures) {
+    if (this.consecutiveFailures >= this.maxConsecutiveFailures) {
       this.consecutiveFailures++;
       throw new Error('Simulated payment service failure');
     }
-  }
-  
-  /**
-   * Start the payment service
-   */
-  start() {
-    const port = this.config.port;
-    
-    this.server = this.app.listen(port, () => {
-      this.logger.info('Payment service started', {
-        port,
-        environment: this.config.env,
-        failureRate: this.failureRate,
-        recoveryEnabled: true
-      });
-    });
     
-    // Graceful shutdown
-    process.on('SIGTERM', () => this.shutdown());
-    process.on('SIGINT', () => this.shutdown());
+    try {
+      super.checkForSimulatedFailures();
+    } catch (error) {
+      this.consecutiveFailures++;
+      throw error;
+    }
   }
   
-  /**
-   * Graceful shutdown
-   */
-  async shutdown() {
-    this.logger.info('Starting payment service shutdown...');
-    
-    // Stop accepting new connections
-    this.server.close(() => {
-      this.logger.info('Payment service HTTP server closed');
-    });
-    
-    // Cleanup auto-recovery
-    this.recovery.destroy();
-    
-    this.logger.info('Payment service shutdown completed');
-    process.exit(0);
+  getStartupInfo() {
+    return {
+      failureRate: this.failureRate,
+      recoveryEnabled: true
+    };
   }
 }
 
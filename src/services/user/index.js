@@ -5,43 +5,25 @@
  * auto-recovery patterns with health checks and failure simulation.
  */
 
-const express = require('express');
 const { v4: uuidv4 } = require('uuid');
-const { AutoRecovery } = require('../../patterns/AutoRecovery');
-const config = require('../../config');
-const logger = require('../../utils/logger');
+const { BaseService } = require('../BaseService');
 
-class UserService {
+class UserService extends BaseService {
   constructor() {
-    this.app = express();
-    this.config = config.getServiceConfig('user');
-    this.logger = logger.createChild({ service: 'user-service' });
-    
+    super({
+      name: 'user',
+      displayName: 'User',
+      processingTime: { min: 50, max: 150 },
+      healthCheckDelay: 100
+    });
+  }
+  
+  initialize() {
     // In-memory user storage (for demo purposes)
     this.users = new Map();
-    this.isHealthy = true;
-    this.simulateFailures = false;
-    
-    // Auto-recovery setup
-    this.recovery = new AutoRecovery({
-      name: 'user-service-recovery',
-      maxRetries: this.config.autoRecovery.maxRetries,
-      initialDelay: this.config.autoRecovery.initialDelay,
-      maxDelay: this.config.autoRecovery.maxDelay,
-      backoffMultiplier: this.config.autoRecovery.backoffMultiplier,
-      healthCheckInterval: this.config.autoRecovery.healthCheckInterval,
-      failureThreshold: this.config.autoRecovery.failureThreshold,
-      recoveryThreshold: this.config.autoRecovery.recoveryThreshold,
-      healthCheck: () => this.performHealthCheck(),
-      onRecover: (error) => this.performRecovery(error)
-    });
     
     // Initialize with sample data
     this.initializeSampleData();
-    
-    this.setupMiddleware();
-    this.setupRoutes();
-    this.setupRecoveryPatterns();
   }
   
   /**
@@ -65,230 +47,52 @@ class UserService {
     });
   }
   
-  /**
-   * Setup Express middleware
-   */
-  setupMiddleware() {
-    this.app.use(express.json());
-    
-    // Request logging
-    this.app.use((req, res, next) => {
-      req.id = req.get('X-Request-ID') || uuidv4();
-      req.startTime = Date.now();
-      
-      this.logger.info('User service request', {
-        requestId: req.id,
-        method: req.method,
-        url: req.url,
-        userAgent: req.get('User-Agent'),
-        forwardedFor: req.get('X-Forwarded-For')
-      });
-      
-      next();
-    });
-  }
-  
   /**
    * Setup API routes
    */
   setupRoutes() {
-    // Health check endpoint
-    this.app.get('/health', async (req, res) => {
-      try {
-        const healthStatus = await this.performHealthCheck();
-        res.json({
-          status: 'healthy',
-          service: 'user-service',
-          timestamp: new Date().toISOString(),
-          details: healthStatus,
-          recovery: this.recovery.getStatus()
-        });
-      } catch (error) {
-        res.status(503).json({
-          status: 'unhealthy',
-          service: 'user-service',
-          timestamp: new Date().toISOString(),
-          error: error.message,
-          recovery: this.recovery.getStatus()
-        });
-      }
-    });
-    
     // Get user by ID
-    this.app.get('/users/:id', async (req, res) => {
-      try {
-        const result = await this.executeWithRecovery(async () => {
-          return await this.getUser(req.params.id);
-        });
-        
-        res.json(result);
-        
-      } catch (error) {
-        this.logger.error('Failed to get user', {
-          userId: req.params.id,
-          error: error.message,
-          requestId: req.id
-        });
-        
-        res.status(error.statusCode || 500).json({
-          error: error.message,
-          requestId: req.id,
-          timestamp: new Date().toISOString()
-        });
-      }
+    this.route('get', '/users/:id', (req) => {
+      return this.executeWithRecovery(() => this.getUser(req.params.id));
+    }, {
+      errorMessage: 'Failed to get user',
+      logContext: (req) => ({ userId: req.params.id })
     });
     
     // Create new user
-    this.app.post('/users', async (req, res) => {
-      try {
-        const result = await this.executeWithRecovery(async () => {
-          return await this.createUser(req.body);
-        });
-        
-        res.status(201).json(result);
-        
-      } catch (error) {
-        this.logger.error('Failed to create user', {
-          userData: req.body,
-          error: error.message,
-          requestId: req.id
-        });
-        
-        res.status(error.statusCode || 500).json({
-          error: error.message,
-          requestId: req.id,
-          timestamp: new Date().toISOString()
-        });
-      }
+    this.route('post', '/users', (req) => {
+      return this.executeWithRecovery(() => this.createUser(req.body));
+    }, {
+      status: 201,
+      errorMessage: 'Failed to create user',
+      logContext: (req) => ({ userData: req.body })
     });
     
     // Update user
-    this.app.put('/users/:id', async (req, res) => {
-      try {
-        const result = await this.executeWithRecovery(async () => {
-          return await this.updateUser(req.params.id, req.body);
-        });
-        
-        res.json(result);
-        
-      } catch (error) {
-        this.logger.error('Failed to update user', {
-          userId: req.params.id,
-          userData: req.body,
-          error: error.message,
-          requestId: req.id
-        });
-        
-        res.status(error.statusCode || 500).json({
-          error: error.message,
-          requestId: req.id,
-          timestamp: new Date().toISOString()
-        });
-      }
+    this.route('put', '/users/:id', (req) => {
+      return this.executeWithRecovery(() => this.updateUser(req.params.id, req.body));
+    }, {
+      errorMessage: 'Failed to update user',
+      logContext: (req) => ({ userId: req.params.id, userData: req.body })
     });
     
     // Delete user
-    this.app.delete('/users/:id', async (req, res) => {
-      try {
-        const result = await this.executeWithRecovery(async () => {
-          return await this.deleteUser(req.params.id);
-        });
-        
-        res.json(result);
-        
-      } catch (error) {
-        this.logger.error('Failed to delete user', {
-          userId: req.params.id,
-          error: error.message,
-          requestId: req.id
-        });
-        
-        res.status(error.statusCode || 500).json({
-          error: error.message,
-          requestId: req.id,
-          timestamp: new Date().toISOString()
-        });
-      }
+    this.route('delete', '/users/:id', (req) => {
+      return this.executeWithRecovery(() => this.deleteUser(req.params.id));
+    }, {
+      errorMessage: 'Failed to delete user',
+      logContext: (req) => ({ userId: req.params.id })
     });
     
     // List all users
-    this.app.get('/users', async (req, res) => {
-      try {
-        const result = await this.executeWithRecovery(async () => {
-          return await this.listUsers(req.query);
-        });
-        
-        res.json(result);
-        
-      } catch (error) {
-        this.logger.error('Failed to list users', {
-          query: req.query,
-          error: error.message,
-          requestId: req.id
-        });
-        
-        res.status(error.statusCode || 500).json({
-          error: error.message,
-          requestId: req.id,
-          timestamp: new Date().toISOString()
-        });
-      }
-    });
-    
-    // Demo endpoints for testing patterns
-    this.app.post('/simulate/failure', (req, res) => {
-      this.simulateFailures = true;
-      this.isHealthy = false;
-      
-      this.logger.warn('User service failure simulation started');
-      
-      // Auto-recover after 30 seconds
-      setTimeout(() => {
-        this.simulateFailures = false;
-        this.isHealthy = true;
-        this.logger.info('User service failure simulation ended');
-      }, 30000);
-      
-      res.json({ message: 'Failure simulation started' });
-    });
-    
-    this.app.post('/simulate/recovery', (req, res) => {
-      this.simulateFailures = false;
-      this.isHealthy = true;
-      this.recovery.reset();
-      
-      this.logger.info('User service recovery simulation triggered');
-      res.json({ message: 'Recovery simulation triggered' });
+    this.route('get', '/users', (req) => {
+      return this.executeWithRecovery(() => this.listUsers(req.query));
+    }, {
+      errorMessage: 'Failed to list users',
+      logContext: (req) => ({ query: req.query })
     });
   }
   
-  /**
-   * Setup auto-recovery patterns
-   */
-  setupRecoveryPatterns() {
-    // Listen to recovery events
-    this.recovery.on('stateChanged', (data) => {
-      this.logger.recovery('stateChanged', data);
-    });
-    
-    this.recovery.on('recoverySuccess', (data) => {
-      this.logger.recovery('recoverySuccess', data);
-      this.isHealthy = true;
-    });
-    
-    this.recovery.on('failure', (data) => {
-      this.logger.recovery('failure', data);
-      // Could trigger additional recovery actions here
-    });
-  }
-  
-  /**
-   * Execute operation with recovery
-   */
-  async executeWithRecovery(operation) {
-    return await this.recovery.executeWithRecovery(operation);
-  }
-  
   /**
    * Get user by ID
    */
@@ -297,9 +101,7 @@ class UserService {
     this.checkForSimulatedFailures();
     
     if (!this.users.has(userId)) {
-      const error = new Error(`User with ID ${userId} not found`);
-      error.statusCode = 404;
-      throw error;
+      throw this.createError(404, `User with ID ${userId} not found`);
     }
     
     const user = this.users.get(userId);
@@ -324,9 +126,7 @@ class UserService {
     
     // Validate required fields
     if (!userData.name || !userData.email) {
-      const error = new Error('Name and email are required');
-      error.statusCode = 400;
-      throw error;
+      throw this.createError(400, 'Name and email are required');
     }
     
     // Check if email already exists
@@ -334,9 +134,7 @@ class UserService {
       .find(user => user.email === userData.email);
     
     if (existingUser) {
-      const error = new Error('User with this email already exists');
-      error.statusCode = 409;
-      throw error;
+      throw this.createError(409, 'User with this email already exists');
     }
     
     const user = {
@@ -370,9 +168,7 @@ class UserService {
     this.checkForSimulatedFailures();
     
     if (!this.users.has(userId)) {
-      const error = new Error(`User with ID ${userId} not found`);
-      error.statusCode = 404;
-      throw error;
+      throw this.createError(404, `User with ID ${userId} not found`);
     }
     
     const user = { ...this.users.get(userId) };
@@ -405,9 +201,7 @@ class UserService {
     this.checkForSimulatedFailures();
     
     if (!this.users.has(userId)) {
-      const error = new Error(`User with ID ${userId} not found`);
-      error.statusCode = 404;
-      throw error;
+      throw this.createError(404, `User with ID ${userId} not found`);
     }
     
     const user = this.users.get(userId);
@@ -474,108 +268,22 @@ class UserService {
     };
   }
   
-  /**
-   * Perform health check
-   */
-  async performHealthCheck() {
-    // Simulate health check processing
-    await new Promise(resolve => setTimeout(resolve, 100));
-    
-    if (!this.isHealthy) {
-      throw new Error('User service is currently unhealthy');
-    }
-    
+  getReadinessDetails() {
+    return { userCount: this.users.size };
+  }
+  
+  getHealthDetails() {
     return {
       database: 'connected',
-      memory: {
-        used: process.memoryUsage().heapUsed,
-        total: process.memoryUsage().heapTotal
-      },
-      uptime: process.uptime(),
-      userCount: this.users.size,
-      lastCheck: new Date().toISOString()
+      userCount: this.users.size
     };
   }
   
-  /**
-   * Perform recovery actions
-   */
-  async performRecovery(error) {
-    this.logger.info('Performing user service recovery', {
-      error: error.message
-    });
-    
-    // Simulate recovery actions
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    // Reset service state
-    this.isHealthy = true;
-    this.simulateFailures = false;
-    
-    this.logger.info('User service recovery completed');
-  }
-  
-  /**
-   * Simulate processing time
-   */
-  async simulateProcessingTime() {
-    // Simulate variable processing time
-    const processingTime = Math.random() * 100 + 50; // 50-150ms
-    await new Promise(resolve => setTimeout(resolve, processingTime));
-    
-    // Occasionally simulate slow requests
-    if (Math.random() < this.config.demo.slowRequestRate) {
-      const slowDelay = this.config.demo.slowRequestDelay;
-      this.logger.debug('Simulating slow request', { delay: slowDelay });
-      await new Promise(resolve => setTimeout(resolve, slowDelay));
-    }
-  }
-  
-  /**
-   * Check for simulated failures
-   */
-  checkForSimulatedFailures() {
-    if (this.simulateFailures || Math.random() < this.config.demo.failureRate) {
-      throw new Error('Simulated user service failure');
-    }
-  }
-  
-  /**
-   * Start the user service
-   */
-  start() {
-    const port = this.config.port;
-    
-    this.server = this.app.listen(port, () => {
-      this.logger.info('User service started', {
-        port,
-        environment: this.config.env,
-        userCount: this.users.size,
-        recoveryEnabled: true
-      });
-    });
-    
-    // Graceful shutdown
-    process.on('SIGTERM', () => this.shutdown());
-    process.on('SIGINT', () => this.shutdown());
-  }
-  
-  /**
-   * Graceful shutdown
-   */
-  async shutdown() {
-    this.logger.info('Starting user service shutdown...');
-    
-    // Stop accepting new connections
-    this.server.close(() => {
-      this.logger.info('User service HTTP server closed');
-    });
-    
-    // Cleanup auto-recovery
-    this.recovery.destroy();
-    
-    this.logger.info('User service shutdown completed');
-    process.exit(0);
+  getStartupInfo() {
+    return {
+      userCount: this.users.size,
+      recoveryEnabled: true
+    };
   }
 }
 
@@ -0,0 +1,535 @@
+/**
+ * Process Supervisor
+ * 
+ * Runs the microservices as child processes and keeps them running:
+ * - Restarts a service when its process exits, or when it fails its
+ *   `/health/live` check `healthFailureThreshold` times in a row
+ * - Spaces restarts with a backoff schedule (see Backoff), reset once a
+ *   process has stayed up for a whole `restartWindow`
+ * - Gives up on crash loops: a service restarted `maxRestarts` times
+ *   within `restartWindow` is left FAILED until restarted by hand
+ * - Keeps a restart history and serves it over HTTP for the monitor
+ */
+
+const EventEmitter = require('events');
+const path = require('path');
+const { spawn } = require('child_process');
+const express = require('express');
+const axios = require('axios');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { Backoff, BackoffStrategies } = require('../patterns/Backoff');
+
+/**
+ * Supervised process states
+ */
+const ProcessStates = {
+  STARTING: 'STARTING', // spawned, not yet passed a health check
+  RUNNING: 'RUNNING',
+  BACKOFF: 'BACKOFF', // exited, waiting to be restarted
+  FAILED: 'FAILED', // crash loop; no more automatic restarts
+  STOPPED: 'STOPPED'
+};
+
+class ProcessSupervisor extends EventEmitter {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} options.name - Name of the supervisor
+   * @param {Array<Object>} options.services - `{ name, script, healthUrl, env }` per process
+   * @param {number} options.maxRestarts - Restarts within `restartWindow` before giving up
+   * @param {number} options.restartWindow - Crash loop window (ms); also the uptime that resets backoff
+   * @param {number} options.initialDelay - First restart delay (ms)
+   * @param {number} options.maxDelay - Longest restart delay (ms)
+   * @param {string} options.backoffStrategy - One of BackoffStrategies (default EXPONENTIAL)
+   * @param {number} options.healthCheckInterval - Health probe interval (ms)
+   * @param {number} options.healthCheckTimeout - Health probe timeout (ms)
+   * @param {number} options.healthFailureThreshold - Consecutive failed probes before a restart
+   * @param {number} options.startupGracePeriod - Failed probes are ignored this long after a start (ms)
+   * @param {number} options.stopTimeout - Wait after SIGTERM before SIGKILL (ms)
+   * @param {number} options.maxHistory - Restart history entries kept
+   * @param {string} options.stdio - stdio mode for child processes (default 'inherit')
+   */
+  constructor(options = {}) {
+    super();
+    
+    this.name = options.name || 'ProcessSupervisor';
+    this.maxRestarts = options.maxRestarts || 5;
+    this.restartWindow = options.restartWindow || 60000; // 1 minute
+    this.healthCheckInterval = options.healthCheckInterval || 5000;
+    this.healthCheckTimeout = options.healthCheckTimeout || 2000;
+    this.healthFailureThreshold = options.healthFailureThreshold || 3;
+    this.startupGracePeriod = options.startupGracePeriod !== undefined ? options.startupGracePeriod : 10000;
+    this.stopTimeout = options.stopTimeout || 5000;
+    this.maxHistory = options.maxHistory || 100;
+    this.stdio = options.stdio || 'inherit';
+    
+    this.backoff = new Backoff({
+      strategy: options.backoffStrategy || BackoffStrategies.EXPONENTIAL,
+      initialDelay: options.initialDelay || 1000,
+      maxDelay: options.maxDelay || 30000,
+      jitter: 0.1
+    });
+    
+    this.processes = new Map();
+    (options.services || []).forEach(service => {
+      this.processes.set(service.name, {
+        ...service,
+        status: ProcessStates.STOPPED,
+        child: null,
+        pid: null,
+        startedAt: null,
+        healthyAt: null,
+        consecutiveHealthFailures: 0,
+        checkingHealth: false,
+        pendingRestartReason: null,
+        restartTimer: null,
+        killTimer: null,
+        restartTimes: [],
+        attempt: 0,
+        lastDelay: undefined,
+        restarts: 0
+      });
+    });
+    
+    this.restartHistory = [];
+    this.isStopping = false;
+    this.healthTimer = null;
+  }
+  
+  /**
+   * Spawn every service and start health monitoring
+   */
+  start() {
+    this.isStopping = false;
+    this.processes.forEach(entry => this.spawnProcess(entry));
+    
+    this.healthTimer = setInterval(() => {
+      this.processes.forEach(entry => this.checkHealth(entry));
+    }, this.healthCheckInterval);
+    
+    logger.info(`Supervisor ${this.name} started`, {
+      services: Array.from(this.processes.keys()),
+      maxRestarts: this.maxRestarts,
+      restartWindow: this.restartWindow
+    });
+  }
+  
+  /**
+   * Start a service process
+   * @private
+   */
+  spawnProcess(entry) {
+    const child = spawn(process.execPath, [entry.script], {
+      env: { ...process.env, ...entry.env },
+      stdio: this.stdio
+    });
+    
+    entry.child = child;
+    entry.pid = child.pid;
+    entry.status = ProcessStates.STARTING;
+    entry.startedAt = Date.now();
+    entry.healthyAt = null;
+    entry.consecutiveHealthFailures = 0;
+    entry.pendingRestartReason = null;
+    
+    child.on('error', (error) => {
+      logger.error(`Supervisor ${this.name} failed to run ${entry.name}`, { error: error.message });
+    });
+    child.on('exit', (code, signal) => this.handleExit(entry, child, code, signal));
+    
+    logger.info(`Supervisor ${this.name} started ${entry.name}`, { pid: child.pid });
+    
+    this.emit('processStarted', {
+      name: entry.name,
+      pid: child.pid,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  /**
+   * Handle a process exit: restart it unless the supervisor is stopping
+   * @private
+   */
+  handleExit(entry, child, code, signal) {
+    if (entry.child !== child) {
+      return; // an older process of this service
+    }
+    
+    clearTimeout(entry.killTimer);
+    entry.child = null;
+    entry.pid = null;
+    
+    const reason = entry.pendingRestartReason || 'exited';
+    
+    this.emit('processExited', {
+      name: entry.name,
+      exitCode: code,
+      signal,
+      reason,
+      timestamp: new Date().toISOString()
+    });
+    
+    if (this.isStopping || entry.status === ProcessStates.STOPPED) {
+      entry.status = ProcessStates.STOPPED;
+      return;
+    }
+    
+    logger.warn(`Supervisor ${this.name}: ${entry.name} ${reason}`, { exitCode: code, signal });
+    
+    this.scheduleRestart(entry, reason, { exitCode: code, signal });
+  }
+  
+  /**
+   * Restart a service after a backoff delay, or give up on a crash loop
+   * @private
+   */
+  scheduleRestart(entry, reason, details = {}) {
+    const now = Date.now();
+    const uptime = entry.startedAt ? now - entry.startedAt : 0;
+    
+    entry.restartTimes = entry.restartTimes.filter(time => now - time < this.restartWindow);
+    
+    if (entry.restartTimes.length >= this.maxRestarts) {
+      entry.status = ProcessStates.FAILED;
+      
+      this.recordRestart({
+        service: entry.name,
+        reason,
+        ...details,
+        uptime,
+        gaveUp: true,
+        restartsInWindow: entry.restartTimes.length
+      });
+      
+      logger.error(`Supervisor ${this.name} giving up on ${entry.name}: crash loop`, {
+        restartsInWindow: entry.restartTimes.length,
+        restartWindow: this.restartWindow
+      });
+      
+      this.emit('gaveUp', {
+        name: entry.name,
+        restartsInWindow: entry.restartTimes.length,
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+    
+    // A process that stayed up for a whole window starts over at the first delay
+    if (uptime >= this.restartWindow) {
+      entry.attempt = 0;
+      entry.lastDelay = undefined;
+    }
+    
+    entry.attempt++;
+    entry.lastDelay = this.backoff.getDelay(entry.attempt, entry.lastDelay);
+    entry.restartTimes.push(now);
+    entry.restarts++;
+    entry.status = ProcessStates.BACKOFF;
+    
+    this.recordRestart({
+      service: entry.name,
+      reason,
+      ...details,
+      uptime,
+      attempt: entry.attempt,
+      delay: entry.lastDelay
+    });
+    
+    this.emit('restartScheduled', {
+      name: entry.name,
+      reason,
+      attempt: entry.attempt,
+      delay: entry.lastDelay
+    });
+    
+    entry.restartTimer = setTimeout(() => {
+      entry.restartTimer = null;
+      if (!this.isStopping && entry.status === ProcessStates.BACKOFF) {
+        this.spawnProcess(entry);
+      }
+    }, entry.lastDelay);
+  }
+  
+  /**
+   * Add an entry to the restart history
+   * @private
+   */
+  recordRestart(details) {
+    this.restartHistory.push({
+      timestamp: new Date().toISOString(),
+      ...details
+    });
+    
+    if (this.restartHistory.length > this.maxHistory) {
+      this.restartHistory = this.restartHistory.slice(-this.maxHistory);
+    }
+  }
+  
+  /**
+   * Probe a service's health endpoint
+   * @private
+   */
+  async checkHealth(entry) {
+    const probing = entry.status === ProcessStates.STARTING || entry.status === ProcessStates.RUNNING;
+    if (!entry.healthUrl || !probing || entry.checkingHealth || entry.pendingRestartReason) {
+      return;
+    }
+    
+    entry.checkingHealth = true;
+    
+    try {
+      await axios.get(entry.healthUrl, { timeout: this.healthCheckTimeout });
+      
+      entry.consecutiveHealthFailures = 0;
+      entry.healthyAt = Date.now();
+      entry.status = ProcessStates.RUNNING;
+    } catch (error) {
+      const inGracePeriod = !entry.healthyAt && Date.now() - entry.startedAt < this.startupGracePeriod;
+      if (inGracePeriod) {
+        return;
+      }
+      
+      entry.consecutiveHealthFailures++;
+      logger.warn(`Supervisor ${this.name}: ${entry.name} health check failed`, {
+        consecutiveFailures: entry.consecutiveHealthFailures,
+        error: error.message
+      });
+      
+      if (entry.consecutiveHealthFailures >= this.healthFailureThreshold && entry.child) {
+        entry.pendingRestartReason = 'unhealthy';
+        this.killProcess(entry);
+      }
+    } finally {
+      entry.checkingHealth = false;
+    }
+  }
+  
+  /**
+   * Stop a process: SIGTERM, then SIGKILL after `stopTimeout`
+   * @private
+   */
+  killProcess(entry) {
+    const child = entry.child;
+    if (!child) {
+      return;
+    }
+    
+    child.kill('SIGTERM');
+    entry.killTimer = setTimeout(() => {
+      if (entry.child === child) {
+        logger.warn(`Supervisor ${this.name}: ${entry.name} did not stop, killing`);
+        child.kill('SIGKILL');
+      }
+    }, this.stopTimeout);
+  }
+  
+  /**
+   * Restart a service by hand; also clears a FAILED crash loop
+   * @param {string} name - Service name
+   * @returns {boolean} False if the service is unknown
+   */
+  restart(name) {
+    const entry = this.processes.get(name);
+    if (!entry) {
+      return false;
+    }
+    
+    clearTimeout(entry.restartTimer);
+    entry.restartTimer = null;
+    entry.restartTimes = [];
+    entry.attempt = 0;
+    entry.lastDelay = undefined;
+    
+    if (entry.child) {
+      // The exit handler records and schedules the new process
+      entry.pendingRestartReason = 'manual';
+      this.killProcess(entry);
+    } else {
+      this.recordRestart({ service: name, reason: 'manual' });
+      this.spawnProcess(entry);
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Stop every process and health monitoring
+   * @returns {Promise<void>} Resolves once all processes have exited
+   */
+  async stop() {
+    this.isStopping = true;
+    clearInterval(this.healthTimer);
+    
+    const exits = [];
+    
+    this.processes.forEach(entry => {
+      clearTimeout(entry.restartTimer);
+      entry.restartTimer = null;
+      entry.status = ProcessStates.STOPPED;
+      
+      if (entry.child) {
+        exits.push(new Promise(resolve => entry.child.once('exit', resolve)));
+        this.killProcess(entry);
+      }
+    });
+    
+    await Promise.all(exits);
+    
+    logger.info(`Supervisor ${this.name} stopped`);
+  }
+  
+  /**
+   * Get restart history, newest last
+   * @param {string} [name] - Only entries for this service
+   * @returns {Array<Object>} History entries
+   */
+  getRestartHistory(name) {
+    return name ?
+      this.restartHistory.filter(entry => entry.service === name) :
+      [...this.restartHistory];
+  }
+  
+  /**
+   * Get current supervisor status
+   * @returns {Object} Per-process status and configuration
+   */
+  getStatus() {
+    const processes = {};
+    
+    this.processes.forEach((entry, name) => {
+      processes[name] = {
+        status: entry.status,
+        pid: entry.pid,
+        startedAt: entry.startedAt ? new Date(entry.startedAt).toISOString() : null,
+        uptime: entry.child && entry.startedAt ? Date.now() - entry.startedAt : 0,
+        restarts: entry.restarts,
+        restartsInWindow: entry.restartTimes.filter(time => Date.now() - time < this.restartWindow).length,
+        consecutiveHealthFailures: entry.consecutiveHealthFailures,
+        nextRestartDelay: entry.status === ProcessStates.BACKOFF ? entry.lastDelay : null
+      };
+    });
+    
+    return {
+      name: this.name,
+      processes,
+      config: {
+        maxRestarts: this.maxRestarts,
+        restartWindow: this.restartWindow,
+        healthCheckInterval: this.healthCheckInterval,
+        healthFailureThreshold: this.healthFailureThreshold,
+        startupGracePeriod: this.startupGracePeriod,
+        backoff: this.backoff.getConfig()
+      }
+    };
+  }
+  
+  /**
+   * HTTP API for the monitor
+   * @returns {express.Application} Express app
+   */
+  createApp() {
+    const app = express();
+    
+    app.get('/health', (req, res) => {
+      res.json({
+        status: 'healthy',
+        service: 'process-supervisor',
+        timestamp: new Date().toISOString()
+      });
+    });
+    
+    app.get('/api/processes', (req, res) => {
+      res.json(this.getStatus());
+    });
+    
+    app.get('/api/restarts', (req, res) => {
+      const service = req.query.service;
+      
+      if (service && !this.processes.has(service)) {
+        return res.status(404).json({
+          error: `Unknown service "${service}"`,
+          available: Array.from(this.processes.keys())
+        });
+      }
+      
+      res.json({
+        timestamp: new Date().toISOString(),
+        restarts: this.getRestartHistory(service)
+      });
+    });
+    
+    app.post('/api/processes/:name/restart', (req, res) => {
+      if (!this.restart(req.params.name)) {
+        return res.status(404).json({
+          error: `Unknown service "${req.params.name}"`,
+          available: Array.from(this.processes.keys())
+        });
+      }
+      
+      res.status(202).json({
+        message: `Restarting ${req.params.name}`,
+        timestamp: new Date().toISOString()
+      });
+    });
+    
+    return app;
+  }
+}
+
+/**
+ * The services started by `npm run start:supervised`
+ * @returns {Array<Object>} Service definitions
+ */
+function getDefaultServices() {
+  const servicesDir = path.join(__dirname, '..', 'services');
+  const gatewayUrl = `http://localhost:${config.server.gateway.port}`;
+  
+  return [
+    { name: 'gateway', serviceName: 'api-gateway', url: gatewayUrl },
+    { name: 'user', serviceName: 'user-service', url: config.server.services.user.url },
+    { name: 'order', serviceName: 'order-service', url: config.server.services.order.url },
+    { name: 'payment', serviceName: 'payment-service', url: config.server.services.payment.url },
+    { name: 'notification', serviceName: 'notification-service', url: config.server.services.notification.url },
+    { name: 'monitor', serviceName: 'monitor-service', url: config.server.services.monitor.url }
+  ].map(service => ({
+    name: service.name,
+    script: path.join(servicesDir, service.name, 'index.js'),
+    // Liveness only: a service that is up but not ready should be left to recover
+    healthUrl: `${service.url}/health/live`,
+    env: { SERVICE_NAME: service.serviceName }
+  }));
+}
+
+if (require.main === module) {
+  const supervisorConfig = config.getServiceConfig('supervisor');
+  const supervisor = new ProcessSupervisor({
+    name: 'services',
+    services: getDefaultServices(),
+    ...supervisorConfig.restartPolicy
+  });
+  
+  supervisor.on('gaveUp', (data) => {
+    logger.error('Service crash loop, not restarting', data);
+  });
+  
+  supervisor.start();
+  
+  const server = supervisor.createApp().listen(supervisorConfig.port, () => {
+    logger.info('Supervisor API started', { port: supervisorConfig.port });
+  });
+  
+  const shutdown = async () => {
+    server.close();
+    await supervisor.stop();
+    process.exit(0);
+  };
+  
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+}
+
+module.exports = {
+  ProcessSupervisor,
+  ProcessStates,
+  getDefaultServices
+};
@@ -0,0 +1,69 @@
+/**
+ * AbortSignal helpers for the self-healing microservices project
+ *
+ * Protected functions receive an AbortSignal from each pattern that can
+ * give up on them (a timeout, a cleared bulkhead queue, a client that
+ * disconnected). These helpers combine and classify those signals.
+ */
+
+/**
+ * Combine several signals into one that aborts when any of them does
+ * @param {Array<AbortSignal|undefined>} signals - Signals to combine (falsy entries are ignored)
+ * @returns {AbortSignal|undefined} Combined signal
+ */
+function anySignal(signals) {
+  const active = signals.filter(Boolean);
+
+  if (active.length <= 1) {
+    return active[0];
+  }
+
+  if (typeof AbortSignal.any === 'function') {
+    return AbortSignal.any(active);
+  }
+
+  const controller = new AbortController();
+
+  for (const signal of active) {
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+      break;
+    }
+
+    signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+  }
+
+  return controller.signal;
+}
+
+/**
+ * Create the error thrown when work is skipped because its signal aborted
+ * @param {AbortSignal} signal - The aborted signal
+ * @returns {Error} AbortError carrying the abort reason as its cause
+ */
+function createAbortError(signal) {
+  const error = new Error('Operation aborted');
+  error.name = 'AbortError';
+  error.cause = signal && signal.reason;
+  return error;
+}
+
+/**
+ * Check whether an error means the work was cancelled
+ * @param {Error} error - Error thrown by a protected call
+ * @returns {boolean} True for AbortSignal and axios cancellation errors
+ */
+function isAbortError(error) {
+  return !!error && (
+    error.name === 'AbortError' ||
+    error.name === 'CanceledError' ||
+    error.code === 'ABORT_ERR' ||
+    error.code === 'ERR_CANCELED'
+  );
+}
+
+module.exports = {
+  anySignal,
+  createAbortError,
+  isAbortError
+};
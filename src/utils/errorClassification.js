@@ -0,0 +1,130 @@
+/**
+ * Error classification helpers for the self-healing microservices project
+ *
+ * Circuit breakers and retries should only react to errors that say
+ * something about the health of a service. A 404 for a missing user or a
+ * 400 validation error is a correct answer from a healthy service, so it
+ * should neither open a circuit nor be retried.
+ */
+
+const { isAbortError } = require('./abort');
+
+/**
+ * Status codes in the 4xx range that are still worth retrying
+ */
+const RETRYABLE_CLIENT_STATUSES = [408, 425, 429];
+
+/**
+ * Methods that may be sent twice without changing the outcome
+ */
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * Error codes of calls that never reached the service
+ */
+const NOT_SENT_ERRORS = ['ECONNREFUSED', 'CIRCUIT_OPEN'];
+
+/**
+ * Get the HTTP status associated with an error
+ * @param {Error} error - Error thrown by a protected call
+ * @returns {number|undefined} Axios response status or a service error's statusCode
+ */
+function getErrorStatus(error) {
+  if (!error) {
+    return undefined;
+  }
+
+  if (error.response && error.response.status) {
+    return error.response.status;
+  }
+
+  return error.statusCode;
+}
+
+/**
+ * Check whether a status is a client error (4xx)
+ * @param {number} status - HTTP status
+ * @returns {boolean} True for 4xx statuses
+ */
+function isClientErrorStatus(status) {
+  return status >= 400 && status < 500;
+}
+
+/**
+ * Default `recordFailure` predicate: ignore client errors
+ * @param {Error} error - Error thrown by a protected call
+ * @param {number} [status] - HTTP status of the error, if any
+ * @returns {boolean} True if the error should count as a service failure
+ */
+function isRecordableFailure(error, status = getErrorStatus(error)) {
+  if (isClientErrorStatus(status)) {
+    return RETRYABLE_CLIENT_STATUSES.includes(status);
+  }
+
+  return true;
+}
+
+/**
+ * Default `shouldRetry` predicate
+ *
+ * Honours an explicit `retryable` flag on the error or in the upstream
+ * error body (the payment service sets one), otherwise retries everything
+ * except client errors.
+ *
+ * @param {Error} error - Error thrown by a protected call
+ * @param {number} [status] - HTTP status of the error, if any
+ * @returns {boolean} True if the call may be retried
+ */
+function isRetryableError(error, status = getErrorStatus(error)) {
+  // Nobody is waiting for the result any more
+  if (isAbortError(error)) {
+    return false;
+  }
+
+  const body = error && error.response ? error.response.data : null;
+
+  if (body && typeof body.retryable === 'boolean') {
+    return body.retryable;
+  }
+
+  if (error && typeof error.retryable === 'boolean') {
+    return error.retryable;
+  }
+
+  if (isClientErrorStatus(status)) {
+    return RETRYABLE_CLIENT_STATUSES.includes(status);
+  }
+
+  return true;
+}
+
+/**
+ * Check whether a call with this method may be sent twice
+ * @param {string} [method] - HTTP method; calls without one are not HTTP and count as idempotent
+ * @returns {boolean} True if repeating the call is safe
+ */
+function isIdempotentMethod(method) {
+  return !method || IDEMPOTENT_METHODS.includes(method.toUpperCase());
+}
+
+/**
+ * Check whether a failed call never reached the service, so repeating it
+ * is safe whatever its method
+ * @param {Error} error - Error thrown by a protected call
+ * @returns {boolean} True if the call was not sent
+ */
+function isNotSentError(error) {
+  return Boolean(error) && NOT_SENT_ERRORS.includes(error.code);
+}
+
+module.exports = {
+  getErrorStatus,
+  isClientErrorStatus,
+  isRecordableFailure,
+  isRetryableError,
+  isIdempotentMethod,
+  isNotSentError,
+  RETRYABLE_CLIENT_STATUSES,
+  IDEMPOTENT_METHODS,
+  NOT_SENT_ERRORS
+};
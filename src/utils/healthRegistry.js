@@ -0,0 +1,231 @@
+/**
+ * Health check registry for the self-healing microservices project
+ *
+ * Every service answers three probes, each built from registered checks:
+ * - liveness (`/health/live`): is the process working at all? A failure
+ *   means it should be restarted, so dependencies never belong here
+ * - readiness (`/health/ready`): should it receive traffic right now?
+ *   False while starting, while draining for shutdown, and while a
+ *   critical readiness check fails
+ * - startup (`/health/startup`): has initialisation finished?
+ *
+ * A failing non-critical check only marks the probe DEGRADED; it still
+ * answers 200.
+ */
+
+const { RecoveryStates } = require('../patterns/AutoRecovery');
+
+/**
+ * Probe kinds
+ */
+const Probes = {
+  LIVENESS: 'liveness',
+  READINESS: 'readiness',
+  STARTUP: 'startup'
+};
+
+/**
+ * Probe and check results
+ */
+const HealthStatus = {
+  UP: 'UP',
+  DEGRADED: 'DEGRADED',
+  DOWN: 'DOWN'
+};
+
+class HealthRegistry {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} options.service - Service name reported by the probes
+   * @param {number} options.defaultTimeout - Timeout for checks that do not set one (ms)
+   */
+  constructor(options = {}) {
+    this.service = options.service || 'service';
+    this.defaultTimeout = options.defaultTimeout || 1000;
+    this.checks = new Map();
+    this.started = false;
+    this.draining = false;
+  }
+
+  /**
+   * Register a health check
+   * @param {Object} definition - Check definition
+   * @param {string} definition.name - Unique check name
+   * @param {Function} definition.check - Async function; throws (or rejects) when unhealthy,
+   *   may return details
+   * @param {string|Array<string>} definition.probes - Probe(s) the check belongs to (default readiness)
+   * @param {boolean} definition.critical - False to only degrade the probe (default true)
+   * @param {number} definition.timeout - Time allowed before the check counts as failed (ms)
+   * @returns {HealthRegistry} This registry, for chaining
+   */
+  register(definition) {
+    if (!definition || !definition.name || typeof definition.check !== 'function') {
+      throw new Error('Health checks need a name and a check function');
+    }
+
+    const probes = [].concat(definition.probes || Probes.READINESS);
+    probes.forEach(probe => {
+      if (!Object.values(Probes).includes(probe)) {
+        throw new Error(`Health check ${definition.name}: unknown probe "${probe}"`);
+      }
+    });
+
+    this.checks.set(definition.name, {
+      name: definition.name,
+      check: definition.check,
+      probes,
+      critical: definition.critical !== false,
+      timeout: definition.timeout || this.defaultTimeout
+    });
+
+    return this;
+  }
+
+  /**
+   * Remove a health check
+   * @param {string} name - Check name
+   */
+  unregister(name) {
+    this.checks.delete(name);
+  }
+
+  /**
+   * Mark initialisation as finished (startup and readiness may pass)
+   */
+  markStarted() {
+    this.started = true;
+  }
+
+  /**
+   * Enter or leave shutdown draining (readiness fails while draining)
+   * @param {boolean} draining - Draining flag
+   */
+  setDraining(draining = true) {
+    this.draining = draining;
+  }
+
+  /**
+   * Run one check with its timeout
+   * @private
+   */
+  async runCheck(entry) {
+    const startedAt = Date.now();
+    let timeoutId;
+
+    const timeout = new Promise((resolve, reject) => {
+      timeoutId = setTimeout(() => {
+        reject(new Error(`Timed out after ${entry.timeout}ms`));
+      }, entry.timeout);
+    });
+
+    try {
+      const details = await Promise.race([entry.check(), timeout]);
+
+      return {
+        status: HealthStatus.UP,
+        critical: entry.critical,
+        duration: Date.now() - startedAt,
+        ...(details !== undefined && { details })
+      };
+    } catch (error) {
+      return {
+        status: HealthStatus.DOWN,
+        critical: entry.critical,
+        duration: Date.now() - startedAt,
+        error: error.message
+      };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Evaluate a probe
+   * @param {string} probe - One of Probes
+   * @returns {Promise<Object>} `{ status, service, probe, timestamp, checks, reason? }`
+   */
+  async evaluate(probe) {
+    const entries = Array.from(this.checks.values()).filter(entry => entry.probes.includes(probe));
+    const results = await Promise.all(entries.map(entry => this.runCheck(entry)));
+
+    const checks = {};
+    entries.forEach((entry, index) => {
+      checks[entry.name] = results[index];
+    });
+
+    let status = HealthStatus.UP;
+    let reason;
+
+    if (results.some(result => result.status === HealthStatus.DOWN && result.critical)) {
+      status = HealthStatus.DOWN;
+      reason = 'critical check failed';
+    } else if (results.some(result => result.status === HealthStatus.DOWN)) {
+      status = HealthStatus.DEGRADED;
+    }
+
+    if (probe !== Probes.LIVENESS && !this.started) {
+      status = HealthStatus.DOWN;
+      reason = 'starting';
+    } else if (probe === Probes.READINESS && this.draining) {
+      status = HealthStatus.DOWN;
+      reason = 'draining';
+    }
+
+    return {
+      status,
+      service: this.service,
+      probe,
+      timestamp: new Date().toISOString(),
+      ...(reason && { reason }),
+      checks
+    };
+  }
+
+  /**
+   * Add `/health/live`, `/health/ready` and `/health/startup` to an app
+   * @param {express.Application} app - Express app
+   */
+  mount(app) {
+    const routes = {
+      '/health/live': Probes.LIVENESS,
+      '/health/ready': Probes.READINESS,
+      '/health/startup': Probes.STARTUP
+    };
+
+    Object.entries(routes).forEach(([route, probe]) => {
+      app.get(route, async (req, res) => {
+        const result = await this.evaluate(probe);
+        res.status(result.status === HealthStatus.DOWN ? 503 : 200).json(result);
+      });
+    });
+  }
+}
+
+/**
+ * Readiness check that fails while an AutoRecovery is FAILED
+ * @param {string} name - Check name
+ * @param {AutoRecovery} recovery - Recovery manager to watch
+ * @param {Object} [options] - Extra check options (e.g. `critical: false`)
+ * @returns {Object} Check definition for HealthRegistry.register
+ */
+function recoveryCheck(name, recovery, options = {}) {
+  return {
+    name,
+    probes: Probes.READINESS,
+    ...options,
+    check: async () => {
+      if (recovery.state === RecoveryStates.FAILED) {
+        throw new Error(`${recovery.name} is ${recovery.state}`);
+      }
+
+      return { state: recovery.state };
+    }
+  };
+}
+
+module.exports = {
+  HealthRegistry,
+  HealthStatus,
+  Probes,
+  recoveryCheck
+};
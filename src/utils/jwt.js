@@ -0,0 +1,130 @@
+/**
+ * JSON Web Token signing and verification for the self-healing microservices project
+ *
+ * Supports the two algorithms the gateway accepts: HS256 (a shared secret)
+ * and RS256 (an RSA key pair, verified with the public key). A token is only
+ * checked with the key of its own algorithm, so an RS256 public key can
+ * never be used as an HS256 secret, and unsigned ("none") tokens are
+ * refused.
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHMS = {
+  HS256: 'HS256',
+  RS256: 'RS256'
+};
+
+/**
+ * Error for a token that cannot be trusted
+ */
+function tokenError(message, code = 'INVALID_TOKEN') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function encodePart(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function decodePart(part) {
+  try {
+    return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw tokenError('Malformed token');
+  }
+}
+
+/**
+ * Sign a token
+ * @param {Object} payload - Claims
+ * @param {Object} options - Signing options
+ * @param {string} options.algorithm - HS256 (default) or RS256
+ * @param {string} options.secret - HS256 secret
+ * @param {string|KeyObject} options.privateKey - RS256 private key
+ * @returns {string} Compact token
+ */
+function signJwt(payload, options = {}) {
+  const algorithm = options.algorithm || ALGORITHMS.HS256;
+  const signingInput = `${encodePart({ alg: algorithm, typ: 'JWT' })}.${encodePart(payload)}`;
+
+  let signature;
+  if (algorithm === ALGORITHMS.HS256) {
+    signature = crypto.createHmac('sha256', options.secret).update(signingInput).digest();
+  } else if (algorithm === ALGORITHMS.RS256) {
+    signature = crypto.sign('RSA-SHA256', Buffer.from(signingInput), options.privateKey);
+  } else {
+    throw new Error(`Unsupported JWT algorithm "${algorithm}"`);
+  }
+
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Verify a token's signature and time claims
+ * @param {string} token - Compact token
+ * @param {Object} options - Verification options
+ * @param {string} options.secret - HS256 secret; HS256 tokens are refused without it
+ * @param {string|KeyObject} options.publicKey - RS256 public key; RS256 tokens are refused without it
+ * @param {string} options.issuer - Required `iss`, if set
+ * @param {string} options.audience - Required `aud` (or one of them), if set
+ * @param {number} options.clockTolerance - Allowed clock skew for `exp` and `nbf` (ms)
+ * @param {boolean} options.requireExp - Refuse tokens without `exp` (default true), which
+ *   would otherwise stay valid forever
+ * @returns {Object} The token's claims
+ */
+function verifyJwt(token, options = {}) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    throw tokenError('Malformed token');
+  }
+
+  const [headerPart, payloadPart, signaturePart] = parts;
+  const header = decodePart(headerPart);
+  const signingInput = Buffer.from(`${headerPart}.${payloadPart}`);
+  const signature = Buffer.from(signaturePart, 'base64url');
+
+  let valid;
+  if (header.alg === ALGORITHMS.HS256 && options.secret) {
+    const expected = crypto.createHmac('sha256', options.secret).update(signingInput).digest();
+    valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  } else if (header.alg === ALGORITHMS.RS256 && options.publicKey) {
+    valid = crypto.verify('RSA-SHA256', signingInput, options.publicKey, signature);
+  } else {
+    throw tokenError(`Token algorithm "${header.alg}" is not accepted`);
+  }
+
+  if (!valid) {
+    throw tokenError('Invalid token signature');
+  }
+
+  const payload = decodePart(payloadPart);
+  const now = Date.now();
+  const tolerance = options.clockTolerance || 0;
+
+  if (typeof payload.exp !== 'number') {
+    if (options.requireExp !== false) {
+      throw tokenError('Token has no expiry');
+    }
+  } else if (now - tolerance >= payload.exp * 1000) {
+    throw tokenError('Token has expired', 'TOKEN_EXPIRED');
+  }
+  if (typeof payload.nbf === 'number' && now + tolerance < payload.nbf * 1000) {
+    throw tokenError('Token is not valid yet');
+  }
+  if (options.issuer && payload.iss !== options.issuer) {
+    throw tokenError('Token issuer is not accepted');
+  }
+  if (options.audience && ![].concat(payload.aud).includes(options.audience)) {
+    throw tokenError('Token audience is not accepted');
+  }
+
+  return payload;
+}
+
+module.exports = {
+  ALGORITHMS,
+  signJwt,
+  verifyJwt
+};
@@ -0,0 +1,221 @@
+/**
+ * Minimal Redis client for the self-healing microservices project
+ *
+ * Speaks just enough of the Redis protocol (RESP2) to send commands and
+ * read their replies over one connection, so shared state such as rate
+ * limits can live in Redis, or in anything that speaks its protocol,
+ * without another dependency. The connection is opened on the first
+ * command (authenticating and selecting the database from the URL) and
+ * opened again on the next command after it drops.
+ */
+
+const net = require('net');
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ * @param {Array} args - Command name and arguments
+ * @returns {Buffer} Encoded command
+ */
+function encodeCommand(args) {
+  const parts = [`*${args.length}\r\n`];
+
+  args.forEach(arg => {
+    const value = String(arg);
+    parts.push(`$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+  });
+
+  return Buffer.from(parts.join(''));
+}
+
+/**
+ * Parse one reply from a buffer
+ * @param {Buffer} buffer - Received data
+ * @param {number} offset - Where the reply starts
+ * @returns {Object|null} { value, offset } after the reply, or null if the
+ *   buffer does not hold a complete reply yet. Error replies are returned
+ *   as Error values.
+ */
+function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) {
+    return null;
+  }
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-': {
+      const error = new Error(line);
+      error.code = 'REDIS_ERROR';
+      return { value: error, offset: next };
+    }
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) {
+        return { value: null, offset: next };
+      }
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) {
+        return { value: null, offset: next };
+      }
+
+      const values = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) {
+          return null;
+        }
+        values.push(item.value);
+        position = item.offset;
+      }
+      return { value: values, offset: position };
+    }
+    default:
+      throw new Error(`Redis: unexpected reply type "${type}"`);
+  }
+}
+
+class RedisClient {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} options.url - redis://[:password@]host[:port][/db]
+   * @param {string} options.password - Password, if not part of the URL
+   * @param {number} options.timeout - Connect and command timeout (ms)
+   */
+  constructor(options = {}) {
+    const url = new URL(options.url || 'redis://localhost:6379');
+
+    this.host = url.hostname || 'localhost';
+    this.port = Number(url.port) || 6379;
+    this.password = options.password || decodeURIComponent(url.password || '');
+    this.db = Number(url.pathname.slice(1)) || 0;
+    this.timeout = options.timeout || 2000;
+
+    this.socket = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Send a command
+   * @param {...any} args - Command name and arguments, e.g. ('INCR', 'key')
+   * @returns {Promise<any>} The reply; error replies reject
+   */
+  command(...args) {
+    if (!this.socket) {
+      this.connect();
+    }
+
+    return this.send(args);
+  }
+
+  /**
+   * Open the connection, queueing AUTH and SELECT ahead of any command
+   * @private
+   */
+  connect() {
+    this.buffer = Buffer.alloc(0);
+    this.socket = net.createConnection({ host: this.host, port: this.port });
+    this.socket.setNoDelay(true);
+
+    const socket = this.socket;
+    socket.on('data', (data) => this.onData(data));
+    socket.on('error', (error) => this.onClose(socket, error));
+    socket.on('close', () => this.onClose(socket, new Error('Redis connection closed')));
+
+    // A failed AUTH shows up as NOAUTH errors on the commands that follow
+    if (this.password) {
+      this.send(['AUTH', this.password]).catch(() => {});
+    }
+    if (this.db) {
+      this.send(['SELECT', this.db]).catch(() => {});
+    }
+  }
+
+  /**
+   * @private
+   */
+  send(args) {
+    return new Promise((resolve, reject) => {
+      const entry = { resolve, reject };
+      entry.timer = setTimeout(() => {
+        // Replies arrive in order; one that is late leaves the connection unusable
+        this.onClose(this.socket, new Error(`Redis command ${args[0]} timed out after ${this.timeout}ms`));
+      }, this.timeout);
+
+      this.pending.push(entry);
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * @private
+   */
+  onData(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+
+    let reply;
+    try {
+      while (this.pending.length > 0 && (reply = parseReply(this.buffer))) {
+        this.buffer = this.buffer.subarray(reply.offset);
+
+        const entry = this.pending.shift();
+        clearTimeout(entry.timer);
+
+        if (reply.value instanceof Error) {
+          entry.reject(reply.value);
+        } else {
+          entry.resolve(reply.value);
+        }
+      }
+    } catch (error) {
+      this.onClose(this.socket, error);
+    }
+  }
+
+  /**
+   * Fail every waiting command and drop the connection
+   * @private
+   */
+  onClose(socket, error) {
+    if (!socket || socket !== this.socket) {
+      return;
+    }
+
+    this.socket = null;
+    socket.destroy();
+
+    const pending = this.pending;
+    this.pending = [];
+    pending.forEach(entry => {
+      clearTimeout(entry.timer);
+      entry.reject(error);
+    });
+  }
+
+  /**
+   * Close the connection
+   */
+  close() {
+    this.onClose(this.socket, new Error('Redis client closed'));
+  }
+}
+
+module.exports = {
+  RedisClient,
+  encodeCommand,
+  parseReply
+};
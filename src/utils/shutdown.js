@@ -0,0 +1,154 @@
+/**
+ * Graceful shutdown helpers for the self-healing microservices project
+ *
+ * A service shutting down should stop taking new work, let the requests it
+ * already accepted finish (up to a deadline), hand off whatever is still
+ * pending, and only then exit. These helpers cover the parts every service
+ * shares: counting in-flight requests, closing the HTTP server, waiting
+ * with a deadline and telling the monitor how the shutdown went.
+ */
+
+const axios = require('axios');
+
+/**
+ * Counts requests that have been accepted but not answered yet, and turns
+ * new requests away once draining has started
+ */
+class InFlightTracker {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {Function} options.isExempt - `(req) => boolean` for requests still served while
+   *   draining (default: health probes)
+   */
+  constructor(options = {}) {
+    this.isExempt = options.isExempt || (req => req.path.startsWith('/health'));
+    this.count = 0;
+    this.draining = false;
+    this.rejected = 0;
+  }
+
+  /**
+   * Express middleware; mount it before any route
+   * @returns {Function} Middleware
+   */
+  middleware() {
+    return (req, res, next) => {
+      if (this.draining && !this.isExempt(req)) {
+        this.rejected++;
+        res.set('Connection', 'close');
+        res.set('Retry-After', '1');
+        res.status(503).json({
+          error: 'Service Unavailable',
+          message: 'Service is shutting down',
+          requestId: req.id,
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+
+      this.count++;
+
+      let finished = false;
+      const done = () => {
+        if (!finished) {
+          finished = true;
+          this.count--;
+        }
+      };
+
+      // 'close' also covers clients that hang up before the response
+      res.on('finish', done);
+      res.on('close', done);
+
+      next();
+    };
+  }
+
+  /**
+   * Stop accepting new requests
+   */
+  startDraining() {
+    this.draining = true;
+  }
+
+  /**
+   * Wait until every accepted request has been answered
+   * @param {number} deadline - Epoch ms after which to stop waiting
+   * @returns {Promise<boolean>} True if all requests finished in time
+   */
+  waitForIdle(deadline) {
+    return waitUntil(() => this.count === 0, deadline);
+  }
+}
+
+/**
+ * Poll a condition until it holds or a deadline passes
+ * @param {Function} predicate - Condition to wait for
+ * @param {number} deadline - Epoch ms after which to give up
+ * @param {number} [interval] - Polling interval (ms)
+ * @returns {Promise<boolean>} True if the condition held before the deadline
+ */
+function waitUntil(predicate, deadline, interval = 50) {
+  return new Promise(resolve => {
+    const poll = () => {
+      if (predicate()) {
+        resolve(true);
+      } else if (Date.now() >= deadline) {
+        resolve(false);
+      } else {
+        setTimeout(poll, Math.min(interval, Math.max(0, deadline - Date.now())));
+      }
+    };
+
+    poll();
+  });
+}
+
+/**
+ * Stop accepting connections. Idle keep-alive connections are closed right
+ * away; busy ones stay open until their response is sent
+ * @param {http.Server} server - Server to close
+ * @returns {Promise<void>} Resolves once every connection is gone
+ */
+function closeServer(server) {
+  if (!server || !server.listening) {
+    return Promise.resolve();
+  }
+
+  return new Promise(resolve => {
+    server.close(() => resolve());
+    server.closeIdleConnections();
+  });
+}
+
+/**
+ * Send a shutdown report to the monitor. Failures are logged, never thrown:
+ * a missing monitor must not hold up the shutdown
+ * @param {string} monitorUrl - Base URL of the monitoring service
+ * @param {Object} report - Shutdown report
+ * @param {Object} log - Logger
+ * @returns {Promise<boolean>} True if the monitor accepted the report
+ */
+async function reportShutdown(monitorUrl, report, log) {
+  if (!monitorUrl) {
+    return false;
+  }
+
+  try {
+    await axios.post(`${monitorUrl}/api/shutdowns`, report, { timeout: 2000 });
+    return true;
+  } catch (error) {
+    log.warn('Could not report shutdown to the monitor', {
+      monitorUrl,
+      error: error.message
+    });
+    return false;
+  }
+}
+
+module.exports = {
+  InFlightTracker,
+  waitUntil,
+  closeServer,
+  reportShutdown
+};
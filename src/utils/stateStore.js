@@ -0,0 +1,82 @@
+/**
+ * File-backed state store for the self-healing microservices project
+ *
+ * Services keep their data in memory. Work that is still pending when a
+ * service stops (queued notifications, scheduled order transitions) is
+ * saved here on shutdown and picked up again on the next start, so a
+ * restart does not lose it. Writes go to a temporary file that is then
+ * renamed, so a crash mid-write never leaves a half-written state file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+class StateStore {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} options.dir - Directory holding the state files
+   * @param {string} options.name - State file name, without extension
+   */
+  constructor(options = {}) {
+    if (!options.name) {
+      throw new Error('StateStore: a name is required');
+    }
+
+    this.dir = options.dir || 'data';
+    this.file = path.join(this.dir, `${options.name}.json`);
+  }
+
+  /**
+   * Read the saved state
+   * @returns {Object|null} Saved state, or null if there is none (or it is unreadable)
+   */
+  load() {
+    let contents;
+
+    try {
+      contents = fs.readFileSync(this.file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`StateStore could not read ${this.file}`, { error: error.message });
+      }
+      return null;
+    }
+
+    try {
+      return JSON.parse(contents);
+    } catch (error) {
+      logger.warn(`StateStore ignoring corrupt state file ${this.file}`, { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Save state, replacing what was saved before
+   * @param {Object} state - JSON-serializable state
+   */
+  save(state) {
+    const tempFile = `${this.file}.${process.pid}.tmp`;
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(tempFile, JSON.stringify({ savedAt: new Date().toISOString(), ...state }, null, 2));
+    fs.renameSync(tempFile, this.file);
+  }
+
+  /**
+   * Remove the saved state once it has been restored
+   */
+  clear() {
+    try {
+      fs.unlinkSync(this.file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = {
+  StateStore
+};
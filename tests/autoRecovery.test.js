@@ -196,3 +196,339 @@ describe('AutoRecovery', () => {
     customRecovery.stopMonitoring();
   });
 });
+
+describe('AutoRecovery error classification', () => {
+  const { AutoRecovery: Recovery, RecoveryStates } = require('../src/patterns/AutoRecovery');
+  const { isRecordableFailure, isRetryableError } = require('../src/utils/errorClassification');
+  
+  let recovery;
+  
+  const httpError = (status, data = {}) => {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, data };
+    return error;
+  };
+  
+  beforeEach(() => {
+    recovery = new Recovery({
+      name: 'test-classification',
+      maxRetries: 3,
+      initialDelay: 10,
+      maxDelay: 50,
+      shouldRetry: isRetryableError,
+      recordFailure: isRecordableFailure
+    });
+  });
+  
+  afterEach(() => {
+    recovery.destroy();
+  });
+  
+  test('should not retry client errors', async () => {
+    const fn = jest.fn().mockRejectedValue(httpError(404));
+    
+    await expect(recovery.executeWithRecovery(fn)).rejects.toThrow('404');
+    
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(recovery.state).toBe(RecoveryStates.HEALTHY);
+    expect(recovery.metrics.totalFailures).toBe(0);
+  });
+  
+  test('should honour the retryable flag in upstream error bodies', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce(httpError(402, { retryable: true }))
+      .mockResolvedValueOnce('ok');
+    
+    await expect(recovery.executeWithRecovery(fn)).resolves.toBe('ok');
+    expect(fn).toHaveBeenCalledTimes(2);
+    
+    const notRetryable = jest.fn().mockRejectedValue(httpError(500, { retryable: false }));
+    
+    await expect(recovery.executeWithRecovery(notRetryable)).rejects.toThrow('500');
+    expect(notRetryable).toHaveBeenCalledTimes(1);
+  });
+  
+  test('should retry server errors', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValueOnce(new Error('socket hang up'))
+      .mockResolvedValueOnce('ok');
+    
+    await expect(recovery.executeWithRecovery(fn)).resolves.toBe('ok');
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('AutoRecovery failover', () => {
+  const { AutoRecovery: Recovery } = require('../src/patterns/AutoRecovery');
+  
+  let recovery;
+  let healthy;
+  
+  const settle = () => new Promise(resolve => setImmediate(resolve));
+  
+  beforeEach(() => {
+    healthy = new Set(['http://backup']);
+    
+    recovery = new Recovery({
+      name: 'test-failover',
+      failureThreshold: 2,
+      recoveryThreshold: 2,
+      healthCheckInterval: 60000,
+      endpoints: ['http://primary', 'http://backup'],
+      healthCheck: jest.fn(async (endpoint) => {
+        if (!healthy.has(endpoint)) {
+          throw new Error(`${endpoint} is down`);
+        }
+        return { status: 'healthy' };
+      })
+    });
+    
+    // Skip the RETRY strategy's pause
+    recovery.delay = () => Promise.resolve();
+  });
+  
+  afterEach(() => {
+    recovery.destroy();
+  });
+  
+  test('should check the active endpoint', async () => {
+    healthy.add('http://primary');
+    
+    await recovery.performHealthCheck();
+    
+    expect(recovery.healthCheck).toHaveBeenCalledWith('http://primary');
+    expect(recovery.getActiveEndpoint()).toBe('http://primary');
+  });
+  
+  test('should fail over once the primary fails failureThreshold checks', async () => {
+    const onFailover = jest.fn();
+    recovery.on('failover', onFailover);
+    
+    await recovery.performHealthCheck();
+    await settle();
+    expect(recovery.getActiveEndpoint()).toBe('http://primary');
+    
+    await recovery.performHealthCheck();
+    await settle();
+    
+    expect(recovery.getActiveEndpoint()).toBe('http://backup');
+    expect(recovery.metrics.totalFailovers).toBe(1);
+    expect(onFailover).toHaveBeenCalledWith(expect.objectContaining({
+      from: 'http://primary',
+      to: 'http://backup'
+    }));
+    expect(recovery.getStatus().failover).toEqual(expect.objectContaining({
+      activeEndpoint: 'http://backup',
+      failedOver: true
+    }));
+  });
+  
+  test('should fail back after the primary passes recoveryThreshold checks', async () => {
+    const onFailback = jest.fn();
+    recovery.on('failback', onFailback);
+    
+    await recovery.performHealthCheck();
+    await settle();
+    await recovery.performHealthCheck();
+    await settle();
+    expect(recovery.getActiveEndpoint()).toBe('http://backup');
+    
+    healthy.add('http://primary');
+    
+    await recovery.performHealthCheck();
+    expect(recovery.getActiveEndpoint()).toBe('http://backup');
+    expect(recovery.primaryRecoveryCount).toBe(1);
+    
+    await recovery.performHealthCheck();
+    expect(recovery.getActiveEndpoint()).toBe('http://primary');
+    expect(recovery.metrics.totalFailbacks).toBe(1);
+    expect(onFailback).toHaveBeenCalledWith(expect.objectContaining({
+      from: 'http://backup',
+      to: 'http://primary'
+    }));
+  });
+  
+  test('should stay on the primary when no alternate is healthy', async () => {
+    healthy.clear();
+    
+    await recovery.performHealthCheck();
+    await settle();
+    await recovery.performHealthCheck();
+    await settle();
+    
+    expect(recovery.getActiveEndpoint()).toBe('http://primary');
+    expect(recovery.metrics.totalFailovers).toBe(0);
+  });
+  
+  test('should report no failover without alternate endpoints', () => {
+    const single = new Recovery({ name: 'single-endpoint', endpoints: ['http://primary'] });
+    
+    expect(single.getActiveEndpoint()).toBe('http://primary');
+    expect(single.getStatus().failover).toBeNull();
+    
+    single.destroy();
+  });
+});
+
+describe('AutoRecovery escalation', () => {
+  const { AutoRecovery: Recovery, RecoveryStates, StepOutcomes } = require('../src/patterns/AutoRecovery');
+  
+  let recovery;
+  let healthy;
+  let executed;
+  
+  const createRecovery = (escalation) => {
+    recovery = new Recovery({
+      name: 'test-escalation',
+      failureThreshold: 2,
+      healthCheckInterval: 60000,
+      escalation,
+      healthCheck: jest.fn(async () => {
+        if (!healthy) {
+          throw new Error('still down');
+        }
+        return { status: 'healthy' };
+      })
+    });
+    
+    // Record which strategies ran instead of sleeping or restarting
+    ['RETRY', 'RESTART', 'DEGRADE'].forEach(name => {
+      const original = recovery.strategies.get(name);
+      recovery.registerStrategy(name, {
+        execute: async (error, instance) => {
+          executed.push(name);
+          if (name === 'DEGRADE') {
+            await original.execute(error, instance);
+          }
+        }
+      });
+    });
+    
+    return recovery;
+  };
+  
+  beforeEach(() => {
+    healthy = false;
+    executed = [];
+  });
+  
+  afterEach(() => {
+    recovery.destroy();
+  });
+  
+  test('should escalate until the health check passes', async () => {
+    createRecovery([
+      { strategy: 'RETRY' },
+      { strategy: 'RESTART' },
+      { strategy: 'DEGRADE', verify: false }
+    ]);
+    recovery.registerStrategy('RESTART', {
+      execute: async () => {
+        executed.push('RESTART');
+        healthy = true;
+      }
+    });
+    recovery.failureCount = 2;
+    
+    await recovery.attemptRecovery(new Error('boom'));
+    
+    expect(executed).toEqual(['RETRY', 'RESTART']);
+    expect(recovery.lastRecovery.recovered).toBe(true);
+    expect(recovery.lastRecovery.steps.map(step => step.outcome))
+      .toEqual([StepOutcomes.NO_EFFECT, StepOutcomes.RECOVERED]);
+    
+    const stepHistory = recovery.metrics.stateHistory.filter(entry => entry.strategy);
+    expect(stepHistory).toEqual([
+      expect.objectContaining({ strategy: 'RETRY', outcome: StepOutcomes.NO_EFFECT, reason: 'still down' }),
+      expect.objectContaining({ strategy: 'RESTART', outcome: StepOutcomes.RECOVERED })
+    ]);
+  });
+  
+  test('should pick steps by consecutive failure count', async () => {
+    createRecovery([
+      { strategy: 'RETRY' },
+      { strategy: 'RESTART', minFailures: 3 }
+    ]);
+    recovery.failureCount = 2;
+    
+    await recovery.attemptRecovery(new Error('boom'));
+    expect(executed).toEqual(['RETRY']);
+    
+    recovery.failureCount = 3;
+    await recovery.attemptRecovery(new Error('boom'));
+    expect(executed).toEqual(['RETRY', 'RETRY', 'RESTART']);
+  });
+  
+  test('should pick steps by error type', async () => {
+    createRecovery([
+      { strategy: 'RESTART', errorTypes: ['ECONNREFUSED', 503] },
+      { strategy: 'RETRY' }
+    ]);
+    
+    const refused = new Error('connect ECONNREFUSED');
+    refused.code = 'ECONNREFUSED';
+    await recovery.attemptRecovery(refused);
+    expect(executed).toEqual(['RESTART', 'RETRY']);
+    
+    executed = [];
+    const unavailable = new Error('Service Unavailable');
+    unavailable.response = { status: 503 };
+    await recovery.attemptRecovery(unavailable);
+    expect(executed).toEqual(['RESTART', 'RETRY']);
+    
+    executed = [];
+    await recovery.attemptRecovery(new Error('timeout'));
+    expect(executed).toEqual(['RETRY']);
+  });
+  
+  test('should degrade only after enough time in FAILED', async () => {
+    createRecovery([
+      { strategy: 'RETRY' },
+      { strategy: 'DEGRADE', minTimeInFailed: 60000, verify: false }
+    ]);
+    recovery.failureCount = 2;
+    recovery.setState(RecoveryStates.FAILED);
+    recovery.metrics.currentOutageStart = Date.now() - 1000;
+    
+    await recovery.attemptRecovery(new Error('boom'));
+    expect(executed).toEqual(['RETRY']);
+    expect(recovery.state).toBe(RecoveryStates.FAILED);
+    
+    recovery.metrics.currentOutageStart = Date.now() - 61000;
+    await recovery.attemptRecovery(new Error('boom'));
+    
+    expect(executed).toEqual(['RETRY', 'RETRY', 'DEGRADE']);
+    expect(recovery.state).toBe(RecoveryStates.DEGRADED);
+    expect(recovery.lastRecovery.steps.pop().outcome).toBe(StepOutcomes.APPLIED);
+  });
+  
+  test('should record failing strategies and keep escalating', async () => {
+    createRecovery([
+      { strategy: 'RESTART' },
+      { strategy: 'RETRY' }
+    ]);
+    recovery.registerStrategy('RESTART', {
+      execute: async () => {
+        throw new Error('restart script missing');
+      }
+    });
+    
+    await recovery.attemptRecovery(new Error('boom'));
+    
+    expect(recovery.lastRecovery.steps).toEqual([
+      expect.objectContaining({ strategy: 'RESTART', outcome: StepOutcomes.FAILED, reason: 'restart script missing' }),
+      expect.objectContaining({ strategy: 'RETRY', outcome: StepOutcomes.NO_EFFECT })
+    ]);
+  });
+  
+  test('should append custom strategies to the ladder', () => {
+    createRecovery();
+    
+    recovery.registerStrategy('FLUSH_CACHE', { execute: async () => {} }, { minFailures: 5 });
+    
+    const steps = recovery.getStatus().config.escalation;
+    expect(steps.map(step => step.strategy)).toEqual(['FAILOVER', 'RETRY', 'RESTART', 'DEGRADE', 'FLUSH_CACHE']);
+    expect(steps[4].minFailures).toBe(5);
+  });
+});
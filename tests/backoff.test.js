@@ -0,0 +1,152 @@
+/**
+ * Tests for backoff strategies and retry budgets
+ */
+
+const { Backoff, BackoffStrategies } = require('../src/patterns/Backoff');
+const { RetryBudget } = require('../src/patterns/RetryBudget');
+const { AutoRecovery } = require('../src/patterns/AutoRecovery');
+
+describe('Backoff', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  test('should reject unknown strategies', () => {
+    expect(() => new Backoff({ strategy: 'FIBONACCI' })).toThrow('Unknown backoff strategy');
+  });
+  
+  test('should keep a constant delay', () => {
+    const backoff = new Backoff({ strategy: BackoffStrategies.CONSTANT, initialDelay: 500 });
+    
+    expect([1, 2, 5].map(attempt => backoff.getDelay(attempt))).toEqual([500, 500, 500]);
+  });
+  
+  test('should grow linearly', () => {
+    const backoff = new Backoff({ strategy: BackoffStrategies.LINEAR, initialDelay: 100, increment: 50 });
+    
+    expect([1, 2, 3].map(attempt => backoff.getDelay(attempt))).toEqual([100, 150, 200]);
+  });
+  
+  test('should grow exponentially up to maxDelay', () => {
+    const backoff = new Backoff({ initialDelay: 100, maxDelay: 1000, multiplier: 3 });
+    
+    expect([1, 2, 3, 4].map(attempt => backoff.getDelay(attempt))).toEqual([100, 300, 900, 1000]);
+  });
+  
+  test('should add bounded jitter to exponential delays', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    const backoff = new Backoff({ initialDelay: 100, maxDelay: 1000, jitter: 0.1 });
+    
+    expect(backoff.getDelay(2)).toBe(210);
+    expect(backoff.getDelay(10)).toBe(1000);
+  });
+  
+  test('should pick full-jitter delays between zero and the exponential delay', () => {
+    const backoff = new Backoff({ strategy: BackoffStrategies.FULL_JITTER, initialDelay: 100, maxDelay: 1000 });
+    
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    expect(backoff.getDelay(3)).toBe(0);
+    
+    Math.random.mockReturnValue(0.999);
+    expect(backoff.getDelay(3)).toBe(399);
+    expect(backoff.getDelay(10)).toBe(999);
+  });
+  
+  test('should base decorrelated jitter on the previous delay', () => {
+    const backoff = new Backoff({
+      strategy: BackoffStrategies.DECORRELATED_JITTER,
+      initialDelay: 100,
+      maxDelay: 1000
+    });
+    
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+    expect(backoff.getDelay(1)).toBe(300);
+    expect(backoff.getDelay(2, 300)).toBe(900);
+    expect(backoff.getDelay(3, 900)).toBe(1000);
+    
+    Math.random.mockReturnValue(0);
+    expect(backoff.getDelay(4, 1000)).toBe(100);
+  });
+});
+
+describe('RetryBudget', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  test('should cap retries to a share of requests', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1000);
+    const budget = new RetryBudget({ name: 'test-budget', ratio: 0.1, minRetriesPerSecond: 0 });
+    
+    // Starts with a single token
+    expect(budget.tryAcquire()).toBe(true);
+    expect(budget.tryAcquire()).toBe(false);
+    
+    for (let i = 0; i < 20; i++) {
+      budget.recordRequest();
+    }
+    
+    expect(budget.tryAcquire()).toBe(true);
+    expect(budget.tryAcquire()).toBe(true);
+    expect(budget.tryAcquire()).toBe(false);
+    expect(budget.getStatus().metrics).toEqual({ totalRequests: 20, totalRetries: 3, totalRejected: 2 });
+  });
+  
+  test('should refill a minimum number of retries per second', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    const budget = new RetryBudget({ ratio: 0, minRetriesPerSecond: 2, maxTokens: 3 });
+    
+    budget.tryAcquire();
+    budget.tryAcquire();
+    expect(budget.tryAcquire()).toBe(false);
+    
+    now.mockReturnValue(1500);
+    expect(budget.tryAcquire()).toBe(true);
+    
+    // A quiet period cannot bank more than maxTokens
+    now.mockReturnValue(60000);
+    expect(budget.getStatus().tokens).toBe(3);
+  });
+  
+  test('should stop AutoRecovery retries once exhausted', async () => {
+    const budget = new RetryBudget({ ratio: 0, minRetriesPerSecond: 0 });
+    const recovery = new AutoRecovery({
+      name: 'budgeted-recovery',
+      maxRetries: 3,
+      initialDelay: 1,
+      retryBudget: budget
+    });
+    const onExhausted = jest.fn();
+    recovery.on('retryBudgetExhausted', onExhausted);
+    
+    const fn = jest.fn().mockRejectedValue(new Error('down'));
+    await expect(recovery.executeWithRecovery(fn)).rejects.toThrow('down');
+    
+    // One token: the first call plus a single retry
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(recovery.metrics.totalBudgetRejections).toBe(1);
+    expect(onExhausted).toHaveBeenCalledTimes(1);
+    expect(recovery.getStatus().retryBudget.exhausted).toBe(true);
+    
+    recovery.destroy();
+  });
+  
+  test('should use the configured backoff strategy between retries', async () => {
+    const recovery = new AutoRecovery({
+      name: 'constant-recovery',
+      maxRetries: 2,
+      initialDelay: 250,
+      backoffStrategy: BackoffStrategies.CONSTANT
+    });
+    recovery.delay = () => Promise.resolve();
+    const calculateDelay = jest.spyOn(recovery, 'calculateDelay');
+    
+    const fn = jest.fn().mockRejectedValue(new Error('down'));
+    await expect(recovery.executeWithRecovery(fn)).rejects.toThrow('down');
+    
+    expect(calculateDelay.mock.results.map(result => result.value)).toEqual([250, 250]);
+    expect(recovery.getStatus().config.backoff.strategy).toBe(BackoffStrategies.CONSTANT);
+    
+    recovery.destroy();
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests for the shared service base class
+ */
+
+const request = require('supertest');
+const { BaseService } = require('../src/services/BaseService');
+
+class EchoService extends BaseService {
+  constructor() {
+    super({ name: 'user', displayName: 'Echo', processingTime: { min: 0, max: 1 } });
+  }
+  
+  initialize() {
+    this.items = new Map([['1', { id: '1' }]]);
+  }
+  
+  setupRoutes() {
+    this.route('get', '/items/:id', async (req) => {
+      if (!this.items.has(req.params.id)) {
+        throw this.createError(404, `Item ${req.params.id} not found`);
+      }
+      
+      return { item: this.items.get(req.params.id) };
+    });
+    
+    this.route('post', '/items', async (req) => {
+      this.checkForSimulatedFailures();
+      return { item: req.body };
+    }, { status: 201 });
+  }
+  
+  getReadinessDetails() {
+    return { itemCount: this.items.size };
+  }
+}
+
+describe('BaseService', () => {
+  let service;
+  
+  beforeEach(() => {
+    service = new EchoService();
+    service.config.demo.failureRate = 0;
+    service.health.markStarted();
+  });
+  
+  afterEach(() => {
+    clearTimeout(service.failureSimulationTimer);
+    service.recovery.destroy();
+  });
+  
+  test('should require a service name', () => {
+    expect(() => new BaseService()).toThrow('a service name is required');
+  });
+  
+  test('should set up state before registering routes', async () => {
+    const response = await request(service.app).get('/items/1').set('X-Request-ID', 'req-1');
+    
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ item: { id: '1' } });
+    expect(response.headers['x-request-id']).toBe('req-1');
+  });
+  
+  test('should format handler, parse and routing errors alike', async () => {
+    const missing = await request(service.app).get('/items/2').set('X-Request-ID', 'req-2');
+    expect(missing.status).toBe(404);
+    expect(missing.body).toMatchObject({ error: 'Item 2 not found', requestId: 'req-2' });
+    
+    const malformed = await request(service.app)
+      .post('/items')
+      .set('Content-Type', 'application/json')
+      .send('{bad');
+    expect(malformed.status).toBe(400);
+    expect(malformed.body.requestId).toBeDefined();
+    
+    const unknown = await request(service.app).get('/nothing');
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.error).toBe('Route GET /nothing not found');
+  });
+  
+  test('should fail requests and readiness while a failure is simulated', async () => {
+    await request(service.app).post('/simulate/failure').send({ duration: 60000 });
+    
+    const failed = await request(service.app).post('/items').send({ id: '2' });
+    expect(failed.status).toBe(500);
+    expect(failed.body.error).toBe('Simulated user service failure');
+    
+    const ready = await request(service.app).get('/health/ready');
+    expect(ready.status).toBe(503);
+    
+    await request(service.app).post('/simulate/recovery');
+    
+    const created = await request(service.app).post('/items').send({ id: '2' });
+    expect(created.status).toBe(201);
+    expect((await request(service.app).get('/health/ready')).body.checks.service.details)
+      .toEqual({ itemCount: 1 });
+  });
+  
+  test('should count requests by outcome', async () => {
+    await request(service.app).get('/items/1');
+    await request(service.app).get('/items/2');
+    
+    const response = await request(service.app).get('/metrics');
+    
+    expect(response.body.service).toBe('user-service');
+    expect(response.body.metrics.requests).toMatchObject({
+      totalRequests: 2,
+      successfulRequests: 1,
+      clientErrors: 1,
+      serverErrors: 0
+    });
+  });
+});
@@ -188,3 +188,355 @@ describe('Bulkhead', () => {
     bulkhead2.destroy();
   });
 });
+
+describe('Bulkhead cancellation', () => {
+  let bulkhead;
+  
+  afterEach(() => {
+    if (bulkhead) {
+      bulkhead.destroy();
+    }
+  });
+  
+  test('should abort the signal when a task times out', async () => {
+    bulkhead = new Bulkhead({ name: 'test-cancel-timeout', maxConcurrent: 1, timeout: 50 });
+    
+    let receivedSignal;
+    const slow = (signal) => {
+      receivedSignal = signal;
+      return new Promise(resolve => setTimeout(resolve, 200));
+    };
+    
+    await expect(bulkhead.execute(slow)).rejects.toThrow('timeout after 50ms');
+    expect(receivedSignal.aborted).toBe(true);
+  });
+  
+  test('should abort queued tasks when the queue is cleared', async () => {
+    bulkhead = new Bulkhead({ name: 'test-cancel-clear', maxConcurrent: 1, timeout: 1000 });
+    
+    const running = bulkhead.execute(() => new Promise(resolve => setTimeout(resolve, 100)));
+    const queuedFn = jest.fn();
+    const queued = bulkhead.execute(queuedFn);
+    
+    bulkhead.clearQueue();
+    
+    await expect(queued).rejects.toMatchObject({ code: 'BULKHEAD_REJECTED' });
+    await running;
+    expect(queuedFn).not.toHaveBeenCalled();
+  });
+  
+  test('should take a queued task out of the queue when its caller aborts', async () => {
+    bulkhead = new Bulkhead({ name: 'test-cancel-caller', maxConcurrent: 1, timeout: 1000 });
+    
+    const running = bulkhead.execute(() => new Promise(resolve => setTimeout(resolve, 100)));
+    const controller = new AbortController();
+    const queuedFn = jest.fn();
+    const queued = bulkhead.executeWithOptions(queuedFn, { signal: controller.signal });
+    
+    expect(bulkhead.taskQueue.length).toBe(1);
+    controller.abort(new Error('Client disconnected'));
+    
+    await expect(queued).rejects.toMatchObject({ name: 'AbortError' });
+    expect(bulkhead.taskQueue.length).toBe(0);
+    expect(bulkhead.metrics.totalCancelled).toBe(1);
+    expect(bulkhead.metrics.totalFailed).toBe(0);
+    
+    await running;
+    expect(queuedFn).not.toHaveBeenCalled();
+    
+    await expect(bulkhead.executeWithOptions(queuedFn, { signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+    expect(queuedFn).not.toHaveBeenCalled();
+  });
+  
+  test('should abort running tasks on destroy', async () => {
+    bulkhead = new Bulkhead({ name: 'test-cancel-destroy', maxConcurrent: 1, timeout: 1000 });
+    
+    const task = bulkhead.execute((signal) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason));
+    }));
+    
+    bulkhead.destroy();
+    bulkhead = null;
+    
+    await expect(task).rejects.toThrow('Destroyed');
+  });
+});
+
+describe('Bulkhead adaptive concurrency', () => {
+  let bulkhead;
+  
+  afterEach(() => {
+    if (bulkhead) {
+      bulkhead.destroy();
+    }
+  });
+  
+  test('should keep a fixed limit by default', () => {
+    bulkhead = new Bulkhead({ name: 'test-fixed', maxConcurrent: 4 });
+    
+    expect(bulkhead.getStatus().adaptive).toBeNull();
+    expect(bulkhead.getStatus().config.limitAlgorithm).toBe('FIXED');
+  });
+  
+  test('should lower the limit on failures and record the history', async () => {
+    bulkhead = new Bulkhead({
+      name: 'test-aimd',
+      maxConcurrent: 4,
+      limitAlgorithm: 'AIMD',
+      minLimit: 2,
+      maxLimit: 8,
+      backoffRatio: 0.5
+    });
+    
+    const limits = [];
+    bulkhead.on('limitChanged', ({ limit }) => limits.push(limit));
+    
+    await expect(bulkhead.execute(() => Promise.reject(new Error('Boom')))).rejects.toThrow('Boom');
+    await expect(bulkhead.execute(() => Promise.reject(new Error('Boom')))).rejects.toThrow('Boom');
+    
+    expect(limits).toEqual([2]);
+    
+    const status = bulkhead.getStatus();
+    expect(status.config.maxConcurrent).toBe(2);
+    expect(status.adaptive).toMatchObject({ algorithm: 'AIMD', minLimit: 2, maxLimit: 8 });
+    expect(status.adaptive.history.map(entry => entry.limit)).toEqual([4, 2]);
+    expect(status.adaptive.history[1].reason).toBe('failure');
+  });
+  
+  test('should start more queued tasks when the limit grows', async () => {
+    bulkhead = new Bulkhead({
+      name: 'test-aimd-grow',
+      maxConcurrent: 1,
+      limitAlgorithm: 'AIMD',
+      maxLimit: 3
+    });
+    
+    const started = [];
+    const task = (id) => bulkhead.execute(() => {
+      started.push(id);
+      return new Promise(resolve => setTimeout(resolve, 20));
+    });
+    
+    await Promise.all([task(1), task(2), task(3), task(4)]);
+    
+    expect(started).toEqual([1, 2, 3, 4]);
+    expect(bulkhead.maxConcurrent).toBe(3);
+    expect(bulkhead.metrics.peakConcurrency).toBeGreaterThan(1);
+  });
+  
+  test('should not adapt to cancelled tasks', async () => {
+    bulkhead = new Bulkhead({ name: 'test-aimd-cancel', maxConcurrent: 4, limitAlgorithm: 'AIMD' });
+    
+    const cancelled = new Error('canceled');
+    cancelled.code = 'ERR_CANCELED';
+    
+    await expect(bulkhead.execute(() => Promise.reject(cancelled))).rejects.toThrow('canceled');
+    expect(bulkhead.maxConcurrent).toBe(4);
+  });
+});
+
+describe('Bulkhead priority and fair-share queueing', () => {
+  let bulkhead;
+  
+  afterEach(() => {
+    if (bulkhead) {
+      bulkhead.destroy();
+    }
+  });
+  
+  test('should run queued tasks by priority, then round-robin by key', async () => {
+    bulkhead = new Bulkhead({ name: 'test-priority', maxConcurrent: 1 });
+    
+    const order = [];
+    const submit = (id, options) => bulkhead.executeWithOptions(async () => {
+      order.push(id);
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }, options);
+    
+    const blocker = submit('blocker');
+    const queued = [
+      submit('report-1', { priority: 'LOW', key: 'reports' }),
+      submit('report-2', { priority: 'LOW', key: 'reports' }),
+      submit('noisy-1', { key: 'noisy' }),
+      submit('noisy-2', { key: 'noisy' }),
+      submit('quiet-1', { key: 'quiet' }),
+      submit('checkout', { priority: 'HIGH', key: 'quiet' })
+    ];
+    
+    const status = bulkhead.getStatus();
+    expect(status.queueDepth.byKey).toEqual({ reports: 2, noisy: 2, quiet: 2 });
+    expect(status.queueDepth.byPriority).toEqual({ LOW: 2, NORMAL: 3, HIGH: 1 });
+    
+    await Promise.all([blocker, ...queued]);
+    
+    expect(order).toEqual(['blocker', 'checkout', 'noisy-1', 'quiet-1', 'noisy-2', 'report-1', 'report-2']);
+    expect(bulkhead.getStatus().queueDepth.byKey).toEqual({});
+  });
+});
+
+describe('Bulkhead queue disciplines', () => {
+  let bulkhead;
+  
+  const hold = (ms) => () => new Promise(resolve => setTimeout(resolve, ms));
+  
+  afterEach(() => {
+    if (bulkhead) {
+      bulkhead.destroy();
+    }
+  });
+  
+  test('should reject unknown disciplines', () => {
+    expect(() => new Bulkhead({ name: 'test-bad-discipline', queueDiscipline: 'RANDOM' }))
+      .toThrow('unknown queue discipline "RANDOM"');
+    bulkhead = null;
+  });
+  
+  test('should serve the newest task first while overloaded (adaptive LIFO)', async () => {
+    bulkhead = new Bulkhead({
+      name: 'test-lifo',
+      maxConcurrent: 1,
+      queueDiscipline: 'ADAPTIVE_LIFO',
+      codelInterval: 20
+    });
+    
+    const order = [];
+    const submit = (id) => bulkhead.execute(async () => {
+      order.push(id);
+    });
+    
+    const blocker = bulkhead.execute(hold(50));
+    const queued = [submit(1), submit(2), submit(3)];
+    
+    await new Promise(resolve => setTimeout(resolve, 30));
+    const status = bulkhead.getStatus();
+    expect(status.queueDiscipline).toBe('ADAPTIVE_LIFO');
+    expect(status.queueDisciplineStatus.overloaded).toBe(true);
+    
+    await Promise.all([blocker, ...queued]);
+    
+    expect(order[0]).toBe(3);
+  });
+  
+  test('should stay FIFO while the queue drains quickly', async () => {
+    bulkhead = new Bulkhead({
+      name: 'test-lifo-idle',
+      maxConcurrent: 1,
+      queueDiscipline: 'ADAPTIVE_LIFO',
+      codelInterval: 1000
+    });
+    
+    const order = [];
+    const blocker = bulkhead.execute(hold(10));
+    const queued = [1, 2, 3].map(id => bulkhead.execute(async () => order.push(id)));
+    
+    await Promise.all([blocker, ...queued]);
+    
+    expect(order).toEqual([1, 2, 3]);
+  });
+  
+  test('should drop tasks that waited past the CoDel target and count them separately', async () => {
+    bulkhead = new Bulkhead({
+      name: 'test-codel',
+      maxConcurrent: 1,
+      maxQueueSize: 2,
+      queueDiscipline: 'CODEL',
+      codelTarget: 10,
+      codelInterval: 20
+    });
+    
+    const dropped = [];
+    bulkhead.on('taskDropped', (data) => dropped.push(data));
+    
+    const blocker = bulkhead.execute(hold(50));
+    const stale = bulkhead.execute(jest.fn());
+    const alsoStale = bulkhead.execute(jest.fn());
+    const overflow = bulkhead.execute(jest.fn());
+    
+    await expect(overflow).rejects.toMatchObject({ code: 'BULKHEAD_REJECTED' });
+    await blocker;
+    await expect(stale).rejects.toMatchObject({ code: 'BULKHEAD_REJECTED', dropped: true });
+    await expect(alsoStale).rejects.toMatchObject({ dropped: true });
+    
+    expect(dropped).toHaveLength(2);
+    expect(dropped[0].discipline).toBe('CODEL');
+    expect(bulkhead.metrics).toMatchObject({
+      totalDropped: 2,
+      totalRejected: 1,
+      totalTimeout: 0,
+      totalFailed: 0
+    });
+  });
+  
+  test('should count a failed queued task once', async () => {
+    bulkhead = new Bulkhead({ name: 'test-failure-count', maxConcurrent: 1 });
+    
+    const blocker = bulkhead.execute(hold(10));
+    const failing = bulkhead.execute(() => Promise.reject(new Error('Boom')));
+    
+    await blocker;
+    await expect(failing).rejects.toThrow('Boom');
+    expect(bulkhead.metrics.totalFailed).toBe(1);
+  });
+});
+
+describe('Bulkhead runtime reconfiguration', () => {
+  let bulkhead;
+  
+  const hold = (ms) => () => new Promise(resolve => setTimeout(resolve, ms));
+  
+  afterEach(() => {
+    if (bulkhead) {
+      bulkhead.destroy();
+    }
+  });
+  
+  test('should start queued tasks when the limit grows', async () => {
+    bulkhead = new Bulkhead({ name: 'test-resize-up', maxConcurrent: 1 });
+    
+    const tasks = [bulkhead.execute(hold(50)), bulkhead.execute(hold(50)), bulkhead.execute(hold(50))];
+    expect(bulkhead.currentConcurrency).toBe(1);
+    
+    const changes = bulkhead.resize(3);
+    
+    expect(changes).toEqual({ maxConcurrent: { from: 1, to: 3 } });
+    expect(bulkhead.currentConcurrency).toBe(3);
+    expect(bulkhead.taskQueue.length).toBe(0);
+    
+    await Promise.all(tasks);
+  });
+  
+  test('should keep running and queued tasks when limits shrink', async () => {
+    bulkhead = new Bulkhead({ name: 'test-resize-down', maxConcurrent: 2, maxQueueSize: 5 });
+    
+    const tasks = [1, 2, 3, 4].map(() => bulkhead.execute(hold(20)));
+    
+    bulkhead.reconfigure({ maxConcurrent: 1, maxQueueSize: 1 });
+    
+    expect(bulkhead.currentConcurrency).toBe(2);
+    expect(bulkhead.taskQueue.length).toBe(2);
+    await expect(bulkhead.execute(hold(1))).rejects.toThrow('Queue is full (1)');
+    
+    await Promise.all(tasks);
+    expect(bulkhead.metrics.totalCompleted).toBe(4);
+    expect(bulkhead.metrics.peakConcurrency).toBe(2);
+  });
+  
+  test('should reset the adaptive limit within the new floor and ceiling', () => {
+    bulkhead = new Bulkhead({ name: 'test-reconfigure-adaptive', maxConcurrent: 4, limitAlgorithm: 'AIMD' });
+    
+    bulkhead.reconfigure({ maxConcurrent: 50, maxLimit: 20 });
+    
+    const status = bulkhead.getStatus();
+    expect(status.config.maxConcurrent).toBe(20);
+    expect(status.adaptive.maxLimit).toBe(20);
+    expect(status.adaptive.history.slice(-1)[0]).toMatchObject({ limit: 20, reason: 'manual' });
+  });
+  
+  test('should reject unknown settings', () => {
+    bulkhead = new Bulkhead({ name: 'test-reconfigure-unknown' });
+    
+    expect(() => bulkhead.reconfigure({ name: 'renamed' })).toThrow('cannot reconfigure name');
+    expect(() => bulkhead.reconfigure({ queueDiscipline: 'RANDOM' })).toThrow('unknown queue discipline');
+  });
+});
@@ -2,7 +2,7 @@
  * Basic tests for the Circuit Breaker pattern
  */
 
-const { CircuitBreaker, States } = require('../src/patterns/CircuitBreaker');
+const { CircuitBreaker, States, WindowTypes } = require('../src/patterns/CircuitBreaker');
 
 describe('CircuitBreaker', () => {
   let circuitBreaker;
@@ -158,3 +158,547 @@ describe('CircuitBreaker', () => {
     expect(circuitBreaker.successCount).toBe(0);
   });
 });
+
+describe('CircuitBreaker sliding window', () => {
+  let circuitBreaker;
+  
+  const run = async (fn) => {
+    try {
+      await circuitBreaker.execute(fn);
+    } catch (error) {
+      // Expected for failing calls
+    }
+  };
+  
+  afterEach(() => {
+    if (circuitBreaker) {
+      circuitBreaker.destroy();
+    }
+  });
+  
+  test('should open on failure rate even when failures are not consecutive', async () => {
+    circuitBreaker = new CircuitBreaker({
+      name: 'test-count-window',
+      failureThreshold: 3,
+      slidingWindowType: WindowTypes.COUNT_BASED,
+      slidingWindowSize: 10,
+      minimumNumberOfCalls: 10,
+      failureRateThreshold: 40
+    });
+    
+    const success = jest.fn().mockResolvedValue('ok');
+    const failure = jest.fn().mockRejectedValue(new Error('Test error'));
+    
+    // Alternate so the consecutive failure count never exceeds 1
+    for (let i = 0; i < 10; i++) {
+      await run(i % 5 < 2 ? failure : success);
+    }
+    
+    expect(circuitBreaker.state).toBe(States.OPEN);
+    expect(circuitBreaker.getStatus().slidingWindow.failureRate).toBe(40);
+  });
+  
+  test('should not evaluate the rate before minimum number of calls', async () => {
+    circuitBreaker = new CircuitBreaker({
+      name: 'test-minimum-calls',
+      slidingWindowType: WindowTypes.COUNT_BASED,
+      slidingWindowSize: 10,
+      minimumNumberOfCalls: 5,
+      failureRateThreshold: 50
+    });
+    
+    const failure = jest.fn().mockRejectedValue(new Error('Test error'));
+    
+    for (let i = 0; i < 4; i++) {
+      await run(failure);
+    }
+    
+    expect(circuitBreaker.state).toBe(States.CLOSED);
+    
+    await run(failure);
+    
+    expect(circuitBreaker.state).toBe(States.OPEN);
+  });
+  
+  test('should only keep the last N calls in a count-based window', async () => {
+    circuitBreaker = new CircuitBreaker({
+      name: 'test-count-eviction',
+      slidingWindowType: WindowTypes.COUNT_BASED,
+      slidingWindowSize: 4,
+      minimumNumberOfCalls: 4,
+      failureRateThreshold: 100
+    });
+    
+    const success = jest.fn().mockResolvedValue('ok');
+    
+    for (let i = 0; i < 6; i++) {
+      await run(success);
+    }
+    
+    const stats = circuitBreaker.getStatus().slidingWindow;
+    expect(stats.totalCalls).toBe(4);
+    expect(stats.failedCalls).toBe(0);
+  });
+  
+  test('should expire calls from a time-based window', async () => {
+    circuitBreaker = new CircuitBreaker({
+      name: 'test-time-window',
+      slidingWindowType: WindowTypes.TIME_BASED,
+      slidingWindowSize: 200,
+      minimumNumberOfCalls: 3,
+      failureRateThreshold: 50
+    });
+    
+    const failure = jest.fn().mockRejectedValue(new Error('Test error'));
+    
+    await run(failure);
+    await run(failure);
+    expect(circuitBreaker.getStatus().slidingWindow.totalCalls).toBe(2);
+    
+    await new Promise(resolve => setTimeout(resolve, 250));
+    
+    await run(failure);
+    
+    expect(circuitBreaker.getStatus().slidingWindow.totalCalls).toBe(1);
+    expect(circuitBreaker.state).toBe(States.CLOSED);
+  });
+  
+  test('should report window configuration in status', () => {
+    circuitBreaker = new CircuitBreaker({
+      name: 'test-window-status',
+      slidingWindowType: WindowTypes.COUNT_BASED,
+      slidingWindowSize: 20,
+      minimumNumberOfCalls: 5,
+      failureRateThreshold: 25
+    });
+    
+    const status = circuitBreaker.getStatus();
+    
+    expect(status.slidingWindow).toMatchObject({ type: WindowTypes.COUNT_BASED, size: 20, totalCalls: 0 });
+    expect(status.config).toMatchObject({
+      slidingWindowType: WindowTypes.COUNT_BASED,
+      minimumNumberOfCalls: 5,
+      failureRateThreshold: 25
+    });
+  });
+});
+
+describe('CircuitBreaker slow-call detection', () => {
+  let circuitBreaker;
+  
+  const slowCall = () => new Promise(resolve => setTimeout(() => resolve('ok'), 60));
+  const fastCall = () => Promise.resolve('ok');
+  
+  afterEach(() => {
+    if (circuitBreaker) {
+      circuitBreaker.destroy();
+    }
+  });
+  
+  test('should count slow calls in metrics', async () => {
+    circuitBreaker = new CircuitBreaker({
+      name: 'test-slow-metrics',
+      timeout: 500,
+      slowCallDurationThreshold: 50,
+      slowCallRateThreshold: 100,
+      minimumNumberOfCalls: 10
+    });
+    
+    await circuitBreaker.execute(slowCall);
+    await circuitBreaker.execute(fastCall);
+    
+    const status = circuitBreaker.getStatus();
+    expect(status.metrics.totalSlowCalls).toBe(1);
+    expect(status.metrics.totalSlowSuccesses).toBe(1);
+    expect(status.metrics.totalSlowFailures).toBe(0);
+    expect(status.slidingWindow.slowCalls).toBe(1);
+    expect(status.slidingWindow.slowCallRate).toBe(50);
+  });
+  
+  test('should open circuit on slow-call rate even when every call succeeds', async () => {
+    circuitBreaker = new CircuitBreaker({
+      name: 'test-slow-open',
+      timeout: 500,
+      slowCallDurationThreshold: 50,
+      slowCallRateThreshold: 50,
+      minimumNumberOfCalls: 4
+    });
+    
+    const opened = jest.fn();
+    circuitBreaker.on('circuitOpened', opened);
+    
+    await circuitBreaker.execute(fastCall);
+    await circuitBreaker.execute(slowCall);
+    await circuitBreaker.execute(fastCall);
+    expect(circuitBreaker.state).toBe(States.CLOSED);
+    
+    await circuitBreaker.execute(slowCall);
+    
+    expect(circuitBreaker.state).toBe(States.OPEN);
+    expect(circuitBreaker.metrics.totalFailures).toBe(0);
+    expect(opened).toHaveBeenCalledWith(expect.objectContaining({ reason: 'slowCallRate' }));
+  });
+  
+  test('should keep consecutive-failure tripping when only slow-call detection is enabled', async () => {
+    circuitBreaker = new CircuitBreaker({
+      name: 'test-slow-consecutive',
+      failureThreshold: 2,
+      timeout: 500,
+      slowCallDurationThreshold: 50
+    });
+    
+    const failure = jest.fn().mockRejectedValue(new Error('Test error'));
+    
+    for (let i = 0; i < 2; i++) {
+      try {
+        await circuitBreaker.execute(failure);
+      } catch (error) {
+        // Expected to fail
+      }
+    }
+    
+    expect(circuitBreaker.state).toBe(States.OPEN);
+  });
+});
+
+describe('CircuitBreaker HALF_OPEN probing', () => {
+  let circuitBreaker;
+  
+  const failure = () => Promise.reject(new Error('Test error'));
+  
+  const openCircuit = async () => {
+    for (let i = 0; i < 2; i++) {
+      try {
+        await circuitBreaker.execute(failure);
+      } catch (error) {
+        // Expected to fail
+      }
+    }
+    expect(circuitBreaker.state).toBe(States.OPEN);
+    
+    // Skip the reset timeout
+    circuitBreaker.nextAttempt = Date.now() - 1;
+  };
+  
+  beforeEach(() => {
+    circuitBreaker = new CircuitBreaker({
+      name: 'test-half-open',
+      failureThreshold: 2,
+      resetTimeout: 1000,
+      timeout: 500,
+      permittedCallsInHalfOpen: 2
+    });
+  });
+  
+  afterEach(() => {
+    if (circuitBreaker) {
+      circuitBreaker.destroy();
+    }
+  });
+  
+  test('should fast-fail callers beyond the permitted trial calls', async () => {
+    await openCircuit();
+    
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const trial = jest.fn(() => gate);
+    
+    const trials = [circuitBreaker.execute(trial), circuitBreaker.execute(trial)];
+    
+    await expect(circuitBreaker.execute(trial)).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+    expect(trial).toHaveBeenCalledTimes(2);
+    expect(circuitBreaker.state).toBe(States.HALF_OPEN);
+    expect(circuitBreaker.metrics.totalRejected).toBe(1);
+    
+    release('ok');
+    await Promise.all(trials);
+    
+    expect(circuitBreaker.state).toBe(States.CLOSED);
+  });
+  
+  test('should only close after all permitted trials succeed', async () => {
+    await openCircuit();
+    
+    await circuitBreaker.execute(() => Promise.resolve('ok'));
+    expect(circuitBreaker.state).toBe(States.HALF_OPEN);
+    expect(circuitBreaker.getStatus().halfOpen).toMatchObject({ admittedCalls: 1, successfulCalls: 1 });
+    
+    await circuitBreaker.execute(() => Promise.resolve('ok'));
+    expect(circuitBreaker.state).toBe(States.CLOSED);
+  });
+  
+  test('should re-open with a fresh nextAttempt when a trial fails', async () => {
+    await openCircuit();
+    
+    await circuitBreaker.execute(() => Promise.resolve('ok'));
+    
+    const before = Date.now();
+    await expect(circuitBreaker.execute(failure)).rejects.toThrow('Test error');
+    
+    expect(circuitBreaker.state).toBe(States.OPEN);
+    expect(circuitBreaker.nextAttempt).toBeGreaterThanOrEqual(before + 1000);
+  });
+  
+  test('should not count calls admitted before HALF_OPEN as trial calls', async () => {
+    const gate = (outcome) => {
+      let settle;
+      const promise = new Promise((resolve, reject) => {
+        settle = () => (outcome === 'ok' ? resolve('ok') : reject(new Error('Late error')));
+      });
+      return { call: circuitBreaker.execute(() => promise).catch(() => {}), settle };
+    };
+    
+    // Admitted while CLOSED, finishing during the recovery test
+    const lateSuccess = gate('ok');
+    const lateFailure = gate('error');
+    await openCircuit();
+    
+    await circuitBreaker.execute(() => Promise.resolve('ok'));
+    lateSuccess.settle();
+    lateFailure.settle();
+    await Promise.all([lateSuccess.call, lateFailure.call]);
+    
+    expect(circuitBreaker.state).toBe(States.HALF_OPEN);
+    expect(circuitBreaker.getStatus().halfOpen).toMatchObject({ admittedCalls: 1, successfulCalls: 1 });
+    
+    await circuitBreaker.execute(() => Promise.resolve('ok'));
+    expect(circuitBreaker.state).toBe(States.CLOSED);
+  });
+  
+  test('should free the slot of a trial call ending in an ignored error without counting it', async () => {
+    circuitBreaker.recordFailure = (error, status) => status !== 404;
+    await openCircuit();
+    
+    const notFound = Object.assign(new Error('Not found'), { response: { status: 404 } });
+    await expect(circuitBreaker.execute(() => Promise.reject(notFound))).rejects.toThrow('Not found');
+    await expect(circuitBreaker.execute(() => Promise.reject(notFound))).rejects.toThrow('Not found');
+    
+    expect(circuitBreaker.state).toBe(States.HALF_OPEN);
+    expect(circuitBreaker.getStatus().halfOpen).toMatchObject({ admittedCalls: 0, successfulCalls: 0 });
+  });
+  
+  test('should not extend nextAttempt while rejecting calls in OPEN state', async () => {
+    for (let i = 0; i < 2; i++) {
+      try {
+        await circuitBreaker.execute(failure);
+      } catch (error) {
+        // Expected to fail
+      }
+    }
+    
+    const nextAttempt = circuitBreaker.nextAttempt;
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await expect(circuitBreaker.execute(failure)).rejects.toThrow('OPEN');
+    
+    expect(circuitBreaker.nextAttempt).toBe(nextAttempt);
+    expect(circuitBreaker.metrics.totalFailures).toBe(2);
+  });
+});
+
+describe('CircuitBreaker error classification', () => {
+  let circuitBreaker;
+  
+  const httpError = (status, data = {}) => {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, data };
+    return error;
+  };
+  
+  afterEach(() => {
+    if (circuitBreaker) {
+      circuitBreaker.destroy();
+    }
+  });
+  
+  test('should not count errors rejected by recordFailure', async () => {
+    const recordFailure = jest.fn((error, status) => !(status >= 400 && status < 500));
+    
+    circuitBreaker = new CircuitBreaker({
+      name: 'test-record-failure',
+      failureThreshold: 2,
+      recordFailure
+    });
+    
+    for (let i = 0; i < 3; i++) {
+      await expect(circuitBreaker.execute(() => Promise.reject(httpError(404)))).rejects.toThrow('404');
+    }
+    
+    expect(recordFailure).toHaveBeenCalledWith(expect.any(Error), 404);
+    expect(circuitBreaker.state).toBe(States.CLOSED);
+    expect(circuitBreaker.failureCount).toBe(0);
+    expect(circuitBreaker.metrics.totalIgnoredErrors).toBe(3);
+    
+    for (let i = 0; i < 2; i++) {
+      await expect(circuitBreaker.execute(() => Promise.reject(httpError(503)))).rejects.toThrow('503');
+    }
+    
+    expect(circuitBreaker.state).toBe(States.OPEN);
+  });
+});
+
+describe('CircuitBreaker fallback', () => {
+  let circuitBreaker;
+  
+  afterEach(() => {
+    if (circuitBreaker) {
+      circuitBreaker.destroy();
+    }
+  });
+  
+  test('should use the fallback when the call fails and when the circuit is open', async () => {
+    const fallback = jest.fn((error, id) => ({ id, fromFallback: true, reason: error.code || 'failure' }));
+    
+    circuitBreaker = new CircuitBreaker({
+      name: 'test-fallback',
+      failureThreshold: 1,
+      fallback
+    });
+    
+    const failure = jest.fn().mockRejectedValue(new Error('Test error'));
+    
+    await expect(circuitBreaker.execute(failure, 'a')).resolves.toEqual({ id: 'a', fromFallback: true, reason: 'failure' });
+    expect(circuitBreaker.state).toBe(States.OPEN);
+    
+    await expect(circuitBreaker.execute(failure, 'b')).resolves.toEqual({ id: 'b', fromFallback: true, reason: 'CIRCUIT_OPEN' });
+    expect(failure).toHaveBeenCalledTimes(1);
+    expect(circuitBreaker.metrics.totalFallbacks).toBe(2);
+  });
+  
+  test('should accept a fallback per call and pass through ignored errors', async () => {
+    circuitBreaker = new CircuitBreaker({
+      name: 'test-fallback-per-call',
+      recordFailure: (error, status) => status !== 404
+    });
+    
+    const notFound = new Error('Not found');
+    notFound.statusCode = 404;
+    
+    const fallback = jest.fn().mockResolvedValue('fallback');
+    
+    await expect(circuitBreaker.executeWithFallback(() => Promise.reject(notFound), fallback)).rejects.toThrow('Not found');
+    expect(fallback).not.toHaveBeenCalled();
+    
+    await expect(circuitBreaker.executeWithFallback(() => Promise.reject(new Error('Boom')), fallback)).resolves.toBe('fallback');
+    expect(fallback).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('CircuitBreaker cancellation', () => {
+  let circuitBreaker;
+  
+  afterEach(() => {
+    if (circuitBreaker) {
+      circuitBreaker.destroy();
+    }
+  });
+  
+  test('should pass an AbortSignal after the call arguments', async () => {
+    circuitBreaker = new CircuitBreaker({ name: 'test-signal' });
+    
+    const fn = jest.fn().mockResolvedValue('ok');
+    await circuitBreaker.execute(fn, 'a', 'b');
+    
+    expect(fn).toHaveBeenCalledWith('a', 'b', expect.any(AbortSignal));
+    expect(fn.mock.calls[0][2].aborted).toBe(false);
+  });
+  
+  test('should abort the signal when the call times out', async () => {
+    circuitBreaker = new CircuitBreaker({ name: 'test-signal-timeout', timeout: 50 });
+    
+    let receivedSignal;
+    const slow = (signal) => {
+      receivedSignal = signal;
+      return new Promise(resolve => setTimeout(resolve, 200));
+    };
+    
+    await expect(circuitBreaker.execute(slow)).rejects.toThrow('Request timeout after 50ms');
+    expect(receivedSignal.aborted).toBe(true);
+    expect(receivedSignal.reason.message).toContain('Request timeout');
+  });
+  
+  test('should neither record nor retry cancelled calls', async () => {
+    circuitBreaker = new CircuitBreaker({
+      name: 'test-signal-cancelled',
+      failureThreshold: 1,
+      permittedCallsInHalfOpen: 1
+    });
+    
+    const cancelled = new Error('canceled');
+    cancelled.code = 'ERR_CANCELED';
+    
+    await expect(circuitBreaker.execute(() => Promise.reject(cancelled))).rejects.toThrow('canceled');
+    expect(circuitBreaker.state).toBe(States.CLOSED);
+    expect(circuitBreaker.metrics.totalFailures).toBe(0);
+    expect(circuitBreaker.metrics.totalSuccesses).toBe(0);
+    
+    // A cancelled trial call gives its HALF_OPEN slot back
+    circuitBreaker.state = States.HALF_OPEN;
+    await expect(circuitBreaker.execute(() => Promise.reject(cancelled))).rejects.toThrow('canceled');
+    await expect(circuitBreaker.execute(() => Promise.resolve('ok'))).resolves.toBe('ok');
+    expect(circuitBreaker.state).toBe(States.CLOSED);
+  });
+});
+
+describe('CircuitBreaker runtime reconfiguration', () => {
+  let circuitBreaker;
+  
+  afterEach(() => {
+    if (circuitBreaker) {
+      circuitBreaker.destroy();
+    }
+  });
+  
+  test('should apply new thresholds and keep state and metrics', async () => {
+    circuitBreaker = new CircuitBreaker({ name: 'test-reconfigure', failureThreshold: 5 });
+    
+    const failure = () => Promise.reject(new Error('Boom'));
+    await expect(circuitBreaker.execute(failure)).rejects.toThrow('Boom');
+    await expect(circuitBreaker.execute(failure)).rejects.toThrow('Boom');
+    
+    const changes = circuitBreaker.reconfigure({ failureThreshold: 3, resetTimeout: 5000 });
+    
+    expect(changes).toEqual({
+      failureThreshold: { from: 5, to: 3 },
+      resetTimeout: { from: 60000, to: 5000 }
+    });
+    expect(circuitBreaker.failureCount).toBe(2);
+    
+    await expect(circuitBreaker.execute(failure)).rejects.toThrow('Boom');
+    expect(circuitBreaker.state).toBe(States.OPEN);
+    expect(circuitBreaker.metrics.totalFailures).toBe(3);
+  });
+  
+  test('should switch to sliding-window mode', () => {
+    circuitBreaker = new CircuitBreaker({ name: 'test-reconfigure-window' });
+    
+    circuitBreaker.reconfigure({ slidingWindowType: WindowTypes.COUNT_BASED, slidingWindowSize: 10 });
+    
+    const status = circuitBreaker.getStatus();
+    expect(circuitBreaker.failureRateMode).toBe(true);
+    expect(status.config.slidingWindowType).toBe('COUNT_BASED');
+    expect(status.slidingWindow.size).toBe(10);
+  });
+  
+  test('should take the new window type default size when only the type changes', () => {
+    circuitBreaker = new CircuitBreaker({
+      name: 'test-reconfigure-window-type',
+      slidingWindowType: WindowTypes.COUNT_BASED,
+      slidingWindowSize: 20
+    });
+    
+    const changes = circuitBreaker.reconfigure({ slidingWindowType: WindowTypes.TIME_BASED });
+    
+    expect(changes.slidingWindowSize).toEqual({ from: 20, to: 60000 });
+    expect(circuitBreaker.getStatus().slidingWindow.size).toBe(60000);
+    
+    circuitBreaker.reconfigure({ slidingWindowType: WindowTypes.COUNT_BASED, slidingWindowSize: 50 });
+    expect(circuitBreaker.getStatus().slidingWindow.size).toBe(50);
+  });
+  
+  test('should reject unknown settings', () => {
+    circuitBreaker = new CircuitBreaker({ name: 'test-reconfigure-unknown' });
+    
+    expect(() => circuitBreaker.reconfigure({ fallback: () => null })).toThrow('cannot reconfigure fallback');
+    expect(() => circuitBreaker.reconfigure({ slidingWindowType: 'FOREVER' })).toThrow('unknown sliding window type');
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Tests for the adaptive concurrency limit algorithms
+ */
+
+const { AimdLimit, GradientLimit, createLimit, LimitAlgorithms } = require('../src/patterns/ConcurrencyLimit');
+
+describe('AimdLimit', () => {
+  test('should grow by one while the limit is in use', () => {
+    const limit = new AimdLimit({ initialLimit: 10, maxLimit: 20 });
+    
+    expect(limit.onSample({ rtt: 10, inFlight: 10, didDrop: false })).toBe(11);
+    
+    // Mostly idle - no reason to grow
+    expect(limit.onSample({ rtt: 10, inFlight: 2, didDrop: false })).toBe(11);
+  });
+  
+  test('should back off on errors and slow calls', () => {
+    const limit = new AimdLimit({ initialLimit: 10, backoffRatio: 0.5, latencyThreshold: 100 });
+    
+    expect(limit.onSample({ rtt: 10, inFlight: 10, didDrop: true })).toBe(5);
+    expect(limit.onSample({ rtt: 500, inFlight: 5, didDrop: false })).toBe(2.5);
+  });
+  
+  test('should stay between floor and ceiling', () => {
+    const limit = new AimdLimit({ initialLimit: 3, minLimit: 2, maxLimit: 4, backoffRatio: 0.1 });
+    
+    limit.onSample({ rtt: 10, inFlight: 3, didDrop: false });
+    limit.onSample({ rtt: 10, inFlight: 4, didDrop: false });
+    expect(limit.limit).toBe(4);
+    
+    limit.onSample({ rtt: 10, inFlight: 4, didDrop: true });
+    expect(limit.limit).toBe(2);
+  });
+});
+
+describe('GradientLimit', () => {
+  test('should grow while latency stays flat', () => {
+    const limit = new GradientLimit({ initialLimit: 10, maxLimit: 50 });
+    
+    for (let i = 0; i < 20; i++) {
+      limit.onSample({ rtt: 100, inFlight: Math.ceil(limit.limit), didDrop: false });
+    }
+    
+    expect(limit.limit).toBeGreaterThan(10);
+  });
+  
+  test('should shrink when latency rises above the baseline', () => {
+    const limit = new GradientLimit({ initialLimit: 20, maxLimit: 50, longWindow: 100 });
+    
+    for (let i = 0; i < 10; i++) {
+      limit.onSample({ rtt: 100, inFlight: 20, didDrop: false });
+    }
+    const before = limit.limit;
+    
+    for (let i = 0; i < 10; i++) {
+      limit.onSample({ rtt: 1000, inFlight: 20, didDrop: false });
+    }
+    
+    expect(limit.limit).toBeLessThan(before);
+  });
+});
+
+describe('createLimit', () => {
+  test('should return null for fixed limits and reject unknown algorithms', () => {
+    expect(createLimit(LimitAlgorithms.FIXED)).toBeNull();
+    expect(createLimit(LimitAlgorithms.AIMD)).toBeInstanceOf(AimdLimit);
+    expect(() => createLimit('MAGIC')).toThrow('Unknown concurrency limit algorithm');
+  });
+});
@@ -0,0 +1,5 @@
+/**
+ * Service stand-in for the supervisor tests: exits with code 1 shortly after starting
+ */
+
+setTimeout(() => process.exit(1), 50);
@@ -0,0 +1,17 @@
+/**
+ * Service stand-in for the supervisor tests: serves /health on PORT with
+ * HEALTH_STATUS (default 200) until stopped
+ */
+
+const http = require('http');
+
+const status = Number(process.env.HEALTH_STATUS || 200);
+
+const server = http.createServer((req, res) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ status: status === 200 ? 'healthy' : 'unhealthy' }));
+});
+
+server.listen(Number(process.env.PORT));
+
+process.on('SIGTERM', () => server.close(() => process.exit(0)));
@@ -0,0 +1,31 @@
+/**
+ * Task module loaded by the WorkerBulkhead tests
+ */
+
+module.exports = {
+  add: (a, b) => a + b,
+  
+  delayed: (value, delay) => new Promise(resolve => setTimeout(() => resolve(value), delay)),
+  
+  spin: (duration) => {
+    const until = Date.now() + duration;
+    while (Date.now() < until) {
+      // Block the worker thread
+    }
+    return 'done';
+  },
+  
+  fail: (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  },
+  
+  crash: () => new Promise(() => {
+    setImmediate(() => {
+      throw new Error('worker blew up');
+    });
+  }),
+  
+  exit: (code) => process.exit(code)
+};
@@ -0,0 +1,198 @@
+/**
+ * Tests for gateway authentication and JWT verification
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { signJwt, verifyJwt } = require('../src/utils/jwt');
+const { Authenticator, OPERATOR_SCOPE, parseApiKeys } = require('../src/services/gateway/Authenticator');
+const { upstreamRequestHeaders } = require('../src/services/gateway/proxy');
+
+const SECRET = 'test-secret';
+const exp = () => Math.floor(Date.now() / 1000) + 300;
+
+describe('JWT', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  
+  test('should verify HS256 and RS256 signatures', () => {
+    const claims = { sub: 'app', exp: exp() };
+    const hs256 = signJwt(claims, { secret: SECRET });
+    const rs256 = signJwt(claims, { algorithm: 'RS256', privateKey });
+    
+    expect(verifyJwt(hs256, { secret: SECRET })).toEqual(claims);
+    expect(verifyJwt(rs256, { publicKey })).toEqual(claims);
+    expect(() => verifyJwt(hs256, { secret: 'other' })).toThrow('Invalid token signature');
+    expect(() => verifyJwt(`${hs256.slice(0, -2)}xx`, { secret: SECRET })).toThrow('Invalid token signature');
+  });
+  
+  test('should only check a token with the key of its own algorithm', () => {
+    const publicPem = publicKey.export({ type: 'spki', format: 'pem' });
+    
+    // An HS256 token signed with the public key must not pass as RS256-trusted
+    const forged = signJwt({ sub: 'app', exp: exp() }, { secret: publicPem });
+    expect(() => verifyJwt(forged, { publicKey })).toThrow('not accepted');
+    
+    const unsigned = `${Buffer.from('{"alg":"none"}').toString('base64url')}.${Buffer.from('{"sub":"app"}').toString('base64url')}.`;
+    expect(() => verifyJwt(unsigned, { secret: SECRET, publicKey })).toThrow('not accepted');
+  });
+  
+  test('should check expiry, not-before, issuer and audience', () => {
+    const now = Math.floor(Date.now() / 1000);
+    const options = { secret: SECRET, issuer: 'auth', audience: 'gateway' };
+    const sign = (claims) => signJwt({ sub: 'app', iss: 'auth', aud: 'gateway', exp: now + 60, ...claims }, { secret: SECRET });
+    
+    expect(() => verifyJwt(sign({ exp: now - 10 }), options)).toThrow(expect.objectContaining({ code: 'TOKEN_EXPIRED' }));
+    expect(verifyJwt(sign({ exp: now - 10 }), { ...options, clockTolerance: 30000 })).toMatchObject({ sub: 'app' });
+    expect(() => verifyJwt(sign({ nbf: now + 60 }), options)).toThrow('not valid yet');
+    expect(() => verifyJwt(sign({ iss: 'other' }), options)).toThrow('issuer');
+    expect(verifyJwt(sign({ aud: ['billing', 'gateway'] }), options)).toMatchObject({ sub: 'app' });
+    expect(() => verifyJwt('not-a-token', options)).toThrow('Malformed token');
+  });
+  
+  test('should refuse tokens without an expiry unless told otherwise', () => {
+    const token = signJwt({ sub: 'app' }, { secret: SECRET });
+    
+    expect(() => verifyJwt(token, { secret: SECRET })).toThrow('no expiry');
+    expect(verifyJwt(token, { secret: SECRET, requireExp: false })).toEqual({ sub: 'app' });
+  });
+});
+
+describe('Authenticator', () => {
+  let authenticator;
+  let app;
+  
+  beforeEach(() => {
+    authenticator = new Authenticator({
+      apiKeys: parseApiKeys('client-key:web-app, operator-key:ops:operator metrics'),
+      jwt: { secret: SECRET }
+    });
+    
+    app = express();
+    app.get('/users', authenticator.middleware({ required: true }), (req, res) => res.json(req.identity));
+    app.post('/reset', authenticator.middleware({ required: true, scopes: [OPERATOR_SCOPE] }), (req, res) => {
+      res.json(req.identity);
+    });
+    app.get('/public', authenticator.middleware({ required: false }), (req, res) => res.json(req.identity || {}));
+  });
+  
+  test('should parse API key entries', () => {
+    expect(parseApiKeys('a:app, b:ops:operator metrics,')).toEqual([
+      { key: 'a', subject: 'app', scopes: [] },
+      { key: 'b', subject: 'ops', scopes: ['operator', 'metrics'] }
+    ]);
+    expect(() => parseApiKeys('secret-without-subject')).toThrow('entry #1');
+  });
+  
+  test('should attach the identity of an API key or a JWT', async () => {
+    const byKey = await request(app).get('/users').set('X-API-Key', 'client-key');
+    expect(byKey.body).toEqual({ subject: 'web-app', scopes: [], method: 'apiKey' });
+    
+    const token = signJwt({ sub: 'mobile-app', scope: 'read operator', exp: exp() }, { secret: SECRET });
+    const byToken = await request(app).post('/reset').set('Authorization', `Bearer ${token}`);
+    expect(byToken.body).toEqual({ subject: 'mobile-app', scopes: ['read', 'operator'], method: 'jwt' });
+  });
+  
+  test('should refuse missing and invalid credentials with 401', async () => {
+    const missing = await request(app).get('/users');
+    expect(missing.status).toBe(401);
+    expect(missing.headers['www-authenticate']).toContain('Bearer');
+    expect(missing.body).toMatchObject({ code: 'AUTHENTICATION_REQUIRED', source: 'gateway' });
+    
+    const unknownKey = await request(app).get('/users').set('X-API-Key', 'guess');
+    expect(unknownKey.status).toBe(401);
+    expect(unknownKey.body.code).toBe('INVALID_CREDENTIALS');
+    
+    const badToken = await request(app).get('/public').set('Authorization', 'Bearer a.b.c');
+    expect(badToken.status).toBe(401);
+    
+    expect((await request(app).get('/public')).status).toBe(200);
+  });
+  
+  test('should refuse identities without the required scope with 403', async () => {
+    const client = await request(app).post('/reset').set('X-API-Key', 'client-key');
+    expect(client.status).toBe(403);
+    expect(client.headers['x-gateway-error']).toBe('INSUFFICIENT_SCOPE');
+    
+    const operator = await request(app).post('/reset').set('X-API-Key', 'operator-key');
+    expect(operator.body.subject).toBe('ops');
+    expect(authenticator.getStatus().metrics).toEqual({ authenticated: 1, unauthenticated: 0, forbidden: 1 });
+  });
+  
+  test('should tell why a request was refused', () => {
+    const res = { set: jest.fn(), status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const req = (headers) => ({ path: '/users', get: (name) => headers[name] });
+    
+    expect(authenticator.authorize(req({ 'X-API-Key': 'guess' }), res)).toEqual({ allowed: false, code: 'INVALID_CREDENTIALS' });
+    expect(authenticator.authorize(req({}), res)).toEqual({ allowed: false, code: 'AUTHENTICATION_REQUIRED' });
+    expect(authenticator.authorize(req({ 'X-API-Key': 'client-key' }), res, { scopes: [OPERATOR_SCOPE] }))
+      .toEqual({ allowed: false, code: 'INSUFFICIENT_SCOPE' });
+    expect(authenticator.authorize(req({ 'X-API-Key': 'client-key' }), res)).toEqual({ allowed: true, code: null });
+  });
+  
+  test('should refuse to start without any key to check credentials with', () => {
+    expect(() => new Authenticator({ apiKeys: [] })).toThrow('no API keys or JWT keys');
+    expect(() => new Authenticator({ enabled: false })).not.toThrow();
+  });
+  
+  test('should let everything through when disabled', async () => {
+    authenticator.enabled = false;
+    
+    expect((await request(app).post('/reset')).status).toBe(200);
+  });
+  
+  test('should load the RS256 public key from a file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gateway-auth-'));
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const publicKeyFile = path.join(dir, 'public.pem');
+    fs.writeFileSync(publicKeyFile, publicKey.export({ type: 'spki', format: 'pem' }));
+    
+    const rsa = new Authenticator({ jwt: { publicKeyFile } });
+    const token = signJwt({ sub: 'svc', scopes: ['operator'], exp: exp() }, { algorithm: 'RS256', privateKey });
+    
+    expect(rsa.authenticate({ get: (name) => (name === 'Authorization' ? `Bearer ${token}` : undefined) }))
+      .toEqual({ subject: 'svc', scopes: ['operator'], method: 'jwt' });
+    expect(rsa.getStatus().jwtAlgorithms).toEqual(['RS256']);
+    
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
+
+describe('Identity forwarding', () => {
+  test('should forward the identity instead of the credentials', () => {
+    const headers = upstreamRequestHeaders({
+      id: 'req-1',
+      ip: '10.0.0.2',
+      identity: { subject: 'web-app', scopes: ['read', 'write'], method: 'jwt' },
+      headers: {
+        authorization: 'Bearer secret-token',
+        'x-api-key': 'secret-key',
+        'x-authenticated-subject': 'spoofed',
+        accept: 'application/json'
+      }
+    }, false);
+    
+    expect(headers).toMatchObject({
+      accept: 'application/json',
+      'x-authenticated-subject': 'web-app',
+      'x-authenticated-scopes': 'read write',
+      'x-authenticated-method': 'jwt'
+    });
+    expect(headers).not.toHaveProperty('authorization');
+    expect(headers).not.toHaveProperty('x-api-key');
+  });
+  
+  test('should not pass on identity headers sent by unauthenticated clients', () => {
+    const headers = upstreamRequestHeaders({
+      id: 'req-2',
+      ip: '10.0.0.2',
+      headers: { 'x-authenticated-subject': 'spoofed', 'x-authenticated-scopes': 'operator' }
+    }, false);
+    
+    expect(headers).not.toHaveProperty('x-authenticated-subject');
+    expect(headers).not.toHaveProperty('x-authenticated-scopes');
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests for the gateway's reverse-proxy helpers
+ */
+
+const { Readable } = require('stream');
+const {
+  stripHopByHopHeaders,
+  upstreamRequestHeaders,
+  downstreamResponseHeaders,
+  readBody,
+  parseBody,
+  describeGatewayError
+} = require('../src/services/gateway/proxy');
+
+const errorWithCode = (code, message = code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+describe('Gateway proxy helpers', () => {
+  test('should drop hop-by-hop headers and the headers Connection names', () => {
+    const headers = stripHopByHopHeaders({
+      Connection: 'keep-alive, X-Internal-Trace',
+      'Keep-Alive': 'timeout=5',
+      'Transfer-Encoding': 'chunked',
+      'X-Internal-Trace': 'abc',
+      'Content-Type': 'application/json',
+      'Set-Cookie': ['a=1', 'b=2']
+    });
+    
+    expect(headers).toEqual({
+      'content-type': 'application/json',
+      'set-cookie': ['a=1', 'b=2']
+    });
+  });
+  
+  test('should build downstream request headers from the client request', () => {
+    const req = {
+      id: 'req-1',
+      ip: '10.0.0.2',
+      protocol: 'http',
+      headers: {
+        host: 'gateway.local:3000',
+        connection: 'close',
+        'content-type': 'application/x-www-form-urlencoded',
+        'content-length': '42',
+        'x-forwarded-for': '203.0.113.7',
+        'x-request-id': 'client-chosen',
+        accept: 'application/json',
+        'user-agent': 'curl/8.0'
+      }
+    };
+    
+    expect(upstreamRequestHeaders(req, true)).toEqual({
+      accept: 'application/json',
+      'user-agent': 'curl/8.0',
+      'content-type': 'application/json',
+      'x-forwarded-for': '203.0.113.7, 10.0.0.2',
+      'x-forwarded-host': 'gateway.local:3000',
+      'x-forwarded-proto': 'http',
+      'x-request-id': 'req-1'
+    });
+    
+    expect(upstreamRequestHeaders(req, false)).not.toHaveProperty('content-type');
+  });
+  
+  test('should leave CORS headers of the response to the gateway', () => {
+    const headers = downstreamResponseHeaders({
+      'content-type': 'text/csv',
+      'access-control-allow-origin': '*',
+      location: '/api/orders/7',
+      'transfer-encoding': 'chunked'
+    });
+    
+    expect(headers).toEqual({ 'content-type': 'text/csv', location: '/api/orders/7' });
+  });
+  
+  test('should read bodies up to a size limit', async () => {
+    await expect(readBody(Readable.from([Buffer.from('ab'), Buffer.from('cd')]), 10))
+      .resolves.toEqual(Buffer.from('abcd'));
+    
+    await expect(readBody(Readable.from([Buffer.alloc(6), Buffer.alloc(6)]), 10))
+      .rejects.toMatchObject({ code: 'UPSTREAM_BODY_TOO_LARGE' });
+  });
+  
+  test('should decode JSON and text bodies but not compressed ones', () => {
+    const json = Buffer.from('{"retryable":false}');
+    
+    expect(parseBody(json, { 'content-type': 'application/json; charset=utf-8' })).toEqual({ retryable: false });
+    expect(parseBody(Buffer.from('hello'), { 'content-type': 'text/plain' })).toBe('hello');
+    expect(parseBody(json, { 'content-type': 'application/json', 'content-encoding': 'gzip' })).toBe(json);
+  });
+  
+  test('should map calls without an upstream answer to gateway statuses', () => {
+    expect(describeGatewayError(errorWithCode('CIRCUIT_OPEN'))).toMatchObject({ status: 503, code: 'CIRCUIT_OPEN' });
+    expect(describeGatewayError(errorWithCode('BULKHEAD_REJECTED'))).toMatchObject({ status: 503 });
+    expect(describeGatewayError(errorWithCode('NO_INSTANCES'))).toMatchObject({ status: 503 });
+    expect(describeGatewayError(errorWithCode('POLICY_TIMEOUT'))).toMatchObject({ status: 504, code: 'UPSTREAM_TIMEOUT' });
+    expect(describeGatewayError(new Error('Circuit breaker x: Request timeout after 10ms')))
+      .toMatchObject({ status: 504 });
+    expect(describeGatewayError(errorWithCode('ECONNREFUSED'))).toMatchObject({ status: 502, code: 'ECONNREFUSED' });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Tests for graceful shutdown: request draining and persisted state
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { InFlightTracker, waitUntil } = require('../src/utils/shutdown');
+const { StateStore } = require('../src/utils/stateStore');
+const { BaseService } = require('../src/services/BaseService');
+
+describe('InFlightTracker', () => {
+  let tracker;
+  let app;
+  let release;
+  
+  beforeEach(() => {
+    tracker = new InFlightTracker();
+    app = express();
+    app.use(tracker.middleware());
+    app.get('/health/live', (req, res) => res.json({ status: 'UP' }));
+    app.get('/slow', async (req, res) => {
+      await new Promise(resolve => { release = resolve; });
+      res.json({ done: true });
+    });
+  });
+  
+  test('should count requests until they are answered', async () => {
+    const pending = request(app).get('/slow').then(response => response);
+    await waitUntil(() => tracker.count === 1, Date.now() + 1000);
+    
+    expect(tracker.count).toBe(1);
+    
+    release();
+    const response = await pending;
+    
+    expect(response.status).toBe(200);
+    expect(tracker.count).toBe(0);
+  });
+  
+  test('should reject new requests but serve health probes while draining', async () => {
+    tracker.startDraining();
+    
+    const rejected = await request(app).get('/slow');
+    expect(rejected.status).toBe(503);
+    expect(rejected.headers['retry-after']).toBe('1');
+    expect(rejected.body.message).toBe('Service is shutting down');
+    
+    const live = await request(app).get('/health/live');
+    expect(live.status).toBe(200);
+    expect(tracker.rejected).toBe(1);
+  });
+  
+  test('should let accepted requests finish after draining starts', async () => {
+    const pending = request(app).get('/slow').then(response => response);
+    await waitUntil(() => tracker.count === 1, Date.now() + 1000);
+    
+    tracker.startDraining();
+    const idle = tracker.waitForIdle(Date.now() + 1000);
+    release();
+    
+    expect((await pending).status).toBe(200);
+    expect(await idle).toBe(true);
+  });
+  
+  test('should give up waiting at the deadline', async () => {
+    tracker.count = 1;
+    
+    expect(await tracker.waitForIdle(Date.now() + 30)).toBe(false);
+  });
+});
+
+describe('StateStore', () => {
+  let dir;
+  let store;
+  
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-'));
+    store = new StateStore({ dir, name: 'test-service' });
+  });
+  
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  test('should round-trip saved state', () => {
+    expect(store.load()).toBeNull();
+    
+    store.save({ queue: ['a', 'b'] });
+    
+    const state = store.load();
+    expect(state.queue).toEqual(['a', 'b']);
+    expect(state.savedAt).toBeDefined();
+    
+    store.clear();
+    expect(store.load()).toBeNull();
+  });
+  
+  test('should ignore a corrupt state file', () => {
+    fs.writeFileSync(path.join(dir, 'test-service.json'), '{"queue": [');
+    
+    expect(store.load()).toBeNull();
+  });
+});
+
+describe('BaseService shutdown', () => {
+  class WorkService extends BaseService {
+    constructor() {
+      super({ name: 'user', displayName: 'User', processingTime: { min: 0, max: 1 } });
+    }
+    
+    setupRoutes() {
+      this.route('get', '/work', async () => {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        return { done: true };
+      });
+    }
+    
+    async onShutdown() {
+      return { pendingJobs: 0 };
+    }
+  }
+  
+  let service;
+  let exit;
+  let dir;
+  
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-'));
+    exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+    
+    service = new WorkService();
+    service.config.demo.failureRate = 0;
+    service.config.shutdown = { ...service.config.shutdown, timeout: 2000, monitorUrl: null };
+    service.stateStore = new StateStore({ dir, name: 'user-service' });
+    
+    await new Promise(resolve => {
+      service.server = service.app.listen(0, resolve);
+    });
+    service.health.markStarted();
+  });
+  
+  afterEach(() => {
+    exit.mockRestore();
+    clearTimeout(service.failureSimulationTimer);
+    if (service.server.listening) {
+      service.server.closeAllConnections();
+      service.server.close();
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  test('should finish in-flight requests before exiting', async () => {
+    const pending = request(service.server).get('/work').then(response => response);
+    await waitUntil(() => service.inFlight.count === 1, Date.now() + 1000);
+    
+    const report = jest.spyOn(service.logger, 'info');
+    await service.shutdown('SIGTERM');
+    
+    expect((await pending).status).toBe(200);
+    expect(exit).toHaveBeenCalledWith(0);
+    expect(report).toHaveBeenCalledWith('User service shutdown completed', expect.objectContaining({
+      service: 'user-service',
+      reason: 'SIGTERM',
+      drained: true,
+      abandonedRequests: 0,
+      pendingJobs: 0
+    }));
+  });
+  
+  test('should only shut down once', async () => {
+    await Promise.all([service.shutdown('SIGTERM'), service.shutdown('SIGINT')]);
+    
+    expect(exit).toHaveBeenCalledTimes(1);
+  });
+});
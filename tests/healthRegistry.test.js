@@ -0,0 +1,115 @@
+/**
+ * Tests for the health check registry
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { HealthRegistry, HealthStatus, Probes, recoveryCheck } = require('../src/utils/healthRegistry');
+const { RecoveryStates } = require('../src/patterns/AutoRecovery');
+
+describe('HealthRegistry', () => {
+  let health;
+  
+  beforeEach(() => {
+    health = new HealthRegistry({ service: 'test-service' });
+    health.markStarted();
+  });
+  
+  test('should reject checks without a name or function', () => {
+    expect(() => health.register({ name: 'broken' })).toThrow('need a name and a check function');
+    expect(() => health.register({ name: 'broken', check: async () => {}, probes: 'deep' }))
+      .toThrow('unknown probe');
+  });
+  
+  test('should report UP with the details of passing checks', async () => {
+    health.register({ name: 'database', check: async () => ({ connected: true }) });
+    
+    const result = await health.evaluate(Probes.READINESS);
+    
+    expect(result.status).toBe(HealthStatus.UP);
+    expect(result.service).toBe('test-service');
+    expect(result.checks.database).toMatchObject({ status: HealthStatus.UP, details: { connected: true } });
+  });
+  
+  test('should go DOWN on a critical failure and DEGRADED on a non-critical one', async () => {
+    health.register({ name: 'cache', critical: false, check: async () => { throw new Error('cache offline'); } });
+    
+    let result = await health.evaluate(Probes.READINESS);
+    expect(result.status).toBe(HealthStatus.DEGRADED);
+    expect(result.checks.cache.error).toBe('cache offline');
+    
+    health.register({ name: 'database', check: async () => { throw new Error('no connection'); } });
+    
+    result = await health.evaluate(Probes.READINESS);
+    expect(result.status).toBe(HealthStatus.DOWN);
+    expect(result.reason).toBe('critical check failed');
+  });
+  
+  test('should fail checks that exceed their timeout', async () => {
+    health.register({
+      name: 'slow',
+      timeout: 20,
+      check: () => new Promise(resolve => setTimeout(resolve, 200))
+    });
+    
+    const result = await health.evaluate(Probes.READINESS);
+    
+    expect(result.status).toBe(HealthStatus.DOWN);
+    expect(result.checks.slow.error).toBe('Timed out after 20ms');
+  });
+  
+  test('should only run the checks of the requested probe', async () => {
+    health.register({ name: 'dependency', check: async () => { throw new Error('down'); } });
+    health.register({ name: 'heartbeat', probes: [Probes.LIVENESS], check: async () => 'ok' });
+    
+    const liveness = await health.evaluate(Probes.LIVENESS);
+    
+    expect(liveness.status).toBe(HealthStatus.UP);
+    expect(Object.keys(liveness.checks)).toEqual(['heartbeat']);
+  });
+  
+  test('should not be ready before startup or while draining', async () => {
+    const starting = new HealthRegistry({ service: 'starting' });
+    
+    expect((await starting.evaluate(Probes.STARTUP)).reason).toBe('starting');
+    expect((await starting.evaluate(Probes.READINESS)).status).toBe(HealthStatus.DOWN);
+    expect((await starting.evaluate(Probes.LIVENESS)).status).toBe(HealthStatus.UP);
+    
+    health.setDraining(true);
+    
+    const result = await health.evaluate(Probes.READINESS);
+    expect(result.status).toBe(HealthStatus.DOWN);
+    expect(result.reason).toBe('draining');
+    expect((await health.evaluate(Probes.LIVENESS)).status).toBe(HealthStatus.UP);
+  });
+  
+  test('should fail readiness while a recovery manager is FAILED', async () => {
+    const recovery = { name: 'test-recovery', state: RecoveryStates.HEALTHY };
+    health.register(recoveryCheck('recovery', recovery));
+    
+    expect((await health.evaluate(Probes.READINESS)).status).toBe(HealthStatus.UP);
+    
+    recovery.state = RecoveryStates.FAILED;
+    
+    const result = await health.evaluate(Probes.READINESS);
+    expect(result.status).toBe(HealthStatus.DOWN);
+    expect(result.checks.recovery.error).toBe('test-recovery is FAILED');
+  });
+  
+  test('should serve the probes over HTTP', async () => {
+    const app = express();
+    health.register({ name: 'database', check: async () => { throw new Error('no connection'); } });
+    health.mount(app);
+    
+    const ready = await request(app).get('/health/ready');
+    expect(ready.status).toBe(503);
+    expect(ready.body.status).toBe(HealthStatus.DOWN);
+    
+    const live = await request(app).get('/health/live');
+    expect(live.status).toBe(200);
+    
+    const startup = await request(app).get('/health/startup');
+    expect(startup.status).toBe(200);
+    expect(startup.body.probe).toBe(Probes.STARTUP);
+  });
+});
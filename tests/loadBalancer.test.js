@@ -0,0 +1,197 @@
+/**
+ * Tests for the client-side load balancer
+ */
+
+const { LoadBalancer, Algorithms } = require('../src/patterns/LoadBalancer');
+const { RetryBudget } = require('../src/patterns/RetryBudget');
+const { isRecordableFailure, isRetryableError } = require('../src/utils/errorClassification');
+
+const httpError = (status) => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data: {} };
+  return error;
+};
+
+describe('LoadBalancer', () => {
+  let balancer;
+  
+  const create = (options = {}) => {
+    balancer = new LoadBalancer({
+      name: 'test-service',
+      recordFailure: isRecordableFailure,
+      shouldRetry: isRetryableError,
+      ...options
+    });
+    return balancer;
+  };
+  
+  const pick = async () => balancer.execute(async (instance) => instance.url);
+  
+  afterEach(() => {
+    if (balancer) {
+      balancer.destroy();
+    }
+  });
+  
+  test('should reject unknown algorithms', () => {
+    expect(() => create({ algorithm: 'RANDOM' })).toThrow('Unknown load balancing algorithm "RANDOM"');
+  });
+  
+  test('should rotate through instances with ROUND_ROBIN', async () => {
+    create();
+    balancer.setInstances([{ url: 'http://a' }, { url: 'http://b' }, { url: 'http://c' }]);
+    
+    const picks = [];
+    for (let i = 0; i < 6; i++) {
+      picks.push(await pick());
+    }
+    
+    expect(picks).toEqual(['http://a', 'http://b', 'http://c', 'http://a', 'http://b', 'http://c']);
+  });
+  
+  test('should prefer the least busy instance with LEAST_OUTSTANDING', async () => {
+    create({ algorithm: Algorithms.LEAST_OUTSTANDING });
+    balancer.setInstances([{ url: 'http://a' }, { url: 'http://b' }]);
+    
+    let release;
+    const slow = balancer.execute(() => new Promise(resolve => { release = resolve; }));
+    const busy = balancer.getStatus().instances.find(instance => instance.outstanding === 1).url;
+    
+    for (let i = 0; i < 3; i++) {
+      expect(await pick()).not.toBe(busy);
+    }
+    
+    release();
+    await slow;
+  });
+  
+  test('should split traffic by weight with WEIGHTED', async () => {
+    create({ algorithm: Algorithms.WEIGHTED });
+    balancer.setInstances([
+      { url: 'http://a', metadata: { weight: 3 } },
+      { url: 'http://b', weight: 1 }
+    ]);
+    
+    const counts = { 'http://a': 0, 'http://b': 0 };
+    for (let i = 0; i < 8; i++) {
+      counts[await pick()]++;
+    }
+    
+    expect(counts).toEqual({ 'http://a': 6, 'http://b': 2 });
+  });
+  
+  test('should pick the less busy of two instances with P2C', async () => {
+    create({ algorithm: Algorithms.P2C });
+    balancer.setInstances([{ url: 'http://a' }, { url: 'http://b' }]);
+    balancer.instances.get('http://a').outstanding = 5;
+    
+    for (let i = 0; i < 5; i++) {
+      expect(await pick()).toBe('http://b');
+    }
+  });
+  
+  test('should retry a failed call on another instance', async () => {
+    create();
+    balancer.setInstances([{ url: 'http://a' }, { url: 'http://b' }]);
+    
+    const calls = [];
+    const result = await balancer.execute(async (instance) => {
+      calls.push(instance.url);
+      if (instance.url === 'http://a') {
+        throw httpError(503);
+      }
+      return 'ok';
+    });
+    
+    expect(result).toBe('ok');
+    expect(calls).toEqual(['http://a', 'http://b']);
+    expect(balancer.getStatus().metrics.totalRetries).toBe(1);
+  });
+  
+  test('should pass client errors through without retrying or counting them', async () => {
+    create({ consecutiveFailures: 1 });
+    balancer.setInstances([{ url: 'http://a' }, { url: 'http://b' }]);
+    
+    const fn = jest.fn().mockRejectedValue(httpError(404));
+    await expect(balancer.execute(fn)).rejects.toThrow('status code 404');
+    
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(balancer.getStatus().instances.every(instance => !instance.ejected && instance.failures === 0)).toBe(true);
+  });
+  
+  test('should not send a POST that timed out to another instance', async () => {
+    create();
+    balancer.setInstances([{ url: 'http://a' }, { url: 'http://b' }]);
+    
+    const timeout = Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' });
+    const fn = jest.fn().mockRejectedValue(timeout);
+    
+    await expect(balancer.execute(fn, { method: 'POST' })).rejects.toThrow('timeout');
+    expect(fn).toHaveBeenCalledTimes(1);
+    
+    // A refused connection never reached the first instance
+    const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    fn.mockReset().mockRejectedValueOnce(refused).mockResolvedValueOnce('ok');
+    
+    expect(await balancer.execute(fn, { method: 'POST', maxRetries: 0 })).toBe('ok');
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+  
+  test('should respect the caller\'s retry limit and the retry budget', async () => {
+    const retryBudget = new RetryBudget({ ratio: 0, minRetriesPerSecond: 1 });
+    create({ retryBudget });
+    balancer.setInstances([{ url: 'http://a' }, { url: 'http://b' }]);
+    
+    const fn = jest.fn().mockRejectedValue(httpError(503));
+    
+    await expect(balancer.execute(fn, { method: 'GET', maxRetries: 0 })).rejects.toThrow('503');
+    expect(fn).toHaveBeenCalledTimes(1);
+    
+    // The budget starts with one token: one retry, then none
+    fn.mockClear();
+    await balancer.execute(fn, { method: 'GET' }).catch(() => {});
+    await balancer.execute(fn, { method: 'GET' }).catch(() => {});
+    
+    expect(fn).toHaveBeenCalledTimes(3);
+    expect(balancer.getStatus().metrics).toMatchObject({ totalRetries: 1, totalBudgetRejections: 1 });
+  });
+  
+  test('should eject an instance after consecutive failures, within the ejection limit', async () => {
+    create({ consecutiveFailures: 2, maxAttempts: 1, baseEjectionTime: 60000 });
+    balancer.setInstances([{ url: 'http://a' }, { url: 'http://b' }]);
+    const ejected = jest.fn();
+    balancer.on('ejected', ejected);
+    
+    const failEverywhere = () => balancer.execute(async () => { throw httpError(500); }).catch(() => {});
+    for (let i = 0; i < 4; i++) {
+      await failEverywhere();
+    }
+    
+    // Both failed twice, but only half the pool may be ejected
+    expect(ejected).toHaveBeenCalledTimes(1);
+    expect(balancer.getAvailableInstances()).toHaveLength(1);
+    
+    const remaining = balancer.getAvailableInstances()[0].url;
+    for (let i = 0; i < 3; i++) {
+      expect(await pick()).toBe(remaining);
+    }
+  });
+  
+  test('should fail with NO_INSTANCES when the pool is empty', async () => {
+    create();
+    balancer.setInstances([]);
+    
+    await expect(pick()).rejects.toMatchObject({ code: 'NO_INSTANCES' });
+  });
+  
+  test('should keep the state of instances that stay in the pool', async () => {
+    create();
+    balancer.setInstances([{ url: 'http://a' }, { url: 'http://b' }]);
+    balancer.instances.get('http://a').failures = 3;
+    
+    balancer.setInstances([{ url: 'http://a' }, { url: 'http://c' }]);
+    
+    expect(Array.from(balancer.instances.keys())).toEqual(['http://a', 'http://c']);
+    expect(balancer.instances.get('http://a').failures).toBe(3);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Tests for the process supervisor
+ */
+
+const path = require('path');
+const request = require('supertest');
+const { ProcessSupervisor, ProcessStates } = require('../src/supervisor');
+
+const CRASHING = path.join(__dirname, 'fixtures', 'crashingService.js');
+const HEALTH = path.join(__dirname, 'fixtures', 'healthService.js');
+
+const waitFor = (emitter, event, predicate = () => true) => new Promise(resolve => {
+  const listener = (data) => {
+    if (predicate(data)) {
+      emitter.off(event, listener);
+      resolve(data);
+    }
+  };
+  emitter.on(event, listener);
+});
+
+describe('ProcessSupervisor', () => {
+  let supervisor;
+  
+  const createSupervisor = (services, options = {}) => {
+    supervisor = new ProcessSupervisor({
+      name: 'test-supervisor',
+      services,
+      maxRestarts: 3,
+      restartWindow: 10000,
+      initialDelay: 50,
+      maxDelay: 200,
+      healthCheckInterval: 100,
+      healthCheckTimeout: 500,
+      healthFailureThreshold: 2,
+      startupGracePeriod: 0,
+      stopTimeout: 1000,
+      stdio: 'ignore',
+      ...options
+    });
+    return supervisor;
+  };
+  
+  afterEach(async () => {
+    if (supervisor) {
+      await supervisor.stop();
+      supervisor = null;
+    }
+  });
+  
+  test('should restart exited processes with backoff and give up on a crash loop', async () => {
+    createSupervisor([{ name: 'crasher', script: CRASHING }]);
+    
+    const gaveUp = waitFor(supervisor, 'gaveUp');
+    supervisor.start();
+    await gaveUp;
+    
+    const history = supervisor.getRestartHistory('crasher');
+    expect(history.map(entry => entry.attempt)).toEqual([1, 2, 3, undefined]);
+    expect(history[0]).toEqual(expect.objectContaining({ reason: 'exited', exitCode: 1 }));
+    expect(history[1].delay).toBeGreaterThan(history[0].delay);
+    expect(history[3]).toEqual(expect.objectContaining({ gaveUp: true, restartsInWindow: 3 }));
+    
+    const status = supervisor.getStatus().processes.crasher;
+    expect(status.status).toBe(ProcessStates.FAILED);
+    expect(status.restarts).toBe(3);
+    expect(status.pid).toBeNull();
+  }, 10000);
+  
+  test('should restart a process that keeps failing its health check', async () => {
+    createSupervisor([{
+      name: 'sick',
+      script: HEALTH,
+      healthUrl: 'http://localhost:3917/health',
+      env: { PORT: '3917', HEALTH_STATUS: '500' }
+    }]);
+    
+    const restart = waitFor(supervisor, 'restartScheduled');
+    supervisor.start();
+    
+    await expect(restart).resolves.toEqual(expect.objectContaining({ name: 'sick', reason: 'unhealthy' }));
+    expect(supervisor.getRestartHistory('sick')[0]).toEqual(expect.objectContaining({
+      reason: 'unhealthy',
+      exitCode: 0 // stopped gracefully on SIGTERM
+    }));
+  }, 10000);
+  
+  test('should mark healthy processes RUNNING and stop them without restarting', async () => {
+    createSupervisor([{
+      name: 'healthy',
+      script: HEALTH,
+      healthUrl: 'http://localhost:3918/health',
+      env: { PORT: '3918' }
+    }]);
+    
+    supervisor.start();
+    while (supervisor.getStatus().processes.healthy.status !== ProcessStates.RUNNING) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    
+    await supervisor.stop();
+    
+    expect(supervisor.getStatus().processes.healthy.status).toBe(ProcessStates.STOPPED);
+    expect(supervisor.getRestartHistory()).toEqual([]);
+  }, 10000);
+  
+  test('should serve status and restart history over HTTP', async () => {
+    createSupervisor([{ name: 'crasher', script: CRASHING }], { maxRestarts: 1 });
+    
+    const gaveUp = waitFor(supervisor, 'gaveUp');
+    supervisor.start();
+    await gaveUp;
+    
+    const app = supervisor.createApp();
+    
+    const processes = await request(app).get('/api/processes');
+    expect(processes.body.processes.crasher.status).toBe(ProcessStates.FAILED);
+    
+    const restarts = await request(app).get('/api/restarts?service=crasher');
+    expect(restarts.body.restarts).toHaveLength(2);
+    
+    const unknown = await request(app).get('/api/restarts?service=nope');
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.available).toEqual(['crasher']);
+    
+    // A manual restart clears the crash loop
+    const started = waitFor(supervisor, 'processStarted');
+    const manual = await request(app).post('/api/processes/crasher/restart');
+    expect(manual.status).toBe(202);
+    await started;
+    expect(supervisor.getRestartHistory('crasher').pop().reason).toBe('manual');
+  }, 10000);
+});
@@ -0,0 +1,233 @@
+/**
+ * Tests for the rate limiter, its stores and the gateway's rate limit helpers
+ */
+
+const net = require('net');
+const { RateLimiter, Algorithms } = require('../src/patterns/RateLimiter');
+const { MemoryRateLimitStore, RedisRateLimitStore } = require('../src/patterns/RateLimitStore');
+const { RedisClient, encodeCommand, parseReply } = require('../src/utils/redisClient');
+const { rateLimitKey, rateLimitHeaders } = require('../src/services/gateway/rateLimit');
+
+describe('RateLimiter', () => {
+  let store;
+  let now;
+  
+  const create = (options) => new RateLimiter({ name: 'test', limit: 3, windowMs: 1000, store, ...options });
+  
+  const consumeTimes = async (limiter, times, key = 'client') => {
+    const results = [];
+    for (let i = 0; i < times; i++) {
+      results.push(await limiter.consume(key));
+    }
+    return results;
+  };
+  
+  beforeEach(() => {
+    store = new MemoryRateLimitStore();
+    now = 10000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+  
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await store.destroy();
+  });
+  
+  test('should allow a fixed number of requests per window', async () => {
+    const limiter = create();
+    now = 10250;
+    
+    const results = await consumeTimes(limiter, 4);
+    
+    expect(results.map(result => result.allowed)).toEqual([true, true, true, false]);
+    expect(results[2]).toMatchObject({ limit: 3, remaining: 0, resetMs: 750 });
+    expect(results[3]).toMatchObject({ allowed: false, retryAfterMs: 750 });
+    expect((await limiter.consume('other')).allowed).toBe(true);
+    
+    now = 11000;
+    expect(await limiter.consume('client')).toMatchObject({ allowed: true, remaining: 2 });
+    expect(limiter.getStatus().metrics).toMatchObject({ totalAllowed: 5, totalLimited: 1 });
+  });
+  
+  test('should count requests over any span of the window with a sliding log', async () => {
+    const limiter = create({ algorithm: Algorithms.SLIDING_LOG });
+    
+    await limiter.consume('client');
+    now = 10600;
+    await consumeTimes(limiter, 2);
+    
+    // A fixed window would have reset at 11000
+    now = 10900;
+    expect(await limiter.consume('client')).toMatchObject({ allowed: false, retryAfterMs: 100 });
+    
+    now = 11001;
+    expect(await limiter.consume('client')).toMatchObject({ allowed: true, remaining: 0 });
+  });
+  
+  test('should allow bursts and refill tokens steadily with a token bucket', async () => {
+    const limiter = create({ algorithm: Algorithms.TOKEN_BUCKET, limit: 4 });
+    
+    const burst = await consumeTimes(limiter, 5);
+    expect(burst.map(result => result.allowed)).toEqual([true, true, true, true, false]);
+    expect(burst[4].retryAfterMs).toBe(250);
+    
+    now += 500;
+    expect(await limiter.consume('client')).toMatchObject({ allowed: true, remaining: 1 });
+    expect((await limiter.consume('client')).allowed).toBe(true);
+    expect((await limiter.consume('client')).allowed).toBe(false);
+  });
+  
+  test('should look at a sliding log without counting a request', async () => {
+    const limiter = create({ algorithm: Algorithms.SLIDING_LOG, limit: 2 });
+    
+    expect(await limiter.peek('client')).toMatchObject({ allowed: true, remaining: 2 });
+    await consumeTimes(limiter, 2);
+    
+    now = 10400;
+    expect(await limiter.peek('client')).toMatchObject({ allowed: false, remaining: 0, retryAfterMs: 600 });
+    expect(await limiter.peek('client')).toMatchObject({ allowed: false, remaining: 0 });
+    expect(limiter.getStatus().metrics).toMatchObject({ totalAllowed: 2, totalLimited: 0 });
+    
+    now = 11001;
+    expect((await limiter.peek('client')).allowed).toBe(true);
+    await expect(create().peek('client')).rejects.toThrow('SLIDING_LOG');
+  });
+  
+  test('should let requests through when the store fails', async () => {
+    const failing = {
+      incrementWindow: jest.fn().mockRejectedValue(new Error('Redis connection closed'))
+    };
+    const limiter = create({ store: failing });
+    
+    const results = await consumeTimes(limiter, 5);
+    
+    expect(results.every(result => result.allowed)).toBe(true);
+    expect(limiter.getStatus()).toMatchObject({
+      lastError: 'Redis connection closed',
+      metrics: { storeErrors: 5 }
+    });
+  });
+  
+  test('should reject unknown algorithms', () => {
+    expect(() => create({ algorithm: 'LEAKY' })).toThrow('Unknown rate limiting algorithm');
+  });
+});
+
+describe('RedisRateLimitStore', () => {
+  test('should run each operation as a script on a prefixed key', async () => {
+    const client = { command: jest.fn() };
+    const store = new RedisRateLimitStore({ client, prefix: 'rl:' });
+    
+    client.command.mockResolvedValueOnce(2);
+    expect(await store.incrementWindow('a', 1000)).toBe(2);
+    expect(client.command).toHaveBeenLastCalledWith('EVAL', expect.stringContaining('INCR'), 1, 'rl:a', 1000);
+    
+    client.command.mockResolvedValueOnce([0, 3, '9500']);
+    expect(await store.recordInLog('b', 10000, 1000, 3)).toEqual({ allowed: false, count: 3, oldest: 9500 });
+    expect(client.command).toHaveBeenLastCalledWith(
+      'EVAL', expect.stringContaining('ZREMRANGEBYSCORE'), 1, 'rl:b', 10000, 1000, 3, expect.stringMatching(/^10000-/)
+    );
+    
+    client.command.mockResolvedValueOnce([1, '2.5']);
+    expect(await store.takeToken('c', 4, 1000, 10000)).toEqual({ allowed: true, tokens: 2.5 });
+  });
+});
+
+describe('RedisClient', () => {
+  let server;
+  let client;
+  let received;
+  
+  beforeEach(async () => {
+    received = [];
+    server = net.createServer((socket) => {
+      let buffer = Buffer.alloc(0);
+      socket.on('data', (data) => {
+        buffer = Buffer.concat([buffer, data]);
+        let command;
+        while ((command = parseReply(buffer))) {
+          buffer = buffer.subarray(command.offset);
+          received.push(command.value);
+          
+          const [name, ...args] = command.value;
+          if (name === 'PING') {
+            socket.write('+PONG\r\n');
+          } else if (name === 'ECHO') {
+            socket.write(`$${Buffer.byteLength(args[0])}\r\n${args[0]}\r\n`);
+          } else if (name === 'EVAL') {
+            socket.write('*3\r\n:1\r\n:2\r\n$4\r\n9500\r\n');
+          } else if (name !== 'HANG') {
+            socket.write(name === 'AUTH' || name === 'SELECT' ? '+OK\r\n' : `-ERR unknown command '${name}'\r\n`);
+          }
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+  
+  afterEach(async () => {
+    if (client) {
+      client.close();
+      client = null;
+    }
+    await new Promise(resolve => server.close(resolve));
+  });
+  
+  const connect = (path = '', options = {}) => {
+    client = new RedisClient({ url: `redis://:secret@127.0.0.1:${server.address().port}${path}`, ...options });
+    return client;
+  };
+  
+  test('should encode commands and parse replies', () => {
+    expect(encodeCommand(['SET', 'k', 'é']).toString()).toBe('*3\r\n$3\r\nSET\r\n$1\r\nk\r\n$2\r\né\r\n');
+    expect(parseReply(Buffer.from('*2\r\n:1\r\n$5\r\nhel'))).toBeNull();
+  });
+  
+  test('should authenticate, select the database and answer commands in order', async () => {
+    connect('/2');
+    
+    const replies = await Promise.all([
+      client.command('PING'),
+      client.command('ECHO', 'hello'),
+      client.command('EVAL', 'return 1', 0)
+    ]);
+    
+    expect(replies).toEqual(['PONG', 'hello', [1, 2, '9500']]);
+    expect(received.slice(0, 2)).toEqual([['AUTH', 'secret'], ['SELECT', '2']]);
+    await expect(client.command('NOPE')).rejects.toMatchObject({ code: 'REDIS_ERROR' });
+  });
+  
+  test('should fail commands that get no reply in time', async () => {
+    connect('', { timeout: 50 });
+    
+    await expect(client.command('HANG')).rejects.toThrow('timed out');
+    expect(await client.command('PING')).toBe('PONG');
+  });
+});
+
+describe('Gateway rate limit helpers', () => {
+  const route = { name: 'GET /api/users' };
+  const req = (headers = {}) => ({ ip: '10.0.0.2', get: (name) => headers[name] });
+  
+  test('should key requests by IP, API key or route', () => {
+    expect(rateLimitKey(req(), route, 'ip')).toBe('ip:10.0.0.2');
+    expect(rateLimitKey(req({ 'X-API-Key': 'secret' }), route, 'apiKey')).toMatch(/^apiKey:[0-9a-f]{32}$/);
+    expect(rateLimitKey(req({ 'X-API-Key': 'secret' }), route, 'apiKey')).not.toContain('secret');
+    expect(rateLimitKey(req(), route, 'apiKey')).toBe('ip:10.0.0.2');
+    expect(rateLimitKey({ ...req(), identity: { subject: 'web-app' } }, route, 'apiKey')).toBe('client:web-app');
+    expect(rateLimitKey(req(), route, 'route')).toBe('route:GET /api/users');
+  });
+  
+  test('should describe the limit in RateLimit headers', () => {
+    const allowed = { allowed: true, limit: 100, remaining: 99, resetMs: 899001, retryAfterMs: 0 };
+    
+    expect(rateLimitHeaders(allowed, 900000)).toEqual({
+      'RateLimit-Limit': '100',
+      'RateLimit-Remaining': '99',
+      'RateLimit-Reset': '900',
+      'RateLimit-Policy': '100;w=900'
+    });
+    expect(rateLimitHeaders({ ...allowed, allowed: false, remaining: 0, retryAfterMs: 200 }, 900000))
+      .toMatchObject({ 'Retry-After': '1' });
+  });
+});
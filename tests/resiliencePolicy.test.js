@@ -0,0 +1,219 @@
+/**
+ * Tests for the resilience policy pipeline
+ */
+
+const { ResiliencePolicy, PolicyTypes } = require('../src/patterns/ResiliencePolicy');
+const { CircuitBreaker, States } = require('../src/patterns/CircuitBreaker');
+const { Bulkhead } = require('../src/patterns/Bulkhead');
+
+describe('ResiliencePolicy', () => {
+  let policy;
+  
+  afterEach(() => {
+    if (policy) {
+      policy.destroy();
+      policy = null;
+    }
+  });
+  
+  test('should reject unknown policy types', () => {
+    expect(() => new ResiliencePolicy({
+      name: 'test-unknown',
+      policies: [{ type: 'teleport' }]
+    })).toThrow('unknown policy type "teleport"');
+  });
+  
+  test('should pass arguments and an AbortSignal to the protected function', async () => {
+    policy = new ResiliencePolicy({
+      name: 'test-args',
+      policies: [{ type: PolicyTypes.BULKHEAD, maxConcurrent: 2 }]
+    });
+    
+    const fn = jest.fn().mockResolvedValue('ok');
+    
+    await expect(policy.execute(fn, 'a', 1)).resolves.toBe('ok');
+    expect(fn).toHaveBeenCalledWith('a', 1, expect.any(AbortSignal));
+    expect(policy.metrics.totalSuccesses).toBe(1);
+  });
+  
+  test('should retry inside the circuit breaker', async () => {
+    const circuitBreaker = new CircuitBreaker({ name: 'test-pipeline-cb', failureThreshold: 1 });
+    
+    policy = new ResiliencePolicy({
+      name: 'test-retry',
+      policies: [
+        { type: PolicyTypes.CIRCUIT_BREAKER, instance: circuitBreaker },
+        { type: PolicyTypes.RETRY, maxRetries: 2, initialDelay: 1 }
+      ]
+    });
+    
+    const retries = [];
+    policy.on('retry', (data) => retries.push(data));
+    
+    const flaky = jest.fn()
+      .mockRejectedValueOnce(new Error('first'))
+      .mockResolvedValue('recovered');
+    
+    await expect(policy.execute(flaky)).resolves.toBe('recovered');
+    expect(flaky).toHaveBeenCalledTimes(2);
+    expect(retries).toEqual([expect.objectContaining({ policy: 'test-retry', layer: 'retry', attempt: 2 })]);
+    
+    // The breaker only saw one successful call
+    expect(circuitBreaker.state).toBe(States.CLOSED);
+    expect(circuitBreaker.metrics.totalSuccesses).toBe(1);
+    
+    circuitBreaker.destroy();
+  });
+  
+  test('should honour a per-call retry limit', async () => {
+    policy = new ResiliencePolicy({
+      name: 'test-retry-limit',
+      policies: [{ type: PolicyTypes.RETRY, maxRetries: 3, initialDelay: 1 }]
+    });
+    
+    const failing = jest.fn().mockRejectedValue(new Error('down'));
+    
+    await expect(policy.executeWithOptions(failing, { maxRetries: 0 })).rejects.toThrow('down');
+    expect(failing).toHaveBeenCalledTimes(1);
+    
+    await expect(policy.execute(failing)).rejects.toThrow('down');
+    expect(failing).toHaveBeenCalledTimes(5);
+  });
+  
+  test('should only retry a non-idempotent call that was never sent', async () => {
+    policy = new ResiliencePolicy({
+      name: 'test-retry-method',
+      policies: [{ type: PolicyTypes.RETRY, maxRetries: 2, initialDelay: 1 }]
+    });
+    
+    const timedOut = jest.fn().mockRejectedValue(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }));
+    await expect(policy.executeWithOptions(timedOut, { method: 'POST' })).rejects.toThrow('timeout');
+    expect(timedOut).toHaveBeenCalledTimes(1);
+    
+    const refused = jest.fn().mockRejectedValue(Object.assign(new Error('refused'), { code: 'ECONNREFUSED' }));
+    await expect(policy.executeWithOptions(refused, { method: 'POST' })).rejects.toThrow('refused');
+    expect(refused).toHaveBeenCalledTimes(3);
+    
+    await expect(policy.executeWithOptions(timedOut, { method: 'PUT' })).rejects.toThrow('timeout');
+    expect(timedOut).toHaveBeenCalledTimes(4);
+  });
+  
+  test('should abort the inner call on timeout', async () => {
+    policy = new ResiliencePolicy({
+      name: 'test-timeout',
+      policies: [{ type: PolicyTypes.TIMEOUT, timeout: 50 }]
+    });
+    
+    let receivedSignal;
+    const slow = (signal) => {
+      receivedSignal = signal;
+      return new Promise(resolve => setTimeout(resolve, 200));
+    };
+    
+    await expect(policy.execute(slow)).rejects.toMatchObject({ code: 'POLICY_TIMEOUT' });
+    expect(receivedSignal.aborted).toBe(true);
+    expect(policy.metrics.totalTimeouts).toBe(1);
+  });
+  
+  test('should report rejections and answer them with the fallback', async () => {
+    const circuitBreaker = new CircuitBreaker({ name: 'test-pipeline-open' });
+    circuitBreaker.openCircuit();
+    
+    policy = new ResiliencePolicy({
+      name: 'test-fallback',
+      policies: [
+        { type: PolicyTypes.FALLBACK, handler: (error, id) => ({ id, degraded: true, reason: error.code }) },
+        { type: PolicyTypes.CIRCUIT_BREAKER, instance: circuitBreaker }
+      ]
+    });
+    
+    const events = [];
+    policy.on('rejected', (data) => events.push('rejected'));
+    policy.on('fallback', (data) => events.push('fallback'));
+    
+    const fn = jest.fn();
+    
+    await expect(policy.execute(fn, 'u1')).resolves.toEqual({ id: 'u1', degraded: true, reason: 'CIRCUIT_OPEN' });
+    expect(fn).not.toHaveBeenCalled();
+    expect(events).toEqual(['rejected', 'fallback']);
+    
+    circuitBreaker.destroy();
+  });
+  
+  test('should rethrow when the fallback declines', async () => {
+    policy = new ResiliencePolicy({
+      name: 'test-fallback-decline',
+      policies: [{ type: PolicyTypes.FALLBACK, handler: () => undefined }]
+    });
+    
+    await expect(policy.execute(() => Promise.reject(new Error('Boom')))).rejects.toThrow('Boom');
+    expect(policy.metrics.totalFallbacks).toBe(0);
+  });
+  
+  test('should serve cached results until they expire', async () => {
+    policy = new ResiliencePolicy({
+      name: 'test-cache',
+      policies: [{ type: PolicyTypes.CACHE, ttl: 50, key: (id) => `user:${id}` }]
+    });
+    
+    const fn = jest.fn(async (id) => ({ id }));
+    
+    await policy.execute(fn, '1');
+    await policy.execute(fn, '1');
+    await policy.execute(fn, '2');
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(policy.metrics.cacheHits).toBe(1);
+    
+    await new Promise(resolve => setTimeout(resolve, 60));
+    await policy.execute(fn, '1');
+    expect(fn).toHaveBeenCalledTimes(3);
+    
+    policy.clearCache('user:1');
+    await policy.execute(fn, '1');
+    expect(fn).toHaveBeenCalledTimes(4);
+  });
+  
+  test('should leave results rejected by shouldCache out of the cache', async () => {
+    policy = new ResiliencePolicy({
+      name: 'test-cache-filter',
+      policies: [{ type: PolicyTypes.CACHE, key: (id) => id, shouldCache: (value) => !value.stale }]
+    });
+    
+    const fn = jest.fn()
+      .mockResolvedValueOnce({ stale: true })
+      .mockResolvedValue({ stale: false });
+    
+    await policy.execute(fn, '1');
+    await policy.execute(fn, '1');
+    await policy.execute(fn, '1');
+    
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(policy.metrics.cacheHits).toBe(1);
+  });
+  
+  test('should combine the status of every layer', () => {
+    const bulkhead = new Bulkhead({ name: 'test-pipeline-bulkhead', maxConcurrent: 3 });
+    
+    policy = new ResiliencePolicy({
+      name: 'test-status',
+      policies: [
+        { type: PolicyTypes.BULKHEAD, instance: bulkhead },
+        { type: PolicyTypes.TIMEOUT, timeout: 1000 }
+      ]
+    });
+    
+    const status = policy.getStatus();
+    
+    expect(status.name).toBe('test-status');
+    expect(status.layers.map(layer => layer.type)).toEqual(['bulkhead', 'timeout']);
+    expect(status.layers[0].status.name).toBe('test-pipeline-bulkhead');
+    expect(status.layers[1].config.timeout).toBe(1000);
+    expect(status.metrics.totalExecutions).toBe(0);
+    
+    // Instances passed in belong to the caller
+    policy.destroy();
+    policy = null;
+    expect(bulkhead.listenerCount('metrics')).toBe(0);
+    bulkhead.destroy();
+  });
+});
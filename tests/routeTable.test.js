@@ -0,0 +1,143 @@
+/**
+ * Tests for the gateway's declarative route table
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { RouteTable, rewritePath } = require('../src/services/gateway/RouteTable');
+
+describe('RouteTable', () => {
+  let dir;
+  let file;
+  let table;
+  
+  const writeRoutes = (definition) => {
+    fs.writeFileSync(file, typeof definition === 'string' ? definition : JSON.stringify(definition));
+  };
+  
+  const create = (options = {}) => {
+    table = new RouteTable({
+      file,
+      services: ['user', 'order'],
+      handler: (route, req, res) => res.json({ route: route.name, path: rewritePath(route, req) }),
+      ...options
+    });
+    return table;
+  };
+  
+  const serve = () => {
+    const app = express();
+    app.use(table.middleware());
+    return app;
+  };
+  
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'route-table-'));
+    file = path.join(dir, 'routes.json');
+    writeRoutes({
+      defaults: { timeout: 5000 },
+      routes: [
+        { method: 'get', path: '/api/users/:id', service: 'user', rewrite: '/users/:id' },
+        { method: 'GET', path: '/api/orders', service: 'order', rewrite: '/orders', timeout: 1000, cache: { ttl: 100 } }
+      ]
+    });
+  });
+  
+  afterEach(() => {
+    if (table) {
+      table.destroy();
+      table = null;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  test('should compile routes with their defaults', () => {
+    const routes = create().load();
+    
+    expect(routes).toEqual([
+      expect.objectContaining({ name: 'GET /api/users/:id', method: 'GET', service: 'user', timeout: 5000 }),
+      expect.objectContaining({ name: 'GET /api/orders', timeout: 1000, cache: { ttl: 100 } })
+    ]);
+  });
+  
+  test('should rewrite paths and keep the query string', async () => {
+    create().load();
+    const app = serve();
+    
+    const user = await request(app).get('/api/users/a%20b');
+    expect(user.body).toEqual({ route: 'GET /api/users/:id', path: '/users/a%20b' });
+    
+    const orders = await request(app).get('/api/orders?status=pending&limit=5');
+    expect(orders.body.path).toBe('/orders?status=pending&limit=5');
+    
+    expect((await request(app).post('/api/orders')).status).toBe(404);
+  });
+  
+  test('should reject invalid route files', () => {
+    const invalid = [
+      ['{ not json', 'Invalid route file'],
+      [{ routes: [{ method: 'GET', path: '/api/x', service: 'billing', rewrite: '/x' }] }, 'unknown service "billing"'],
+      [{ routes: [{ method: 'GET', path: '/api/x', service: 'user', rewrite: '/x/:id' }] }, 'unknown parameters id'],
+      [{ routes: [{ method: 'POST', path: '/api/x', service: 'user', rewrite: '/x', cache: { ttl: 10 } }] }, 'only cache GET'],
+      [{ routes: [{ method: 'GET', path: '/api/x', service: 'user', rewrite: '/x', timeout: -1 }] }, 'Invalid route file'],
+      [{ routes: [{ method: 'GET', path: '/api/x', service: 'user', rewrite: '/x', rateLimit: { limit: 5 } }] }, 'Invalid route file'],
+      [{
+        routes: [
+          { method: 'GET', path: '/api/x', service: 'user', rewrite: '/x' },
+          { method: 'GET', path: '/api/x', service: 'user', rewrite: '/y' }
+        ]
+      }, 'declared twice']
+    ];
+    
+    create();
+    invalid.forEach(([definition, message]) => {
+      writeRoutes(definition);
+      expect(() => table.load()).toThrow(message);
+    });
+  });
+  
+  test('should swap in a reloaded file', async () => {
+    create().load();
+    const app = serve();
+    const reloaded = jest.fn();
+    table.on('reloaded', reloaded);
+    
+    writeRoutes({ routes: [{ method: 'GET', path: '/api/people/:id', service: 'user', rewrite: '/users/:id' }] });
+    
+    expect(table.reload()).toBe(true);
+    expect(reloaded).toHaveBeenCalledWith(expect.objectContaining({ routes: 1 }));
+    expect((await request(app).get('/api/people/1')).body.path).toBe('/users/1');
+    expect((await request(app).get('/api/users/1')).status).toBe(404);
+  });
+  
+  test('should keep the current routes when a reload fails', async () => {
+    create().load();
+    const app = serve();
+    const failed = jest.fn();
+    table.on('reloadFailed', failed);
+    
+    writeRoutes({ routes: [] });
+    
+    expect(table.reload()).toBe(false);
+    expect(failed).toHaveBeenCalledWith(expect.objectContaining({ error: expect.stringContaining('Invalid route file') }));
+    expect(table.getStatus()).toMatchObject({ routes: 2, lastError: expect.any(String) });
+    expect((await request(app).get('/api/users/1')).status).toBe(200);
+  });
+  
+  test('should reload when the file changes', async () => {
+    create({ watchInterval: 50 }).load();
+    table.watch();
+    
+    const reloaded = new Promise(resolve => table.once('reloaded', resolve));
+    
+    // Make sure the modification time moves on
+    await new Promise(resolve => setTimeout(resolve, 20));
+    writeRoutes({ routes: [{ method: 'DELETE', path: '/api/users/:id', service: 'user', rewrite: '/users/:id' }] });
+    
+    await reloaded;
+    expect(table.getRoutes().map(route => route.name)).toEqual(['DELETE /api/users/:id']);
+  });
+});
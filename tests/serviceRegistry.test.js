@@ -0,0 +1,184 @@
+/**
+ * Tests for the service registry, registration and discovery
+ */
+
+const express = require('express');
+const request = require('supertest');
+const {
+  ServiceRegistry,
+  LocalRegistryClient,
+  HttpRegistryClient,
+  ServiceRegistration,
+  ServiceDiscovery
+} = require('../src/registry');
+
+describe('ServiceRegistry', () => {
+  let registry;
+  
+  beforeEach(() => {
+    jest.useFakeTimers();
+    registry = new ServiceRegistry({ name: 'test', heartbeatTimeout: 1000, sweepInterval: 500 });
+  });
+  
+  afterEach(() => {
+    registry.destroy();
+    jest.useRealTimers();
+  });
+  
+  test('should register instances and list them by service', () => {
+    const instance = registry.register({ name: 'user', version: '1.2.0', url: 'http://localhost:3001' });
+    registry.register({ name: 'order', url: 'http://localhost:3002', metadata: { zone: 'a' } });
+    
+    expect(instance.id).toBeDefined();
+    expect(registry.getInstances('user')).toEqual([
+      expect.objectContaining({ id: instance.id, version: '1.2.0', url: 'http://localhost:3001' })
+    ]);
+    expect(Object.keys(registry.getServices())).toEqual(['user', 'order']);
+    expect(registry.getInstances('order')[0].metadata).toEqual({ zone: 'a' });
+  });
+  
+  test('should reject invalid registrations', () => {
+    expect(() => registry.register({ name: 'user' })).toThrow('Invalid registration');
+    expect(() => registry.register({ name: 'user', url: 'not a url' })).toThrow('Invalid registration');
+  });
+  
+  test('should replace an earlier registration of the same URL', () => {
+    const first = registry.register({ name: 'user', url: 'http://localhost:3001' });
+    const second = registry.register({ name: 'user', url: 'http://localhost:3001' });
+    
+    expect(registry.getInstances('user').map(instance => instance.id)).toEqual([second.id]);
+    expect(registry.heartbeat(first.id)).toBeNull();
+  });
+  
+  test('should expire instances that stop sending heartbeats', () => {
+    const expired = jest.fn();
+    registry.on('expired', expired);
+    
+    const healthy = registry.register({ name: 'user', url: 'http://localhost:3001' });
+    const silent = registry.register({ name: 'user', url: 'http://localhost:3011' });
+    
+    jest.advanceTimersByTime(800);
+    registry.heartbeat(healthy.id);
+    jest.advanceTimersByTime(800);
+    
+    expect(registry.getInstances('user').map(instance => instance.id)).toEqual([healthy.id]);
+    expect(expired).toHaveBeenCalledWith(expect.objectContaining({ id: silent.id }));
+    expect(registry.heartbeat(silent.id)).toBeNull();
+  });
+  
+  test('should serve registrations over HTTP', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/registry', registry.createRouter());
+    
+    const created = await request(app)
+      .post('/registry/instances')
+      .send({ name: 'user', url: 'http://localhost:3001' });
+    expect(created.status).toBe(201);
+    
+    const { id } = created.body.instance;
+    expect((await request(app).put(`/registry/instances/${id}/heartbeat`)).status).toBe(200);
+    
+    const listed = await request(app).get('/registry/services/user');
+    expect(listed.body.instances).toHaveLength(1);
+    
+    expect((await request(app).delete(`/registry/instances/${id}`)).status).toBe(204);
+    expect((await request(app).put(`/registry/instances/${id}/heartbeat`)).status).toBe(404);
+    expect((await request(app).post('/registry/instances').send({ name: 'user' })).status).toBe(400);
+  });
+});
+
+describe('ServiceRegistration', () => {
+  let registry;
+  let registration;
+  
+  beforeEach(() => {
+    registry = new ServiceRegistry({ name: 'test' });
+    registration = new ServiceRegistration({
+      client: new LocalRegistryClient(registry),
+      instance: { name: 'user', url: 'http://localhost:3001' },
+      heartbeatInterval: 60000
+    });
+  });
+  
+  afterEach(async () => {
+    await registration.stop();
+    registry.destroy();
+  });
+  
+  test('should register on start and deregister on stop', async () => {
+    expect(await registration.start()).toBe(true);
+    expect(registry.getInstances('user')).toHaveLength(1);
+    
+    await registration.stop();
+    
+    expect(registry.getInstances('user')).toHaveLength(0);
+  });
+  
+  test('should register again once the registry has forgotten the instance', async () => {
+    await registration.start();
+    const firstId = registration.instanceId;
+    
+    registry.deregister(firstId);
+    await registration.renew();
+    
+    expect(registration.instanceId).not.toBe(firstId);
+    expect(registry.getInstances('user')).toHaveLength(1);
+  });
+  
+  test('should keep retrying while the registry is unreachable', async () => {
+    const unreachable = new ServiceRegistration({
+      client: new HttpRegistryClient({ url: 'http://127.0.0.1:1/registry', timeout: 500 }),
+      instance: { name: 'user', url: 'http://localhost:3001' },
+      heartbeatInterval: 60000
+    });
+    
+    expect(await unreachable.start()).toBe(false);
+    expect(unreachable.getStatus()).toMatchObject({ registered: false, lastError: expect.any(String) });
+    
+    await unreachable.stop();
+  });
+});
+
+describe('ServiceDiscovery', () => {
+  let registry;
+  let client;
+  
+  beforeEach(() => {
+    registry = new ServiceRegistry({ name: 'test' });
+    client = new LocalRegistryClient(registry);
+  });
+  
+  afterEach(() => {
+    registry.destroy();
+  });
+  
+  test('should resolve registered instances and drop removed ones', async () => {
+    const discovery = new ServiceDiscovery({ client, staticUrls: { user: 'http://localhost:3001' } });
+    const changed = jest.fn();
+    discovery.on('instancesChanged', changed);
+    
+    const instance = registry.register({ name: 'user', url: 'http://localhost:3011' });
+    await discovery.refresh();
+    
+    expect(discovery.resolve('user')).toBe('http://localhost:3011');
+    expect(changed).toHaveBeenCalledWith(expect.objectContaining({ service: 'user', added: [expect.any(Object)] }));
+    
+    registry.deregister(instance.id);
+    await discovery.refresh();
+    
+    expect(discovery.resolve('user')).toBeNull();
+    expect(discovery.getStatus().source).toBe('registry');
+  });
+  
+  test('should fall back to static URLs while the registry is unreachable', async () => {
+    const failing = { getServices: jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED')) };
+    const discovery = new ServiceDiscovery({ client: failing, staticUrls: { user: 'http://localhost:3001' } });
+    
+    expect(await discovery.refresh()).toBe(false);
+    
+    expect(discovery.resolve('user')).toBe('http://localhost:3001');
+    expect(discovery.resolve('order')).toBeNull();
+    expect(discovery.getStatus()).toMatchObject({ source: 'static', lastError: 'connect ECONNREFUSED' });
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Tests for the priority and fair-share task queue
+ */
+
+const { TaskQueue, Priorities, resolvePriority } = require('../src/patterns/TaskQueue');
+
+const task = (id, key = 'default', priority = Priorities.NORMAL) => ({ id, key, priority });
+
+describe('TaskQueue', () => {
+  test('should serve higher priorities first', () => {
+    const queue = new TaskQueue();
+    
+    queue.push(task('report', 'a', Priorities.LOW));
+    queue.push(task('read', 'a'));
+    queue.push(task('checkout', 'a', Priorities.HIGH));
+    
+    expect([queue.shift(), queue.shift(), queue.shift()].map(t => t.id)).toEqual(['checkout', 'read', 'report']);
+    expect(queue.shift()).toBeUndefined();
+  });
+  
+  test('should rotate across keys within a priority', () => {
+    const queue = new TaskQueue();
+    
+    ['n1', 'n2', 'n3', 'n4'].forEach(id => queue.push(task(id, 'noisy')));
+    queue.push(task('q1', 'quiet'));
+    queue.push(task('o1', 'other'));
+    
+    const order = [];
+    while (queue.length > 0) {
+      order.push(queue.shift().id);
+    }
+    
+    expect(order).toEqual(['n1', 'q1', 'o1', 'n2', 'n3', 'n4']);
+  });
+  
+  test('should remove tasks and report depth per key and priority', () => {
+    const queue = new TaskQueue();
+    const timedOut = task('t2', 'tenant-a');
+    
+    queue.push(task('t1', 'tenant-a'));
+    queue.push(timedOut);
+    queue.push(task('t3', 'tenant-b', Priorities.HIGH));
+    
+    expect(queue.remove(timedOut)).toBe(true);
+    expect(queue.remove(timedOut)).toBe(false);
+    expect(queue.length).toBe(2);
+    expect(queue.depthByKey()).toEqual({ 'tenant-a': 1, 'tenant-b': 1 });
+    expect(queue.depthByPriority()).toEqual({ NORMAL: 1, HIGH: 1 });
+    
+    expect(queue.clear()).toHaveLength(2);
+    expect(queue.length).toBe(0);
+  });
+  
+  test('should resolve priority names', () => {
+    expect(resolvePriority()).toBe(Priorities.NORMAL);
+    expect(resolvePriority('high')).toBe(Priorities.HIGH);
+    expect(resolvePriority(7)).toBe(7);
+    expect(() => resolvePriority('urgent')).toThrow('Unknown task priority');
+  });
+});
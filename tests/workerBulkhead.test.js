@@ -0,0 +1,110 @@
+/**
+ * Tests for the worker thread Bulkhead
+ */
+
+const path = require('path');
+const { WorkerBulkhead } = require('../src/patterns/WorkerBulkhead');
+
+const TASKS = path.join(__dirname, 'fixtures', 'workerTasks.js');
+
+describe('WorkerBulkhead', () => {
+  let bulkhead;
+  
+  beforeEach(() => {
+    bulkhead = new WorkerBulkhead({
+      name: 'test-worker-bulkhead',
+      script: TASKS,
+      maxConcurrent: 2,
+      maxQueueSize: 1,
+      timeout: 2000
+    });
+  });
+  
+  afterEach(() => {
+    bulkhead.destroy();
+  });
+  
+  test('should require a task script', () => {
+    expect(() => new WorkerBulkhead({ name: 'no-script' })).toThrow('task script is required');
+  });
+  
+  test('should run tasks on worker threads and reuse idle workers', async () => {
+    await expect(bulkhead.execute('add', 2, 3)).resolves.toBe(5);
+    await expect(bulkhead.execute('add', 4, 5)).resolves.toBe(9);
+    
+    const status = bulkhead.getStatus();
+    expect(status.metrics.totalCompleted).toBe(2);
+    expect(status.metrics.totalWorkersStarted).toBe(1);
+    expect(status.workers).toEqual({ total: 1, idle: 1, busy: 0 });
+    expect(status.config.script).toBe(TASKS);
+  });
+  
+  test('should reject function tasks', async () => {
+    await expect(bulkhead.execute(() => 'closure')).rejects.toThrow('referenced by export name');
+  });
+  
+  test('should pass task errors through with their status code', async () => {
+    const error = await bulkhead.execute('fail', 'Order not found', 404).catch(e => e);
+    
+    expect(error.message).toBe('Order not found');
+    expect(error.statusCode).toBe(404);
+    expect(bulkhead.getStatus().metrics.totalFailed).toBe(1);
+    expect(bulkhead.getStatus().metrics.totalWorkerCrashes).toBe(0);
+  });
+  
+  test('should terminate the worker when a task times out', async () => {
+    bulkhead.timeout = 200;
+    
+    // A blocked thread never sees a signal; only terminate() stops it
+    await expect(bulkhead.execute('spin', 10000)).rejects.toThrow('timeout after 200ms');
+    
+    const status = bulkhead.getStatus();
+    expect(status.metrics.totalTimeout).toBe(1);
+    expect(status.metrics.totalWorkersTerminated).toBe(1);
+    expect(status.workers.total).toBe(0);
+    
+    // The pool replaces the worker on the next task
+    await expect(bulkhead.execute('add', 1, 1)).resolves.toBe(2);
+    expect(bulkhead.getStatus().metrics.totalWorkersStarted).toBe(2);
+  });
+  
+  test('should report a crashed worker as a task failure', async () => {
+    const error = await bulkhead.execute('crash').catch(e => e);
+    
+    expect(error.code).toBe('WORKER_CRASHED');
+    expect(error.message).toContain('worker blew up');
+    
+    const exited = await bulkhead.execute('exit', 3).catch(e => e);
+    expect(exited.code).toBe('WORKER_CRASHED');
+    expect(exited.message).toContain('exited with code 3');
+    
+    expect(bulkhead.getStatus().metrics.totalWorkerCrashes).toBe(2);
+    expect(bulkhead.getStatus().metrics.totalFailed).toBe(2);
+    await expect(bulkhead.execute('add', 1, 2)).resolves.toBe(3);
+  });
+  
+  test('should enforce its own concurrency and queue limits', async () => {
+    const running = [
+      bulkhead.execute('delayed', 'a', 200),
+      bulkhead.execute('delayed', 'b', 200)
+    ];
+    const queued = bulkhead.execute('delayed', 'c', 10);
+    
+    const rejected = await bulkhead.execute('delayed', 'd', 10).catch(e => e);
+    expect(rejected.code).toBe('BULKHEAD_REJECTED');
+    
+    await expect(Promise.all([...running, queued])).resolves.toEqual(['a', 'b', 'c']);
+    expect(bulkhead.getStatus().metrics.peakConcurrency).toBe(2);
+    expect(bulkhead.getStatus().workers.total).toBeLessThanOrEqual(2);
+  });
+  
+  test('should terminate running workers on destroy', async () => {
+    const pending = bulkhead.execute('spin', 10000).catch(e => e);
+    
+    bulkhead.destroy();
+    
+    const error = await pending;
+    expect(error.message).toContain('Destroyed');
+    expect(bulkhead.workers.size).toBe(0);
+  });
+});